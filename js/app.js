@@ -5,22 +5,31 @@
  * 1. State loading (URL > localStorage > defaults)
  * 2. Auto-save
  * 3. Input view (sidebar)
- * 4. Projection engine
+ * 4. Projection engine (in the simulation worker; results stream back)
  * 5. Summary, chart, and table views
  * 6. Share URL copy button
- * 7. Re-render on state change
+ * 7. Named scenarios and their comparison
+ * 8. Re-render on state change
  */
 
-import { getState, subscribe }            from './state/store.js';
+import { getState, setState, loadState, subscribe } from './state/store.js';
 import { loadFromLocalStorage, initAutoSave } from './state/localStorageAdapter.js';
 import { loadFromUrl, getShareUrl }        from './state/shareUrlAdapter.js';
 import { runProjection }                   from './engine/projectionEngine.js';
+import { applyDateOfBirth, formatDate }    from './engine/calendar.js';
+import { advancePlan }                     from './engine/advancePlan.js';
+import { getPersonRows }                   from './engine/household.js';
+import { getAccounts }                     from './engine/accounts.js';
+import { createSimulationClient }          from './workers/simulationClient.js';
 import { renderInputView }                 from './ui/inputView.js';
 import { renderSummaryView }               from './ui/summaryView.js';
-import { renderChart, destroyChart, toggleDataset } from './ui/chartView.js';
+import { renderChart, destroyChart, toggleDataset, getChartSeries } from './ui/chartView.js';
 import { renderOutcomeChart, destroyOutcomeChart } from './ui/outcomeChartView.js';
 import { renderIncomeChart, renderIncomeLegend, destroyIncomeChart } from './ui/incomeChartView.js';
 import { renderTableView }                 from './ui/tableView.js';
+import { formatYearsMonths }               from './ui/helpers.js';
+import { renderBacktestView }              from './ui/backtestView.js';
+import { initScenarios, renderScenarioView } from './ui/scenarioView.js';
 
 // ── DOM refs ──────────────────────────────────────────────────────────────
 
@@ -30,10 +39,17 @@ const chartCanvas  = document.getElementById('mainChart');
 const legendEl     = document.getElementById('chartLegend');
 const outcomeCanvas = document.getElementById('outcomeChart');
 const outcomeLegendEl = document.getElementById('outcomeLegend');
+const outcomeInfoEl   = document.getElementById('outcomeInfo');
+const outcomeStatsEl  = document.getElementById('outcomeStats');
+const backtestEl      = document.getElementById('backtestContainer');
 const incomeCanvas  = document.getElementById('incomeChart');
 const incomeLegendEl = document.getElementById('incomeLegend');
 const tableEl      = document.getElementById('tableContainer');
+const scenarioEl   = document.getElementById('scenarioContainer');
+const compareCanvas = document.getElementById('compareChart');
+const scenarioSelectEl = document.getElementById('scenarioSelect');
 const shareBtnEl   = document.getElementById('shareBtn');
+const advanceBtnEl = document.getElementById('advancePlanBtn');
 const debugBtnEl   = document.getElementById('debugBtn');
 const toastEl      = document.getElementById('toastContainer');
 
@@ -46,16 +62,39 @@ const _visibility = { total: true, isa: true, sipp: true, premiumBonds: true, ca
 // Debounce flag for rendering
 let _renderScheduled = false;
 
+// Historical returns dataset — fetched on first use of the backtest
+const HISTORICAL_DATA_URL = 'data/historicalReturns.json';
+let _historicalData  = null;
+let _historicalState = 'idle';   // 'idle' | 'loading' | 'ready' | 'error'
+let _historicalError = null;
+
+// Results for the current state, filled in as the simulation worker streams
+// them back. Starting a new run abandons the previous one.
+let _analysis = null;
+const _simulation = createSimulationClient(_onSimulationMessage);
+
 // ── Initialise ────────────────────────────────────────────────────────────
 
 (function init() {
   // Load state: URL first, then localStorage, then defaults stay
-  const fromUrl = loadFromUrl();
-  if (!fromUrl) loadFromLocalStorage();
+  // (plans saved by older versions are upgraded; say what changed)
+  const fromUrl = loadFromUrl(_reportUpgrade, () => showToast(
+    'This link was made by a newer version of the planner and cannot be opened here — showing your saved plan instead', 10000));
+  if (!fromUrl) loadFromLocalStorage(_reportUpgrade);
 
   // Start auto-save
   initAutoSave();
 
+  // Pin the plan to today so its years stay put (older saved plans have no date)
+  if (!getState().asOfDate) setState({ asOfDate: formatDate(new Date()) });
+
+  // Named scenarios — a shared link opens as a new one alongside those saved
+  initScenarios({
+    select:   scenarioSelectEl,
+    shared:   fromUrl,
+    onSwitch: () => renderInputView(sidebarEl),
+  });
+
   // Render sidebar once
   renderInputView(sidebarEl);
 
@@ -71,6 +110,7 @@ let _renderScheduled = false;
       _activeTab = btn.dataset.tab;
       document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b === btn));
       document.querySelectorAll('.tab-panel').forEach(p => p.classList.toggle('active', p.id === `panel-${_activeTab}`));
+      if (_activeTab === 'scenarios') renderScenarioView(scenarioEl, compareCanvas);
     });
   });
 
@@ -87,6 +127,25 @@ let _renderScheduled = false;
     });
   }
 
+  // Advance plan — roll the plan on to today's year
+  if (advanceBtnEl) {
+    advanceBtnEl.addEventListener('click', () => {
+      const { config, years, toYear, pastOverrides, taxFreeCash } = advancePlan(getState());
+      if (years === 0) {
+        showToast('The plan already starts this year');
+        return;
+      }
+      if (pastOverrides.length > 0 && !window.confirm(
+        `Overrides for ${pastOverrides.join(', ')} are now in the past and will be removed. Advance the plan to ${toYear}?`)) return;
+      loadState(config);
+      renderInputView(sidebarEl);
+      showToast(`Plan advanced to ${toYear} — check balances against your latest statements`, 5000,
+        taxFreeCash.length > 0
+          ? [`Pension tax-free cash taken in ${taxFreeCash.join(', ')} now counts against the Lump Sum Allowance`]
+          : []);
+    });
+  }
+
   // Debug button — run projection with debug flag and copy full JSON to clipboard
   if (debugBtnEl) {
     debugBtnEl.addEventListener('click', () => {
@@ -115,17 +174,88 @@ function onStateChange() {
 }
 
 function _render() {
-  const config = getState();
-  const rows   = runProjection(config);
+  // Ages and SPA follow the date of birth as the tax year moves on
+  const config = applyDateOfBirth(getState());
+
+  if (config.backtest?.enabled && _historicalState === 'idle') _loadHistoricalData();
+
+  _analysis = {
+    config,
+    rows:               null,
+    scenarios:          null,
+    strategyRows:       null,
+    survivorRows:       null,
+    monteCarlo:         null,
+    monteCarloProgress: null,
+    backtest:           null,
+  };
+  _simulation.run(config, config.backtest?.enabled ? _historicalData : null);
+  _renderBacktest();
+
+  // Re-render sidebar only when needed (input view subscribes to DOM events directly)
+  // We do NOT re-render sidebar on every state change to avoid losing focus.
+  // Instead we patch specific inputs that might have changed due to inter-field dependencies.
+  _patchSidebarDependentFields(config);
+}
+
+// ── Simulation results ────────────────────────────────────────────────────
 
-  // Summary tiles
-  renderSummaryView(summaryEl, rows, config);
+function _onSimulationMessage(msg) {
+  if (msg.type === 'progress') {
+    _analysis.monteCarloProgress = { completed: msg.completed, total: msg.total };
+    _renderSummary();
+    renderOutcomeStats(outcomeStatsEl, null, _analysis.monteCarloProgress);
+    return;
+  }
+
+  if (msg.type === 'error') {
+    showToast(`Calculation failed: ${msg.message}`);
+    return;
+  }
+
+  if (msg.type !== 'partial') return;
+  _analysis[msg.key] = msg.value;
+
+  switch (msg.key) {
+    case 'rows':
+      _renderSummary();
+      _renderProjectionViews();
+      _renderOutcomes();
+      break;
+    case 'scenarios':
+      _renderSummary();
+      _renderOutcomes();
+      break;
+    case 'strategyRows':
+    case 'survivorRows':
+      _renderSummary();
+      break;
+    case 'monteCarlo':
+      _analysis.monteCarloProgress = null;
+      _renderSummary();
+      _renderOutcomes();
+      break;
+    case 'backtest':
+      _renderBacktest();
+      break;
+  }
+}
+
+function _renderSummary() {
+  if (!_analysis.rows) return;
+  renderSummaryView(summaryEl, _analysis.rows, _analysis.config, _analysis);
+}
+
+function _renderProjectionViews() {
+  const { config } = _analysis;
+  // Couples: the chart and table can show one person's share
+  const rows = getPersonRows(_analysis.rows, config.personView || 'household', getAccounts(config));
 
   // Chart
   if (chartCanvas) {
     if (typeof Chart !== 'undefined') {
       renderChart(chartCanvas, rows, config, _visibility);
-      renderLegend(legendEl);
+      renderLegend(legendEl, config);
     } else {
       // Chart.js not loaded (e.g. network blocked) - show fallback message
       const wrapper = chartCanvas.parentElement;
@@ -139,12 +269,6 @@ function _render() {
     }
   }
 
-  // Outcomes chart
-  if (outcomeCanvas && typeof Chart !== 'undefined') {
-    renderOutcomeChart(outcomeCanvas, config);
-    renderOutcomeLegend(outcomeLegendEl);
-  }
-
   // Income vs Spending chart
   if (incomeCanvas && typeof Chart !== 'undefined') {
     renderIncomeChart(incomeCanvas, rows, config);
@@ -156,10 +280,47 @@ function _render() {
     renderTableView(tableEl, rows, config);
   }
 
-  // Re-render sidebar only when needed (input view subscribes to DOM events directly)
-  // We do NOT re-render sidebar on every state change to avoid losing focus.
-  // Instead we patch specific inputs that might have changed due to inter-field dependencies.
-  _patchSidebarDependentFields(config);
+  // Scenario comparison — projects every saved plan, so only while on view
+  if (_activeTab === 'scenarios') renderScenarioView(scenarioEl, compareCanvas);
+}
+
+function _renderOutcomes() {
+  if (!_analysis.rows) return;
+  const { config, monteCarlo: mcResult } = _analysis;
+
+  // Scenario range until (or unless) a Monte Carlo result is available
+  if (outcomeCanvas && typeof Chart !== 'undefined') {
+    renderOutcomeChart(outcomeCanvas, config, _analysis);
+    renderOutcomeLegend(outcomeLegendEl, mcResult ? 'monteCarlo' : 'scenario');
+  }
+  renderOutcomeInfo(outcomeInfoEl, mcResult);
+  renderOutcomeStats(outcomeStatsEl, mcResult, _analysis.monteCarloProgress);
+}
+
+function _renderBacktest() {
+  const enabled = Boolean(_analysis.config.backtest?.enabled);
+  renderBacktestView(backtestEl, _analysis.backtest, _historicalData, {
+    loading: enabled && !_analysis.backtest && _historicalState !== 'error',
+    error:   enabled && _historicalState === 'error' ? _historicalError : null,
+  });
+}
+
+function _loadHistoricalData() {
+  _historicalState = 'loading';
+  fetch(HISTORICAL_DATA_URL)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(data => {
+      _historicalData  = data;
+      _historicalState = 'ready';
+    })
+    .catch(err => {
+      _historicalState = 'error';
+      _historicalError = err.message;
+    })
+    .finally(onStateChange);
 }
 
 // ── Sidebar patch (state → DOM, avoid full re-render) ────────────────────
@@ -167,37 +328,37 @@ function _render() {
 function _patchSidebarDependentFields(config) {
   // Update the state pension age display text in the sidebar
   const spAgeHint = sidebarEl.querySelector('[data-sp-age-hint]');
-  if (spAgeHint) spAgeHint.textContent = config.statePensionAge;
+  if (spAgeHint) spAgeHint.textContent = formatYearsMonths(config.statePensionAge);
 }
 
 // ── Legend ────────────────────────────────────────────────────────────────
 
-const LEGEND_ITEMS = [
-  { key: 'total',        label: 'Total Net Worth', color: '#2563eb' },
-  { key: 'isa',          label: 'ISA',             color: '#16a34a' },
-  { key: 'sipp',         label: 'SIPP',            color: '#d97706' },
-  { key: 'premiumBonds', label: 'Premium Bonds',   color: '#9333ea' },
-  { key: 'cash',         label: 'Cash',            color: '#64748b' },
-];
-
 const PHASE_LEGEND_ITEMS = [
   { label: 'Accumulation', color: 'rgba(37,99,235,0.15)' },
   { label: 'Bridge',       color: 'rgba(217,119,6,0.20)' },
   { label: 'Pension',      color: 'rgba(22,163,74,0.18)' },
 ];
 
-const OUTCOME_LEGEND_ITEMS = [
-  { label: 'P10 — Pessimistic (growth −3 pp)', color: 'rgba(37,99,235,0.5)', dashed: true },
-  { label: 'P50 — Typical', color: '#2563eb', dashed: false },
-  { label: 'P90 — Optimistic (growth +3 pp)', color: 'rgba(37,99,235,0.5)', dashed: true },
-];
-
-function renderLegend(el) {
+const OUTCOME_LEGEND_ITEMS = {
+  scenario: [
+    { label: 'P10 — Pessimistic (growth −3 pp)', color: 'rgba(37,99,235,0.5)', dashed: true },
+    { label: 'P50 — Typical', color: '#2563eb', dashed: false },
+    { label: 'P90 — Optimistic (growth +3 pp)', color: 'rgba(37,99,235,0.5)', dashed: true },
+  ],
+  monteCarlo: [
+    { label: 'P10–P90 range', color: 'rgba(37,99,235,0.15)', dashed: false },
+    { label: 'P25–P75 range', color: 'rgba(37,99,235,0.3)', dashed: false },
+    { label: 'P50 — Median', color: '#2563eb', dashed: false },
+  ],
+};
+
+function renderLegend(el, config) {
   if (!el) return;
-  const seriesHtml = LEGEND_ITEMS.map(item => `
-    <div class="legend-item ${_visibility[item.key] ? '' : 'inactive'}" data-key="${item.key}">
-      <div class="legend-dot" style="background:${item.color}"></div>
-      <span>${item.label}</span>
+  // One item per chart line, including each added account
+  const seriesHtml = getChartSeries(config).map(item => `
+    <div class="legend-item ${_visibility[item.key] ?? true ? '' : 'inactive'}" data-key="${item.key}">
+      <div class="legend-dot${item.dashed ? ' legend-dot-dashed' : ''}" style="background:${item.color}"></div>
+      <span>${item.label.replace(/</g, '&lt;')}</span>
     </div>
   `).join('');
 
@@ -213,16 +374,8 @@ function renderLegend(el) {
   el.querySelectorAll('.legend-item[data-key]').forEach(li => {
     li.addEventListener('click', () => {
       const key = li.dataset.key;
-      // Map key to chart dataset label
-      const labelMap = {
-        total:        'Total Net Worth',
-        isa:          'ISA',
-        sipp:         'SIPP',
-        premiumBonds: 'Premium Bonds',
-        cash:         'Cash',
-      };
-      const visible = toggleDataset(labelMap[key]);
-      _visibility[key] = visible !== undefined ? visible : !_visibility[key];
+      const visible = toggleDataset(key);
+      _visibility[key] = visible !== undefined ? visible : !(_visibility[key] ?? true);
       li.classList.toggle('inactive', !_visibility[key]);
     });
   });
@@ -230,9 +383,10 @@ function renderLegend(el) {
 
 // ── Toast ─────────────────────────────────────────────────────────────────
 
-function renderOutcomeLegend(el) {
-  if (!el || el.childElementCount > 0) return; // render once
-  el.innerHTML = OUTCOME_LEGEND_ITEMS.map(item => `
+function renderOutcomeLegend(el, mode) {
+  if (!el || el.dataset.mode === mode) return; // render once per mode
+  el.dataset.mode = mode;
+  el.innerHTML = OUTCOME_LEGEND_ITEMS[mode].map(item => `
     <div class="legend-item" style="cursor:default">
       <div class="legend-dot${item.dashed ? ' legend-dot-dashed' : ''}" style="background:${item.color}"></div>
       <span>${item.label}</span>
@@ -240,11 +394,91 @@ function renderOutcomeLegend(el) {
   `).join('');
 }
 
-function showToast(message, duration = 3000) {
+function renderOutcomeInfo(el, mcResult) {
+  if (!el) return;
+  el.innerHTML = mcResult
+    ? `This chart shows the spread of inflation-adjusted portfolio values across ${mcResult.runs.toLocaleString('en-GB')} simulated
+       market paths. Each year's return for each pot is drawn at random around its configured growth rate using its volatility
+       and the correlations set in the sidebar. The centre line is the median path; shaded bands show the P25–P75 and P10–P90 ranges.
+       All values shown in today's purchasing power (real terms).`
+    : `This chart shows inflation-adjusted portfolio outcomes under different growth assumptions.
+       The centre line is the typical outcome using your configured growth rates.
+       The shaded range shows pessimistic (P10: growth −3 pp) and optimistic (P90: growth +3 pp) scenarios.
+       All values shown in today's purchasing power (real terms).`;
+}
+
+function renderOutcomeStats(el, mcResult, progress = null) {
+  if (!el) return;
+  if (progress) {
+    const pct = (progress.completed / progress.total * 100).toFixed(0);
+    el.innerHTML = `
+      <div class="outcome-stat">
+        <span class="outcome-stat-label">Simulating ${progress.completed.toLocaleString('en-GB')} of ${progress.total.toLocaleString('en-GB')} paths…</span>
+        <div class="mc-progress"><div class="mc-progress-fill" style="width:${pct}%"></div></div>
+      </div>
+    `;
+    return;
+  }
+  if (!mcResult) { el.innerHTML = ''; return; }
+
+  const { successProbability, depletion, runs } = mcResult;
+  const ages = Object.keys(depletion.ages).map(Number).sort((a, b) => a - b);
+  const maxCount = Math.max(1, ...ages.map(a => depletion.ages[a]));
+  const bars = ages.map(age => {
+    const count = depletion.ages[age];
+    return `<div class="depletion-bar" style="height:${(count / maxCount * 100).toFixed(1)}%"
+                 title="Age ${age}: ${count} of ${runs} paths (${(count / runs * 100).toFixed(1)}%)"></div>`;
+  }).join('');
+
+  el.innerHTML = `
+    <div class="outcome-stat">
+      <span class="outcome-stat-label">Probability of success</span>
+      <span class="outcome-stat-value">${Math.round(successProbability * 100)}%</span>
+    </div>
+    <div class="outcome-stat">
+      <span class="outcome-stat-label">Paths that run short</span>
+      <span class="outcome-stat-value">${Math.round(depletion.probability * 100)}%${
+        depletion.medianAge !== null ? ` · median age ${depletion.medianAge}` : ''}</span>
+    </div>
+    ${ages.length > 0 ? `
+      <div class="depletion-chart">
+        <div class="outcome-stat-label">Age at first shortfall</div>
+        <div class="depletion-bars">${bars}</div>
+        <div class="depletion-axis"><span>${ages[0]}</span><span>${ages[ages.length - 1]}</span></div>
+      </div>` : ''}
+  `;
+}
+
+// Changes listed in the upgrade notice; the rest are counted
+const MAX_UPGRADE_CHANGES = 8;
+
+function _reportUpgrade(changes) {
+  const shown = changes.slice(0, MAX_UPGRADE_CHANGES);
+  const more  = changes.length - shown.length;
+  showToast('Saved plan updated to the latest version:', 15000,
+    more > 0 ? [...shown, `…and ${more} more`] : shown);
+}
+
+/**
+ * Show a notice in the corner for `duration` ms (click to dismiss), with an
+ * optional list of details under the message.
+ */
+function showToast(message, duration = 3000, details = []) {
   if (!toastEl) return;
   const toast = document.createElement('div');
   toast.className = 'toast';
   toast.textContent = message;
+  if (details.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'toast-details';
+    for (const detail of details) {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      list.appendChild(item);
+    }
+    toast.appendChild(list);
+  }
+  toast.addEventListener('click', () => toast.remove());
   toastEl.appendChild(toast);
   setTimeout(() => toast.remove(), duration);
 }
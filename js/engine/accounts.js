@@ -0,0 +1,223 @@
+/**
+ * accounts.js — Account types and the plan's list of accounts
+ *
+ * Every pot the projection holds is an account with a type. The type decides
+ * how it is taxed, when it can be drawn and what caps apply:
+ *
+ *   "isa"          — tax-free; drawn from drawdownStartAge, else retirement
+ *   "sipp"         — pension; taxable when drawn (optionally 25% tax-free, as
+ *                    a lump sum or UFPLS); drawn from drawdownStartAge, else
+ *                    accessAge (57)
+ *   "premiumBonds" — tax-free prizes; £50,000 holding limit per person, the
+ *                    excess moves to Cash
+ *   "cash"         — tax-free; drawn from drawdownStartAge, else retirement
+ *   "gia"          — General Investment Account: dividends taxed each year
+ *                    and gains taxed when realised (below); drawn from
+ *                    drawdownStartAge, else retirement
+ *   "lisa"         — Lifetime ISA: tax-free; up to £4,000 a year paid in
+ *                    before 50, each with a 25% government bonus; drawn from
+ *                    drawdownStartAge, else retirement or 60 if later
+ *
+ * The first four accounts are the built-in pots under config.isa, config.sipp,
+ * config.premiumBonds and config.cash (their id is their type). A partner's
+ * ISA and SIPP are the "partnerIsa" / "partnerSipp" accounts (household.js).
+ * Any number of further accounts — a second ISA, a workplace pension — live
+ * in config.accounts:
+ *
+ *   accounts: [
+ *     { id: 'acct1', type: 'sipp', name: 'Workplace pension', owner: 'primary',
+ *       enabled: true, balance, growthRate, annualContribution, stopContributionAge,
+ *       contributionIndexation, contributionIndexRate,
+ *       drawdownStartAge, accessAge,
+ *       pclsMode: 'none' | 'full' | 'ufpls', pclsAge, pclsDestination: 'isa' | 'cash',
+ *       contributionMode: 'flat' | 'salary', salary, salaryGrowthRate,
+ *       employeePercent, employerPercent, reliefMethod },
+ *   ]
+ *
+ * An added account follows the same rules as the built-in pot of its type,
+ * read against its owner's ages. Projection rows report each one as
+ * `<id>Balance`, `<id>Contribution`, `<id>Withdrawn` and `<id>Growth`, and
+ * count it in the totals for its type (isaBalance, sippWithdrawn, …). Year
+ * overrides `<id>ContributionOverride`, `<id>LumpSum` and
+ * `<id>DrawdownRateOverride` work as the built-in pots' do. An added
+ * pension's tax-free cash, crystallised balance and salary-linked
+ * contributions are its own, but it shares its owner's Lump Sum Allowance.
+ *
+ * GIA. The account tracks its cost basis (`costBasis`, default: the opening
+ * balance) alongside its value. Contributions add to the basis, and so do
+ * dividends (`dividendYield` % of the balance, part of the growth rate and
+ * reinvested). Every disposal — a withdrawal, a Bed & ISA transfer or the
+ * sale that pays its tax — takes the same share of the basis as of the
+ * value, so it realises a proportional gain, taxed that year (the tax sale
+ * is grossed up for the tax on its own gain). With `bedAndIsa` set, up to
+ * the owner's unused ISA allowance moves into their ISA each year.
+ *
+ * Lifetime ISA. Subscriptions (the contribution and any lump sum) are
+ * capped at £4,000 a year and stop at 50; the bonus is reported as
+ * `<id>Bonus`. Both the LISA and ISA subscriptions, transfers into an ISA
+ * included, count toward the owner's £20,000 ISA allowance. A withdrawal before 60 loses 25% of what is taken
+ * (`<id>Penalty`), so drawing £750 net costs the account £1,000.
+ */
+
+import {
+  getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed, getLisaDrawdownAllowed,
+} from './projectionUtils.js';
+import { getPotGrowthRate } from './assetAllocation.js';
+import { hasPartner } from './household.js';
+
+/**
+ * Account types: label, whether draws are taxable income, any holding cap,
+ * whether gains are taxed, and which simulated return path it follows when
+ * that is another type's.
+ */
+export const ACCOUNT_TYPES = {
+  isa:          { label: 'ISA',           icon: '📈', taxable: false },
+  sipp:         { label: 'Pension',       icon: '🏦', taxable: true },
+  premiumBonds: { label: 'Premium Bonds', icon: '🏆', taxable: false, balanceCap: 50000 },
+  cash:         { label: 'Cash',          icon: '💵', taxable: false },
+  gia:          { label: 'GIA',           icon: '📊', taxable: false, capitalGains: true, returns: 'isa' },
+  lisa:         { label: 'Lifetime ISA',  icon: '🏠', taxable: false, returns: 'isa' },
+};
+
+/** Annual ISA subscription limit per person (£). */
+export const ISA_ALLOWANCE = 20000;
+
+/** Built-in pots, in display order (each one's id is its type). */
+export const BUILTIN_ACCOUNTS = ['isa', 'sipp', 'premiumBonds', 'cash'];
+
+/** Types a partner can own (Premium Bonds and Cash are held by the first person). */
+export const PARTNER_TYPES = ['isa', 'sipp', 'gia', 'lisa'];
+
+/**
+ * Added accounts that take part in the projection, with defaults filled in.
+ * An account can only belong to a partner when one is modelled.
+ *
+ * @param {object} config
+ * @returns {object[]}
+ */
+export function getExtraAccounts(config) {
+  const partner = hasPartner(config);
+  return (config.accounts ?? [])
+    .filter(a => a.enabled !== false && ACCOUNT_TYPES[a.type])
+    .map(a => ({
+      balance: 0, growthRate: 0, annualContribution: 0,
+      stopContributionAge: null, drawdownStartAge: null,
+      ...(a.type === 'gia' && { dividendYield: 0, bedAndIsa: false }),
+      ...a,
+      ...(a.type === 'gia' && { costBasis: a.costBasis ?? a.balance ?? 0 }),
+      name:  a.name || ACCOUNT_TYPES[a.type].label,
+      owner: a.owner === 'partner' && partner && PARTNER_TYPES.includes(a.type) ? 'partner' : 'primary',
+    }));
+}
+
+/**
+ * Every enabled account in the plan: built-in pots, a partner's pots and
+ * added accounts.
+ *
+ * @param {object} config
+ * @returns {{ id: string, type: string, name: string, owner: 'primary'|'partner', builtin: boolean }[]}
+ */
+export function getAccounts(config) {
+  const builtins = BUILTIN_ACCOUNTS
+    .filter(type => config[type]?.enabled)
+    .map(type => ({ id: type, type, name: ACCOUNT_TYPES[type].label, owner: 'primary', builtin: true }));
+  const partnerPots = hasPartner(config)
+    ? [['partnerIsa', 'isa'], ['partnerSipp', 'sipp']]
+        .filter(([, type]) => config.partner[type]?.enabled)
+        .map(([id, type]) => ({ id, type, name: `Partner ${ACCOUNT_TYPES[type].label}`, owner: 'partner', builtin: true }))
+    : [];
+  const extras = getExtraAccounts(config)
+    .map(({ id, type, name, owner }) => ({ id, type, name, owner, builtin: false }));
+  return [...builtins, ...partnerPots, ...extras];
+}
+
+/**
+ * Whether an added account can be drawn at its owner's `age`, by the rule
+ * for its type.
+ *
+ * @param {object} ownerConfig  The owner's config (a partner's single-person view for them)
+ * @param {object} account
+ * @param {number} age          The owner's age
+ * @returns {boolean}
+ */
+export function getAccountDrawdownAllowed(ownerConfig, account, age) {
+  const view = { ...ownerConfig, [account.type]: { ...account, enabled: true } };
+  switch (account.type) {
+    case 'isa':  return getIsaDrawdownAllowed(view, age);
+    case 'sipp': return getSippDrawdownAllowed(view, age);
+    case 'cash': return getCashDrawdownAllowed(view, age);
+    case 'lisa': return getLisaDrawdownAllowed(view, age);
+    default:     return age >= (account.drawdownStartAge ?? ownerConfig.retirementAge);
+  }
+}
+
+/**
+ * Expected annual return (%) of an added account at its owner's `age`: its
+ * glide-path blend when it has one, otherwise its growth rate.
+ *
+ * @param {object} ownerConfig
+ * @param {object} account
+ * @param {number} age  The owner's age
+ * @returns {number}
+ */
+export function getAccountGrowthRate(ownerConfig, account, age) {
+  const view = { ...ownerConfig, [account.type]: { ...account, prizeRate: account.prizeRate ?? account.growthRate } };
+  return getPotGrowthRate(view, account.type, age);
+}
+
+/**
+ * Withdrawal order with each added account drawn straight after the other
+ * accounts of its type. Types missing from `order` are drawn last.
+ *
+ * @param {string[]} order     Pot ids (already expanded for a partner)
+ * @param {object[]} accounts  Added accounts (getExtraAccounts)
+ * @returns {string[]}
+ */
+export function expandAccountOrder(order, accounts) {
+  if (accounts.length === 0) return order;
+  const typeOf = pot => (pot === 'partnerIsa' ? 'isa' : pot === 'partnerSipp' ? 'sipp' : pot);
+  const out = [];
+  order.forEach((pot, i) => {
+    out.push(pot);
+    const type = typeOf(pot);
+    if (i === order.length - 1 || typeOf(order[i + 1]) !== type) {
+      out.push(...accounts.filter(a => a.type === type).map(a => a.id));
+    }
+  });
+  const placed = new Set(order.map(typeOf));
+  out.push(...accounts.filter(a => !placed.has(a.type)).map(a => a.id));
+  return out;
+}
+
+/**
+ * A new account of `type` for the sidebar, with an id unused by `accounts`.
+ *
+ * @param {string} type      One of ACCOUNT_TYPES
+ * @param {object[]} accounts  Existing config.accounts
+ * @returns {object}
+ */
+export function createAccount(type, accounts = []) {
+  let n = accounts.length + 1;
+  while (accounts.some(a => a.id === `acct${n}`)) n++;
+  return {
+    id: `acct${n}`,
+    type,
+    name: ACCOUNT_TYPES[type].label,
+    owner: 'primary',
+    enabled: true,
+    balance: 0,
+    growthRate: type === 'cash' || type === 'premiumBonds' ? 4 : 5,
+    annualContribution: 0,
+    stopContributionAge: null,
+    contributionIndexation: 'none',
+    contributionIndexRate: 0,
+    drawdownStartAge: null,
+    ...(type === 'sipp' && {
+      accessAge: 57, pclsMode: 'none', pclsAge: 57, pclsDestination: 'isa',
+      contributionMode: 'flat', salary: 0, salaryGrowthRate: 3,
+      employeePercent: 5, employerPercent: 3, reliefMethod: 'reliefAtSource',
+    }),
+    ...(type === 'gia'  && { costBasis: null, dividendYield: 2, bedAndIsa: false }),
+    ...(type === 'lisa' && { annualContribution: 4000 }),
+  };
+}
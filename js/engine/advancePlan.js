@@ -0,0 +1,100 @@
+/**
+ * advancePlan.js — Move a plan's as-of date on to a later date
+ *
+ * A plan runs from its saved as-of date (config.asOfDate, see calendar.js),
+ * so its years stay fixed as time passes. Advancing it to a later date:
+ *
+ *   - rolls every pot's balance forward to its projected end-of-year balance
+ *     for the last year that has passed (GIA cost bases too), so the years
+ *     already lived — including any overrides recorded for them, such as
+ *     actual lump sums and withdrawals — are carried into the opening
+ *     balances;
+ *   - carries pension tax-free cash taken in those years forward: each
+ *     person's Lump Sum Allowance is reduced by what they used, and a pension
+ *     that took its one-off tax-free lump sum switches to no tax-free cash
+ *     (what is left of it has been crystallised, so it is drawn taxable);
+ *   - moves each person's current age on by the years passed (or re-derives
+ *     it from their date of birth);
+ *   - keeps overrides on their years, which keep their ages now that the
+ *     ages move with the plan, and drops those for years now in the past,
+ *     listing them so the user can be warned.
+ *
+ * Contribution amounts and salaries are left as entered. Pure function.
+ */
+
+import { runProjection } from './projectionEngine.js';
+import { BUILTIN_ACCOUNTS, getExtraAccounts } from './accounts.js';
+import { hasPartner } from './household.js';
+import { applyDateOfBirth, formatDate, getPlanStartYear } from './calendar.js';
+import { LUMP_SUM_ALLOWANCE } from './projectionUtils.js';
+
+/**
+ * Advance a plan to the as-of date `today`.
+ *
+ * @param {object} config
+ * @param {Date} [today=new Date()]
+ * @returns {{ config: object, years: number, fromYear: number, toYear: number,
+ *             pastOverrides: number[], taxFreeCash: number[] }}
+ *   years: plan years moved on (0 when `today` is still in the first year —
+ *   the config is then returned unchanged); pastOverrides: years whose
+ *   overrides were dropped; taxFreeCash: years passed in which pension
+ *   tax-free cash was taken
+ */
+export function advancePlan(config, today = new Date()) {
+  const fromYear = getPlanStartYear(config);
+  const toYear   = getPlanStartYear(config, today);
+  const years    = toYear - fromYear;
+  if (years <= 0) return { config, years: 0, fromYear, toYear: fromYear, pastOverrides: [], taxFreeCash: [] };
+
+  const rows   = runProjection(config, { debug: true });
+  const passed = rows.slice(0, years);
+  const row    = passed[passed.length - 1];
+  const next = structuredClone(config);
+
+  // Balances at the end of the last year passed
+  for (const type of BUILTIN_ACCOUNTS) {
+    if (next[type]?.enabled) next[type].balance = row._debug[`${type}Balance`];
+  }
+  const extras = getExtraAccounts(config);
+  for (const acct of next.accounts ?? []) {
+    if (!extras.some(a => a.id === acct.id)) continue;
+    acct.balance = row[`${acct.id}Balance`];
+    if (`${acct.id}CostBasis` in row) acct.costBasis = row[`${acct.id}CostBasis`];
+  }
+  const partner = hasPartner(config);
+  if (partner) {
+    const partnerExtras = (type, field) => extras
+      .filter(a => a.owner === 'partner' && a.type === type)
+      .reduce((sum, a) => sum + row[`${a.id}${field}`], 0);
+    if (next.partner.isa?.enabled)  next.partner.isa.balance  = row.partnerIsaBalance  - partnerExtras('isa', 'Balance');
+    if (next.partner.sipp?.enabled) next.partner.sipp.balance = row.partnerSippBalance - partnerExtras('sipp', 'Balance');
+  }
+
+  // Tax-free cash already taken is not taken again
+  const taxFreeCash = passed
+    .filter(r => r.pclsLumpSum > 0 || r.sippTaxFreeWithdrawn > 0)
+    .map(r => r.year);
+  const lsaLeft = (sipp, used) => Math.max(0, (sipp.lumpSumAllowance ?? LUMP_SUM_ALLOWANCE) - used);
+  if (row._debug.lsaUsed > 0) next.sipp.lumpSumAllowance = lsaLeft(next.sipp, row._debug.lsaUsed);
+  if (partner && row._debug.partnerLsaUsed > 0) {
+    next.partner.sipp.lumpSumAllowance = lsaLeft(next.partner.sipp, row._debug.partnerLsaUsed);
+  }
+  if (passed.some(r => r._debug.pclsLumpSum > 0)) next.sipp.pclsMode = 'none';
+  for (const acct of next.accounts ?? []) {
+    if (passed.some(r => r[`${acct.id}PclsLumpSum`] > 0)) acct.pclsMode = 'none';
+  }
+
+  // Ages move with the plan
+  next.asOfDate = formatDate(today);
+  if (!next.dateOfBirth) next.currentAge += years;
+  if (partner && !next.partner.dateOfBirth) next.partner.currentAge += years;
+
+  // Overrides for the years passed no longer apply
+  const pastOverrides = Object.keys(next.overrides ?? {})
+    .map(Number)
+    .filter(year => year < toYear)
+    .sort((a, b) => a - b);
+  for (const year of pastOverrides) delete next.overrides[year];
+
+  return { config: applyDateOfBirth(next), years, fromYear, toYear, pastOverrides, taxFreeCash };
+}
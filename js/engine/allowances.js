@@ -0,0 +1,168 @@
+/**
+ * allowances.js — ISA and pension annual allowance rules
+ *
+ * Each person has, per tax year:
+ *   ISA allowance     — £20,000 across their ISAs and Lifetime ISAs, money
+ *                       moved in (tax-free cash, Bed & ISA, DB lump sums)
+ *                       included (a LISA also has its own £4,000 cap,
+ *                       ending at 50)
+ *   Annual allowance  — £60,000 of pension contributions, tapered by £1 for
+ *                       every £2 of adjusted income over £260,000 (when
+ *                       threshold income is over £200,000) down to £10,000
+ *   MPAA              — £10,000 once they have flexibly accessed a pension
+ *                       (taken taxable income from it, e.g. UFPLS or drawdown
+ *                       income), from the year after
+ *
+ * The projection records what each person paid in against these limits on
+ * every row that has contributions (`allowanceUsage`, below), and with
+ * config.allowances.redirectExcess it moves any excess at the year end to
+ * the Cash pot or a GIA (`redirectTo`). getAllowanceWarnings turns the rows
+ * into structured warnings per year, person and rule for the UI. Carry
+ * forward of unused pension allowance is not modelled.
+ *
+ *   row.allowanceUsage: [{
+ *     person: 'primary' | 'partner',
+ *     isa:     { paid, limit, accounts: string[] },
+ *     lisa:    { requested, limit, accounts: string[] },   // limit: what the LISA cap let in
+ *     pension: { paid, limit, rule, accounts: string[] },
+ *     redirected: { isa, pension },
+ *   }]
+ */
+
+/** Default allowance settings (merged under config.allowances). */
+export const DEFAULT_ALLOWANCES = {
+  annualAllowance:         60000,
+  moneyPurchaseAllowance:  10000,
+  taperThresholdIncome:    200000,
+  taperAdjustedIncome:     260000,
+  minimumTaperedAllowance: 10000,
+  redirectExcess:          false,   // move contributions over an allowance at the year end
+  redirectTo:              'cash',  // 'cash' or the id of a GIA account
+};
+
+/** Warning rules, with a short label for badges and the warnings panel. */
+export const ALLOWANCE_RULES = {
+  isaAllowance:                 'ISA allowance',
+  lisaAllowance:                'Lifetime ISA limit',
+  annualAllowance:              'Pension annual allowance',
+  taperedAnnualAllowance:       'Tapered annual allowance',
+  moneyPurchaseAnnualAllowance: 'Money purchase annual allowance',
+};
+
+/** Amounts within £1 of a limit are not reported. */
+const TOLERANCE = 1;
+
+/**
+ * Allowance settings with defaults filled in.
+ *
+ * @param {object} config
+ * @returns {object}
+ */
+export function getAllowanceSettings(config) {
+  return { ...DEFAULT_ALLOWANCES, ...config.allowances };
+}
+
+/**
+ * A person's pension annual allowance for the year, and the rule that set it.
+ *
+ * @param {object} ctx
+ * @param {number} ctx.thresholdIncome   Taxable income excluding pension contributions
+ * @param {number} ctx.adjustedIncome    Threshold income plus pension contributions
+ * @param {boolean} ctx.flexiblyAccessed Whether they flexibly accessed a pension in an earlier year
+ * @param {object} [params]  Overrides for DEFAULT_ALLOWANCES
+ * @returns {{ limit: number, rule: 'annualAllowance'|'taperedAnnualAllowance'|'moneyPurchaseAnnualAllowance' }}
+ */
+export function getPensionAnnualAllowance({ thresholdIncome, adjustedIncome, flexiblyAccessed }, params = {}) {
+  const p = { ...DEFAULT_ALLOWANCES, ...params };
+  let limit = p.annualAllowance;
+  let rule  = 'annualAllowance';
+  if (thresholdIncome > p.taperThresholdIncome && adjustedIncome > p.taperAdjustedIncome) {
+    limit = Math.max(p.minimumTaperedAllowance, p.annualAllowance - (adjustedIncome - p.taperAdjustedIncome) / 2);
+    rule  = 'taperedAnnualAllowance';
+  }
+  if (flexiblyAccessed && p.moneyPurchaseAllowance < limit) {
+    limit = p.moneyPurchaseAllowance;
+    rule  = 'moneyPurchaseAnnualAllowance';
+  }
+  return { limit, rule };
+}
+
+/**
+ * Structured warnings for every year in which a person's contributions
+ * break an allowance.
+ *
+ * @param {object[]} rows  Projection rows
+ * @returns {{ year: number, age: number, person: 'primary'|'partner', rule: string,
+ *             accounts: string[], paid: number, limit: number, excess: number,
+ *             redirected: number, message: string }[]}
+ *   `redirected` is the part of the excess moved out at the year end
+ */
+export function getAllowanceWarnings(rows) {
+  const warnings = [];
+  for (const row of rows) {
+    for (const usage of row.allowanceUsage ?? []) {
+      const checks = [
+        ['isaAllowance', usage.isa.paid, usage.isa.limit, usage.isa.accounts, usage.redirected.isa],
+        ['lisaAllowance', usage.lisa.requested, usage.lisa.limit, usage.lisa.accounts, 0],
+        [usage.pension.rule, usage.pension.paid, usage.pension.limit, usage.pension.accounts, usage.redirected.pension],
+      ];
+      for (const [rule, paid, limit, accounts, redirected] of checks) {
+        const excess = paid - limit;
+        if (excess <= TOLERANCE) continue;
+        warnings.push({
+          year: row.year,
+          age: row.age,
+          person: usage.person,
+          rule,
+          accounts,
+          paid,
+          limit,
+          excess,
+          redirected,
+          message: _message(rule, usage.person, excess, limit, redirected),
+        });
+      }
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Warnings grouped into runs of consecutive years with the same person and
+ * rule, for the plan warnings panel.
+ *
+ * @param {object[]} warnings  Output of getAllowanceWarnings
+ * @returns {{ person: string, rule: string, fromYear: number, toYear: number,
+ *             fromAge: number, toAge: number, totalExcess: number, redirected: number }[]}
+ */
+export function summariseAllowanceWarnings(warnings) {
+  const runs = [];
+  for (const w of warnings) {
+    const run = runs.find(r => r.person === w.person && r.rule === w.rule && r.toYear === w.year - 1);
+    if (run) {
+      run.toYear       = w.year;
+      run.toAge        = w.age;
+      run.totalExcess += w.excess;
+      run.redirected  += w.redirected;
+    } else {
+      runs.push({
+        person: w.person, rule: w.rule,
+        fromYear: w.year, toYear: w.year, fromAge: w.age, toAge: w.age,
+        totalExcess: w.excess, redirected: w.redirected,
+      });
+    }
+  }
+  return runs;
+}
+
+function _message(rule, person, excess, limit, redirected) {
+  const gbp  = amount => `£${Math.round(amount).toLocaleString('en-GB')}`;
+  const who  = person === 'partner' ? 'Partner' : 'You';
+  if (rule === 'lisaAllowance') {
+    return limit > 0
+      ? `${who}: ${gbp(excess)} of Lifetime ISA payments over the ${gbp(limit)} limit is not paid in`
+      : `${who}: ${gbp(excess)} of Lifetime ISA payments after 50 is not paid in`;
+  }
+  return `${who}: ${gbp(excess)} over the ${gbp(limit)} ${ALLOWANCE_RULES[rule]}${
+    redirected > 0 ? `; ${gbp(redirected)} redirected` : ''}`;
+}
@@ -0,0 +1,129 @@
+/**
+ * analysis.js — Staged plan analysis
+ *
+ * Bundles every projection the UI needs for one state into a job that can be
+ * advanced one step at a time:
+ *
+ *   rows          — the deterministic projection rows
+ *   scenarios     — rows with all growth rates −3 pp / +3 pp
+ *   strategyRows  — rows under each other withdrawal strategy (tax enabled)
+ *   survivorRows  — rows on the survivor path (couples with a survivor scenario)
+ *   monteCarlo    — simulation result, run in chunks with progress
+ *   backtest      — historical backtest result (when enabled and data given)
+ *
+ * The job is pure and synchronous per step; the simulation worker drives it
+ * and checks for cancellation between steps.
+ */
+
+import { runProjection } from './projectionEngine.js';
+import { WITHDRAWAL_STRATEGIES } from './withdrawalStrategy.js';
+import { createMonteCarloRun } from './monteCarlo.js';
+import { runBacktest } from './backtest.js';
+import { getAssetReturns } from './assetAllocation.js';
+import { getSurvivorScenario } from './household.js';
+
+/** Growth-rate adjustment (pp) for the pessimistic/optimistic scenarios. */
+export const SCENARIO_ADJ = 3;
+
+/** Monte Carlo paths simulated per step. */
+export const MONTE_CARLO_CHUNK = 50;
+
+/**
+ * Copy of `config` with every pot's growth rate and every asset-class
+ * return assumption (for glide-path pots) shifted by `adj` pp, floored at 0.
+ *
+ * @param {object} config
+ * @param {number} adj
+ * @returns {object}
+ */
+export function applyGrowthAdjustment(config, adj) {
+  const assetReturns = getAssetReturns(config);
+  return {
+    ...config,
+    assetReturns: Object.fromEntries(Object.entries(assetReturns).map(([k, r]) => [k, Math.max(0, r + adj)])),
+    isa:          { ...config.isa,          growthRate: Math.max(0, (config.isa.growthRate || 0) + adj) },
+    sipp:         { ...config.sipp,         growthRate: Math.max(0, (config.sipp.growthRate || 0) + adj) },
+    premiumBonds: { ...config.premiumBonds, prizeRate:  Math.max(0, (config.premiumBonds.prizeRate || 0) + adj) },
+    cash:         { ...config.cash,         growthRate: Math.max(0, (config.cash.growthRate || 0) + adj) },
+    ...(config.partner && {
+      partner: {
+        ...config.partner,
+        isa:  { ...config.partner.isa,  growthRate: Math.max(0, (config.partner.isa?.growthRate || 0) + adj) },
+        sipp: { ...config.partner.sipp, growthRate: Math.max(0, (config.partner.sipp?.growthRate || 0) + adj) },
+      },
+    }),
+    ...(config.accounts && {
+      accounts: config.accounts.map(acct => ({ ...acct, growthRate: Math.max(0, (acct.growthRate || 0) + adj) })),
+    }),
+  };
+}
+
+/**
+ * Create a staged analysis job.
+ *
+ * Each call to `step()` does one unit of work and returns what it produced:
+ *   { type: 'partial',  key, value }                         — a finished result
+ *   { type: 'progress', stage: 'monteCarlo', completed, total } — a Monte Carlo chunk
+ *   null                                                     — the job is finished
+ *
+ * The Monte Carlo stage emits its progress chunks followed by one partial.
+ *
+ * @param {object} config  Full app state
+ * @param {object} [opts]
+ * @param {object|null} [opts.historical=null]  Parsed historicalReturns.json
+ * @param {number} [opts.chunkSize=MONTE_CARLO_CHUNK]
+ * @returns {{ step: () => object|null }}
+ */
+export function createAnalysisRun(config, { historical = null, chunkSize = MONTE_CARLO_CHUNK } = {}) {
+  const tasks = [
+    () => ({ type: 'partial', key: 'rows', value: runProjection(config) }),
+    () => ({
+      type: 'partial',
+      key: 'scenarios',
+      value: {
+        low:  runProjection(applyGrowthAdjustment(config, -SCENARIO_ADJ)),
+        high: runProjection(applyGrowthAdjustment(config, +SCENARIO_ADJ)),
+      },
+    }),
+  ];
+
+  if (config.tax?.enabled) {
+    const current = config.withdrawalStrategy || 'ordered';
+    tasks.push(() => ({
+      type: 'partial',
+      key: 'strategyRows',
+      value: Object.fromEntries(WITHDRAWAL_STRATEGIES
+        .filter(strategy => strategy !== current)
+        .map(strategy => [strategy, runProjection({ ...config, withdrawalStrategy: strategy })])),
+    }));
+  }
+
+  if (getSurvivorScenario(config)) {
+    tasks.push(() => ({ type: 'partial', key: 'survivorRows', value: runProjection(config, { survivor: true }) }));
+  }
+
+  if (config.monteCarlo?.enabled) {
+    let mc = null;
+    const mcTask = () => {
+      if (!mc) mc = createMonteCarloRun(config);
+      if (mc.completed() < mc.total) {
+        const completed = mc.step(chunkSize);
+        tasks.unshift(mcTask);   // come back for the next chunk / final result
+        return { type: 'progress', stage: 'monteCarlo', completed, total: mc.total };
+      }
+      return { type: 'partial', key: 'monteCarlo', value: mc.result() };
+    };
+    tasks.push(mcTask);
+  }
+
+  if (config.backtest?.enabled && historical) {
+    tasks.push(() => ({ type: 'partial', key: 'backtest', value: runBacktest(config, historical) }));
+  }
+
+  return {
+    step() {
+      const task = tasks.shift();
+      return task ? task() : null;
+    },
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * assetAllocation.js — Per-account asset allocation and age-based glide paths
+ *
+ * An account (ISA, SIPP or Cash) can hold an equity/bond/cash split instead
+ * of a single growth rate. The split moves linearly with age between two
+ * points of a glide path, e.g. 90/10/0 at 40 sliding to 50/50/0 by 70, and
+ * is flat before the start age and after the end age. A constant allocation
+ * is a glide path whose two mixes are equal.
+ *
+ * The pot's expected return each year is the allocation-weighted blend of
+ * the per-asset-class return assumptions (config.assetReturns).
+ *
+ * Config shape (per pot):
+ *   glidePath: {
+ *     enabled:  false,
+ *     startAge: 40, startMix: { equity: 90, bonds: 10, cash: 0 },
+ *     endAge:   70, endMix:   { equity: 50, bonds: 50, cash: 0 },
+ *   }
+ * Mixes are percentages; they are normalised, so they need not sum to 100.
+ */
+
+/** Asset classes, in display order. */
+export const ASSET_CLASSES = ['equity', 'bonds', 'cash'];
+
+/** Pots that can hold an asset allocation (Premium Bonds pay a prize rate). */
+export const ALLOCATION_POTS = ['isa', 'sipp', 'cash'];
+
+/** Default long-run nominal return assumptions (%) per asset class. */
+export const DEFAULT_ASSET_RETURNS = { equity: 7, bonds: 3, cash: 2 };
+
+/**
+ * Per-asset-class return assumptions (%), defaults filled in.
+ *
+ * @param {object} config
+ * @returns {{ equity: number, bonds: number, cash: number }}
+ */
+export function getAssetReturns(config) {
+  return { ...DEFAULT_ASSET_RETURNS, ...(config.assetReturns || {}) };
+}
+
+/**
+ * Normalise a mix (any non-negative weights) to fractions summing to 1.
+ * An empty mix (all zero) is treated as all cash.
+ *
+ * @param {{ equity?: number, bonds?: number, cash?: number }} mix
+ * @returns {{ equity: number, bonds: number, cash: number }}
+ */
+export function normaliseMix(mix) {
+  const weights = ASSET_CLASSES.map(k => Math.max(0, mix?.[k] ?? 0));
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (total <= 0) return { equity: 0, bonds: 0, cash: 1 };
+  return Object.fromEntries(ASSET_CLASSES.map((k, i) => [k, weights[i] / total]));
+}
+
+/**
+ * Allocation (fractions) at `age` along a glide path.
+ *
+ * @param {{ startAge: number, endAge: number, startMix: object, endMix: object }} glidePath
+ * @param {number} age
+ * @returns {{ equity: number, bonds: number, cash: number }}
+ */
+export function getGlidePathMix(glidePath, age) {
+  const { startAge, endAge } = glidePath;
+  const from = normaliseMix(glidePath.startMix);
+  const to   = normaliseMix(glidePath.endMix ?? glidePath.startMix);
+
+  let t;
+  if (endAge <= startAge) t = age >= endAge ? 1 : 0;
+  else t = Math.min(1, Math.max(0, (age - startAge) / (endAge - startAge)));
+
+  return Object.fromEntries(ASSET_CLASSES.map(k => [k, from[k] + (to[k] - from[k]) * t]));
+}
+
+/**
+ * A pot's allocation at `age`, or null when it has no enabled glide path.
+ *
+ * @param {object} config
+ * @param {string} pot
+ * @param {number} age
+ * @returns {{ equity: number, bonds: number, cash: number }|null}
+ */
+export function getPotAllocation(config, pot, age) {
+  const glidePath = config[pot]?.glidePath;
+  return glidePath?.enabled ? getGlidePathMix(glidePath, age) : null;
+}
+
+/**
+ * Blend asset-class returns by a mix.
+ *
+ * @param {{ equity: number, bonds: number, cash: number }} mix  Fractions
+ * @param {{ equity: number, bonds: number, cash: number }} assetReturns  Returns in %
+ * @returns {number}  Blended return in %
+ */
+export function blendAssetReturn(mix, assetReturns) {
+  return ASSET_CLASSES.reduce((s, k) => s + mix[k] * assetReturns[k], 0);
+}
+
+/**
+ * Expected annual return (%) of a pot at `age`: the blended allocation
+ * return when a glide path is enabled, otherwise the pot's flat rate.
+ *
+ * @param {object} config
+ * @param {string} pot  'isa' | 'sipp' | 'premiumBonds' | 'cash'
+ * @param {number} age
+ * @returns {number}
+ */
+export function getPotGrowthRate(config, pot, age) {
+  if (pot === 'premiumBonds') return config.premiumBonds.prizeRate ?? 0;
+  const mix = getPotAllocation(config, pot, age);
+  if (!mix) return config[pot].growthRate ?? 0;
+  return blendAssetReturn(mix, getAssetReturns(config));
+}
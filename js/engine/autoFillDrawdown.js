@@ -5,7 +5,8 @@
  * drawdown is needed so that total income meets required spending for the year.
  *
  * Algorithm:
- *  1. incomeGap  = max(0, row.requiredSpending − row.totalIncome)
+ *  1. incomeGap  = max(0, row.requiredSpending − row.netIncome)
+ *     (falls back to totalIncome for rows without an after-tax figure)
  *  2. Distribute gap proportionally to ISA/SIPP start-of-year balances
  *  3. Clamp each account's draw to its available balance
  *
@@ -15,7 +16,7 @@
  */
 export function calcAutoFillDrawdown(row, config) {
   // Total additional income still needed to meet required spending
-  const incomeGap = Math.max(0, row.requiredSpending - row.totalIncome);
+  const incomeGap = Math.max(0, row.requiredSpending - (row.netIncome ?? row.totalIncome));
 
   if (incomeGap === 0) {
     return { isaExtraDraw: 0, sippExtraDraw: 0 };
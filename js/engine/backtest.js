@@ -0,0 +1,140 @@
+/**
+ * backtest.js — Historical rolling-window backtest
+ *
+ * Replays the plan through every starting year of a historical dataset of
+ * annual equity/bond/cash returns and CPI (data/historicalReturns.json).
+ * Each cohort runs the normal projection engine with that history's returns
+ * and inflation substituted year by year, so contributions, withdrawals and
+ * overrides behave exactly as in the deterministic projection.
+ *
+ * Each pot's return is a blend of the asset-class returns. The blend follows
+ * the pot's glide path when it has one (so the mix de-risks with age),
+ * otherwise it is inferred from the pot's growth rate (see getAssetMix).
+ *
+ * When the plan is longer than the remaining history, the window wraps
+ * around to the start of the dataset; such cohorts are flagged `wrapped`.
+ *
+ * Simplification: tax bands still index at the configured inflation rate
+ * rather than historical CPI.
+ */
+
+import { runProjection } from './projectionEngine.js';
+import { getDepletionAge, percentile } from './monteCarlo.js';
+import { getAssetReturns, getPotAllocation, blendAssetReturn } from './assetAllocation.js';
+
+const POTS = ['isa', 'sipp', 'premiumBonds', 'cash'];
+
+/**
+ * Asset mix (fractions summing to 1) used for a pot's historical returns.
+ *
+ * A pot with an enabled glide path uses its allocation at `age`. Otherwise
+ * Premium Bonds and Cash track cash, and the ISA/SIPP growth rate is read as
+ * an expected return and interpolated between the asset-class assumptions
+ * (defaults: 7%+ → all equity, 3% → all bonds, 2% or less → all cash, with
+ * linear blends in between).
+ *
+ * @param {object} config
+ * @param {string} pot  'isa' | 'sipp' | 'premiumBonds' | 'cash'
+ * @param {number} [age=config.currentAge]
+ * @returns {{ equity: number, bonds: number, cash: number }}
+ */
+export function getAssetMix(config, pot, age = config.currentAge) {
+  const allocation = getPotAllocation(config, pot, age);
+  if (allocation) return allocation;
+  if (pot === 'premiumBonds' || pot === 'cash') return { equity: 0, bonds: 0, cash: 1 };
+
+  const { equity: eqR, bonds: bdR, cash: caR } = getAssetReturns(config);
+  const rate = config[pot].growthRate ?? 0;
+  if (rate >= eqR) return { equity: 1, bonds: 0, cash: 0 };
+  if (rate >= bdR) {
+    const equity = (rate - bdR) / (eqR - bdR);
+    return { equity, bonds: 1 - equity, cash: 0 };
+  }
+  if (rate > caR) {
+    const bonds = (rate - caR) / (bdR - caR);
+    return { equity: 0, bonds, cash: 1 - bonds };
+  }
+  return { equity: 0, bonds: 0, cash: 1 };
+}
+
+/**
+ * Return and inflation paths for a cohort starting at `startIndex`.
+ *
+ * @param {object} config
+ * @param {object[]} history  dataset.years
+ * @param {number} startIndex
+ * @param {number} years      Plan length in years
+ * @returns {{ returns: object[], inflation: number[], wrapped: boolean }}
+ */
+export function buildCohortPaths(config, history, startIndex, years) {
+  const returns   = [];
+  const inflation = [];
+  for (let k = 0; k < years; k++) {
+    const yearData = history[(startIndex + k) % history.length];
+    const yearReturns = {};
+    for (const pot of POTS) {
+      yearReturns[pot] = blendAssetReturn(getAssetMix(config, pot, config.currentAge + k), yearData);
+    }
+    returns.push(yearReturns);
+    inflation.push(yearData.cpi);
+  }
+  return { returns, inflation, wrapped: startIndex + years > history.length };
+}
+
+/**
+ * Run the plan through every historical starting year.
+ *
+ * A cohort succeeds when no retirement (or bridge) year has a shortfall.
+ * The worst cohort is the one that runs short earliest; among cohorts that
+ * never run short, the lowest real ending balance.
+ *
+ * @param {object} config   Full app state
+ * @param {{ years: object[] }} dataset  Parsed historicalReturns.json
+ * @returns {{
+ *   cohorts: { startYear: number, success: boolean, depletionAge: number|null, endingBalance: number, wrapped: boolean }[],
+ *   successRate: number,
+ *   worstCohort: object|null,
+ *   medianEndingBalance: number,
+ *   completeCohorts: number,
+ * }}
+ */
+export function runBacktest(config, dataset) {
+  const history = dataset?.years || [];
+  if (history.length === 0) {
+    return { cohorts: [], successRate: 0, worstCohort: null, medianEndingBalance: 0, completeCohorts: 0 };
+  }
+
+  const years = config.endAge - config.currentAge + 1;
+
+  const cohorts = history.map((startData, startIndex) => {
+    const { returns, inflation, wrapped } = buildCohortPaths(config, history, startIndex, years);
+    const rows = runProjection(config, { returns, inflation });
+    const depletionAge = getDepletionAge(rows);
+    return {
+      startYear:     startData.year,
+      success:       depletionAge === null,
+      depletionAge,
+      endingBalance: rows[rows.length - 1].realTotalNetWorth,
+      wrapped,
+    };
+  });
+
+  const worstCohort = cohorts.reduce((worst, c) => {
+    if (!worst) return c;
+    const cAge = c.depletionAge ?? Infinity;
+    const wAge = worst.depletionAge ?? Infinity;
+    if (cAge !== wAge) return cAge < wAge ? c : worst;
+    return c.endingBalance < worst.endingBalance ? c : worst;
+  }, null);
+
+  const endings = cohorts.map(c => c.endingBalance).sort((a, b) => a - b);
+  const medianEndingBalance = Math.round(percentile(endings, 50));
+
+  return {
+    cohorts,
+    successRate:     cohorts.filter(c => c.success).length / cohorts.length,
+    worstCohort,
+    medianEndingBalance,
+    completeCohorts: cohorts.filter(c => !c.wrapped).length,
+  };
+}
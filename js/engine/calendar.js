@@ -0,0 +1,229 @@
+/**
+ * calendar.js — Dates of birth, UK tax years and the State Pension age schedule
+ *
+ * Pure functions. With `config.dateOfBirth` (and `partner.dateOfBirth`) set
+ * as 'YYYY-MM-DD', the plan is laid out in UK tax years (6 April – 5 April):
+ * row i is the tax year starting 6 April of `year`, the first being the tax
+ * year that contains the plan's as-of date. Each person's age on the row is
+ * their age on the 6 April it starts, and their State Pension age comes from
+ * the legislated schedule rather than being typed in.
+ *
+ * The as-of date (`config.asOfDate`, 'YYYY-MM-DD') is the date the plan is
+ * worked out from. It is saved with the plan, so a plan's years — and the
+ * overrides keyed by them — stay put when the calendar moves on, until the
+ * plan is advanced (advancePlan.js). A plan without one runs from today.
+ *
+ * Ages on rows stay whole years; a pension that starts part-way through a
+ * tax year is pro-rated by its share of that year (getYearShare), using the
+ * exact (fractional) age at the start of the year.
+ *
+ * State Pension age, as legislated (Pensions Acts 1995, 2007, 2011, 2014):
+ *   born before 6 Dec 1953         — 65 (earlier for some women; all have
+ *                                    already reached it)
+ *   6 Dec 1953 – 5 Oct 1954        — phased to 66, on fixed dates
+ *   6 Oct 1954 – 5 Apr 1960        — 66
+ *   6 Apr 1960 – 5 Mar 1961        — 66 and 1 to 11 months
+ *   6 Mar 1961 – 5 Apr 1977        — 67
+ *   6 Apr 1977 – 5 Apr 1978        — phased to 68, on fixed dates (2044–46)
+ *   born on or after 6 Apr 1978    — 68
+ */
+
+// Phased bands: each covers births from the 6th of one month to the 5th of
+// the next, starting at `from`.
+const SPA_66_DATES = [   // Pensions Act 2011, born 6 Dec 1953 – 5 Oct 1954
+  '2019-03-06', '2019-05-06', '2019-07-06', '2019-09-06', '2019-11-06',
+  '2020-01-06', '2020-03-06', '2020-05-06', '2020-07-06', '2020-09-06',
+];
+const SPA_68_DATES = [   // Pensions Act 2007, born 6 Apr 1977 – 5 Apr 1978
+  '2044-05-06', '2044-07-06', '2044-09-06', '2044-11-06', '2045-01-06', '2045-03-06',
+  '2045-05-06', '2045-07-06', '2045-09-06', '2045-11-06', '2046-01-06', '2046-03-06',
+];
+
+/**
+ * Parse a 'YYYY-MM-DD' date (UTC midnight).
+ *
+ * @param {string|null|undefined} value
+ * @returns {Date|null}  null when missing or invalid
+ */
+export function parseDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? '');
+  if (!m) return null;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return date.getUTCMonth() === Number(m[2]) - 1 ? date : null;
+}
+
+/** First day of the tax year starting in `year` (6 April). */
+export function taxYearStart(year) {
+  return new Date(Date.UTC(year, 3, 6));
+}
+
+/**
+ * Starting year of the tax year containing `date` (2026 for 2026/27).
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getTaxYear(date) {
+  const year = date.getUTCFullYear();
+  return date < taxYearStart(year) ? year - 1 : year;
+}
+
+/** A date as 'YYYY-MM-DD' (UTC). */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The date the plan is worked out from: its as-of date, else today.
+ *
+ * @param {object} config
+ * @returns {Date}
+ */
+export function getAsOfDate(config) {
+  return parseDate(config.asOfDate) ?? new Date();
+}
+
+/** Tax year label, e.g. 2026 → '2026/27'. */
+export function formatTaxYear(year) {
+  return `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+/** `date` moved on by whole years and months; a missing day becomes the month's last. */
+function _addMonths(date, months) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * Exact age in years (with the fraction of the year since the last
+ * birthday) on `date`.
+ *
+ * @param {Date} dob
+ * @param {Date} date
+ * @returns {number}
+ */
+export function exactAge(dob, date) {
+  let years = date.getUTCFullYear() - dob.getUTCFullYear();
+  if (_addMonths(dob, years * 12) > date) years--;
+  const last = _addMonths(dob, years * 12);
+  const next = _addMonths(dob, (years + 1) * 12);
+  return years + (date - last) / (next - last);
+}
+
+/**
+ * State Pension date for someone born on `dob`, by the legislated schedule.
+ *
+ * @param {Date} dob
+ * @returns {Date}
+ */
+export function getStatePensionDate(dob) {
+  const band = from => {
+    const start = parseDate(from);
+    return (dob.getUTCFullYear() - start.getUTCFullYear()) * 12 + dob.getUTCMonth() - start.getUTCMonth()
+      - (dob.getUTCDate() < 6 ? 1 : 0);
+  };
+  if (dob < parseDate('1953-12-06')) return _addMonths(dob, 65 * 12);
+  if (dob < parseDate('1954-10-06')) return parseDate(SPA_66_DATES[band('1953-12-06')]);
+  if (dob < parseDate('1960-04-06')) return _addMonths(dob, 66 * 12);
+  if (dob < parseDate('1961-03-06')) return _addMonths(dob, 66 * 12 + band('1960-04-06') + 1);
+  if (dob < parseDate('1977-04-06')) return _addMonths(dob, 67 * 12);
+  if (dob < parseDate('1978-04-06')) return parseDate(SPA_68_DATES[band('1977-04-06')]);
+  return _addMonths(dob, 68 * 12);
+}
+
+/**
+ * State Pension age (exact years) for someone born on `dob`.
+ *
+ * @param {Date} dob
+ * @returns {number}
+ */
+export function getStatePensionAgeFor(dob) {
+  return exactAge(dob, getStatePensionDate(dob));
+}
+
+/**
+ * First year of the plan: the tax year of the as-of date when either person
+ * has a date of birth, else its calendar year.
+ *
+ * @param {object} config
+ * @param {Date} [today=getAsOfDate(config)]
+ * @returns {number}
+ */
+export function getPlanStartYear(config, today = getAsOfDate(config)) {
+  const dob = parseDate(config.dateOfBirth) ?? (config.partner?.enabled ? parseDate(config.partner.dateOfBirth) : null);
+  return dob ? getTaxYear(today) : today.getUTCFullYear();
+}
+
+/**
+ * Exact age on 6 April of `year`, or null without a date of birth.
+ *
+ * @param {string|null} dateOfBirth
+ * @param {number} year  Starting year of the tax year
+ * @returns {number|null}
+ */
+export function getExactAge(dateOfBirth, year) {
+  const dob = parseDate(dateOfBirth);
+  return dob ? exactAge(dob, taxYearStart(year)) : null;
+}
+
+/**
+ * Plan year (the row's `year`) in which the first person reaches `age`:
+ * the tax year containing that date with a date of birth, else counted on
+ * from the current age.
+ *
+ * @param {object} config  Config with ages derived (applyDateOfBirth)
+ * @param {number} age     May be fractional (a phased State Pension age)
+ * @param {Date} [today=getAsOfDate(config)]
+ * @returns {number}
+ */
+export function getYearReached(config, age, today = getAsOfDate(config)) {
+  const dob = parseDate(config.dateOfBirth);
+  if (!dob) return getPlanStartYear(config, today) + Math.ceil(age - config.currentAge);
+  const whole = Math.floor(age);
+  const last  = _addMonths(dob, whole * 12);
+  const next  = _addMonths(dob, (whole + 1) * 12);
+  return getTaxYear(new Date(last.getTime() + (age - whole) * (next - last)));
+}
+
+/**
+ * Share of a year, from age `exactAge` at its start, spent at or after age
+ * `fromAge`. Without an exact age the year counts whole from `age`.
+ *
+ * @param {number} age              Whole age on the row
+ * @param {number|null} exactAge    Exact age at the start of the year
+ * @param {number} fromAge
+ * @returns {number}  0–1
+ */
+export function getYearShare(age, exactAge, fromAge) {
+  if (exactAge == null) return age >= fromAge ? 1 : 0;
+  return Math.min(1, Math.max(0, exactAge + 1 - fromAge));
+}
+
+/**
+ * Config with each person's current age and State Pension age worked out
+ * from their date of birth (at the start of the as-of date's tax year).
+ * People without a date of birth keep their typed-in ages.
+ *
+ * @param {object} config
+ * @param {Date} [today=getAsOfDate(config)]
+ * @returns {object}
+ */
+export function applyDateOfBirth(config, today = getAsOfDate(config)) {
+  const start = taxYearStart(getTaxYear(today));
+  const ages = (person) => {
+    const dob = parseDate(person?.dateOfBirth);
+    return dob
+      ? { currentAge: Math.floor(exactAge(dob, start) + 1e-9), statePensionAge: getStatePensionAgeFor(dob) }
+      : null;
+  };
+  const own = ages(config);
+  const partner = config.partner?.enabled ? ages(config.partner) : null;
+  if (!own && !partner) return config;
+  return {
+    ...config,
+    ...own,
+    ...(partner && { partner: { ...config.partner, ...partner } }),
+  };
+}
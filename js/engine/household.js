@@ -0,0 +1,287 @@
+/**
+ * household.js — Second person (partner) in a couple's plan
+ *
+ * The first person is the existing top-level config (currentAge, isa, sipp,
+ * dbPension, statePension …). A partner has their own age, retirement age,
+ * State Pension age, ISA, SIPP, DB pension and State Pension under
+ * config.partner. Premium Bonds and Cash stay with the first person, and
+ * the spending target is shared by the household.
+ *
+ * The projection runs on the first person's age; the partner's age moves in
+ * step. The partner's pots are the "partnerIsa" / "partnerSipp" pots in the
+ * engine, and each person is taxed on their own income with their own
+ * personal allowance and bands.
+ *
+ * Config shape:
+ *   partner: {
+ *     enabled: false,
+ *     currentAge: 40, retirementAge: 58, statePensionAge: 67,
+ *     isa:  { enabled, balance, growthRate, annualContribution, stopContributionAge, drawdownStartAge },
+ *     sipp: { enabled, balance, growthRate, annualContribution, stopContributionAge, accessAge,
+ *             drawdownStartAge, pclsMode: 'none' | 'ufpls',
+ *             contributionMode, salary, salaryGrowthRate, employeePercent, employerPercent,
+ *             reliefMethod },     // contributions from salary (workplacePension.js)
+ *     dbPension:    { enabled, annualIncome, startAge, survivorPercent, … },   // pensionEngine.js
+ *     statePension: { enabled, annualIncome, forecastMode, qualifyingYears,
+ *                     voluntaryYears, protectedPayment, deferralYears },   // statePension.js
+ *   }
+ *
+ * Further DB schemes in config.dbSchemes belong to the partner when their
+ * `owner` is 'partner'.
+ *
+ * Survivor scenario. config.survivor sets an age at death for one person;
+ * the survivor path (runProjection with `survivor: true`) then follows the
+ * household after that death:
+ *   survivor: {
+ *     enabled: false,
+ *     deceased: 'partner',     // 'primary' | 'partner'
+ *     deathAge: 80,            // the deceased's own age
+ *     spendingPercent: 70,     // survivor's spending as % of the couple's
+ *   }
+ */
+
+/** Engine pots holding the partner's ISA and SIPP. */
+export const PARTNER_POTS = { isa: 'partnerIsa', sipp: 'partnerSipp' };
+
+/** Household views of projection rows. */
+export const PERSON_VIEWS = ['household', 'primary', 'partner'];
+
+/**
+ * Whether the plan models a partner.
+ *
+ * @param {object} config
+ * @returns {boolean}
+ */
+export function hasPartner(config) {
+  return Boolean(config.partner?.enabled);
+}
+
+/**
+ * The partner seen as a single-person config, so the per-person helpers
+ * (access ages, growth rates, pension income) apply to them unchanged.
+ * Household-wide settings (inflation, tax, asset returns) are shared.
+ *
+ * @param {object} config
+ * @returns {object|null}  null when there is no partner
+ */
+export function getPartnerConfig(config) {
+  if (!hasPartner(config)) return null;
+  const p = config.partner;
+  return {
+    ...config,
+    currentAge:      p.currentAge,
+    retirementAge:   p.retirementAge,
+    statePensionAge: p.statePensionAge,
+    isa:          { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, ...p.isa },
+    sipp:         { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57, ...p.sipp },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 67, ...p.dbPension },
+    // The State Pension growth model is the household's; the rest is theirs
+    statePension: {
+      growthModel: config.statePension.growthModel, customGrowthRate: config.statePension.customGrowthRate,
+      enabled: false, annualIncome: 0, ...p.statePension,
+    },
+    dbSchemes:    (config.dbSchemes ?? []).filter(s => s.owner === 'partner').map(s => ({ ...s, owner: 'primary' })),
+  };
+}
+
+/**
+ * Partner's age in the year the first person is `age`.
+ *
+ * @param {object} config
+ * @param {number} age
+ * @returns {number|null}
+ */
+export function getPartnerAge(config, age) {
+  return hasPartner(config) ? config.partner.currentAge + (age - config.currentAge) : null;
+}
+
+/**
+ * Withdrawal order with each partner pot drawn straight after the first
+ * person's pot of the same type.
+ *
+ * @param {string[]} order
+ * @param {boolean} partner  Whether a partner is modelled
+ * @returns {string[]}
+ */
+export function expandWithdrawalOrder(order, partner) {
+  if (!partner) return order;
+  return order.flatMap(pot => (PARTNER_POTS[pot] ? [pot, PARTNER_POTS[pot]] : [pot]));
+}
+
+// ── Per-person rows ──────────────────────────────────────────────────────────
+
+// Row fields that are household totals, with the partner's share. The first
+// person's share is the total less the partner's.
+const SPLIT_FIELDS = {
+  isaBalance:                'partnerIsaBalance',
+  sippBalance:               'partnerSippBalance',
+  sippUncrystallisedBalance: 'partnerSippBalance',
+  isaContribution:           'partnerIsaContribution',
+  sippContribution:          'partnerSippContribution',
+  totalContributions:        'partnerTotalContributions',
+  totalGrowth:               'partnerTotalGrowth',
+  isaWithdrawn:              'partnerIsaWithdrawn',
+  sippWithdrawn:             'partnerSippWithdrawn',
+  sippTaxFreeWithdrawn:      'partnerSippTaxFreeWithdrawn',
+  sippWithdrawalTax:         'partnerSippWithdrawalTax',
+  totalWithdrawn:            'partnerTotalWithdrawn',
+  dbIncome:                  'partnerDbIncome',
+  stateIncome:               'partnerStateIncome',
+  totalPensionIncome:        'partnerPensionIncome',
+  totalIncome:               'partnerTotalIncome',
+  taxableIncome:             'partnerTaxableIncome',
+  incomeTax:                 'partnerIncomeTax',
+  netIncome:                 'partnerNetIncome',
+  totalNetWorth:             'partnerNetWorth',
+  giaBalance:                'partnerGiaBalance',
+  giaContribution:           'partnerGiaContribution',
+  giaWithdrawn:              'partnerGiaWithdrawn',
+  dividendIncome:            'partnerDividendIncome',
+  realisedGains:             'partnerRealisedGains',
+  bedAndIsa:                 'partnerBedAndIsa',
+  dividendTax:               'partnerDividendTax',
+  capitalGainsTax:           'partnerCapitalGainsTax',
+  lisaBalance:               'partnerLisaBalance',
+  lisaContribution:          'partnerLisaContribution',
+  lisaBonus:                 'partnerLisaBonus',
+  lisaWithdrawn:             'partnerLisaWithdrawn',
+  lisaPenalty:               'partnerLisaPenalty',
+  salary:                    'partnerSalary',
+  sippEmployeeContribution:  'partnerSippEmployeeContribution',
+  sippEmployerContribution:  'partnerSippEmployerContribution',
+  sippReliefAtSource:        'partnerSippReliefAtSource',
+  sippHigherRateRelief:      'partnerSippHigherRateRelief',
+  sippTaxSaving:             'partnerSippTaxSaving',
+  sippNiSaving:              'partnerSippNiSaving',
+  sippTakeHomeCost:          'partnerSippTakeHomeCost',
+  dbLumpSum:                 'partnerDbLumpSum',
+};
+
+// Fields that belong to the first person only (zero in the partner's view)
+const PRIMARY_ONLY_FIELDS = [
+  'premiumBondsBalance', 'cashBalance', 'sippCrystallisedBalance', 'pclsLumpSum',
+  'premiumBondsContribution', 'cashContribution', 'premiumBondsWithdrawn', 'cashWithdrawn',
+];
+
+// Per-account row fields of added accounts (<id><field>)
+const ACCOUNT_FIELDS = [
+  'Balance', 'Contribution', 'Withdrawn', 'Growth',
+  'CostBasis', 'RealisedGain', 'BedAndIsa', 'Bonus', 'Penalty',
+];
+
+const _real = field => 'real' + field.charAt(0).toUpperCase() + field.slice(1);
+
+/**
+ * Projection rows seen from one person (or the whole household).
+ *
+ * Pots, withdrawals, contributions, incomes and tax are replaced by that
+ * person's share; household-level fields (age, spending, shortfall, phase)
+ * are left as they are. Rows without partner fields are returned unchanged.
+ * Per-account fields of added accounts the other person owns are zeroed.
+ *
+ * @param {object[]} rows
+ * @param {'household'|'primary'|'partner'} person
+ * @param {{ id: string, owner: string, builtin?: boolean }[]} [accounts=[]]
+ *   The plan's accounts (accounts.js getAccounts)
+ * @returns {object[]}
+ */
+export function getPersonRows(rows, person, accounts = []) {
+  if (person === 'household' || !rows.some(r => r.partnerAge != null)) return rows;
+
+  const othersFields = accounts
+    .filter(a => !a.builtin && a.owner !== person)
+    .flatMap(a => ACCOUNT_FIELDS.map(f => `${a.id}${f}`));
+
+  return rows.map(row => {
+    const out = { ...row };
+    for (const [field, partnerField] of Object.entries(SPLIT_FIELDS)) {
+      for (const [f, pf] of [[field, partnerField], [_real(field), _real(partnerField)]]) {
+        if (!(f in row)) continue;
+        out[f] = person === 'partner' ? (row[pf] ?? 0) : row[f] - (row[pf] ?? 0);
+      }
+    }
+    if (person === 'partner') {
+      for (const field of PRIMARY_ONLY_FIELDS) {
+        if (field in row) out[field] = 0;
+        if (_real(field) in row) out[_real(field)] = 0;
+      }
+    }
+    for (const field of othersFields) {
+      if (field in row) out[field] = 0;
+      if (_real(field) in row) out[_real(field)] = 0;
+    }
+    return out;
+  });
+}
+
+// ── Survivor scenario ────────────────────────────────────────────────────────
+
+/** Default survivor settings (merged under config.survivor). */
+export const DEFAULT_SURVIVOR = {
+  enabled:         false,
+  deceased:        'partner',
+  deathAge:        80,
+  spendingPercent: 70,
+};
+
+/**
+ * The survivor path for a couple's plan, or null when there is none.
+ *
+ * From `householdDeathAge` (the first person's age in the year of death) the
+ * deceased's ISAs (Lifetime ISAs included) and pensions pass to the
+ * survivor, their contributions and State Pension stop, their DB scheme pays
+ * its survivor's pension and spending is scaled by `spendingFactor`.
+ *
+ * The returned `config` has the survivor's ISA and SIPP enabled where the
+ * deceased held one, so inherited money has somewhere to go.
+ *
+ * @param {object} config
+ * @returns {{ deceased: 'primary'|'partner', deathAge: number, householdDeathAge: number,
+ *             spendingFactor: number, config: object }|null}
+ */
+export function getSurvivorScenario(config) {
+  if (!hasPartner(config) || !config.survivor?.enabled) return null;
+  const s = { ...DEFAULT_SURVIVOR, ...config.survivor };
+  const deceased = s.deceased === 'primary' ? 'primary' : 'partner';
+
+  const householdDeathAge = deceased === 'primary'
+    ? s.deathAge
+    : config.currentAge + (s.deathAge - config.partner.currentAge);
+
+  // Open an empty pot for the survivor when only the deceased held one. The
+  // deceased's added ISAs and Lifetime ISAs also need the survivor's ISA.
+  const heldAdded = types => (config.accounts ?? []).some(a => a.enabled !== false
+    && types.includes(a.type) && (a.owner === 'partner') === (deceased === 'partner'));
+  const inherit = (own, theirs, types) => (own?.enabled || !(theirs?.enabled || heldAdded(types))
+    ? own
+    : { ...own, enabled: true, balance: 0, annualContribution: 0 });
+  const p = config.partner;
+  const adjusted = deceased === 'partner'
+    ? { ...config, isa: inherit(config.isa, p.isa, ['isa', 'lisa']), sipp: inherit(config.sipp, p.sipp, ['sipp']) }
+    : { ...config, partner: { ...p, isa: inherit(p.isa, config.isa, ['isa', 'lisa']), sipp: inherit(p.sipp, config.sipp, ['sipp']) } };
+
+  return {
+    deceased,
+    deathAge: s.deathAge,
+    householdDeathAge,
+    spendingFactor: Math.max(0, s.spendingPercent) / 100,
+    config: adjusted,
+  };
+}
+
+/**
+ * Whether the plan succeeds on its survivor path: every retirement year's
+ * spending is met in full.
+ *
+ * @param {object[]} rows  Survivor-path projection rows
+ * @returns {{ success: boolean, firstShortfallAge: number|null, realShortfall: number }}
+ *   realShortfall is the total unmet spending in today's money
+ */
+export function summariseSurvivorPath(rows) {
+  const short = rows.filter(r => (r.phase === 'retire' || r.phase === 'bridge') && r.shortfall > 0);
+  return {
+    success:           short.length === 0,
+    firstShortfallAge: short.length ? short[0].age : null,
+    realShortfall:     short.reduce((s, r) => s + r.realShortfall, 0),
+  };
+}
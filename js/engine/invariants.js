@@ -7,6 +7,12 @@
  *
  * Invariant 1: Balance conservation per account
  *   closing = opening + growth + inflows − outflows + transfersIn − transfersOut
+ *   (transfers include PB cap overflow, PB prizes paid to cash, the SIPP
+ *   pension commencement lump sum and band-fill savings moved to an ISA or
+ *   Cash). A GIA also sells holdings to pay its dividend tax and CGT
+ *   (taxPaid), which leave the account like outflows.
+ *   Where an account tracks a crystallised sub-balance it must lie within
+ *   [0, closing].
  *
  * Invariant 2: Reported withdrawn equals sum of outflow events
  *   reportedWithdrawn == outflows
@@ -14,8 +20,17 @@
  * Invariant 3: Net worth equals sum of closing balances
  *   netWorth == Σ closingBalances
  *
- * Invariant 4: Spending equation consistency
- *   shortfall == max(0, spendNeed − income − Σ outflows)
+ * Invariant 4: Spending equation consistency (judged on net, after-tax income)
+ *   shortfall == max(0, spendNeed − (income + Σ outflows − tax − gainsTax − penalty))
+ *   (gainsTax is the dividend tax and CGT a GIA could not pay itself;
+ *   penalty is the Lifetime ISA early-withdrawal charge)
+ *
+ * Invariant 5: Income tax bounds
+ *   0 ≤ tax ≤ taxableIncome
+ *
+ * Invariant 6: GIA cost basis
+ *   costBasis ≥ 0, taxPaid ≥ 0 and the year's realised gains cannot exceed
+ *   what left the account (outflows + transfersOut + taxPaid)
  */
 
 /** Rounding tolerance (£1) to absorb floating-point arithmetic errors. */
@@ -27,8 +42,12 @@ const TOLERANCE = 1;
  * @property {number} growth           Return applied (floored at zero when account balance is zero)
  * @property {number} inflows          Contributions + lump sums
  * @property {number} outflows         All withdrawals (planned + override + extra)
- * @property {number} transfersIn      Received from other accounts (e.g. PB cap overflow)
+ * @property {number} transfersIn      Received from other accounts (e.g. PB cap overflow, PCLS)
  * @property {number} transfersOut     Sent to other accounts
+ * @property {number} [crystallised]   SIPP only: funds in drawdown after the PCLS was taken
+ * @property {number} [taxPaid]        GIA only: holdings sold to pay dividend tax and CGT
+ * @property {number} [realisedGains]  GIA only: gains realised by this year's disposals
+ * @property {number} [costBasis]      GIA only: cost basis at the end of the year
  * @property {number} closing          Balance at end of year
  * @property {number} reportedWithdrawn Drawn amount reported in the output row
  */
@@ -43,20 +62,31 @@ const TOLERANCE = 1;
  * @param {number}  data.income       Total pension/non-portfolio income
  * @param {number}  data.spendNeed    Required spending (0 during accumulation)
  * @param {number}  data.shortfall    Reported spending shortfall
+ * @param {number}  [data.tax=0]      Income tax due on the year's taxable income
+ * @param {number}  [data.taxableIncome=0] Income subject to income tax
+ * @param {number}  [data.gainsTax=0] Dividend tax and CGT paid from the year's income
+ * @param {number}  [data.penalty=0]  Early-withdrawal charges on the year's draws
  * @param {number}  data.year         Calendar year (for error messages)
  * @param {number}  data.age          Age in this year (for error messages)
  */
-export function validateYearInvariants({ accounts, netWorth, income, spendNeed, shortfall, year, age }) {
+export function validateYearInvariants({ accounts, netWorth, income, spendNeed, shortfall, tax = 0, taxableIncome = 0, gainsTax = 0, penalty = 0, year, age }) {
   // ── Invariant 1: Balance conservation per account ─────────────────────────
   for (const [id, acc] of Object.entries(accounts)) {
     const expected = acc.opening + acc.growth + acc.inflows - acc.outflows
-      + (acc.transfersIn || 0) - (acc.transfersOut || 0);
+      + (acc.transfersIn || 0) - (acc.transfersOut || 0) - (acc.taxPaid || 0);
     if (Math.abs(expected - acc.closing) > TOLERANCE) {
       throw new Error(
         `Invariant 1 violated for account "${id}" in year ${year} (age ${age}): ` +
         `expected closing ${expected.toFixed(2)}, got ${acc.closing.toFixed(2)}`,
       );
     }
+    if (acc.crystallised != null
+        && (acc.crystallised < -TOLERANCE || acc.crystallised - acc.closing > TOLERANCE)) {
+      throw new Error(
+        `Invariant 1 violated for account "${id}" in year ${year} (age ${age}): ` +
+        `crystallised ${acc.crystallised.toFixed(2)} outside [0, closing ${acc.closing.toFixed(2)}]`,
+      );
+    }
   }
 
   // ── Invariant 2: Reported withdrawn equals outflow events ─────────────────
@@ -80,12 +110,34 @@ export function validateYearInvariants({ accounts, netWorth, income, spendNeed,
 
   // ── Invariant 4: Spending equation consistency ────────────────────────────
   const totalOutflows = Object.values(accounts).reduce((s, a) => s + a.outflows, 0);
-  const expectedShortfall = Math.max(0, spendNeed - income - totalOutflows);
+  const expectedShortfall = Math.max(0, spendNeed - (income + totalOutflows - tax - gainsTax - penalty));
   if (Math.abs(expectedShortfall - shortfall) > TOLERANCE) {
     throw new Error(
       `Invariant 4 violated in year ${year} (age ${age}): ` +
       `shortfall ${shortfall.toFixed(2)} != expected ${expectedShortfall.toFixed(2)} ` +
-      `(spendNeed ${spendNeed}, income ${income}, totalOutflows ${totalOutflows})`,
+      `(spendNeed ${spendNeed}, income ${income}, totalOutflows ${totalOutflows}, tax ${tax}, gainsTax ${gainsTax}, penalty ${penalty})`,
+    );
+  }
+
+  // ── Invariant 5: Income tax bounds ────────────────────────────────────────
+  if (tax < -TOLERANCE || tax - taxableIncome > TOLERANCE) {
+    throw new Error(
+      `Invariant 5 violated in year ${year} (age ${age}): ` +
+      `tax ${tax.toFixed(2)} outside [0, taxableIncome ${taxableIncome.toFixed(2)}]`,
     );
   }
+
+  // ── Invariant 6: GIA cost basis ───────────────────────────────────────────
+  for (const [id, acc] of Object.entries(accounts)) {
+    if (acc.costBasis == null) continue;
+    const disposed = acc.outflows + (acc.transfersOut || 0) + (acc.taxPaid || 0);
+    if (acc.costBasis < -TOLERANCE || (acc.taxPaid || 0) < -TOLERANCE
+        || (acc.realisedGains || 0) - disposed > TOLERANCE) {
+      throw new Error(
+        `Invariant 6 violated for account "${id}" in year ${year} (age ${age}): ` +
+        `costBasis ${acc.costBasis.toFixed(2)}, taxPaid ${(acc.taxPaid || 0).toFixed(2)}, ` +
+        `realisedGains ${(acc.realisedGains || 0).toFixed(2)} vs disposals ${disposed.toFixed(2)}`,
+      );
+    }
+  }
 }
@@ -0,0 +1,339 @@
+/**
+ * monteCarlo.js — Stochastic projection (Monte Carlo simulation)
+ *
+ * Runs the deterministic projection engine many times, each with a random
+ * path of annual returns. Each pot's return is drawn from a normal
+ * distribution with the pot's expected return (its growth rate, or its
+ * glide-path blend for that age) as its mean and its
+ * `volatility` as the standard deviation; pots are correlated via a
+ * correlation matrix (Cholesky decomposition).
+ *
+ * Each added account (accounts.js) gets a return path of its own, with its
+ * own expected return and volatility (default: that of its type). It moves
+ * with the built-in pot whose returns it shares (its type's, or the ISA's
+ * for a GIA or Lifetime ISA) with `accountCorrelation`, and with every other
+ * pot as that pot does, scaled by the same factor.
+ *
+ * Randomness comes from a seedable PRNG so that results are reproducible
+ * (same seed + same config → same output).
+ *
+ * Output:
+ *   successProbability  — share of paths with no retirement shortfall
+ *   percentiles         — real net worth P10/P25/P50/P75/P90 per year
+ *   depletion           — distribution of the first age spending is not met
+ */
+
+import { runProjection } from './projectionEngine.js';
+import { getPotGrowthRate } from './assetAllocation.js';
+import { ACCOUNT_TYPES, getExtraAccounts, getAccountGrowthRate } from './accounts.js';
+import { getPartnerConfig, getPartnerAge } from './household.js';
+
+/** Pot order used for the correlation matrix rows/columns. */
+export const MC_POTS = ['isa', 'sipp', 'premiumBonds', 'cash'];
+
+/** Default simulation settings (merged under config.monteCarlo). */
+export const DEFAULT_MONTE_CARLO = {
+  enabled: false,
+  runs:    1000,
+  seed:    12345,
+  // Correlation between annual returns, rows/columns in MC_POTS order.
+  // ISA and SIPP are typically invested in similar equity funds.
+  correlation: [
+    [1,   0.9, 0,   0  ],
+    [0.9, 1,   0,   0  ],
+    [0,   0,   1,   0.3],
+    [0,   0,   0.3, 1  ],
+  ],
+  // Correlation between an added account and the built-in pot it follows
+  accountCorrelation: 0.9,
+};
+
+/** Default annual volatility (%) when a pot or account has no `volatility` field. */
+export const DEFAULT_VOLATILITY = { isa: 15, sipp: 15, premiumBonds: 0, cash: 1, gia: 15, lisa: 15 };
+
+/** Returns below −99% would turn balances negative; clamp the left tail. */
+const MIN_RETURN = -99;
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// ── PRNG ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Seedable uniform PRNG (mulberry32).
+ *
+ * @param {number} seed  Any 32-bit integer
+ * @returns {() => number}  Uniform generator on [0, 1)
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal generator (Box–Muller) driven by a uniform PRNG.
+ *
+ * @param {() => number} rng
+ * @returns {() => number}
+ */
+export function createNormal(rng) {
+  let spare = null;
+  return function normal() {
+    if (spare !== null) { const z = spare; spare = null; return z; }
+    let u = 0;
+    while (u === 0) u = rng();
+    const v = rng();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+}
+
+// ── Correlated returns ───────────────────────────────────────────────────────
+
+/**
+ * Cholesky decomposition of a symmetric positive semi-definite matrix.
+ * Returns lower-triangular L with L·Lᵀ = matrix. Non-positive pivots
+ * (e.g. a zero-variance row) are treated as zero rather than throwing.
+ *
+ * @param {number[][]} matrix
+ * @returns {number[][]}
+ */
+export function choleskyDecompose(matrix) {
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        L[i][j] = sum > 0 ? Math.sqrt(sum) : 0;
+      } else {
+        L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+      }
+    }
+  }
+  return L;
+}
+
+/**
+ * Return paths to simulate: the built-in pots (MC_POTS) then each added
+ * account, with the built-in pot each one follows.
+ *
+ * @param {object} config
+ * @returns {{ key: string, pot: string }[]}
+ */
+export function getReturnKeys(config) {
+  return [
+    ...MC_POTS.map(pot => ({ key: pot, pot })),
+    ...getExtraAccounts(config).map(acct => ({ key: acct.id, pot: ACCOUNT_TYPES[acct.type].returns ?? acct.type })),
+  ];
+}
+
+/**
+ * Correlation matrix over getReturnKeys: the built-in pots' from
+ * `correlation`; an added account's is `accountCorrelation` with the pot it
+ * follows and that pot's correlations, scaled by it, with the rest.
+ *
+ * @param {{ key: string, pot: string }[]} keys
+ * @param {number[][]} correlation     Built-in pots, in MC_POTS order
+ * @param {number} accountCorrelation
+ * @returns {number[][]}
+ */
+export function buildCorrelation(keys, correlation, accountCorrelation) {
+  const index = pot => MC_POTS.indexOf(pot);
+  // How much of the followed pot's return an account's carries
+  const loading = ({ key, pot }) => (key === pot ? 1 : accountCorrelation);
+  return keys.map(a => keys.map(b => (a.key === b.key
+    ? 1
+    : loading(a) * loading(b) * correlation[index(a.pot)][index(b.pot)])));
+}
+
+/**
+ * Per-pot mean and volatility (both in %) from the config, for the built-in
+ * pots and each added account (at its owner's age).
+ *
+ * @param {object} config
+ * @param {number} [age=config.currentAge]  Age for glide-path means
+ * @returns {{ mean: Record<string, number>, volatility: Record<string, number> }}
+ */
+export function getReturnAssumptions(config, age = config.currentAge) {
+  const mean = {};
+  const volatility = {};
+  for (const pot of MC_POTS) {
+    mean[pot]       = getPotGrowthRate(config, pot, age);
+    volatility[pot] = config[pot].volatility ?? DEFAULT_VOLATILITY[pot];
+  }
+  for (const acct of getExtraAccounts(config)) {
+    const byPartner = acct.owner === 'partner';
+    const ownerAge  = byPartner ? getPartnerAge(config, age) : age;
+    mean[acct.id]       = getAccountGrowthRate(byPartner ? getPartnerConfig(config) : config, acct, ownerAge);
+    volatility[acct.id] = acct.volatility ?? DEFAULT_VOLATILITY[acct.type];
+  }
+  return { mean, volatility };
+}
+
+/**
+ * Generate one random path of annual returns.
+ *
+ * @param {number} years
+ * @param {{ mean: object, volatility: object }|object[]} assumptions
+ *   One set for every year, or an array with one set per year (glide paths)
+ * @param {number[][]} cholesky  Lower-triangular factor of the correlation matrix
+ * @param {() => number} normal  Standard normal generator
+ * @param {string[]} [keys=MC_POTS]  Return paths, in the correlation matrix's order
+ * @returns {object[]}  `[{ isa, sipp, premiumBonds, cash, …keys }]` in percent
+ */
+export function sampleReturnPath(years, assumptions, cholesky, normal, keys = MC_POTS) {
+  const path = [];
+  for (let y = 0; y < years; y++) {
+    const { mean, volatility } = Array.isArray(assumptions) ? assumptions[y] : assumptions;
+    const z = keys.map(() => normal());
+    const year = {};
+    keys.forEach((pot, i) => {
+      let correlated = 0;
+      for (let k = 0; k <= i; k++) correlated += cholesky[i][k] * z[k];
+      year[pot] = Math.max(MIN_RETURN, mean[pot] + volatility[pot] * correlated);
+    });
+    path.push(year);
+  }
+  return path;
+}
+
+// ── Summary statistics ───────────────────────────────────────────────────────
+
+/**
+ * Value at percentile `p` (0–100) of a sorted array, linear interpolation.
+ *
+ * @param {number[]} sorted  Ascending
+ * @param {number} p
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * First retirement/bridge age at which spending was not met, or null.
+ *
+ * @param {object[]} rows
+ * @returns {number|null}
+ */
+export function getDepletionAge(rows) {
+  const row = rows.find(r => (r.phase === 'retire' || r.phase === 'bridge') && r.shortfall > 0);
+  return row ? row.age : null;
+}
+
+// ── Simulation ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a Monte Carlo simulation that can be advanced in chunks, so a
+ * caller (e.g. the simulation worker) can report progress and abandon the
+ * run between chunks. Stepping to completion gives exactly the same result
+ * as runMonteCarlo with the same config and seed.
+ *
+ * @param {object} config  Full app state (reads `monteCarlo` and pot and account `volatility`)
+ * @param {object} [opts]
+ * @param {number} [opts.runs]  Overrides config.monteCarlo.runs
+ * @param {number} [opts.seed]  Overrides config.monteCarlo.seed
+ * @returns {{
+ *   total: number,
+ *   completed: () => number,
+ *   step: (count: number) => number,
+ *   result: () => object,
+ * }}  `step` runs up to `count` more paths and returns the number completed
+ */
+export function createMonteCarloRun(config, opts = {}) {
+  const mc   = { ...DEFAULT_MONTE_CARLO, ...(config.monteCarlo || {}) };
+  const runs = Math.max(1, Math.round(opts.runs ?? mc.runs));
+  const seed = opts.seed ?? mc.seed;
+
+  const years       = config.endAge - config.currentAge + 1;
+  const assumptions = Array.from({ length: years }, (_, y) => getReturnAssumptions(config, config.currentAge + y));
+  const keys        = getReturnKeys(config);
+  const cholesky    = choleskyDecompose(buildCorrelation(keys, mc.correlation, mc.accountCorrelation));
+  const normal      = createNormal(createRng(seed));
+
+  // netWorthByYear[y] collects every path's real net worth in year y
+  const netWorthByYear = Array.from({ length: years }, () => []);
+  const depletionAges  = [];
+  let successes = 0;
+  let completed = 0;
+  let rowYears = [];
+  let rowAges  = [];
+
+  function step(count) {
+    const end = Math.min(runs, completed + count);
+    for (; completed < end; completed++) {
+      const returns = sampleReturnPath(years, assumptions, cholesky, normal, keys.map(k => k.key));
+      const rows = runProjection(config, { returns });
+      if (completed === 0) {
+        rowYears = rows.map(r => r.year);
+        rowAges  = rows.map(r => r.age);
+      }
+      rows.forEach((r, y) => netWorthByYear[y].push(r.realTotalNetWorth));
+
+      const depletionAge = getDepletionAge(rows);
+      if (depletionAge === null) successes++;
+      else depletionAges.push(depletionAge);
+    }
+    return completed;
+  }
+
+  function result() {
+    const percentiles = { years: rowYears, ages: rowAges };
+    for (const p of PERCENTILES) percentiles[`p${p}`] = [];
+    for (const values of netWorthByYear) {
+      const sorted = [...values].sort((a, b) => a - b);
+      for (const p of PERCENTILES) percentiles[`p${p}`].push(Math.round(percentile(sorted, p)));
+    }
+
+    const depletionHistogram = {};
+    for (const age of depletionAges) depletionHistogram[age] = (depletionHistogram[age] || 0) + 1;
+    const sortedAges = [...depletionAges].sort((a, b) => a - b);
+
+    return {
+      runs:  completed,
+      seed,
+      successProbability: completed > 0 ? successes / completed : 0,
+      percentiles,
+      depletion: {
+        ages:        depletionHistogram,
+        probability: completed > 0 ? sortedAges.length / completed : 0,
+        medianAge:   sortedAges.length > 0 ? Math.round(percentile(sortedAges, 50)) : null,
+      },
+    };
+  }
+
+  return { total: runs, completed: () => completed, step, result };
+}
+
+/**
+ * Run a Monte Carlo simulation.
+ *
+ * @param {object} config  Full app state (reads `monteCarlo` and pot and account `volatility`)
+ * @param {object} [opts]
+ * @param {number} [opts.runs]  Overrides config.monteCarlo.runs
+ * @param {number} [opts.seed]  Overrides config.monteCarlo.seed
+ * @returns {{
+ *   runs: number,
+ *   seed: number,
+ *   successProbability: number,
+ *   percentiles: { years: number[], ages: number[], p10: number[], p25: number[], p50: number[], p75: number[], p90: number[] },
+ *   depletion: { ages: Record<number, number>, probability: number, medianAge: number|null },
+ * }}
+ */
+export function runMonteCarlo(config, opts = {}) {
+  const run = createMonteCarloRun(config, opts);
+  run.step(run.total);
+  return run.result();
+}
@@ -5,10 +5,164 @@
  * They are NOT withdrawn from pots — they reduce the spending gap directly.
  */
 
+import { getStatePensionAmount, getStatePensionClaimAge } from './statePension.js';
+import { getYearShare, getYearReached } from './calendar.js';
+
+/** Spouse's pension paid by a DB scheme after the member's death (% of theirs). */
+export const DEFAULT_DB_SURVIVOR_PERCENT = 50;
+
+/** How a DB pension is revalued each year, before and in payment. */
+export const DB_INDEXATION = ['cpi', 'cpiCapped', 'fixed', 'none'];
+
+/**
+ * Defaults for a DB scheme (config.dbPension, a partner's dbPension and each
+ * entry of config.dbSchemes).
+ *
+ *   annualIncome        — pension at normal pension age, in today's money
+ *   normalPensionAge    — the scheme's NPA (null: the start age)
+ *   earlyReductionPercent / lateIncreasePercent
+ *                       — % of the pension lost for each year drawn before
+ *                         NPA / gained for each year after it (simple, not
+ *                         compounded)
+ *   commutationPercent  — % of the pension given up for a tax-free lump sum,
+ *                         paid at `commutationFactor` £ per £1 of pension
+ *   lumpSumDestination  — 'cash', 'isa' or the id of an added ISA, Cash or
+ *                         GIA account
+ *   indexation          — 'cpi' (full CPI), 'cpiCapped' (CPI within 0 and
+ *                         indexationCap %), 'fixed' (indexationRate %) or 'none'
+ */
+export const DEFAULT_DB_SCHEME = {
+  enabled:               false,
+  annualIncome:          0,
+  startAge:              67,
+  normalPensionAge:      null,
+  earlyReductionPercent: 4,
+  lateIncreasePercent:   5,
+  commutationPercent:    0,
+  commutationFactor:     12,
+  lumpSumDestination:    'cash',
+  indexation:            'cpi',
+  indexationCap:         5,
+  indexationRate:        0,
+  survivorPercent:       DEFAULT_DB_SURVIVOR_PERCENT,
+};
+
+/**
+ * Every DB scheme of the person `config` describes, with defaults filled in:
+ * their dbPension (id "dbPension") then their enabled config.dbSchemes. With
+ * a partner modelled, schemes owned by the partner are left out (the
+ * partner's view from household.js lists theirs as the first person's).
+ *
+ * @param {object} config
+ * @returns {object[]}
+ */
+export function getDbSchemes(config) {
+  const partner = Boolean(config.partner?.enabled);
+  const main = config.dbPension?.enabled
+    ? [{ ...DEFAULT_DB_SCHEME, name: 'DB pension', ...config.dbPension, id: 'dbPension' }]
+    : [];
+  const extras = (config.dbSchemes ?? [])
+    .filter(s => s.enabled !== false && !(partner && s.owner === 'partner'))
+    .map(s => ({ ...DEFAULT_DB_SCHEME, enabled: true, name: 'DB pension', ...s }));
+  return [...main, ...extras];
+}
+
+/**
+ * Early or late retirement factor: the share of the NPA pension paid from
+ * the scheme's start age.
+ *
+ * @param {object} scheme
+ * @returns {number}
+ */
+export function getDbPensionFactor(scheme) {
+  const npa = scheme.normalPensionAge ?? scheme.startAge;
+  const years = scheme.startAge - npa;
+  const rate = years < 0 ? scheme.earlyReductionPercent ?? 0 : scheme.lateIncreasePercent ?? 0;
+  return Math.max(0, 1 + years * rate / 100);
+}
+
+/**
+ * The scheme's pension after early/late adjustment and commutation, and the
+ * lump sum commutation pays, both in today's money.
+ *
+ * @param {object} scheme
+ * @returns {{ pension: number, lumpSum: number }}
+ */
+export function getDbCommutation(scheme) {
+  const pension   = (scheme.annualIncome || 0) * getDbPensionFactor(scheme);
+  const commuted  = pension * Math.min(100, Math.max(0, scheme.commutationPercent || 0)) / 100;
+  return { pension: pension - commuted, lumpSum: commuted * Math.max(0, scheme.commutationFactor || 0) };
+}
+
+/**
+ * Cumulative revaluation of a DB pension after `years` years.
+ *
+ * @param {object} scheme
+ * @param {object} config  For the inflation assumption
+ * @param {number} years
+ * @param {number} inflationFactor  Cumulative CPI factor to the same year (full CPI)
+ * @param {number[]|null} [inflationPath=null]  Per-year CPI (%), index 0 = base year
+ * @returns {number}
+ */
+export function computeDbIndexFactor(scheme, config, years, inflationFactor, inflationPath = null) {
+  switch (scheme.indexation ?? 'cpi') {
+    case 'none':  return 1;
+    case 'fixed': return Math.pow(1 + (scheme.indexationRate || 0) / 100, years);
+    case 'cpiCapped': {
+      const cap = Math.max(0, scheme.indexationCap ?? DEFAULT_DB_SCHEME.indexationCap);
+      let factor = 1;
+      for (let k = 0; k < years; k++) {
+        const cpi = inflationPath?.[k] ?? config.inflationRate ?? 2.5;
+        factor *= 1 + Math.min(cap, Math.max(0, cpi)) / 100;
+      }
+      return factor;
+    }
+    default:      return inflationFactor;
+  }
+}
+
+/**
+ * Tax-free lump sums from DB commutation paid in the year the person is
+ * `age`: one for each scheme that starts that year. None once the member has
+ * died.
+ *
+ * @param {object} config  One person's config (as getPensionIncome)
+ * @param {number} age
+ * @param {number} [inflationFactor=1]
+ * @param {object} [opts]
+ * @param {boolean} [opts.deceased=false]
+ * @param {number[]|null} [opts.inflationPath=null]
+ * @param {number|null} [opts.exactAge=null]  Exact age at the start of the year (calendar.js):
+ *   the lump sum is paid in the tax year the start age is reached
+ * @returns {{ id: string, name: string, amount: number, destination: string }[]}
+ */
+export function getDbLumpSums(config, age, inflationFactor = 1, { deceased = false, inflationPath = null, exactAge = null } = {}) {
+  if (deceased) return [];
+  const years = age - config.currentAge;
+  const startsThisYear = startAge => (exactAge == null
+    ? age === startAge
+    : exactAge <= startAge && exactAge + 1 > startAge);
+  return getDbSchemes(config)
+    .filter(scheme => startsThisYear(scheme.startAge))
+    .map(scheme => ({
+      id: scheme.id,
+      name: scheme.name,
+      amount: getDbCommutation(scheme).lumpSum * computeDbIndexFactor(scheme, config, years, inflationFactor, inflationPath),
+      destination: scheme.lumpSumDestination ?? 'cash',
+    }))
+    .filter(l => l.amount > 0);
+}
+
 /**
  * Calculate total pension income active in a given year.
  *
- * The state pension nominal value is scaled by a growth factor.  The factor
+ * Each DB scheme (getDbSchemes) pays from its start age the pension left
+ * after its early/late factor and any commutation, revalued by its
+ * indexation (computeDbIndexFactor).
+ *
+ * The State Pension (statePension.js: the flat amount or NI record forecast,
+ * with any deferral increase) starts at State Pension age plus any deferral.
+ * Its nominal value is scaled by a growth factor.  The factor
  * used depends on `config.statePension.growthModel`:
  *
  *   "real"       — grows with inflation (constant real purchasing power).
@@ -22,29 +176,47 @@
  * engine for the active growth model so this function stays a pure mapping.
  * When omitted it falls back to `inflationFactor` (backward-compatible).
  *
+ * `config` describes one person (the first person, or a partner's view from
+ * household.js). Once that person has died (`opts.deceased`), their State
+ * Pension stops and each DB scheme pays the survivor's pension instead —
+ * `survivorPercent`% (default 50%) of the member's pension, from the age the
+ * member would have started drawing it. `age` is then the age the member
+ * would have been.
+ *
  * @param {object} config               App state / config
  * @param {number} age                  Age at start of this modelled year
  * @param {number} [inflationFactor=1]  Cumulative CPI multiplier from base year
  * @param {number|null} [pensionGrowthFactor=null]
  *   Pre-computed growth factor for the state pension.
  *   When null the function falls back to `inflationFactor`.
+ * @param {object} [opts]
+ * @param {boolean} [opts.deceased=false]  The member has died; pay survivor benefits only
+ * @param {number[]|null} [opts.inflationPath=null]  Per-year CPI (%) for capped DB indexation
+ * @param {number|null} [opts.exactAge=null]  Exact age at the start of the tax year (calendar.js);
+ *   a pension starting part-way through the year is pro-rated
  * @returns {object} { total, dbIncome, stateIncome, breakdown }
  */
-export function getPensionIncome(config, age, inflationFactor = 1, pensionGrowthFactor = null) {
+export function getPensionIncome(config, age, inflationFactor = 1, pensionGrowthFactor = null, { deceased = false, inflationPath = null, exactAge = null } = {}) {
   let dbIncome = 0;
   let stateIncome = 0;
 
-  // Defined Benefit pension — inflation-adjusted to maintain consistent real value.
-  if (config.dbPension.enabled && age >= config.dbPension.startAge) {
-    dbIncome = config.dbPension.annualIncome * inflationFactor;
+  // Defined Benefit pensions — revalued by each scheme's indexation.
+  const years = age - config.currentAge;
+  for (const scheme of getDbSchemes(config)) {
+    const part = getYearShare(age, exactAge, scheme.startAge);
+    if (part === 0) continue;
+    const share = deceased ? (scheme.survivorPercent ?? DEFAULT_DB_SURVIVOR_PERCENT) / 100 : 1;
+    dbIncome += getDbCommutation(scheme).pension * share * part
+      * computeDbIndexFactor(scheme, config, years, inflationFactor, inflationPath);
   }
 
   // State pension — scaled to nominal using the configured growth model.
   // When pensionGrowthFactor is not provided the legacy behaviour is preserved
   // (inflate by CPI, i.e. constant real purchasing power).
-  if (config.statePension.enabled && age >= config.statePensionAge) {
+  if (config.statePension.enabled && !deceased) {
     const factor = pensionGrowthFactor ?? inflationFactor;
-    stateIncome = config.statePension.annualIncome * factor;
+    stateIncome = getStatePensionAmount(config) * factor
+      * getYearShare(age, exactAge, getStatePensionClaimAge(config));
   }
 
   const total = dbIncome + stateIncome;
@@ -61,14 +233,28 @@ export function getPensionIncome(config, age, inflationFactor = 1, pensionGrowth
  * Compute the cumulative growth factor for the state pension after `years` years,
  * based on the configured growth model.
  *
+ * When `inflationPath` is supplied (per-year CPI in %, e.g. a historical
+ * series) each year compounds at that year's rate instead of the configured
+ * constant inflation rate.
+ *
  * @param {object} config  App state
  * @param {number} years   Number of years from the base year (0 = base year)
+ * @param {number[]|null} [inflationPath=null]  Per-year CPI (%), index 0 = base year
  * @returns {number}       Cumulative growth factor (e.g. 1.05 = 5% total growth)
  */
-export function computePensionGrowthFactor(config, years) {
+export function computePensionGrowthFactor(config, years, inflationPath = null) {
   const inflationRate  = (config.inflationRate ?? 2.5) / 100;
   const growthModel    = config.statePension?.growthModel ?? 'real';
 
+  if (inflationPath && growthModel !== 'custom') {
+    let factor = 1;
+    for (let k = 0; k < years; k++) {
+      const cpi = (inflationPath[k] ?? config.inflationRate ?? 2.5) / 100;
+      factor *= 1 + (growthModel === 'tripleLock' ? Math.max(cpi, 0.025) : cpi);
+    }
+    return factor;
+  }
+
   if (growthModel === 'tripleLock') {
     // Simplified triple lock: annual increase = max(inflation, 2.5%)
     const annualRate = Math.max(inflationRate, 0.025);
@@ -85,19 +271,19 @@ export function computePensionGrowthFactor(config, years) {
 }
 
 /**
- * Return the first year (calendar) in which a pension becomes active.
+ * Return the first plan year (calendar, or tax year with a date of birth) in
+ * which a pension becomes active.
  *
  * @param {object} config
  * @param {string} pensionKey  'dbPension' | 'statePension'
  * @returns {number|null}
  */
 export function getPensionStartYear(config, pensionKey) {
-  const currentYear = new Date().getFullYear();
   if (pensionKey === 'dbPension' && config.dbPension.enabled) {
-    return currentYear + (config.dbPension.startAge - config.currentAge);
+    return getYearReached(config, config.dbPension.startAge);
   }
   if (pensionKey === 'statePension' && config.statePension.enabled) {
-    return currentYear + (config.statePensionAge - config.currentAge);
+    return getYearReached(config, getStatePensionClaimAge(config));
   }
   return null;
 }
@@ -0,0 +1,119 @@
+/**
+ * planComparison.js — Headline metrics, and named plans side by side
+ *
+ * Pure functions. getPlanMetrics reduces a projection to the headline
+ * figures of the summary tiles (summaryView.js). comparePlans projects each
+ * named plan (state/scenarios.js) and lines up their metrics and real net
+ * worth by year, for the scenario comparison view. Plans are compared in
+ * today's £ whatever their display mode.
+ */
+
+import { runProjection } from './projectionEngine.js';
+import { getPhaseSpending } from './spendingStrategy.js';
+
+/** Metrics shown for each plan in the comparison, in display order. */
+export const PLAN_METRICS = [
+  { key: 'retirementAge',      label: 'Retirement age',          format: 'age' },
+  { key: 'retirementNetWorth', label: 'Net worth at retirement', format: 'currency' },
+  { key: 'fiAge',              label: 'FI age',                  format: 'age' },
+  { key: 'monthlyTargetSpend', label: 'Target monthly spend',    format: 'currency' },
+  { key: 'safeSpending',       label: '4% safe spending',        format: 'currency' },
+  { key: 'successRate',        label: 'Years funded',            format: 'percent' },
+  { key: 'worstYearBalance',   label: 'Worst-year balance',      format: 'currency' },
+  { key: 'firstShortfallAge',  label: 'First shortfall',         format: 'age' },
+  { key: 'finalNetWorth',      label: 'Final net worth',         format: 'currency' },
+  { key: 'lifetimeTax',        label: 'Lifetime tax',            format: 'currency' },
+];
+
+/**
+ * Row fields counted as tax over a plan's lifetime: income tax, dividend and
+ * capital gains tax on GIAs, and the Lifetime ISA withdrawal charge.
+ */
+export const TAX_FIELDS = ['incomeTax', 'dividendTax', 'capitalGainsTax', 'lisaPenalty'];
+
+/** A row's value of `field` in the display mode (its real counterpart in 'real'). */
+function _value(row, field, displayMode) {
+  if (displayMode !== 'real') return row[field];
+  const realField = 'real' + field.charAt(0).toUpperCase() + field.slice(1);
+  return row[realField] ?? row[field];
+}
+
+/**
+ * Total tax paid over a projection (TAX_FIELDS summed over every year).
+ *
+ * @param {object[]} rows  Projection rows
+ * @param {string}   [displayMode='real']  'real' | 'nominal'
+ * @returns {number}
+ */
+export function getLifetimeTax(rows, displayMode = 'real') {
+  return rows.reduce((sum, row) =>
+    sum + TAX_FIELDS.reduce((tax, field) => tax + (_value(row, field, displayMode) ?? 0), 0), 0);
+}
+
+/**
+ * Headline metrics of a projection.
+ *
+ * @param {object[]} rows    Projection rows
+ * @param {object}   config
+ * @param {string}   [displayMode]  'real' | 'nominal' (default: the config's, else real)
+ * @returns {{ retirementAge: number, retirementNetWorth: number, fiAge: number|null,
+ *             monthlyTargetSpend: number, safeSpending: number, successRate: number,
+ *             fundedYears: number, retirementYears: number, worstYearBalance: number,
+ *             firstShortfallAge: number|null, finalNetWorth: number, lifetimeTax: number }}
+ *   successRate: % of bridge and retirement years with spending fully covered;
+ *   monthlyTargetSpend is in today's £ in either mode; lifetimeTax is
+ *   getLifetimeTax
+ */
+export function getPlanMetrics(rows, config, displayMode = config.displayMode || 'real') {
+  const value = (row, field) => _value(row, field, displayMode);
+
+  const retirementRow = rows.find(r => r.age === config.retirementAge) || rows[0];
+  const finalRow      = rows[rows.length - 1];
+  const retired       = rows.filter(r => r.phase === 'retire' || r.phase === 'bridge');
+  const fundedYears   = retired.filter(r => r.shortfall === 0).length;
+  const retirementNetWorth = value(retirementRow, 'totalNetWorth');
+
+  return {
+    retirementAge:      config.retirementAge,
+    retirementNetWorth,
+    fiAge:              retired.find(r => r.shortfall === 0)?.age ?? null,
+    monthlyTargetSpend: getPhaseSpending(config, config.retirementAge) / 12,
+    safeSpending:       retirementNetWorth * 0.04,
+    successRate:        retired.length > 0 ? Math.round(fundedYears / retired.length * 100) : 100,
+    fundedYears,
+    retirementYears:    retired.length,
+    worstYearBalance:   retired.length > 0
+      ? Math.min(...retired.map(r => value(r, 'totalNetWorth')))
+      : retirementNetWorth,
+    firstShortfallAge:  retired.find(r => r.shortfall > 0)?.age ?? null,
+    finalNetWorth:      value(finalRow, 'totalNetWorth'),
+    lifetimeTax:        getLifetimeTax(rows, displayMode),
+  };
+}
+
+/**
+ * Project each named plan and line them up by year.
+ *
+ * @param {{ id: string, name: string, state: object }[]} scenarios
+ * @param {(state: object) => object[]} [project=runProjection]  Projects one
+ *   plan; a caller re-comparing often can pass a memoised one
+ * @returns {{ years: number[], plans: { id: string, name: string, metrics: object,
+ *             netWorth: (number|null)[], ages: (number|null)[] }[] }}
+ *   years: every year any plan covers; each plan's netWorth (real) and ages
+ *   follow `years`, null where the plan does not cover the year
+ */
+export function comparePlans(scenarios, project = runProjection) {
+  const projected = scenarios.map(s => ({ ...s, rows: project(s.state) }));
+  const years = [...new Set(projected.flatMap(p => p.rows.map(r => r.year)))].sort((a, b) => a - b);
+  const plans = projected.map(({ id, name, state, rows }) => {
+    const byYear = new Map(rows.map(r => [r.year, r]));
+    return {
+      id,
+      name,
+      metrics:  getPlanMetrics(rows, state, 'real'),
+      netWorth: years.map(year => byYear.get(year)?.realTotalNetWorth ?? null),
+      ages:     years.map(year => byYear.get(year)?.age ?? null),
+    };
+  });
+  return { years, plans };
+}
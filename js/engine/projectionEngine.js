@@ -9,23 +9,139 @@
  *   year, age,
  *   phase,               // 'accumulate' | 'bridge' | 'retire'
  *   isaBalance, sippBalance, premiumBondsBalance, cashBalance,
+ *   sippCrystallisedBalance, sippUncrystallisedBalance,
+ *   pclsLumpSum, sippTaxFreeWithdrawn,   // 25% tax-free cash (PCLS / UFPLS)
  *   totalNetWorth,
  *   isaContribution, sippContribution,
  *   isaWithdrawn, sippWithdrawn, premiumBondsWithdrawn, cashWithdrawn,
  *   totalWithdrawn,
  *   dbIncome, stateIncome, totalPensionIncome,
  *   totalIncome,
+ *   taxableIncome, incomeTax, netIncome,   // UK income tax on SIPP/DB/State Pension
+ *   sippWithdrawalTax,   // Tax caused by grossed-up SIPP draws (tax.grossUpWithdrawals)
+ *   isaGrowthRate, sippGrowthRate, cashGrowthRate,   // Return applied this year (%)
+ *   isaAllocation, sippAllocation, cashAllocation,   // { equity, bonds, cash } in %, or null
  *   requiredSpending,
+ *   coreSpending,        // Spending target before one-off goals
+ *   goalSpending,        // One-off goals due this year (total)
+ *   spendingGoals,       // [{ label, amount }] goals due this year (nominal)
+ *   spendingAdjustment,  // Dynamic spending rule that set this year's spending, or null
  *   spendingCovered,
  *   shortfall,
  *   note,
  * }
+ *
+ * With a partner (config.partner.enabled, see household.js) pot, withdrawal,
+ * contribution, income and tax fields are household totals, and each row
+ * also carries the partner's share:
+ *   partnerAge,
+ *   partnerIsaBalance, partnerSippBalance, partnerNetWorth,
+ *   partnerIsaContribution, partnerSippContribution, partnerTotalContributions, partnerTotalGrowth,
+ *   partnerIsaWithdrawn, partnerSippWithdrawn, partnerSippTaxFreeWithdrawn, partnerSippWithdrawalTax,
+ *   partnerTotalWithdrawn, partnerDbIncome, partnerStateIncome, partnerPensionIncome,
+ *   partnerTotalIncome, partnerTaxableIncome, partnerIncomeTax, partnerNetIncome,
+ * with real (today's £) versions of the money fields.
+ *
+ * On the survivor path (opts.survivor with config.survivor enabled) rows
+ * also carry `deceased` — null before the death, then 'primary' | 'partner'.
+ *
+ * Added accounts (config.accounts, see accounts.js) are counted in the totals
+ * for their type and reported per account as <id>Balance, <id>Contribution,
+ * <id>Withdrawn and <id>Growth (with real versions). A partner's added
+ * accounts are also counted in the partner fields. Added SIPPs also report
+ * <id>CrystallisedBalance, <id>UncrystallisedBalance and <id>PclsLumpSum,
+ * and count in sippCrystallisedBalance and pclsLumpSum.
+ *
+ * GIAs add giaBalance, giaContribution, giaWithdrawn (household totals),
+ * per-account <id>CostBasis, <id>RealisedGain and <id>BedAndIsa, and for the year:
+ *   dividendIncome, realisedGains, bedAndIsa,   // GIA dividends, net gains, moved to ISAs
+ *   dividendTax, capitalGainsTax,               // paid from the GIA that caused them
+ * with partner shares (partnerGiaBalance, partnerDividendTax, …). Tax a GIA
+ * cannot pay from its balance is paid from the year's income, reducing
+ * netIncome.
+ *
+ * Lifetime ISAs add lisaBalance, lisaContribution, lisaBonus, lisaWithdrawn
+ * and lisaPenalty (household totals, with partner shares) and per-account
+ * <id>Bonus and <id>Penalty. The bonus counts in totalContributions; a
+ * withdrawal is reported gross, and its early-withdrawal charge reduces
+ * netIncome.
+ *
+ * A SIPP whose contributions are set from salary (workplacePension.js) adds
+ * salary, sippEmployeeContribution, sippEmployerContribution,
+ * sippReliefAtSource, sippHigherRateRelief, sippTaxSaving, sippNiSaving and
+ * sippTakeHomeCost (household totals, with partner shares). Basic-rate relief
+ * is part of sippContribution; the rest of the relief only lowers the
+ * take-home cost.
+ *
+ * With a band-filling withdrawal strategy rows add bandFillSaved: what the
+ * SIPP draw up to the band target left over after spending, moved into the
+ * ISAs (within the allowance) and Cash.
+ *
+ * A DB scheme that commutes part of its pension (pensionEngine.js) adds
+ * dbLumpSum (household total, with the partner's share) in the year it
+ * starts. The lump sum is a transfer into its destination account; with no
+ * open account to take it, it is paid out as tax-free income that year.
+ *
+ * With a date of birth (config.dateOfBirth or partner.dateOfBirth, see
+ * calendar.js) current ages and State Pension ages are derived from it, rows
+ * are UK tax years starting 6 April of `year` and carry a `taxYear` label
+ * ('2026/27'), and a DB or State Pension starting part-way through a tax
+ * year is paid for that part of it.
  */
 
-import { getPensionIncome, computePensionGrowthFactor } from './pensionEngine.js';
-import { executeWithdrawal } from './withdrawalStrategy.js';
-import { projectYear, getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed } from './projectionUtils.js';
+import { getPensionIncome, computePensionGrowthFactor, getDbSchemes, getDbLumpSums } from './pensionEngine.js';
+import { executeWithdrawal, executeBandFillWithdrawal, getBandFillTarget } from './withdrawalStrategy.js';
+import {
+  projectYear, getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed,
+  PCLS_FRACTION, getLsaRemaining, splitSippWithdrawal, getSippTaxableFraction,
+  LISA_BONUS_RATE, getLisaPenaltyRate, getLisaSubscription, getContributionIndexFactor,
+} from './projectionUtils.js';
 import { validateYearInvariants } from './invariants.js';
+import {
+  getTaxBands, computeIncomeTax, computeDividendTax, computeCapitalGainsTax, isTaxEnabled,
+} from './taxEngine.js';
+import { getPotGrowthRate, getPotAllocation } from './assetAllocation.js';
+import { getAllowanceSettings, getPensionAnnualAllowance } from './allowances.js';
+import { isSalaryLinked, getSalaryContribution } from './workplacePension.js';
+import { getStatePensionClaimAge } from './statePension.js';
+import { applyDateOfBirth, getPlanStartYear, getExactAge, formatTaxYear } from './calendar.js';
+import { getPartnerConfig, getPartnerAge, expandWithdrawalOrder, getSurvivorScenario, PARTNER_POTS } from './household.js';
+import {
+  getExtraAccounts, getAccountDrawdownAllowed, getAccountGrowthRate, expandAccountOrder, ACCOUNT_TYPES, ISA_ALLOWANCE,
+} from './accounts.js';
+import {
+  applyGuardrails,
+  applyPercentageSpending,
+  getPhaseSpending,
+  getSpendingGoals,
+  PERCENTAGE_STRATEGIES,
+  DEFAULT_PERCENTAGE_SPENDING,
+} from './spendingStrategy.js';
+
+/** Convergence tolerance (£) and iteration cap for grossing up GIA tax sales. */
+const GAINS_TAX_TOLERANCE = 0.01;
+const GAINS_TAX_MAX_ITERATIONS = 50;
+
+/** Ratio of this year's spending-phase amount to last year's (1 when unchanged). */
+function _phaseStep(config, age) {
+  const prev = getPhaseSpending(config, age - 1);
+  return prev > 0 ? getPhaseSpending(config, age) / prev : 1;
+}
+
+/** Row field name → its real (today's £) counterpart, e.g. partnerIsaBalance → realPartnerIsaBalance. */
+function _realField(field) {
+  return 'real' + field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+/** Allocation fractions → percentages (1 dp) for projection rows. */
+function _allocationPercent(mix) {
+  if (!mix) return null;
+  return {
+    equity: Math.round(mix.equity * 1000) / 10,
+    bonds:  Math.round(mix.bonds  * 1000) / 10,
+    cash:   Math.round(mix.cash   * 1000) / 10,
+  };
+}
 
 /**
  * Run the full projection from currentAge to endAge.
@@ -34,12 +150,53 @@ import { validateYearInvariants } from './invariants.js';
  * @param {object} [opts]
  * @param {boolean} [opts.debug=false]  When true, each row includes a `_debug` payload
  *   with per-account ledger data and invariant-pass confirmation.
+ * @param {object[]} [opts.returns]  Per-year return path (index = years from now),
+ *   each `{ isa, sipp, premiumBonds, cash }` in percent, plus an entry per added
+ *   account by id (else it takes that of the pot it follows). A pot's entry replaces
+ *   its configured growth/prize rate for that year; used by Monte Carlo and backtests.
+ * @param {number[]} [opts.inflation]  Per-year CPI path (%), index = years from now.
+ *   Replaces the constant inflationRate for spending, DB/State Pension uprating and
+ *   real values; used by historical backtests.
+ * @param {boolean} [opts.survivor=false]  Follow the survivor path set by
+ *   config.survivor (see household.js): from the year of death the deceased's
+ *   ISA and SIPP pass to the survivor, their State Pension and contributions
+ *   stop, their DB scheme pays its survivor's pension and spending is scaled
+ *   to the survivor percentage. Ignored without a partner.
  * @returns {object[]}     Array of yearly projection rows
  */
-export function runProjection(config, { debug = false } = {}) {
-  const currentYear = new Date().getFullYear();
+export function runProjection(config, { debug = false, returns = null, inflation = null, survivor = false } = {}) {
+  // With a date of birth, ages and SPA come from it and rows are tax years
+  config = applyDateOfBirth(config);
+  const currentYear = getPlanStartYear(config);
   const rows = [];
 
+  // Survivor path: the scenario's config opens a pot for the survivor where
+  // only the deceased held one.
+  const survivorScenario = survivor ? getSurvivorScenario(config) : null;
+  if (survivorScenario) config = survivorScenario.config;
+  let inherited = false;
+
+  // Partner (couple plans): their ISA and SIPP are the partnerIsa / partnerSipp
+  // pots, and per-person rules are read from their single-person view. Their
+  // year overrides are keyed by pot like the first person's
+  // (partnerIsaLumpSum, partnerSippContributionOverride, …).
+  const partnerConfig = getPartnerConfig(config);
+  const partner       = partnerConfig !== null;
+
+  // Added accounts are further pots keyed by their id, read against their
+  // owner's config and age.
+  const extraAccounts = getExtraAccounts(config);
+  const ownerConfig   = acct => (acct.owner === 'partner' ? partnerConfig : config);
+  const potKeys = [
+    'isa', 'sipp', 'premiumBonds', 'cash',
+    ...(partner ? ['partnerIsa', 'partnerSipp'] : []),
+    ...extraAccounts.map(a => a.id),
+  ];
+  const zeroLedger = () => Object.fromEntries(potKeys.map(pot => [pot, 0]));
+  const sumExtras = (values, filter = () => true) =>
+    extraAccounts.filter(filter).reduce((sum, a) => sum + values[a.id], 0);
+  const byOwnerType = (values, type, owner) => sumExtras(values, a => a.type === type && a.owner === owner);
+
   // Initialise pot balances
   let balances = {
     isa:          config.isa.enabled          ? config.isa.balance          : 0,
@@ -47,44 +204,175 @@ export function runProjection(config, { debug = false } = {}) {
     premiumBonds: config.premiumBonds.enabled ? config.premiumBonds.balance : 0,
     cash:         config.cash.enabled         ? config.cash.balance         : 0,
   };
+  if (partner) {
+    balances.partnerIsa  = partnerConfig.isa.enabled  ? partnerConfig.isa.balance  : 0;
+    balances.partnerSipp = partnerConfig.sipp.enabled ? partnerConfig.sipp.balance : 0;
+  }
+  for (const acct of extraAccounts) balances[acct.id] = acct.balance;
+
+  // GIA cost basis, carried between years. A disposal takes the same share
+  // of the basis as of the value and realises the difference as a gain.
+  const giaAccounts = extraAccounts.filter(a => ACCOUNT_TYPES[a.type].capitalGains);
+  const costBasis   = Object.fromEntries(giaAccounts.map(a => [a.id, a.costBasis]));
+  const dispose = (id, amount, value) => {
+    const basisOut = value > 0 ? costBasis[id] * Math.min(1, amount / value) : 0;
+    costBasis[id] -= basisOut;
+    return amount - basisOut;
+  };
+  const lisaAccounts = extraAccounts.filter(a => a.type === 'lisa');
 
   const numYears = config.endAge - config.currentAge;
+  const taxEnabled = isTaxEnabled(config);
+  const grossUpWithdrawals = taxEnabled && Boolean(config.tax.grossUpWithdrawals);
+  const withdrawalStrategy = config.withdrawalStrategy ?? 'ordered';
+  const spendingStrategy   = config.spendingStrategy ?? 'fixed';
+  const percentageSpending = PERCENTAGE_STRATEGIES.includes(spendingStrategy);
+  const percentageParams   = { ...DEFAULT_PERCENTAGE_SPENDING, ...config.percentageSpending };
+
+  // Dynamic spending state carried between retirement years (guardrails)
+  let spendingState       = null;
+  let prevInflationFactor = 1;
+  let prevTotalGrowth     = 0;
+
+  // SIPP crystallisation state carried between years.
+  //   sippCrystallised — funds moved into drawdown when the PCLS was taken
+  //                      (the rest of balances.sipp is uncrystallised)
+  //   lsaUsed          — tax-free cash taken so far (counts against the LSA)
+  const pclsMode = config.sipp.pclsMode ?? 'none';
+  let sippCrystallised = 0;
+  let lsaUsed          = 0;
+  let pclsTaken        = false;
+
+  // Partner's SIPP: no separate crystallisation — each draw is either fully
+  // taxable or an UFPLS (25% tax-free up to their own Lump Sum Allowance).
+  const partnerPclsMode = partner && partnerConfig.sipp.pclsMode === 'ufpls' ? 'ufpls' : 'none';
+  let partnerLsaUsed    = 0;
+
+  // Added pensions follow the SIPP's rules — tax-free cash as a full lump
+  // sum (tracked per account like sippCrystallised) or UFPLS — and share
+  // their owner's Lump Sum Allowance.
+  const extraPensions = extraAccounts.filter(a => a.type === 'sipp');
+  const extraPclsMode = acct => (['full', 'ufpls'].includes(acct.pclsMode) ? acct.pclsMode : 'none');
+  const extraCrystallised = Object.fromEntries(extraPensions.map(a => [a.id, 0]));
+  const extraPclsTaken    = new Set();
+  const lsaRemainingFor = owner => (owner === 'partner'
+    ? getLsaRemaining(partnerConfig.sipp, partnerLsaUsed)
+    : getLsaRemaining(config.sipp, lsaUsed));
+  const useLsa = (owner, amount) => {
+    if (owner === 'partner') partnerLsaUsed += amount;
+    else                     lsaUsed        += amount;
+  };
+
+  // Annual allowances (allowances.js). Flexible access to a pension brings
+  // in the MPAA from the following year.
+  const allowanceSettings = getAllowanceSettings(config);
+  const flexiblyAccessed  = { primary: false, partner: false };
 
   // Bridge phase: the period after retirement but before any guaranteed income
   // starts.  Bridge ends at the minimum enabled pension start age that is
   // strictly after retirementAge.  When no such pension exists, bridge length
   // is zero (bridgeEndAge === retirementAge) and the phase jumps straight to
   // 'retire'.
+  // A partner's pensions count too, converted to the first person's age.
+  const partnerAgeGap = partner ? partnerConfig.currentAge - config.currentAge : 0;
   const enabledPensionStartAges = [
-    ...(config.dbPension.enabled ? [config.dbPension.startAge] : []),
-    ...(config.statePension.enabled ? [config.statePensionAge] : []),
+    ...getDbSchemes(config).map(scheme => scheme.startAge),
+    ...(config.statePension.enabled ? [getStatePensionClaimAge(config)] : []),
+    ...(partner ? getDbSchemes(partnerConfig).map(scheme => scheme.startAge - partnerAgeGap) : []),
+    ...(partner && partnerConfig.statePension.enabled ? [getStatePensionClaimAge(partnerConfig) - partnerAgeGap] : []),
   ].filter(a => a > config.retirementAge);
   const bridgeEndAge = enabledPensionStartAges.length > 0
     ? Math.min(...enabledPensionStartAges)
     : config.retirementAge;
 
+  // DB commutation lump sums go to the scheme's destination, else Cash, else
+  // the owner's ISA. An added destination must be its owner's ISA, Cash or GIA.
+  const dbCommuting = [config, ...(partner ? [partnerConfig] : [])]
+    .some(c => getDbSchemes(c).some(scheme => scheme.commutationPercent > 0));
+  const dbLumpSumPot = (destination, owner) => {
+    const ownIsa = owner === 'partner' ? ['partnerIsa', partnerConfig.isa.enabled] : ['isa', config.isa.enabled];
+    const acct = extraAccounts.find(a => a.id === destination);
+    const candidates = [
+      destination === 'isa'  ? ownIsa
+        : destination === 'cash' ? ['cash', config.cash.enabled]
+        : [destination, Boolean(acct) && acct.owner === owner && ['isa', 'cash', 'gia'].includes(acct.type)],
+      ['cash', config.cash.enabled],
+      ownIsa,
+    ];
+    return candidates.find(([, open]) => open)?.[0] ?? null;
+  };
+
+  let pathInflationFactor = 1;
+
   for (let i = 0; i <= numYears; i++) {
     const age  = config.currentAge + i;
     const year = currentYear + i;
     const isRetired = age >= config.retirementAge;
     const inBridgePhase = isRetired && age < bridgeEndAge;
     const phase = !isRetired ? 'accumulate' : inBridgePhase ? 'bridge' : 'retire';
+    const partnerAge     = getPartnerAge(config, age);
+    const exactAge        = getExactAge(config.dateOfBirth, year);
+    const partnerExactAge = partner ? getExactAge(config.partner.dateOfBirth, year) : null;
+    const partnerRetired = partner && partnerAge >= partnerConfig.retirementAge;
+
+    // Survivor path: who is still alive this year
+    const widowed        = survivorScenario !== null && age >= survivorScenario.householdDeathAge;
+    const primaryAlive   = !(widowed && survivorScenario.deceased === 'primary');
+    const partnerAlive   = partner && !(widowed && survivorScenario.deceased === 'partner');
+    const spendingFactor = widowed ? survivorScenario.spendingFactor : 1;
+    // A GIA is taxed as its owner's, and as the survivor's once inherited
+    const giaOwner = acct => (widowed && acct.owner === survivorScenario.deceased
+      ? (acct.owner === 'partner' ? 'primary' : 'partner')
+      : acct.owner);
 
-    // Cumulative inflation factor from the base year
+    // Cumulative inflation factor from the base year (compounded along the
+    // supplied CPI path, if any)
     const inflationRate   = (config.inflationRate ?? 2.5) / 100;
-    const inflationFactor = Math.pow(1 + inflationRate, i);
+    if (inflation && i > 0) {
+      pathInflationFactor *= 1 + (inflation[i - 1] ?? config.inflationRate ?? 2.5) / 100;
+    }
+    const inflationFactor = inflation ? pathInflationFactor : Math.pow(1 + inflationRate, i);
 
     // Pension-specific growth factor based on configured state pension model.
     // May differ from inflationFactor when growthModel is 'tripleLock' or 'custom'.
-    const pensionGrowthFactor = computePensionGrowthFactor(config, i);
+    const pensionGrowthFactor = computePensionGrowthFactor(config, i, inflation);
 
     // Per-account ledger tracking (used for invariant validation and debug output)
     const openingBals = { ...balances };
-    const growthAmt   = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
-    const inflowsLed  = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
-    const outflowsLed = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
-    const xfersIn     = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
-    const xfersOut    = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
+    const growthAmt   = zeroLedger();
+    const inflowsLed  = zeroLedger();
+    const outflowsLed = zeroLedger();
+    const xfersIn     = zeroLedger();
+    const xfersOut    = zeroLedger();
+
+    // ── Step 0: Survivor inherits the deceased's ISA and SIPP ─────────────
+    // Transferred at the start of the first year without them. An inherited
+    // SIPP joins the survivor's uncrystallised pot; a Lifetime ISA ends on
+    // death and passes, without the charge, into the survivor's ISA.
+    if (widowed && !inherited) {
+      const deceased = survivorScenario.deceased;
+      const inheritedType = type => (type === 'lisa' ? 'isa' : type);
+      const moves = [
+        ...(deceased === 'partner'
+          ? [['partnerIsa', 'isa'], ['partnerSipp', 'sipp']]
+          : [['isa', 'partnerIsa'], ['sipp', 'partnerSipp']]),
+        ...extraAccounts
+          .filter(a => a.owner === deceased && PARTNER_POTS[inheritedType(a.type)])
+          .map(a => [a.id, deceased === 'partner' ? inheritedType(a.type) : PARTNER_POTS[inheritedType(a.type)]]),
+      ];
+      for (const [from, to] of moves) {
+        const amount = balances[from];
+        balances[from]  = 0;
+        balances[to]   += amount;
+        xfersOut[from] += amount;
+        xfersIn[to]    += amount;
+      }
+      if (survivorScenario.deceased === 'primary') sippCrystallised = 0;
+      for (const acct of extraPensions.filter(a => a.owner === deceased)) extraCrystallised[acct.id] = 0;
+      // A GIA passes to the survivor at its value on death (no gain to date)
+      for (const acct of giaAccounts.filter(a => a.owner === deceased)) costBasis[acct.id] = balances[acct.id];
+      inherited = true;
+    }
 
     // Capture the pre-contribution portfolio total so that rate-based drawdown
     // is calculated from the true opening balance (not post-contribution/growth).
@@ -94,7 +382,9 @@ export function runProjection(config, { debug = false } = {}) {
       (config.isa.enabled          ? balances.isa          : 0) +
       (config.sipp.enabled         ? balances.sipp         : 0) +
       (config.premiumBonds.enabled ? balances.premiumBonds : 0) +
-      (config.cash.enabled         ? balances.cash         : 0);
+      (config.cash.enabled         ? balances.cash         : 0) +
+      (partner ? balances.partnerIsa + balances.partnerSipp : 0) +
+      sumExtras(balances);
 
     // ── Step 1: Apply regular contributions (pre-retirement only) ─────────
     // Contributions are applied before growth so that money invested this year
@@ -104,10 +394,22 @@ export function runProjection(config, { debug = false } = {}) {
     let premiumBondsContribution = 0;
     let cashContribution         = 0;
 
+    // Contributions set from salary, per person (null when flat); a person
+    // with more than one salary-linked pension gets the sum
+    const workplace = { primary: null, partner: null };
+    const addWorkplace = (person, result) => {
+      workplace[person] = workplace[person]
+        ? Object.fromEntries(Object.entries(result).map(([field, value]) => [field, value + workplace[person][field]]))
+        : result;
+    };
+    // A pot's regular contribution this year, after its indexation
+    const indexed = (pot, owner) => (pot.annualContribution || 0)
+      * getContributionIndexFactor(pot, owner, i, inflationFactor);
+
     // Resolve year overrides early so they can be used in contribution logic
     const override = config.overrides[year] || {};
 
-    if (!isRetired) {
+    if (!isRetired && primaryAlive) {
       if (config.isa.enabled) {
         const isaStop = config.isa.stopContributionAge;
         const hasIsaContribOverride = override.isaContributionOverride != null;
@@ -115,7 +417,7 @@ export function runProjection(config, { debug = false } = {}) {
           isaContribution = override.isaContributionOverride;
           balances.isa += isaContribution;
         } else if (!isaStop || age < isaStop) {
-          isaContribution = config.isa.annualContribution;
+          isaContribution = indexed(config.isa, config);
           balances.isa += isaContribution;
         }
         inflowsLed.isa += isaContribution;
@@ -127,7 +429,12 @@ export function runProjection(config, { debug = false } = {}) {
           sippContribution = override.sippContributionOverride;
           balances.sipp += sippContribution;
         } else if (!sippStop || age < sippStop) {
-          sippContribution = config.sipp.annualContribution;
+          if (isSalaryLinked(config.sipp)) {
+            workplace.primary = getSalaryContribution(config.sipp, i, getTaxBands(config, year));
+            sippContribution  = workplace.primary.gross;
+          } else {
+            sippContribution = indexed(config.sipp, config);
+          }
           balances.sipp += sippContribution;
         }
         inflowsLed.sipp += sippContribution;
@@ -139,30 +446,105 @@ export function runProjection(config, { debug = false } = {}) {
           cashContribution = override.cashContributionOverride;
           balances.cash += cashContribution;
         } else if (!cashStop || age < cashStop) {
-          cashContribution = config.cash.annualContribution;
+          cashContribution = indexed(config.cash, config);
           balances.cash += cashContribution;
         }
         inflowsLed.cash += cashContribution;
       }
     }
 
+    // Partner's contributions run until their own retirement age (an
+    // override replaces them)
+    let partnerIsaContribution  = 0;
+    let partnerSippContribution = 0;
+    if (partnerAlive && !partnerRetired) {
+      for (const [pot, key] of [['isa', 'partnerIsa'], ['sipp', 'partnerSipp']]) {
+        const acct = partnerConfig[pot];
+        if (!acct.enabled) continue;
+        const contributionOverride = override[`${key}ContributionOverride`];
+        let amount = 0;
+        if (contributionOverride != null) {
+          amount = contributionOverride;
+        } else if (acct.stopContributionAge && partnerAge >= acct.stopContributionAge) {
+          continue;
+        } else if (pot === 'sipp' && isSalaryLinked(acct)) {
+          workplace.partner = getSalaryContribution(acct, i, getTaxBands(config, year));
+          amount = workplace.partner.gross;
+        } else {
+          amount = indexed(acct, partnerConfig);
+        }
+        balances[key]   += amount;
+        inflowsLed[key] += amount;
+        if (pot === 'isa') partnerIsaContribution = amount;
+        else               partnerSippContribution = amount;
+      }
+    }
+
+    // Added accounts: contributions until their owner retires or the
+    // account's stop age (an override replaces them; a pension's may be set
+    // from salary), plus any lump sum override. A Lifetime ISA's
+    // subscriptions are capped and end at 50, and each earns the government
+    // bonus.
+    const extraContribution = zeroLedger();
+    const lisaBonus         = zeroLedger();
+    const lisaRequested     = zeroLedger();
+    for (const acct of extraAccounts) {
+      const owner = ownerConfig(acct);
+      const ownerAge = acct.owner === 'partner' ? partnerAge : age;
+      const alive = acct.owner === 'partner' ? partnerAlive : primaryAlive;
+      const contributionOverride = override[`${acct.id}ContributionOverride`];
+      let amount = 0;
+      if (alive && ownerAge < owner.retirementAge) {
+        if (contributionOverride != null) {
+          amount = contributionOverride;
+        } else if (!(acct.stopContributionAge && ownerAge >= acct.stopContributionAge)) {
+          if (acct.type === 'sipp' && isSalaryLinked(acct)) {
+            const fromSalary = getSalaryContribution(acct, i, getTaxBands(config, year));
+            addWorkplace(acct.owner, fromSalary);
+            amount = fromSalary.gross;
+          } else {
+            amount = indexed(acct, owner);
+          }
+        }
+      }
+      amount += override[`${acct.id}LumpSum`] || 0;
+      if (acct.type === 'lisa') {
+        lisaRequested[acct.id] = alive ? amount : 0;
+        amount = alive ? getLisaSubscription(amount, ownerAge) : 0;
+        lisaBonus[acct.id] = amount * LISA_BONUS_RATE;
+      }
+      balances[acct.id]         += amount + lisaBonus[acct.id];
+      inflowsLed[acct.id]       += amount + lisaBonus[acct.id];
+      extraContribution[acct.id] = amount;
+      if (acct.id in costBasis) costBasis[acct.id] += amount;
+    }
+
     // ── Step 2: Apply growth to each pot (post-contribution balance) ──────
     // Growth is applied after contributions so that money invested this year
     // earns returns immediately (contributions → growth ordering).
     // Growth continues unconditionally in retirement (compounding on the balance).
+    // A pot with a glide path earns its blended allocation return for this age.
+    const yearReturns = returns?.[i] || {};
+    const rates = {
+      isa:          (yearReturns.isa          ?? getPotGrowthRate(config, 'isa', age))          / 100,
+      sipp:         (yearReturns.sipp         ?? getPotGrowthRate(config, 'sipp', age))         / 100,
+      premiumBonds: (yearReturns.premiumBonds ?? getPotGrowthRate(config, 'premiumBonds', age)) / 100,
+      cash:         (yearReturns.cash         ?? getPotGrowthRate(config, 'cash', age))         / 100,
+    };
     if (config.isa.enabled) {
       const prev = balances.isa;
-      balances.isa = projectYear(balances.isa, (config.isa.growthRate ?? 0) / 100);
+      balances.isa = projectYear(balances.isa, rates.isa);
       growthAmt.isa = balances.isa - prev;
     }
     if (config.sipp.enabled) {
       const prev = balances.sipp;
-      balances.sipp = projectYear(balances.sipp, (config.sipp.growthRate ?? 0) / 100);
+      balances.sipp = projectYear(balances.sipp, rates.sipp);
       growthAmt.sipp = balances.sipp - prev;
+      sippCrystallised = projectYear(sippCrystallised, rates.sipp);
     }
     if (config.premiumBonds.enabled) {
       const prev      = balances.premiumBonds;
-      const grownBal  = projectYear(balances.premiumBonds, (config.premiumBonds.prizeRate ?? 0) / 100);
+      const grownBal  = projectYear(balances.premiumBonds, rates.premiumBonds);
       const prize     = grownBal - prev;
       growthAmt.premiumBonds = prize;
 
@@ -183,20 +565,61 @@ export function runProjection(config, { debug = false } = {}) {
     }
     if (config.cash.enabled) {
       const prev = balances.cash;
-      balances.cash = projectYear(balances.cash, (config.cash.growthRate ?? 0) / 100);
+      balances.cash = projectYear(balances.cash, rates.cash);
       growthAmt.cash = balances.cash - prev;
     }
+    // Partner's pots share the year's market returns but follow their own
+    // growth rate / glide path (by the partner's age) otherwise.
+    if (partner) {
+      for (const [pot, key] of [['isa', 'partnerIsa'], ['sipp', 'partnerSipp']]) {
+        if (!partnerConfig[pot].enabled) continue;
+        const rate = (yearReturns[pot] ?? getPotGrowthRate(partnerConfig, pot, partnerAge)) / 100;
+        const prev = balances[key];
+        balances[key]  = projectYear(balances[key], rate);
+        growthAmt[key] = balances[key] - prev;
+      }
+    }
+    // A GIA's dividends are part of its return; they are reinvested, so they
+    // add to its cost basis.
+    const dividends = zeroLedger();
+    for (const acct of extraAccounts) {
+      const ownerAge = acct.owner === 'partner' ? partnerAge : age;
+      // Its own simulated return, else that of the pot it follows (backtests)
+      const returnsKey = ACCOUNT_TYPES[acct.type].returns ?? acct.type;
+      const rate = (yearReturns[acct.id] ?? yearReturns[returnsKey]
+        ?? getAccountGrowthRate(ownerConfig(acct), acct, ownerAge)) / 100;
+      const prev = balances[acct.id];
+      balances[acct.id]  = projectYear(prev, rate);
+      growthAmt[acct.id] = balances[acct.id] - prev;
+      if (acct.id in extraCrystallised) {
+        extraCrystallised[acct.id] = projectYear(extraCrystallised[acct.id], rate);
+      }
+      if (acct.id in costBasis) {
+        dividends[acct.id]  = Math.max(0, prev) * (acct.dividendYield || 0) / 100;
+        costBasis[acct.id] += dividends[acct.id];
+      }
+    }
 
     // ── Step 3: Apply year overrides / lump sums ──────────────────────────
     if (override.isaLumpSum)          { balances.isa          += override.isaLumpSum;          isaContribution  += override.isaLumpSum;  inflowsLed.isa          += override.isaLumpSum; }
     if (override.sippLumpSum)         { balances.sipp         += override.sippLumpSum;         sippContribution += override.sippLumpSum; inflowsLed.sipp         += override.sippLumpSum; }
-    if (override.premiumBondLumpSum)  { balances.premiumBonds += override.premiumBondLumpSum;  premiumBondsContribution += override.premiumBondLumpSum; inflowsLed.premiumBonds += override.premiumBondLumpSum; }
+    if (override.premiumBondsLumpSum) { balances.premiumBonds += override.premiumBondsLumpSum; premiumBondsContribution += override.premiumBondsLumpSum; inflowsLed.premiumBonds += override.premiumBondsLumpSum; }
     if (override.cashLumpSum)         { balances.cash         += override.cashLumpSum;          cashContribution += override.cashLumpSum; inflowsLed.cash         += override.cashLumpSum; }
+    if (partner) {
+      for (const [pot, key] of [['isa', 'partnerIsa'], ['sipp', 'partnerSipp']]) {
+        const lumpSum = override[`${key}LumpSum`];
+        if (!lumpSum || !partnerConfig[pot].enabled) continue;
+        balances[key]   += lumpSum;
+        inflowsLed[key] += lumpSum;
+        if (pot === 'isa') partnerIsaContribution  += lumpSum;
+        else               partnerSippContribution += lumpSum;
+      }
+    }
 
     // ── Step 3b: Premium Bonds cap enforcement (after all inflows) ─────────
     // The £50,000 cap must be applied after every inflow (growth AND lump sums)
     // so that an override that pushes PB above the cap is correctly handled.
-    const PB_CAP = 50000;
+    const PB_CAP = ACCOUNT_TYPES.premiumBonds.balanceCap;
     if (config.premiumBonds.enabled && balances.premiumBonds > PB_CAP) {
       const excess = balances.premiumBonds - PB_CAP;
       balances.premiumBonds = PB_CAP;
@@ -206,17 +629,193 @@ export function runProjection(config, { debug = false } = {}) {
         xfersIn.cash  += excess;
       }
     }
+    // The limit is per person, so added Premium Bonds holdings share it
+    let pbHeld = config.premiumBonds.enabled ? balances.premiumBonds : 0;
+    for (const acct of extraAccounts.filter(a => a.type === 'premiumBonds')) {
+      const excess = Math.max(0, balances[acct.id] - Math.max(0, PB_CAP - pbHeld));
+      if (excess > 0) {
+        balances[acct.id] -= excess;
+        xfersOut[acct.id] += excess;
+        if (config.cash.enabled) {
+          balances.cash += excess;
+          xfersIn.cash  += excess;
+        }
+      }
+      pbHeld += balances[acct.id];
+    }
+
+    // Each person's ISA allowance left after this year's ISA and Lifetime ISA
+    // subscriptions. The transfers below (PCLS, Bed & ISA, DB lump sums) are
+    // subscriptions too: they use it up and are recorded per ISA in
+    // isaTransferredIn for the allowance check (Step 5b).
+    const isaSubscribed = owner => byOwnerType(extraContribution, 'isa', owner) + byOwnerType(extraContribution, 'lisa', owner);
+    const isaRoom = {
+      primary: ISA_ALLOWANCE - isaContribution - isaSubscribed('primary'),
+      partner: ISA_ALLOWANCE - partnerIsaContribution - isaSubscribed('partner'),
+    };
+    const isaTransferredIn = zeroLedger();
+
+    // ── Step 3c: Pension commencement lump sum (PCLS) ─────────────────────
+    // In "full" mode the 25% tax-free cash is taken once, at pclsAge (never
+    // before the SIPP access age), and the rest of the uncrystallised pot moves
+    // into drawdown. The lump sum is a transfer to the destination account
+    // rather than spending. An ISA takes no more than the year's remaining
+    // allowance; the excess goes to Cash. Whatever no open account takes is
+    // paid out as a tax-free SIPP withdrawal instead.
+    let pclsLumpSum = 0;
+    let pclsPaidOut = 0;
+    if (config.sipp.enabled && pclsMode === 'full' && !pclsTaken
+        && age >= (config.sipp.pclsAge ?? 57) && age >= (config.sipp.accessAge || 57)) {
+      const uncrystallised = Math.max(0, balances.sipp - sippCrystallised);
+      pclsLumpSum = Math.min(uncrystallised * PCLS_FRACTION, getLsaRemaining(config.sipp, lsaUsed));
+      sippCrystallised += uncrystallised - pclsLumpSum;
+      balances.sipp    -= pclsLumpSum;
+      lsaUsed          += pclsLumpSum;
+      pclsTaken         = true;
+
+      const dest   = config.sipp.pclsDestination ?? 'isa';
+      const toIsa  = dest === 'isa' && config.isa.enabled
+        ? Math.min(pclsLumpSum, Math.max(0, isaRoom.primary))
+        : 0;
+      const toCash = (dest === 'cash' || (dest === 'isa' && config.isa.enabled)) && config.cash.enabled
+        ? pclsLumpSum - toIsa
+        : 0;
+      for (const [pot, amount] of [['isa', toIsa], ['cash', toCash]]) {
+        xfersOut.sipp += amount;
+        balances[pot] += amount;
+        xfersIn[pot]  += amount;
+      }
+      isaRoom.primary      -= toIsa;
+      isaTransferredIn.isa += toIsa;
+      pclsPaidOut       = pclsLumpSum - toIsa - toCash;
+      outflowsLed.sipp += pclsPaidOut;
+    }
+
+    // Added pensions take theirs the same way, at their owner's ages, into
+    // the owner's ISA; what is paid out counts as a tax-free draw.
+    const extraPclsLumpSum  = zeroLedger();
+    const extraPclsPaidOut  = zeroLedger();
+    for (const acct of extraPensions.filter(a => extraPclsMode(a) === 'full' && !extraPclsTaken.has(a.id))) {
+      const ownerAge = acct.owner === 'partner' ? partnerAge : age;
+      const alive    = acct.owner === 'partner' ? partnerAlive : primaryAlive;
+      if (!alive || ownerAge < (acct.pclsAge ?? 57) || ownerAge < (acct.accessAge || 57)) continue;
+      const uncrystallised = Math.max(0, balances[acct.id] - extraCrystallised[acct.id]);
+      const lumpSum = Math.min(uncrystallised * PCLS_FRACTION, lsaRemainingFor(acct.owner));
+      extraCrystallised[acct.id] += uncrystallised - lumpSum;
+      balances[acct.id]          -= lumpSum;
+      useLsa(acct.owner, lumpSum);
+      extraPclsTaken.add(acct.id);
+      extraPclsLumpSum[acct.id] = lumpSum;
+
+      const dest    = acct.pclsDestination ?? 'isa';
+      const isaPot  = acct.owner === 'partner' ? 'partnerIsa' : 'isa';
+      const isaOpen = acct.owner === 'partner' ? partnerConfig.isa.enabled : config.isa.enabled;
+      const toIsa   = dest === 'isa' && isaOpen ? Math.min(lumpSum, Math.max(0, isaRoom[acct.owner])) : 0;
+      const toCash  = (dest === 'cash' || (dest === 'isa' && isaOpen)) && config.cash.enabled ? lumpSum - toIsa : 0;
+      for (const [pot, amount] of [[isaPot, toIsa], ['cash', toCash]]) {
+        xfersOut[acct.id] += amount;
+        balances[pot]     += amount;
+        xfersIn[pot]      += amount;
+      }
+      isaRoom[acct.owner]      -= toIsa;
+      isaTransferredIn[isaPot] += toIsa;
+      extraPclsPaidOut[acct.id] = lumpSum - toIsa - toCash;
+      outflowsLed[acct.id]     += extraPclsPaidOut[acct.id];
+    }
+
+    // ── Step 3d: Bed & ISA ────────────────────────────────────────────────
+    // A GIA marked for Bed & ISA sells up to its owner's unused ISA allowance
+    // and rebuys inside their ISA.
+    const realisedGain = zeroLedger();
+    const bedAndIsa    = zeroLedger();
+    for (const acct of giaAccounts.filter(a => a.bedAndIsa)) {
+      const owner = giaOwner(acct);
+      const isaPot = owner === 'partner' ? 'partnerIsa' : 'isa';
+      const isaOpen = owner === 'partner' ? partner && partnerConfig.isa.enabled : config.isa.enabled;
+      const amount = Math.min(Math.max(0, balances[acct.id]), Math.max(0, isaRoom[owner]));
+      if (!isaOpen || amount <= 0) continue;
+      realisedGain[acct.id] += dispose(acct.id, amount, balances[acct.id]);
+      balances[acct.id]  -= amount;
+      xfersOut[acct.id]  += amount;
+      balances[isaPot]   += amount;
+      xfersIn[isaPot]    += amount;
+      bedAndIsa[acct.id]  = amount;
+      isaRoom[owner]     -= amount;
+      isaTransferredIn[isaPot] += amount;
+    }
+
+    // ── Step 3e: DB commutation lump sums ─────────────────────────────────
+    // Paid in the year a scheme starts, into its destination account. An ISA
+    // takes no more than its owner's remaining allowance; the rest goes to
+    // Cash, or is paid out when Cash is disabled.
+    const dbLumpSum       = { primary: 0, partner: 0 };
+    const dbLumpSumPaidOut = { primary: 0, partner: 0 };
+    if (dbCommuting) {
+      const lumpSums = [
+        ...getDbLumpSums(config, age, inflationFactor, { deceased: !primaryAlive, inflationPath: inflation, exactAge })
+          .map(l => ({ ...l, owner: 'primary' })),
+        ...(partner
+          ? getDbLumpSums(partnerConfig, partnerAge, inflationFactor,
+              { deceased: !partnerAlive, inflationPath: inflation, exactAge: partnerExactAge })
+              .map(l => ({ ...l, owner: 'partner' }))
+          : []),
+      ];
+      for (const { amount, destination, owner } of lumpSums) {
+        dbLumpSum[owner] += amount;
+        const pot = dbLumpSumPot(destination, owner);
+        const isIsa = pot === 'isa' || pot === 'partnerIsa' || extraAccounts.some(a => a.id === pot && a.type === 'isa');
+        const paidIn = pot === null ? 0 : isIsa ? Math.min(amount, Math.max(0, isaRoom[owner])) : amount;
+        const toCash = config.cash.enabled ? amount - paidIn : 0;
+        if (paidIn > 0) {
+          balances[pot]   += paidIn;
+          inflowsLed[pot] += paidIn;
+          if (pot in costBasis) costBasis[pot] += paidIn;
+          if (isIsa) {
+            isaRoom[owner]        -= paidIn;
+            isaTransferredIn[pot] += paidIn;
+          }
+        }
+        balances.cash   += toCash;
+        inflowsLed.cash += toCash;
+        dbLumpSumPaidOut[owner] += amount - paidIn - toCash;
+      }
+    }
 
     // ── Step 4: Retirement withdrawals ────────────────────────────────────
     let isaWithdrawn          = 0;
-    let sippWithdrawn         = 0;
+    let sippWithdrawn         = pclsPaidOut;
     let premiumBondsWithdrawn = 0;
     let cashWithdrawn         = 0;
     let shortfall             = 0;
     let spendingCovered       = 0;
     let requiredSpending      = 0;
+    let spendingAdjustment    = null;
+    let coreSpending          = 0;
+    let goalSpending          = 0;
+    let spendingGoals         = [];
+    let sippWithdrawalTax     = 0;   // Tax caused by grossed-up SIPP draws
+    let bandFillSurplus       = 0;   // Net drawn by band filling beyond the need
+    let partnerIsaWithdrawn      = 0;
+    let partnerSippWithdrawn     = 0;
+    let partnerSippWithdrawalTax = 0;
+    const extraWithdrawn = { ...extraPclsPaidOut };
+    const extraTax       = zeroLedger();
+    const lisaPenalty    = zeroLedger();
 
-    const { total: pensionIncome, dbIncome, stateIncome } = getPensionIncome(config, age, inflationFactor, pensionGrowthFactor);
+    // Guaranteed income for each person (household totals drive spending;
+    // each person is taxed on their own)
+    // After a death the deceased's State Pension stops and their DB scheme
+    // pays its survivor's pension. A DB lump sum with nowhere to go counts
+    // as tax-free income.
+    const ownPension     = getPensionIncome(config, age, inflationFactor, pensionGrowthFactor,
+      { deceased: !primaryAlive, inflationPath: inflation, exactAge });
+    const partnerPension = partner
+      ? getPensionIncome(partnerConfig, partnerAge, inflationFactor, pensionGrowthFactor,
+        { deceased: !partnerAlive, inflationPath: inflation, exactAge: partnerExactAge })
+      : { total: 0, dbIncome: 0, stateIncome: 0 };
+    const pensionIncome = ownPension.total + partnerPension.total + dbLumpSumPaidOut.primary + dbLumpSumPaidOut.partner;
+    const dbIncome      = ownPension.dbIncome + partnerPension.dbIncome;
+    const stateIncome   = ownPension.stateIncome + partnerPension.stateIncome;
 
     // Per-account drawdown eligibility is computed outside the retirement gate so
     // that accounts with an explicit drawdown start age earlier than retirementAge
@@ -229,14 +828,23 @@ export function runProjection(config, { debug = false } = {}) {
       : config.retirementAge;
     const premiumBondsDrawdownAllowed = config.premiumBonds.enabled && age >= pbDrawdownAge;
     const cashDrawdownAllowed = getCashDrawdownAllowed(config, age);
+    const partnerIsaDrawdownAllowed = partner && getIsaDrawdownAllowed(partnerConfig, partnerAge);
+    const partnerSippAccessAllowed  = partner && getSippDrawdownAllowed(partnerConfig, partnerAge);
+    const extraDrawdownAllowed = Object.fromEntries(extraAccounts.map(acct => [acct.id,
+      getAccountDrawdownAllowed(ownerConfig(acct), acct, acct.owner === 'partner' ? partnerAge : age)]));
+    // Early-withdrawal charge on each Lifetime ISA at its owner's age
+    const penaltyRates = Object.fromEntries(lisaAccounts.map(acct => [acct.id,
+      getLisaPenaltyRate(acct.owner === 'partner' ? partnerAge : age)]));
 
     // Drawdown fires from retirementAge, or earlier when any account has reached
     // its individual drawdown start date.
-    const inDrawdownPhase = isRetired || sippAccessAllowed || isaDrawdownAllowed || premiumBondsDrawdownAllowed || cashDrawdownAllowed;
+    const inDrawdownPhase = isRetired || sippAccessAllowed || isaDrawdownAllowed || premiumBondsDrawdownAllowed || cashDrawdownAllowed
+      || partnerIsaDrawdownAllowed || partnerSippAccessAllowed
+      || Object.values(extraDrawdownAllowed).some(Boolean);
 
     if (inDrawdownPhase) {
       // Determine drawdown rate (default from sidebar, overridable per year)
-      let drawdownRate = (config.drawdown.rate ?? config.drawdown.phase1Rate ?? 4) / 100;
+      let drawdownRate = (config.drawdown.rate ?? 4) / 100;
 
       // Per-year drawdown rate override (overrides main rate for this year)
       if (override.drawdownRateOverride != null && override.drawdownRateOverride !== 0) {
@@ -245,10 +853,53 @@ export function runProjection(config, { debug = false } = {}) {
 
       // Required spending only applies from retirement age; pre-retirement drawdown
       // (e.g. SIPP before retirementAge) is driven by the drawdown rate only.
-      requiredSpending = isRetired ? config.retirementSpending * inflationFactor : 0;
+      // A survivor spends their percentage of the couple's target.
+      requiredSpending = isRetired ? getPhaseSpending(config, age) * spendingFactor * inflationFactor : 0;
+
+      // Guardrails: spending follows the Guyton-Klinger rules from the first
+      // retirement year instead of tracking inflation exactly.
+      if (isRetired && spendingStrategy === 'guardrails') {
+        spendingState = applyGuardrails(spendingState, {
+          baseSpending:     requiredSpending,
+          inflationStep:    inflationFactor / prevInflationFactor,
+          phaseStep:        _phaseStep(config, age)
+                            * (widowed && age === survivorScenario.householdDeathAge ? spendingFactor : 1),
+          portfolio:        preGrowthPortfolio,
+          guaranteedIncome: pensionIncome,
+          yearsRemaining:   config.endAge - age,
+          priorYearLoss:    prevTotalGrowth < 0,
+        }, config.guardrails);
+        requiredSpending   = spendingState.spending;
+        spendingAdjustment = spendingState.adjustment;
+      }
+
+      // VPW / constant percentage: spending is guaranteed income plus a
+      // percentage of the opening portfolio (optionally floored and capped).
+      if (isRetired && percentageSpending) {
+        const policy = applyPercentageSpending(spendingStrategy, {
+          portfolio:        preGrowthPortfolio,
+          guaranteedIncome: pensionIncome,
+          yearsRemaining:   config.endAge - age,
+          inflationFactor,
+        }, { ...percentageParams, floor: percentageParams.floor * spendingFactor, ceiling: percentageParams.ceiling * spendingFactor });
+        requiredSpending   = policy.spending;
+        spendingAdjustment = policy.adjustment;
+      }
 
-      // Spending gap after pension income
+      // One-off goals are funded on top of the spending rule
+      coreSpending = requiredSpending;
+      if (isRetired) {
+        spendingGoals = getSpendingGoals(config, year)
+          .map(g => ({ label: g.label, amount: g.amount * inflationFactor }));
+        goalSpending  = spendingGoals.reduce((s, g) => s + g.amount, 0);
+        requiredSpending += goalSpending;
+      }
+
+      // Spending gap after pension income, split into the core target and
+      // one-off goals (goals are always funded in full)
       const spendingGap = Math.max(0, requiredSpending - pensionIncome);
+      const coreGap     = Math.max(0, coreSpending - pensionIncome);
+      const goalGap     = spendingGap - coreGap;
 
       // Rate-based drawdown: withdraw exactly drawdownRate × portfolio,
       // calculated from the pre-growth (opening) balance so that when
@@ -261,10 +912,13 @@ export function runProjection(config, { debug = false } = {}) {
       // balance — which prevents over-withdrawal in low-spend years (e.g. when
       // pension income largely covers spending).
       //
+      // Percentage spending policies already set the draw, so the ceiling is
+      // not applied on top of them; one-off goals are drawn beyond it.
+      //
       // When pre-retirement (e.g. SIPP accessible before retirementAge): the rate
       // drives the withdrawal since there is no spending requirement before retirement.
       const gap = isRetired
-        ? (drawdownRate > 0 ? Math.min(spendingGap, rateDrawdown) : spendingGap)
+        ? (drawdownRate > 0 && !percentageSpending ? Math.min(coreGap, rateDrawdown) : coreGap) + goalGap
         : (drawdownRate > 0 ? rateDrawdown : 0);
 
       // ── Step 4a: Account-specific drawdown rate overrides ─────────────────
@@ -293,25 +947,170 @@ export function runProjection(config, { debug = false } = {}) {
         cashWithdrawn += take;
         outflowsLed.cash += take;
       }
+      const partnerRateOverridden = {
+        partnerIsa:  override.partnerIsaDrawdownRateOverride  != null && partnerIsaDrawdownAllowed,
+        partnerSipp: override.partnerSippDrawdownRateOverride != null && partnerSippAccessAllowed,
+      };
+      if (partnerRateOverridden.partnerIsa) {
+        const rate = override.partnerIsaDrawdownRateOverride / 100;
+        const take = Math.min(Math.max(0, balances.partnerIsa), balances.partnerIsa * rate);
+        balances.partnerIsa    -= take;
+        partnerIsaWithdrawn    += take;
+        outflowsLed.partnerIsa += take;
+      }
+      if (partnerRateOverridden.partnerSipp) {
+        const rate = override.partnerSippDrawdownRateOverride / 100;
+        const take = Math.min(Math.max(0, balances.partnerSipp), balances.partnerSipp * rate);
+        balances.partnerSipp    -= take;
+        partnerSippWithdrawn    += take;
+        outflowsLed.partnerSipp += take;
+      }
+      const extraRateOverridden = acct => override[`${acct.id}DrawdownRateOverride`] != null && extraDrawdownAllowed[acct.id];
+      for (const acct of extraAccounts.filter(extraRateOverridden)) {
+        const rate = override[`${acct.id}DrawdownRateOverride`] / 100;
+        const take = Math.min(Math.max(0, balances[acct.id]), balances[acct.id] * rate);
+        balances[acct.id]       -= take;
+        extraWithdrawn[acct.id] += take;
+        outflowsLed[acct.id]    += take;
+        if (acct.type === 'lisa') lisaPenalty[acct.id] += take * penaltyRates[acct.id];
+      }
 
-      // Reduce the main gap by what was already drawn via account-specific rates,
+      // Reduce the main gap by what was already drawn via account-specific rates
+      // (and any PCLS paid out as cash, which is spent before drawing further),
       // and exclude those accounts from the main withdrawal order.
-      const accountSpecificDrawn = sippWithdrawn + isaWithdrawn + cashWithdrawn;
+      const accountSpecificDrawn = sippWithdrawn + isaWithdrawn + cashWithdrawn
+        + partnerIsaWithdrawn + partnerSippWithdrawn + sumExtras(extraWithdrawn);
       const adjustedGap = Math.max(0, gap - accountSpecificDrawn);
-      const effectiveWithdrawalOrder = config.withdrawalOrder.filter(pot => {
+      // A partner's pot follows the first person's pot of the same type, and
+      // added accounts follow the pots of their type.
+      const effectiveWithdrawalOrder = expandAccountOrder(
+        expandWithdrawalOrder(config.withdrawalOrder, partner), extraAccounts,
+      ).filter(pot => {
         if (pot === 'sipp' && override.sippDrawdownRateOverride != null && sippAccessAllowed) return false;
         if (pot === 'isa'  && override.isaDrawdownRateOverride  != null && isaDrawdownAllowed)  return false;
         if (pot === 'cash' && override.cashDrawdownRateOverride != null && cashDrawdownAllowed) return false;
-        return true;
+        if (partnerRateOverridden[pot]) return false;
+        return !extraAccounts.some(acct => acct.id === pot && extraRateOverridden(acct));
+      });
+
+      const constraints = {
+        isaDrawdownAllowed, sippAccessAllowed, premiumBondsDrawdownAllowed, cashDrawdownAllowed,
+        partnerIsaDrawdownAllowed, partnerSippAccessAllowed,
+        accounts: extraDrawdownAllowed,
+        penalties: penaltyRates,
+      };
+
+      // Taxable income already received this year (guaranteed income plus any
+      // SIPP drawn above) and the taxable share of further SIPP draws. Needed
+      // both for grossing up and for band-filling strategies.
+      const bands = getTaxBands(config, year);
+      const drawnSplit = splitSippWithdrawal({
+        amount:       sippWithdrawn - pclsPaidOut,
+        crystallised: sippCrystallised,
+        mode:         pclsMode,
+        lsaRemaining: getLsaRemaining(config.sipp, lsaUsed),
       });
+      // Added pensions drawn above (rate overrides), likewise
+      const extraDrawnSplit = Object.fromEntries(extraPensions.map(a => [a.id, splitSippWithdrawal({
+        amount:       extraWithdrawn[a.id] - extraPclsPaidOut[a.id],
+        crystallised: extraCrystallised[a.id],
+        mode:         extraPclsMode(a),
+        lsaRemaining: lsaRemainingFor(a.owner),
+      })]));
+      const extraDrawnTaxable = owner => extraPensions
+        .filter(a => a.owner === owner)
+        .reduce((sum, a) => sum + extraDrawnSplit[a.id].taxable, 0);
+      const ownTaxableIncome = ownPension.dbIncome + ownPension.stateIncome + drawnSplit.taxable
+        + extraDrawnTaxable('primary');
+      const sippTaxableFraction = getSippTaxableFraction(
+        sippCrystallised - drawnSplit.fromCrystallised,
+        pclsMode,
+        getLsaRemaining(config.sipp, lsaUsed) - drawnSplit.taxFree,
+      );
+
+      // For a couple each person's SIPP is taxed against their own income,
+      // so taxable income so far and band-fill limits are kept per SIPP.
+      const partnerDrawnSplit = partner
+        ? splitSippWithdrawal({
+            amount:       partnerSippWithdrawn,
+            crystallised: 0,
+            mode:         partnerPclsMode,
+            lsaRemaining: getLsaRemaining(partnerConfig.sipp, partnerLsaUsed),
+          })
+        : { taxable: 0, taxFree: 0 };
+      const partnerTaxableIncome = partnerPension.dbIncome + partnerPension.stateIncome + partnerDrawnSplit.taxable
+        + extraDrawnTaxable('partner');
+      const partnerSippTaxableFraction = partner
+        ? getSippTaxableFraction(0, partnerPclsMode,
+            getLsaRemaining(partnerConfig.sipp, partnerLsaUsed) - partnerDrawnSplit.taxFree)
+        : 1;
+      // With more than one taxable pot, income is kept per owner and each
+      // pension is mapped to its owner.
+      const perOwner = partner || extraPensions.length > 0;
+      const owners = {
+        sipp: 'primary',
+        ...(partner && { partnerSipp: 'partner' }),
+        ...Object.fromEntries(extraPensions.map(a => [a.id, a.owner])),
+      };
+      const taxableFraction = {
+        sipp: sippTaxableFraction,
+        partnerSipp: partnerSippTaxableFraction,
+        ...Object.fromEntries(extraPensions.map(a => [a.id, getSippTaxableFraction(
+          extraCrystallised[a.id] - extraDrawnSplit[a.id].fromCrystallised,
+          extraPclsMode(a),
+          lsaRemainingFor(a.owner) - extraDrawnSplit[a.id].taxFree,
+        )])),
+      };
+      const baseTaxableIncome = perOwner
+        ? { primary: ownTaxableIncome, partner: partnerTaxableIncome }
+        : ownTaxableIncome;
+      const taxSoFar = computeIncomeTax(ownTaxableIncome, bands).tax
+        + (partner ? computeIncomeTax(partnerTaxableIncome, bands).tax : 0);
 
-      if (adjustedGap > 0) {
-        const result = executeWithdrawal(
-          balances,
-          adjustedGap,
-          effectiveWithdrawalOrder,
-          { isaDrawdownAllowed, sippAccessAllowed, premiumBondsDrawdownAllowed, cashDrawdownAllowed }
-        );
+      // Tax-aware gross-up: when retired, solve for the NET spending gap and
+      // let the withdrawal solver gross up SIPP draws for the tax they trigger.
+      // The drawdown rate still caps the total gross drawn.
+      let taxContext = null;
+      let withdrawalAmount = adjustedGap;
+      if (grossUpWithdrawals && isRetired) {
+        const netSoFar = pensionIncome + accountSpecificDrawn - taxSoFar;
+        taxContext = {
+          bands,
+          baseTaxableIncome,
+          taxableFraction,
+          ...(perOwner && { owners }),
+          maxGross: drawdownRate > 0 ? Math.max(0, rateDrawdown - accountSpecificDrawn) : Infinity,
+        };
+        withdrawalAmount = Math.max(0, requiredSpending - netSoFar);
+      }
+
+      // Band-filling strategies draw SIPP up to a taxable-income target
+      // before touching the other pots — in retirement, every year, even
+      // when less is needed (the excess is reinvested in Step 5a).
+      const bandTarget = isRetired ? getBandFillTarget(withdrawalStrategy, bands) : null;
+      const sippBandLimit = bandTarget === null ? null
+        : perOwner
+          ? Object.fromEntries(Object.entries(owners).map(([pot, owner]) => [pot,
+              Math.max(0, bandTarget - baseTaxableIncome[owner]) / taxableFraction[pot]]))
+          : Math.max(0, bandTarget - ownTaxableIncome) / sippTaxableFraction;
+
+      if (withdrawalAmount > 0 || bandTarget !== null) {
+        const result = bandTarget !== null
+          ? executeBandFillWithdrawal(
+              balances,
+              withdrawalAmount,
+              effectiveWithdrawalOrder,
+              constraints,
+              sippBandLimit,
+              taxContext ?? (perOwner ? { owners, taxableFraction } : null)
+            )
+          : executeWithdrawal(
+              balances,
+              withdrawalAmount,
+              effectiveWithdrawalOrder,
+              constraints,
+              taxContext
+            );
         balances              = result.balances;
         isaWithdrawn          += result.withdrawn.isa;
         sippWithdrawn         += result.withdrawn.sipp;
@@ -321,14 +1120,22 @@ export function runProjection(config, { debug = false } = {}) {
         outflowsLed.sipp         += result.withdrawn.sipp;
         outflowsLed.premiumBonds += result.withdrawn.premiumBonds;
         outflowsLed.cash         += result.withdrawn.cash;
+        sippWithdrawalTax        += result.tax.sipp;
+        bandFillSurplus           = result.surplus ?? 0;
+        if (partner) {
+          partnerIsaWithdrawn        += result.withdrawn.partnerIsa;
+          partnerSippWithdrawn       += result.withdrawn.partnerSipp;
+          partnerSippWithdrawalTax   += result.tax.partnerSipp;
+          outflowsLed.partnerIsa     += result.withdrawn.partnerIsa;
+          outflowsLed.partnerSipp    += result.withdrawn.partnerSipp;
+        }
+        for (const acct of extraAccounts) {
+          extraWithdrawn[acct.id]  += result.withdrawn[acct.id];
+          outflowsLed[acct.id]     += result.withdrawn[acct.id];
+          if (acct.type === 'lisa') lisaPenalty[acct.id] += result.tax[acct.id];
+          else                      extraTax[acct.id]    += result.tax[acct.id];
+        }
       }
-
-      // Shortfall is spending-based: did total income (pension + all withdrawals) cover spending?
-      const totalIncomeSoFar = pensionIncome
-        + isaWithdrawn + sippWithdrawn + premiumBondsWithdrawn + cashWithdrawn;
-      shortfall = Math.max(0, requiredSpending - totalIncomeSoFar);
-
-      spendingCovered = requiredSpending - shortfall;
     }
 
     // ── Per-pot custom drawdown overrides (additional voluntary withdrawals) ──
@@ -351,6 +1158,18 @@ export function runProjection(config, { debug = false } = {}) {
       sippWithdrawn += take;
       outflowsLed.sipp += take;
     }
+    if (override.partnerIsaCustomDrawdown && partnerIsaDrawdownAllowed) {
+      const take = applyCustomDrawdown(balances.partnerIsa, override.partnerIsaCustomDrawdown);
+      balances.partnerIsa    -= take;
+      partnerIsaWithdrawn    += take;
+      outflowsLed.partnerIsa += take;
+    }
+    if (override.partnerSippCustomDrawdown && partnerSippAccessAllowed) {
+      const take = applyCustomDrawdown(balances.partnerSipp, override.partnerSippCustomDrawdown);
+      balances.partnerSipp    -= take;
+      partnerSippWithdrawn    += take;
+      outflowsLed.partnerSipp += take;
+    }
     if (override.premiumBondsCustomDrawdown && config.premiumBonds.enabled) {
       const take = applyCustomDrawdown(balances.premiumBonds, override.premiumBondsCustomDrawdown);
       balances.premiumBonds -= take;
@@ -363,23 +1182,255 @@ export function runProjection(config, { debug = false } = {}) {
       cashWithdrawn += take;
       outflowsLed.cash += take;
     }
+    for (const acct of extraAccounts) {
+      const amount = override[`${acct.id}CustomDrawdown`];
+      if (!amount || !extraDrawdownAllowed[acct.id]) continue;
+      const take = applyCustomDrawdown(balances[acct.id], amount);
+      balances[acct.id]       -= take;
+      extraWithdrawn[acct.id] += take;
+      outflowsLed[acct.id]    += take;
+      if (acct.type === 'lisa') lisaPenalty[acct.id] += take * penaltyRates[acct.id];
+    }
 
-    // Recalculate shortfall/spendingCovered after custom drawdowns so that
-    // extra voluntary withdrawals are counted against spending need.
-    if (inDrawdownPhase) {
-      const totalIncomeFinal = pensionIncome
-        + isaWithdrawn + sippWithdrawn + premiumBondsWithdrawn + cashWithdrawn;
-      shortfall       = Math.max(0, requiredSpending - totalIncomeFinal);
-      spendingCovered = requiredSpending - shortfall;
+    // ── Step 4b: SIPP crystallisation bookkeeping ─────────────────────────
+    // Regular SIPP withdrawals come from crystallised funds first; anything
+    // drawn from uncrystallised funds is an UFPLS with a 25% tax-free element.
+    const sippSplit = splitSippWithdrawal({
+      amount:       sippWithdrawn - pclsPaidOut,
+      crystallised: sippCrystallised,
+      mode:         pclsMode,
+      lsaRemaining: getLsaRemaining(config.sipp, lsaUsed),
+    });
+    sippCrystallised  = Math.min(sippCrystallised - sippSplit.fromCrystallised, Math.max(0, balances.sipp));
+    lsaUsed          += sippSplit.taxFree;
+    const sippTaxFree = sippSplit.taxFree + pclsPaidOut;
+
+    const partnerSippTaxFree = partner
+      ? splitSippWithdrawal({
+          amount:       partnerSippWithdrawn,
+          crystallised: 0,
+          mode:         partnerPclsMode,
+          lsaRemaining: getLsaRemaining(partnerConfig.sipp, partnerLsaUsed),
+        }).taxFree
+      : 0;
+    partnerLsaUsed += partnerSippTaxFree;
+
+    // Tax-free cash in added pensions' draws, against their owner's LSA,
+    // plus any lump sum paid out
+    const extraTaxFree = zeroLedger();
+    for (const acct of extraPensions) {
+      const split = splitSippWithdrawal({
+        amount:       extraWithdrawn[acct.id] - extraPclsPaidOut[acct.id],
+        crystallised: extraCrystallised[acct.id],
+        mode:         extraPclsMode(acct),
+        lsaRemaining: lsaRemainingFor(acct.owner),
+      });
+      extraCrystallised[acct.id] = Math.min(extraCrystallised[acct.id] - split.fromCrystallised,
+        Math.max(0, balances[acct.id]));
+      useLsa(acct.owner, split.taxFree);
+      extraTaxFree[acct.id] = split.taxFree + extraPclsPaidOut[acct.id];
+    }
+    // Gains realised by GIA withdrawals (all at this year's value)
+    for (const acct of giaAccounts) {
+      const drawn = extraWithdrawn[acct.id];
+      if (drawn > 0) realisedGain[acct.id] += dispose(acct.id, drawn, balances[acct.id] + drawn);
     }
 
+    // Taxable share of each person's added-pension draws
+    const extraTaxable = owner => extraPensions
+      .filter(a => a.owner === owner)
+      .reduce((sum, a) => sum + extraWithdrawn[a.id] - extraTaxFree[a.id], 0);
+
     const totalWithdrawn =
-      isaWithdrawn + sippWithdrawn + premiumBondsWithdrawn + cashWithdrawn;
+      isaWithdrawn + sippWithdrawn + premiumBondsWithdrawn + cashWithdrawn
+      + partnerIsaWithdrawn + partnerSippWithdrawn + sumExtras(extraWithdrawn);
 
     const totalIncome = pensionIncome + totalWithdrawn;
 
+    // ── Step 5: Income tax ────────────────────────────────────────────────
+    // SIPP withdrawals (less any tax-free cash), DB pension and State Pension
+    // are taxable income. ISA, Premium Bonds and Cash withdrawals are return
+    // of capital (tax-free). Each person is taxed separately with their own
+    // personal allowance and bands.
+    const ownTaxable     = sippWithdrawn - sippTaxFree + ownPension.dbIncome + ownPension.stateIncome
+      + extraTaxable('primary');
+    const partnerTaxable = partnerSippWithdrawn - partnerSippTaxFree + partnerPension.dbIncome + partnerPension.stateIncome
+      + extraTaxable('partner');
+    const taxableIncome  = ownTaxable + partnerTaxable;
+    const partnerIncomeTax = taxEnabled && partner
+      ? computeIncomeTax(partnerTaxable, getTaxBands(config, year)).tax
+      : 0;
+    const incomeTax = (taxEnabled
+      ? computeIncomeTax(ownTaxable, getTaxBands(config, year)).tax
+      : 0) + partnerIncomeTax;
+
+    // Dividend tax and CGT for each person's GIAs, stacked on their income.
+    // Each GIA pays its share (by dividends and gains) by selling holdings;
+    // what it cannot cover is paid from the year's income. The sale realises
+    // a gain of its own, taxed in turn, so the sales are grossed up until
+    // they cover the tax on themselves.
+    const gainsTaxPaid = zeroLedger();
+    const gainsTaxBy   = { primary: { dividend: 0, cgt: 0 }, partner: { dividend: 0, cgt: 0 } };
+    let gainsTaxFromIncome = 0;
+    if (taxEnabled && giaAccounts.length > 0) {
+      const bands = getTaxBands(config, year);
+      for (const [owner, income] of [['primary', ownTaxable], ['partner', partnerTaxable]]) {
+        const owned = giaAccounts.filter(a => giaOwner(a) === owner);
+        if (owned.length === 0) continue;
+        const divs  = owned.reduce((sum, a) => sum + dividends[a.id], 0);
+        // Gain realised per £1 sold
+        const gainShare = a => (balances[a.id] > 0 ? 1 - costBasis[a.id] / balances[a.id] : 0);
+        let sale = Object.fromEntries(owned.map(a => [a.id, 0]));
+        let due  = sale;
+        for (let n = 0; n < GAINS_TAX_MAX_ITERATIONS; n++) {
+          const gainOf = a => realisedGain[a.id] + sale[a.id] * gainShare(a);
+          const gains  = Math.max(0, owned.reduce((sum, a) => sum + gainOf(a), 0));
+          const dividendTax = computeDividendTax(divs, income, bands);
+          const cgt         = computeCapitalGainsTax(gains, income + divs, bands);
+          gainsTaxBy[owner] = { dividend: dividendTax, cgt };
+          const weight = a => dividends[a.id] + Math.max(0, gainOf(a));
+          const totalWeight = owned.reduce((sum, a) => sum + weight(a), 0);
+          due = Object.fromEntries(owned.map(a => [a.id,
+            totalWeight > 0 ? (dividendTax + cgt) * weight(a) / totalWeight : 0]));
+          const next = Object.fromEntries(owned.map(a => [a.id, Math.min(due[a.id], Math.max(0, balances[a.id]))]));
+          const settled = owned.every(a => Math.abs(next[a.id] - sale[a.id]) < GAINS_TAX_TOLERANCE);
+          sale = next;
+          if (settled) break;
+        }
+        for (const acct of owned) {
+          realisedGain[acct.id] += dispose(acct.id, sale[acct.id], balances[acct.id]);
+          balances[acct.id]     -= sale[acct.id];
+          gainsTaxPaid[acct.id] += sale[acct.id];
+          gainsTaxFromIncome    += due[acct.id] - sale[acct.id];
+        }
+      }
+    }
+    const dividendTax     = gainsTaxBy.primary.dividend + gainsTaxBy.partner.dividend;
+    const capitalGainsTax = gainsTaxBy.primary.cgt + gainsTaxBy.partner.cgt;
+
+    // Lifetime ISA withdrawals before 60 lose the early-withdrawal charge
+    const lisaPenaltyTotal = sumExtras(lisaPenalty);
+
+    const netIncome = totalIncome - incomeTax - gainsTaxFromIncome - lisaPenaltyTotal;
+
+    // ── Step 5a: Reinvest the band-fill surplus ───────────────────────────
+    // What band filling drew beyond the need, after tax and up to what is
+    // left once this year's spending is met, is saved: into each person's
+    // ISA while their allowance lasts, then Cash. Anything with nowhere to
+    // go stays as surplus income.
+    let bandFillSaved = 0;
+    if (bandFillSurplus > 0) {
+      let unsaved = Math.min(bandFillSurplus, Math.max(0, netIncome - requiredSpending));
+      const homes = [
+        ['isa',        primaryAlive && config.isa.enabled,        'primary'],
+        ['partnerIsa', partnerAlive && partnerConfig.isa.enabled, 'partner'],
+        ['cash',       config.cash.enabled,                       null],
+      ];
+      for (const [pot, open, owner] of homes) {
+        const amount = open ? Math.min(unsaved, owner ? Math.max(0, isaRoom[owner]) : Infinity) : 0;
+        if (amount <= 0) continue;
+        balances[pot] += amount;
+        xfersIn[pot]  += amount;
+        if (owner) {
+          isaRoom[owner]        -= amount;
+          isaTransferredIn[pot] += amount;
+        }
+        unsaved       -= amount;
+        bandFillSaved += amount;
+      }
+    }
+
+    // ── Step 5b: ISA and pension annual allowances ────────────────────────
+    // Each person's ISA subscriptions and pension contributions are checked
+    // against their allowances (the taper reads this year's taxable
+    // income). With redirectExcess, the excess moves at the year end from
+    // the last-listed pots first to Cash or a GIA.
+    const redirectTo = allowanceSettings.redirectExcess
+      && (allowanceSettings.redirectTo === 'cash' ? config.cash.enabled : allowanceSettings.redirectTo in costBasis)
+      ? allowanceSettings.redirectTo
+      : null;
+    const redirect = (pots, excess) => {
+      let moved = 0;
+      for (const [pot] of [...pots].reverse()) {
+        const amount = Math.min(excess - moved, Math.max(0, balances[pot]));
+        if (amount <= 0) continue;
+        balances[pot]        -= amount;
+        xfersOut[pot]        += amount;
+        balances[redirectTo] += amount;
+        xfersIn[redirectTo]  += amount;
+        if (redirectTo in costBasis) costBasis[redirectTo] += amount;
+        moved += amount;
+      }
+      return moved;
+    };
+    const allowanceUsage = [];
+    for (const person of partner ? ['primary', 'partner'] : ['primary']) {
+      const owned = type => extraAccounts
+        .filter(a => a.owner === person && a.type === type)
+        .map(a => [a.id, extraContribution[a.id]]);
+      // Transfers in (PCLS, Bed & ISA, DB lump sums) are ISA subscriptions too
+      const isaPots = [
+        person === 'partner' ? ['partnerIsa', partnerIsaContribution] : ['isa', isaContribution],
+        ...owned('lisa'), ...owned('isa'),
+      ].map(([pot, paid]) => [pot, paid + isaTransferredIn[pot]])
+        .filter(([, paid]) => paid > 0);
+      const pensionPots = [
+        person === 'partner' ? ['partnerSipp', partnerSippContribution] : ['sipp', sippContribution],
+        ...owned('sipp'),
+      ].filter(([, paid]) => paid > 0);
+      const lisaPots = lisaAccounts.filter(a => a.owner === person && lisaRequested[a.id] > 0);
+      if (isaPots.length === 0 && pensionPots.length === 0 && lisaPots.length === 0) continue;
+
+      const sum = pots => pots.reduce((total, [, paid]) => total + paid, 0);
+      const isaPaid     = sum(isaPots);
+      const pensionPaid = sum(pensionPots);
+      const income = (person === 'partner' ? partnerTaxable : ownTaxable)
+        + (workplace[person]?.taxableSalary ?? 0);
+      const annual = getPensionAnnualAllowance({
+        thresholdIncome:  income,
+        adjustedIncome:   income + pensionPaid,
+        flexiblyAccessed: flexiblyAccessed[person],
+      }, allowanceSettings);
+      const redirected = {
+        isa:     redirectTo ? redirect(isaPots.filter(([pot]) => !lisaAccounts.some(a => a.id === pot)),
+          Math.max(0, isaPaid - ISA_ALLOWANCE)) : 0,
+        pension: redirectTo ? redirect(pensionPots, Math.max(0, pensionPaid - annual.limit)) : 0,
+      };
+      allowanceUsage.push({
+        person,
+        isa:     { paid: isaPaid, limit: ISA_ALLOWANCE, accounts: isaPots.map(([pot]) => pot) },
+        lisa:    {
+          requested: lisaPots.reduce((total, a) => total + lisaRequested[a.id], 0),
+          limit:     lisaPots.reduce((total, a) => total + extraContribution[a.id], 0),
+          accounts:  lisaPots.map(a => a.id),
+        },
+        pension: { paid: pensionPaid, limit: annual.limit, rule: annual.rule, accounts: pensionPots.map(([pot]) => pot) },
+        redirected,
+      });
+    }
+    sippCrystallised = Math.min(sippCrystallised, Math.max(0, balances.sipp));
+    for (const acct of extraPensions) {
+      extraCrystallised[acct.id] = Math.min(extraCrystallised[acct.id], Math.max(0, balances[acct.id]));
+    }
+
+    // Taxable pension income this year is flexible access (tax-free cash alone is not)
+    if (sippWithdrawn - sippTaxFree + extraTaxable('primary') > 0) flexiblyAccessed.primary = true;
+    if (partnerSippWithdrawn - partnerSippTaxFree + extraTaxable('partner') > 0) flexiblyAccessed.partner = true;
+
+    // Recalculate shortfall/spendingCovered after custom drawdowns and tax so
+    // that extra voluntary withdrawals are counted against spending need and
+    // spending is judged against what actually lands in hand.
+    if (inDrawdownPhase) {
+      shortfall       = Math.max(0, requiredSpending - netIncome);
+      spendingCovered = requiredSpending - shortfall;
+    }
+
+    const partnerNetWorth = partner
+      ? balances.partnerIsa + balances.partnerSipp + sumExtras(balances, a => a.owner === 'partner')
+      : 0;
     const totalNetWorth = Math.max(0,
       balances.isa + balances.sipp + balances.premiumBonds + balances.cash
+      + sumExtras(balances, a => a.owner !== 'partner') + partnerNetWorth
     );
 
     const maxIncome = config.maxIncome ?? null;
@@ -402,6 +1453,7 @@ export function runProjection(config, { debug = false } = {}) {
         inflows: inflowsLed.sipp,  outflows: outflowsLed.sipp,
         transfersIn: xfersIn.sipp, transfersOut: xfersOut.sipp,
         closing: balances.sipp,    reportedWithdrawn: sippWithdrawn,
+        crystallised: sippCrystallised,
       },
       premiumBonds: {
         opening: openingBals.premiumBonds, growth: growthAmt.premiumBonds,
@@ -416,6 +1468,28 @@ export function runProjection(config, { debug = false } = {}) {
         closing: balances.cash,    reportedWithdrawn: cashWithdrawn,
       },
     };
+    if (partner) {
+      for (const [key, withdrawn] of [['partnerIsa', partnerIsaWithdrawn], ['partnerSipp', partnerSippWithdrawn]]) {
+        accounts[key] = {
+          opening: openingBals[key], growth: growthAmt[key],
+          inflows: inflowsLed[key],  outflows: outflowsLed[key],
+          transfersIn: xfersIn[key], transfersOut: xfersOut[key],
+          closing: balances[key],    reportedWithdrawn: withdrawn,
+        };
+      }
+    }
+    for (const { id } of extraAccounts) {
+      accounts[id] = {
+        opening: openingBals[id], growth: growthAmt[id],
+        inflows: inflowsLed[id],  outflows: outflowsLed[id],
+        transfersIn: xfersIn[id], transfersOut: xfersOut[id],
+        closing: balances[id],    reportedWithdrawn: extraWithdrawn[id],
+        ...(id in costBasis && {
+          taxPaid: gainsTaxPaid[id], realisedGains: realisedGain[id], costBasis: costBasis[id],
+        }),
+        ...(id in extraCrystallised && { crystallised: extraCrystallised[id] }),
+      };
+    }
 
     validateYearInvariants({
       accounts,
@@ -423,75 +1497,298 @@ export function runProjection(config, { debug = false } = {}) {
       income: pensionIncome,
       spendNeed: requiredSpending,
       shortfall,
+      tax: incomeTax,
+      taxableIncome,
+      gainsTax: gainsTaxFromIncome,
+      penalty: lisaPenaltyTotal,
       year,
       age,
     });
 
-    const surplus = Math.max(0, totalIncome - requiredSpending);
+    // Band-fill savings are reinvested, not surplus
+    const surplus = Math.max(0, netIncome - requiredSpending - bandFillSaved);
     // surplusDeficit: positive means surplus, negative means deficit (spending not fully met)
-    const surplusDeficit = totalIncome - requiredSpending;
+    const surplusDeficit = netIncome - requiredSpending - bandFillSaved;
+    // Added accounts by type and owner
+    const byTypeOwner = (values, type, owner) =>
+      sumExtras(values, a => a.type === type && (owner === undefined || a.owner === owner));
+    const byOwner = (values, owner) => sumExtras(values, a => a.owner === owner);
+
+    const partnerTotalContributions = partnerIsaContribution + partnerSippContribution
+      + byOwner(extraContribution, 'partner') + byOwner(lisaBonus, 'partner');
+    const partnerTotalGrowth = partner
+      ? growthAmt.partnerIsa + growthAmt.partnerSipp + byOwner(growthAmt, 'partner')
+      : 0;
     const totalContributions =
-      isaContribution + sippContribution + premiumBondsContribution + cashContribution;
+      isaContribution + sippContribution + premiumBondsContribution + cashContribution
+      + byOwner(extraContribution, 'primary') + byOwner(lisaBonus, 'primary') + partnerTotalContributions;
     const totalGrowth =
-      growthAmt.isa + growthAmt.sipp + growthAmt.premiumBonds + growthAmt.cash;
+      growthAmt.isa + growthAmt.sipp + growthAmt.premiumBonds + growthAmt.cash
+      + byOwner(growthAmt, 'primary') + partnerTotalGrowth;
+
+    // Household pot totals (the partner's ISA/SIPP and added accounts added
+    // to the first person's)
+    const isaBalance  = balances.isa  + (partner ? balances.partnerIsa  : 0) + byTypeOwner(balances, 'isa');
+    const sippBalance = balances.sipp + (partner ? balances.partnerSipp : 0) + byTypeOwner(balances, 'sipp');
+    const sippCrystallisedTotal = sippCrystallised + sumExtras(extraCrystallised);
+    const premiumBondsBalance = balances.premiumBonds + byTypeOwner(balances, 'premiumBonds');
+    const cashBalance         = balances.cash + byTypeOwner(balances, 'cash');
+    const isaTotalWithdrawn  = isaWithdrawn  + partnerIsaWithdrawn  + byTypeOwner(extraWithdrawn, 'isa');
+    const sippTotalWithdrawn = sippWithdrawn + partnerSippWithdrawn + byTypeOwner(extraWithdrawn, 'sipp');
+    const premiumBondsTotalWithdrawn = premiumBondsWithdrawn + byTypeOwner(extraWithdrawn, 'premiumBonds');
+    const cashTotalWithdrawn         = cashWithdrawn + byTypeOwner(extraWithdrawn, 'cash');
+    const giaBalance         = byTypeOwner(balances, 'gia');
+    const giaTotalWithdrawn  = byTypeOwner(extraWithdrawn, 'gia');
+    const sippTotalTaxFree   = sippTaxFree + partnerSippTaxFree + sumExtras(extraTaxFree);
+    const sippTotalTax       = sippWithdrawalTax + partnerSippWithdrawalTax + sumExtras(extraTax);
 
     const row = {
       year,
       age,
       phase,
-      isaBalance:          Math.round(balances.isa),
-      sippBalance:         Math.round(balances.sipp),
-      premiumBondsBalance: Math.round(balances.premiumBonds),
-      cashBalance:         Math.round(balances.cash),
+      isaBalance:          Math.round(isaBalance),
+      sippBalance:         Math.round(sippBalance),
+      sippCrystallisedBalance:   Math.round(sippCrystallisedTotal),
+      sippUncrystallisedBalance: Math.round(sippBalance - sippCrystallisedTotal),
+      premiumBondsBalance: Math.round(premiumBondsBalance),
+      cashBalance:         Math.round(cashBalance),
       totalNetWorth:       Math.round(totalNetWorth),
       realTotalNetWorth:   Math.round(totalNetWorth / inflationFactor),
       inflationFactor:     Math.round(inflationFactor * 10000) / 10000,
       // Pre-computed real (inflation-adjusted) values — divide nominal by inflationFactor.
       // Used by UI when displayMode === 'real'.
-      realIsaBalance:           Math.round(balances.isa / inflationFactor),
-      realSippBalance:          Math.round(balances.sipp / inflationFactor),
-      realPremiumBondsBalance:  Math.round(balances.premiumBonds / inflationFactor),
-      realCashBalance:          Math.round(balances.cash / inflationFactor),
-      realIsaWithdrawn:         Math.round(isaWithdrawn / inflationFactor),
-      realSippWithdrawn:        Math.round(sippWithdrawn / inflationFactor),
-      realPremiumBondsWithdrawn:Math.round(premiumBondsWithdrawn / inflationFactor),
-      realCashWithdrawn:        Math.round(cashWithdrawn / inflationFactor),
+      realIsaBalance:           Math.round(isaBalance / inflationFactor),
+      realSippBalance:          Math.round(sippBalance / inflationFactor),
+      realSippCrystallisedBalance:   Math.round(sippCrystallisedTotal / inflationFactor),
+      realSippUncrystallisedBalance: Math.round((sippBalance - sippCrystallisedTotal) / inflationFactor),
+      realPremiumBondsBalance:  Math.round(premiumBondsBalance / inflationFactor),
+      realCashBalance:          Math.round(cashBalance / inflationFactor),
+      realIsaWithdrawn:         Math.round(isaTotalWithdrawn / inflationFactor),
+      realSippWithdrawn:        Math.round(sippTotalWithdrawn / inflationFactor),
+      realPremiumBondsWithdrawn:Math.round(premiumBondsTotalWithdrawn / inflationFactor),
+      realCashWithdrawn:        Math.round(cashTotalWithdrawn / inflationFactor),
       realTotalWithdrawn:       Math.round(totalWithdrawn / inflationFactor),
       realDbIncome:             Math.round(dbIncome / inflationFactor),
       realStateIncome:          Math.round(stateIncome / inflationFactor),
       realTotalPensionIncome:   Math.round(pensionIncome / inflationFactor),
       realTotalIncome:          Math.round(totalIncome / inflationFactor),
+      realIncomeTax:            Math.round(incomeTax / inflationFactor),
+      realNetIncome:            Math.round(netIncome / inflationFactor),
+      realSippWithdrawalTax:    Math.round(sippTotalTax / inflationFactor),
       realRequiredSpending:     Math.round(requiredSpending / inflationFactor),
+      realCoreSpending:         Math.round(coreSpending / inflationFactor),
+      realGoalSpending:         Math.round(goalSpending / inflationFactor),
       realSpendingCovered:      Math.round(spendingCovered / inflationFactor),
       realShortfall:            Math.round(shortfall / inflationFactor),
       realSurplus:              Math.round(surplus / inflationFactor),
       realTotalContributions:   Math.round(totalContributions / inflationFactor),
       realTotalGrowth:          Math.round(totalGrowth / inflationFactor),
-      isaContribution:     Math.round(isaContribution),
-      sippContribution:    Math.round(sippContribution),
-      premiumBondsContribution: Math.round(premiumBondsContribution),
-      cashContribution:    Math.round(cashContribution),
+      isaContribution:     Math.round(isaContribution + partnerIsaContribution + byTypeOwner(extraContribution, 'isa')),
+      sippContribution:    Math.round(sippContribution + partnerSippContribution + byTypeOwner(extraContribution, 'sipp')),
+      premiumBondsContribution: Math.round(premiumBondsContribution + byTypeOwner(extraContribution, 'premiumBonds')),
+      cashContribution:    Math.round(cashContribution + byTypeOwner(extraContribution, 'cash')),
       totalContributions:  Math.round(totalContributions),
       totalGrowth:         Math.round(totalGrowth),
-      isaWithdrawn:        Math.round(isaWithdrawn),
-      sippWithdrawn:       Math.round(sippWithdrawn),
-      premiumBondsWithdrawn: Math.round(premiumBondsWithdrawn),
-      cashWithdrawn:       Math.round(cashWithdrawn),
+      isaWithdrawn:        Math.round(isaTotalWithdrawn),
+      sippWithdrawn:       Math.round(sippTotalWithdrawn),
+      sippTaxFreeWithdrawn: Math.round(sippTotalTaxFree),
+      pclsLumpSum:         Math.round(pclsLumpSum + sumExtras(extraPclsLumpSum)),
+      premiumBondsWithdrawn: Math.round(premiumBondsTotalWithdrawn),
+      cashWithdrawn:       Math.round(cashTotalWithdrawn),
       totalWithdrawn:      Math.round(totalWithdrawn),
       dbIncome:            Math.round(dbIncome),
       stateIncome:         Math.round(stateIncome),
       totalPensionIncome:  Math.round(pensionIncome),
       totalIncome:         Math.round(totalIncome),
+      taxableIncome:       Math.round(taxableIncome),
+      incomeTax:           Math.round(incomeTax),
+      netIncome:           Math.round(netIncome),
+      sippWithdrawalTax:   Math.round(sippTotalTax),
       requiredSpending:    Math.round(requiredSpending),
+      spendingAdjustment,
+      coreSpending:        Math.round(coreSpending),
+      goalSpending:        Math.round(goalSpending),
+      spendingGoals:       spendingGoals.map(g => ({ label: g.label, amount: Math.round(g.amount) })),
+      ...(allowanceUsage.length > 0 && { allowanceUsage }),
       spendingCovered:     Math.round(spendingCovered),
       shortfall:           Math.round(shortfall),
       surplus:             Math.round(surplus),
       surplusDeficit:      Math.round(surplusDeficit),
       realSurplusDeficit:  Math.round(surplusDeficit / inflationFactor),
       excessIncome,
+      isaGrowthRate:       Math.round(rates.isa  * 10000) / 100,
+      sippGrowthRate:      Math.round(rates.sipp * 10000) / 100,
+      cashGrowthRate:      Math.round(rates.cash * 10000) / 100,
+      isaAllocation:       _allocationPercent(getPotAllocation(config, 'isa', age)),
+      sippAllocation:      _allocationPercent(getPotAllocation(config, 'sipp', age)),
+      cashAllocation:      _allocationPercent(getPotAllocation(config, 'cash', age)),
       note:                override.note || '',
     };
 
+    for (const acct of extraAccounts) {
+      const { id } = acct;
+      const values = {
+        [`${id}Balance`]:      balances[id],
+        [`${id}Contribution`]: extraContribution[id],
+        [`${id}Withdrawn`]:    extraWithdrawn[id],
+        [`${id}Growth`]:       growthAmt[id],
+        ...(id in costBasis && {
+          [`${id}CostBasis`]:    costBasis[id],
+          [`${id}RealisedGain`]: realisedGain[id],
+          [`${id}BedAndIsa`]:    bedAndIsa[id],
+        }),
+        ...(acct.type === 'lisa' && {
+          [`${id}Bonus`]:   lisaBonus[id],
+          [`${id}Penalty`]: lisaPenalty[id],
+        }),
+        ...(id in extraCrystallised && {
+          [`${id}CrystallisedBalance`]:   extraCrystallised[id],
+          [`${id}UncrystallisedBalance`]: balances[id] - extraCrystallised[id],
+          [`${id}PclsLumpSum`]:           extraPclsLumpSum[id],
+        }),
+      };
+      for (const [field, value] of Object.entries(values)) {
+        row[field] = Math.round(value);
+        row[_realField(field)] = Math.round(value / inflationFactor);
+      }
+    }
+
+    if (giaAccounts.length > 0) {
+      const gia = {
+        giaBalance,
+        giaContribution: byTypeOwner(extraContribution, 'gia'),
+        giaWithdrawn:    giaTotalWithdrawn,
+        dividendIncome:  sumExtras(dividends),
+        realisedGains:   sumExtras(realisedGain),
+        bedAndIsa:       sumExtras(bedAndIsa),
+        dividendTax,
+        capitalGainsTax,
+      };
+      for (const [field, value] of Object.entries(gia)) {
+        row[field] = Math.round(value);
+        row[_realField(field)] = Math.round(value / inflationFactor);
+      }
+    }
+
+    if (lisaAccounts.length > 0) {
+      const lisa = {
+        lisaBalance:      byTypeOwner(balances, 'lisa'),
+        lisaContribution: byTypeOwner(extraContribution, 'lisa'),
+        lisaBonus:        sumExtras(lisaBonus),
+        lisaWithdrawn:    byTypeOwner(extraWithdrawn, 'lisa'),
+        lisaPenalty:      lisaPenaltyTotal,
+      };
+      for (const [field, value] of Object.entries(lisa)) {
+        row[field] = Math.round(value);
+        row[_realField(field)] = Math.round(value / inflationFactor);
+      }
+    }
+
+    if (withdrawalStrategy !== 'ordered') {
+      row.bandFillSaved     = Math.round(bandFillSaved);
+      row.realBandFillSaved = Math.round(bandFillSaved / inflationFactor);
+    }
+
+    if (dbCommuting) {
+      const value = dbLumpSum.primary + dbLumpSum.partner;
+      row.dbLumpSum = Math.round(value);
+      row.realDbLumpSum = Math.round(value / inflationFactor);
+    }
+
+    const salaryLinked = isSalaryLinked(config.sipp) || (partner && isSalaryLinked(partnerConfig.sipp))
+      || extraPensions.some(isSalaryLinked);
+    if (salaryLinked) {
+      const fromSalary = field => (workplace.primary?.[field] ?? 0) + (workplace.partner?.[field] ?? 0);
+      const salary = {
+        salary:                   fromSalary('salary'),
+        sippEmployeeContribution: fromSalary('employee'),
+        sippEmployerContribution: fromSalary('employer'),
+        sippReliefAtSource:       fromSalary('reliefAtSource'),
+        sippHigherRateRelief:     fromSalary('higherRateRelief'),
+        sippTaxSaving:            fromSalary('taxSaving'),
+        sippNiSaving:             fromSalary('niSaving'),
+        sippTakeHomeCost:         fromSalary('takeHomeCost'),
+      };
+      for (const [field, value] of Object.entries(salary)) {
+        row[field] = Math.round(value);
+        row[_realField(field)] = Math.round(value / inflationFactor);
+      }
+    }
+
+    if (partner) {
+      const partnerPensionIncome = partnerPension.total + dbLumpSumPaidOut.partner;
+      const partnerIsaOut  = partnerIsaWithdrawn  + byTypeOwner(extraWithdrawn, 'isa', 'partner');
+      const partnerSippOut = partnerSippWithdrawn + byTypeOwner(extraWithdrawn, 'sipp', 'partner');
+      const partnerTotalWithdrawn = partnerIsaWithdrawn + partnerSippWithdrawn + byOwner(extraWithdrawn, 'partner');
+      const partnerTotalIncome = partnerPensionIncome + partnerTotalWithdrawn;
+      const partnerMoney = {
+        partnerIsaBalance:           balances.partnerIsa  + byTypeOwner(balances, 'isa', 'partner'),
+        partnerSippBalance:          balances.partnerSipp + byTypeOwner(balances, 'sipp', 'partner'),
+        partnerNetWorth,
+        partnerTotalContributions,
+        partnerTotalGrowth,
+        partnerIsaWithdrawn:         partnerIsaOut,
+        partnerSippWithdrawn:        partnerSippOut,
+        partnerSippWithdrawalTax:    partnerSippWithdrawalTax
+                                     + sumExtras(extraTax, a => a.owner === 'partner'),
+        partnerTotalWithdrawn,
+        partnerDbIncome:             partnerPension.dbIncome,
+        partnerStateIncome:          partnerPension.stateIncome,
+        partnerPensionIncome,
+        partnerTotalIncome,
+        partnerIncomeTax,
+        partnerNetIncome:            partnerTotalIncome - partnerIncomeTax - byOwner(lisaPenalty, 'partner'),
+      };
+      if (giaAccounts.length > 0) {
+        const partnerGia = a => giaOwner(a) === 'partner';
+        Object.assign(partnerMoney, {
+          partnerGiaBalance:      byTypeOwner(balances, 'gia', 'partner'),
+          partnerGiaContribution: byTypeOwner(extraContribution, 'gia', 'partner'),
+          partnerGiaWithdrawn:    byTypeOwner(extraWithdrawn, 'gia', 'partner'),
+          partnerDividendIncome:  sumExtras(dividends, partnerGia),
+          partnerRealisedGains:   sumExtras(realisedGain, partnerGia),
+          partnerBedAndIsa:       sumExtras(bedAndIsa, partnerGia),
+          partnerDividendTax:     gainsTaxBy.partner.dividend,
+          partnerCapitalGainsTax: gainsTaxBy.partner.cgt,
+        });
+      }
+      if (lisaAccounts.length > 0) {
+        Object.assign(partnerMoney, {
+          partnerLisaBalance:      byTypeOwner(balances, 'lisa', 'partner'),
+          partnerLisaContribution: byTypeOwner(extraContribution, 'lisa', 'partner'),
+          partnerLisaBonus:        byTypeOwner(lisaBonus, 'lisa', 'partner'),
+          partnerLisaWithdrawn:    byTypeOwner(extraWithdrawn, 'lisa', 'partner'),
+          partnerLisaPenalty:      byTypeOwner(lisaPenalty, 'lisa', 'partner'),
+        });
+      }
+      if (dbCommuting) partnerMoney.partnerDbLumpSum = dbLumpSum.partner;
+      if (salaryLinked) {
+        const fromSalary = field => workplace.partner?.[field] ?? 0;
+        Object.assign(partnerMoney, {
+          partnerSalary:                   fromSalary('salary'),
+          partnerSippEmployeeContribution: fromSalary('employee'),
+          partnerSippEmployerContribution: fromSalary('employer'),
+          partnerSippReliefAtSource:       fromSalary('reliefAtSource'),
+          partnerSippHigherRateRelief:     fromSalary('higherRateRelief'),
+          partnerSippTaxSaving:            fromSalary('taxSaving'),
+          partnerSippNiSaving:             fromSalary('niSaving'),
+          partnerSippTakeHomeCost:         fromSalary('takeHomeCost'),
+        });
+      }
+      row.partnerAge = partnerAge;
+      for (const [field, value] of Object.entries(partnerMoney)) {
+        row[field] = Math.round(value);
+        row[_realField(field)] = Math.round(value / inflationFactor);
+      }
+      row.partnerIsaContribution      = Math.round(partnerIsaContribution + byTypeOwner(extraContribution, 'isa', 'partner'));
+      row.partnerSippContribution     = Math.round(partnerSippContribution + byTypeOwner(extraContribution, 'sipp', 'partner'));
+      row.partnerSippTaxFreeWithdrawn = Math.round(partnerSippTaxFree
+        + sumExtras(extraTaxFree, a => a.owner === 'partner'));
+      row.partnerTaxableIncome        = Math.round(partnerTaxable);
+    }
+    if (survivorScenario) row.deceased = widowed ? survivorScenario.deceased : null;
+    if (exactAge !== null || partnerExactAge !== null) row.taxYear = formatTaxYear(year);
+
     if (debug) {
       row._debug = {
         accounts,
@@ -510,6 +1807,10 @@ export function runProjection(config, { debug = false } = {}) {
         sippOutflows:          Math.round(outflowsLed.sipp),
         sippWithdrawn:         Math.round(sippWithdrawn),
         sippBalance:           Math.round(balances.sipp),
+        sippCrystallised:      Math.round(sippCrystallised),
+        pclsLumpSum:           Math.round(pclsLumpSum),
+        lsaUsed:               Math.round(lsaUsed),
+        partnerLsaUsed:        Math.round(partnerLsaUsed),
 
         premiumBondsOpening:   Math.round(openingBals.premiumBonds),
         premiumBondsGrowth:    Math.round(growthAmt.premiumBonds * 100) / 100,
@@ -528,10 +1829,16 @@ export function runProjection(config, { debug = false } = {}) {
         dbIncome:              Math.round(dbIncome),
         stateIncome:           Math.round(stateIncome),
         totalPensionIncome:    Math.round(pensionIncome),
+        taxableIncome:         Math.round(taxableIncome),
+        incomeTax:             Math.round(incomeTax),
+        sippWithdrawalTax:     Math.round(sippWithdrawalTax * 100) / 100,
       };
     }
 
     rows.push(row);
+
+    prevInflationFactor = inflationFactor;
+    prevTotalGrowth     = totalGrowth;
   }
 
   return rows;
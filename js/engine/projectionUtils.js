@@ -82,3 +82,147 @@ export function getCashDrawdownAllowed(config, age) {
     : config.retirementAge;
   return age >= startAge;
 }
+
+// ── Contribution indexation ──────────────────────────────────────────────────
+
+/**
+ * How a pot's regular contribution (`contributionIndexation`) moves from
+ * year to year:
+ *   "none"   — the same nominal amount every year
+ *   "cpi"    — with inflation
+ *   "custom" — by `contributionIndexRate` %/yr
+ *   "salary" — with the owner's salary growth (their SIPP's salaryGrowthRate)
+ */
+export const CONTRIBUTION_INDEXATION = ['none', 'cpi', 'custom', 'salary'];
+
+/**
+ * Multiple of a pot's annual contribution paid `years` from now.
+ *
+ * @param {object} pot              Pot or account config
+ * @param {object} ownerConfig      Owner's config (a partner's single-person view for them)
+ * @param {number} years            Years from now
+ * @param {number} [inflationFactor=1]  Cumulative inflation since now
+ * @returns {number}
+ */
+export function getContributionIndexFactor(pot, ownerConfig, years, inflationFactor = 1) {
+  switch (pot.contributionIndexation) {
+    case 'cpi':    return inflationFactor;
+    case 'custom': return Math.pow(1 + (pot.contributionIndexRate || 0) / 100, years);
+    case 'salary': return Math.pow(1 + (ownerConfig.sipp?.salaryGrowthRate || 0) / 100, years);
+    default:       return 1;
+  }
+}
+
+// ── Lifetime ISA ─────────────────────────────────────────────────────────────
+
+/** Lifetime ISA rules: annual subscription cap, government bonus, last age to pay in, penalty-free access age and early-withdrawal charge. */
+export const LISA_ALLOWANCE        = 4000;
+export const LISA_BONUS_RATE       = 0.25;
+export const LISA_CONTRIBUTION_AGE = 50;
+export const LISA_ACCESS_AGE       = 60;
+export const LISA_PENALTY_RATE     = 0.25;
+
+/**
+ * Whether Lifetime ISA drawdown is allowed at a given age.
+ *
+ * Like the ISA, drawdown can start early or late via `drawdownStartAge`.
+ * When `drawdownStartAge` is null the LISA becomes available from
+ * retirement or LISA_ACCESS_AGE (60), whichever is later, so nothing is
+ * drawn with the early-withdrawal charge unless asked for.
+ *
+ * @param {object} config  Full app state (the LISA under config.lisa)
+ * @param {number} age     Current age
+ * @returns {boolean}
+ */
+export function getLisaDrawdownAllowed(config, age) {
+  if (!config.lisa?.enabled) return false;
+  const startAge = config.lisa.drawdownStartAge != null
+    ? config.lisa.drawdownStartAge
+    : Math.max(config.retirementAge, LISA_ACCESS_AGE);
+  return age >= startAge;
+}
+
+/**
+ * Share of a Lifetime ISA withdrawal lost to the early-withdrawal charge at
+ * `age` (25% before 60, which takes back the bonus and a little more).
+ *
+ * @param {number} age
+ * @returns {number}
+ */
+export function getLisaPenaltyRate(age) {
+  return age < LISA_ACCESS_AGE ? LISA_PENALTY_RATE : 0;
+}
+
+/**
+ * Lifetime ISA subscription allowed in a year: `amount` capped at
+ * LISA_ALLOWANCE, and nothing from LISA_CONTRIBUTION_AGE (50).
+ *
+ * @param {number} amount  Planned subscription (£)
+ * @param {number} age     Holder's age
+ * @returns {number}
+ */
+export function getLisaSubscription(amount, age) {
+  if (age >= LISA_CONTRIBUTION_AGE) return 0;
+  return Math.min(Math.max(0, amount || 0), LISA_ALLOWANCE);
+}
+
+/** Share of an uncrystallised pension withdrawal that is tax-free (UK PCLS / UFPLS). */
+export const PCLS_FRACTION = 0.25;
+
+/** Lump Sum Allowance: the lifetime cap on pension tax-free cash (UK, from 2024/25). */
+export const LUMP_SUM_ALLOWANCE = 268275;
+
+/**
+ * Remaining Lump Sum Allowance available for tax-free cash.
+ *
+ * @param {object} sipp    SIPP config (`pclsCapAtLsa`, `lumpSumAllowance`)
+ * @param {number} lsaUsed Tax-free cash already taken in earlier years
+ * @returns {number}       Infinity when the cap is switched off
+ */
+export function getLsaRemaining(sipp, lsaUsed) {
+  if (sipp.pclsCapAtLsa === false) return Infinity;
+  return Math.max(0, (sipp.lumpSumAllowance ?? LUMP_SUM_ALLOWANCE) - lsaUsed);
+}
+
+/**
+ * Split a year's SIPP withdrawal into crystallised / uncrystallised sources
+ * and the tax-free element.
+ *
+ * Crystallised (drawdown) funds are drawn first and are fully taxable.
+ * Any remainder comes from uncrystallised funds: when `pclsMode` is "full"
+ * or "ufpls" this is an UFPLS payment, 25% tax-free up to the remaining Lump
+ * Sum Allowance. With `pclsMode` "none" every pound is taxable.
+ *
+ * @param {object} p
+ * @param {number} p.amount         Total SIPP withdrawal this year
+ * @param {number} p.crystallised   Crystallised balance available before the withdrawal
+ * @param {string} p.mode           'none' | 'full' | 'ufpls'
+ * @param {number} p.lsaRemaining   Lump Sum Allowance still available
+ * @returns {{ fromCrystallised: number, fromUncrystallised: number, taxFree: number, taxable: number }}
+ */
+export function splitSippWithdrawal({ amount, crystallised, mode, lsaRemaining }) {
+  const fromCrystallised   = Math.min(Math.max(0, crystallised), amount);
+  const fromUncrystallised = amount - fromCrystallised;
+  const taxFree = mode === 'full' || mode === 'ufpls'
+    ? Math.min(fromUncrystallised * PCLS_FRACTION, lsaRemaining)
+    : 0;
+  return { fromCrystallised, fromUncrystallised, taxFree, taxable: amount - taxFree };
+}
+
+/**
+ * Taxable share of the next pound drawn from the SIPP.
+ *
+ * Used by the gross-up solver, which treats the rest of the year's SIPP draw
+ * as having a single taxable fraction: 100% while crystallised funds remain
+ * (or when tax-free cash is off / the LSA is spent), otherwise 75% (UFPLS).
+ *
+ * @param {number} crystallised  Crystallised balance still available
+ * @param {string} mode          'none' | 'full' | 'ufpls'
+ * @param {number} lsaRemaining  Lump Sum Allowance still available
+ * @returns {number}
+ */
+export function getSippTaxableFraction(crystallised, mode, lsaRemaining) {
+  if (crystallised > 0) return 1;
+  if ((mode === 'full' || mode === 'ufpls') && lsaRemaining > 0) return 1 - PCLS_FRACTION;
+  return 1;
+}
@@ -0,0 +1,240 @@
+/**
+ * spendingStrategy.js — Dynamic retirement spending rules
+ *
+ * Decides each retirement year's spending target (before it is funded from
+ * guaranteed income and the portfolio):
+ *
+ *   "fixed"              — retirementSpending in today's money, rising with inflation
+ *   "guardrails"         — Guyton-Klinger decision rules (below)
+ *   "vpw"                — Variable Percentage Withdrawal (below)
+ *   "constantPercentage" — a fixed % of the opening portfolio each year
+ *
+ * Guyton-Klinger guardrails. The initial withdrawal rate is the portfolio
+ * draw (spending − guaranteed income) ÷ opening portfolio in the first
+ * retirement year that needs a draw. Each later year:
+ *   1. Withdrawal rule — spending rises with inflation, except after a year
+ *      of negative portfolio returns when the current withdrawal rate is
+ *      above the initial rate (the rise is skipped, not made up later).
+ *   2. Capital-preservation rule — if the withdrawal rate is more than
+ *      `upperGuardrail`% above the initial rate, spending is cut by
+ *      `adjustment`%. Not applied in the final `preservationCutoffYears`.
+ *   3. Prosperity rule — if the withdrawal rate is more than
+ *      `lowerGuardrail`% below the initial rate, spending is raised by
+ *      `adjustment`%.
+ *
+ * Percentage policies. Spending is guaranteed income plus a percentage of
+ * the opening portfolio. Under VPW the percentage is the annuity-due payment
+ * that would exhaust the portfolio exactly at endAge at an expected real
+ * return, so it rises with age and reaches 100% in the final year. With
+ * floor-and-ceiling enabled, spending is clamped between a floor and a
+ * ceiling given in today's money.
+ *
+ * Spending schedule. The real (today's money) spending target comes from
+ * retirementSpending, or from age bands when config.spendingPhases is
+ * enabled — e.g. £40k to 75, £32k to 85 and £28k after — so spending can
+ * taper through the "go-go / slow-go / no-go" years. One-off goals
+ * (config.spendingGoals) add to the target in the years they fall due and
+ * are funded on top of whichever rule is in force.
+ *
+ * Each year reports which rule set the spending (`spendingAdjustment` on
+ * projection rows): "initial" | "inflation" | "inflationSkipped" |
+ * "capitalPreservation" | "prosperity" for guardrails, and
+ * "percentage" | "floor" | "ceiling" for the percentage policies.
+ */
+
+export const SPENDING_STRATEGIES = ['fixed', 'guardrails', 'vpw', 'constantPercentage'];
+
+/** Strategies whose portfolio draw is set by a withdrawal percentage. */
+export const PERCENTAGE_STRATEGIES = ['vpw', 'constantPercentage'];
+
+/** Default Guyton-Klinger parameters (merged under config.guardrails). */
+export const DEFAULT_GUARDRAILS = {
+  upperGuardrail:          20,    // % above the initial rate that triggers a cut
+  lowerGuardrail:          20,    // % below the initial rate that triggers a raise
+  adjustment:              10,    // % cut or raise when a guardrail is crossed
+  preservationCutoffYears: 15,    // no cuts in the final N years of the plan
+  skipInflationAfterLoss:  true,  // withdrawal rule
+};
+
+/**
+ * Apply the guardrail rules for one retirement year.
+ *
+ * @param {{ spending: number, initialRate: number|null }|null} prev
+ *   State from the previous retirement year (null in the first)
+ * @param {object} ctx
+ * @param {number} ctx.baseSpending      retirementSpending × inflation factor (first year)
+ * @param {number} ctx.inflationStep     This year's inflation as a multiplier (e.g. 1.025)
+ * @param {number} [ctx.phaseStep=1]     Change in the spending-phase amount since last year
+ * @param {number} ctx.portfolio         Opening portfolio value
+ * @param {number} ctx.guaranteedIncome  DB + State Pension income this year
+ * @param {number} ctx.yearsRemaining    endAge − age
+ * @param {boolean} ctx.priorYearLoss    Portfolio return was negative last year
+ * @param {object} [params]  Overrides for DEFAULT_GUARDRAILS
+ * @returns {{ spending: number, initialRate: number|null, adjustment: string }}
+ */
+export function applyGuardrails(prev, ctx, params = {}) {
+  const p = { ...DEFAULT_GUARDRAILS, ...params };
+  const rateFor = spending => ctx.portfolio > 0
+    ? Math.max(0, spending - ctx.guaranteedIncome) / ctx.portfolio
+    : null;
+
+  if (!prev) {
+    const rate = rateFor(ctx.baseSpending);
+    return { spending: ctx.baseSpending, initialRate: rate > 0 ? rate : null, adjustment: 'initial' };
+  }
+
+  let spending    = prev.spending;
+  let initialRate = prev.initialRate;
+  let adjustment  = 'inflation';
+
+  // 1. Withdrawal rule
+  const rateBeforeInflation = rateFor(spending);
+  if (p.skipInflationAfterLoss && ctx.priorYearLoss && initialRate !== null
+      && rateBeforeInflation !== null && rateBeforeInflation > initialRate) {
+    adjustment = 'inflationSkipped';
+  } else {
+    spending *= ctx.inflationStep;
+  }
+
+  // Moving into a new spending phase scales spending by the band change
+  spending *= ctx.phaseStep ?? 1;
+
+  // Guaranteed income covered spending so far — anchor on the first real draw
+  if (initialRate === null) {
+    const rate = rateFor(spending);
+    return { spending, initialRate: rate > 0 ? rate : null, adjustment };
+  }
+
+  // 2–3. Capital-preservation and prosperity rules
+  const rate = rateFor(spending);
+  if (rate !== null) {
+    if (rate > initialRate * (1 + p.upperGuardrail / 100) && ctx.yearsRemaining > p.preservationCutoffYears) {
+      spending  *= 1 - p.adjustment / 100;
+      adjustment = 'capitalPreservation';
+    } else if (rate < initialRate * (1 - p.lowerGuardrail / 100)) {
+      spending  *= 1 + p.adjustment / 100;
+      adjustment = 'prosperity';
+    }
+  }
+
+  return { spending, initialRate, adjustment };
+}
+
+// ── Spending schedule ────────────────────────────────────────────────────────
+
+/**
+ * Real spending target (today's money) at `age`: the matching spending-phase
+ * band when phases are enabled, otherwise retirementSpending.
+ *
+ * Bands apply while age < toAge; a band with toAge null runs to the end of
+ * the plan, and ages past the last band use its amount.
+ *
+ * @param {object} config
+ * @param {number} age
+ * @returns {number}
+ */
+export function getPhaseSpending(config, age) {
+  const bands = config.spendingPhases?.enabled ? config.spendingPhases.bands ?? [] : [];
+  if (bands.length === 0) return config.retirementSpending;
+  const band = bands.find(b => b.toAge == null || age < b.toAge) ?? bands[bands.length - 1];
+  return band.amount ?? 0;
+}
+
+/**
+ * One-off spending goals falling due in calendar `year`, in today's money.
+ * A goal with repeatYears > 0 recurs every repeatYears from its first year.
+ *
+ * @param {object} config
+ * @param {number} year
+ * @returns {{ label: string, amount: number }[]}
+ */
+export function getSpendingGoals(config, year) {
+  return (config.spendingGoals ?? [])
+    .filter(g => g.amount > 0 && (year === g.year
+      || (g.repeatYears > 0 && year > g.year && (year - g.year) % g.repeatYears === 0)))
+    .map(g => ({ label: g.label || 'Goal', amount: g.amount }));
+}
+
+// ── Percentage policies ──────────────────────────────────────────────────────
+
+/** Default percentage-policy parameters (merged under config.percentageSpending). */
+export const DEFAULT_PERCENTAGE_SPENDING = {
+  rate:         4,      // constant percentage: % of the opening portfolio
+  vpwReturn:    3,      // VPW: expected real return (%)
+  floorCeiling: false,  // clamp spending between floor and ceiling
+  floor:        20000,  // minimum spending (£/yr, today's money)
+  ceiling:      60000,  // maximum spending (£/yr, today's money)
+};
+
+/**
+ * VPW withdrawal fraction for a plan with `years` withdrawals left
+ * (including this one): the annuity-due payment per £1 at `realReturn`%.
+ *
+ * @param {number} years       ≥ 1; the final year returns 1
+ * @param {number} realReturn  Expected real return (%)
+ * @returns {number}  Fraction of the portfolio to withdraw
+ */
+export function getVpwRate(years, realReturn) {
+  if (years <= 1) return 1;
+  const r = realReturn / 100;
+  if (Math.abs(r) < 1e-9) return 1 / years;
+  return r / ((1 + r) * (1 - Math.pow(1 + r, -years)));
+}
+
+/**
+ * Spending for one retirement year under a percentage policy.
+ *
+ * @param {'vpw'|'constantPercentage'} strategy
+ * @param {object} ctx
+ * @param {number} ctx.portfolio         Opening portfolio value
+ * @param {number} ctx.guaranteedIncome  DB + State Pension income this year
+ * @param {number} ctx.yearsRemaining    endAge − age
+ * @param {number} ctx.inflationFactor   Cumulative inflation (for the floor and ceiling)
+ * @param {object} [params]  Overrides for DEFAULT_PERCENTAGE_SPENDING
+ * @returns {{ spending: number, withdrawalRate: number, adjustment: 'percentage'|'floor'|'ceiling' }}
+ */
+export function applyPercentageSpending(strategy, ctx, params = {}) {
+  const p = { ...DEFAULT_PERCENTAGE_SPENDING, ...params };
+  const withdrawalRate = strategy === 'vpw'
+    ? getVpwRate(ctx.yearsRemaining + 1, p.vpwReturn)
+    : p.rate / 100;
+
+  let spending   = ctx.guaranteedIncome + Math.max(0, ctx.portfolio) * withdrawalRate;
+  let adjustment = 'percentage';
+
+  if (p.floorCeiling) {
+    const floor   = p.floor * ctx.inflationFactor;
+    const ceiling = Math.max(floor, p.ceiling * ctx.inflationFactor);
+    if (spending < floor) {
+      spending   = floor;
+      adjustment = 'floor';
+    } else if (spending > ceiling) {
+      spending   = ceiling;
+      adjustment = 'ceiling';
+    }
+  }
+
+  return { spending, withdrawalRate, adjustment };
+}
+
+// ── Summary ──────────────────────────────────────────────────────────────────
+
+/**
+ * Minimum and median real spending a policy delivers over retirement
+ * (spending actually covered, in today's money).
+ *
+ * @param {object[]} rows  Projection rows
+ * @returns {{ min: number, minAge: number, median: number, years: number }|null}
+ *   null when the plan has no retirement years
+ */
+export function summariseSpending(rows) {
+  const retired = rows.filter(r => r.requiredSpending > 0);
+  if (retired.length === 0) return null;
+
+  const minRow = retired.reduce((lo, r) => (r.realSpendingCovered < lo.realSpendingCovered ? r : lo));
+  const sorted = retired.map(r => r.realSpendingCovered).sort((a, b) => a - b);
+  const mid    = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+  return { min: minRow.realSpendingCovered, minAge: minRow.age, median, years: retired.length };
+}
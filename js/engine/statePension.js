@@ -0,0 +1,161 @@
+/**
+ * statePension.js — State Pension forecast, deferral and voluntary years
+ *
+ * Pure functions. The State Pension is either a flat amount
+ * (`statePension.annualIncome`, forecastMode 'amount') or, with forecastMode
+ * 'niRecord', worked out from the National Insurance record:
+ *
+ *   statePension: {
+ *     forecastMode:     'niRecord',   // 'amount' | 'niRecord'
+ *     qualifyingYears:  20,           // qualifying years on the record so far
+ *     voluntaryYears:   0,            // missing years bought with Class 3
+ *     protectedPayment: 0,            // £/yr above the full rate from a pre-2016 record
+ *     deferralYears:    0,            // years the claim is put off after SPA
+ *   }
+ *
+ * Qualifying years are those already on the record, one for each year still
+ * worked before State Pension age (to retirement or SPA, whichever is
+ * first) and any voluntary years. The pension is 1/35 of the full new State
+ * Pension for each year up to 35, and nothing with fewer than 10; a pre-2016
+ * record's protected payment is paid on top. Amounts are in today's money.
+ *
+ * Deferral adds 1% for every 9 weeks the claim is put off (about 5.8% a
+ * year, not compounded) and moves the start age to SPA + deferralYears.
+ * The cost of voluntary years is reported by getVoluntaryYearsValue but is
+ * not taken from the pots.
+ */
+
+/** Full new State Pension, 2024/25 (£221.20/week × 52). */
+export const FULL_STATE_PENSION = 11502;
+
+/** Qualifying years for the full rate, and the minimum for any pension. */
+export const QUALIFYING_YEARS_FULL    = 35;
+export const MINIMUM_QUALIFYING_YEARS = 10;
+
+/** Class 3 voluntary contribution, 2024/25 (£/week). */
+export const CLASS3_WEEKLY_RATE = 17.45;
+
+/** Deferral increase per year deferred: 1% per 9 weeks. */
+export const DEFERRAL_RATE = 52 / 9 / 100;
+
+/** Defaults for the forecast fields (merged under config.statePension). */
+export const DEFAULT_STATE_PENSION_RECORD = {
+  forecastMode:     'amount',
+  qualifyingYears:  20,
+  voluntaryYears:   0,
+  protectedPayment: 0,
+  deferralYears:    0,
+};
+
+/**
+ * Qualifying years at State Pension age.
+ *
+ * @param {object} config  One person's config
+ * @returns {{ earned: number, future: number, voluntary: number, total: number }}
+ */
+export function getQualifyingYears(config) {
+  const sp = { ...DEFAULT_STATE_PENSION_RECORD, ...config.statePension };
+  const earned    = Math.max(0, sp.qualifyingYears || 0);
+  const future    = Math.max(0, Math.min(config.retirementAge, config.statePensionAge) - config.currentAge);
+  const voluntary = Math.max(0, sp.voluntaryYears || 0);
+  return { earned, future, voluntary, total: earned + future + voluntary };
+}
+
+/**
+ * State Pension for a number of qualifying years (£/yr, today's money).
+ *
+ * @param {number} years
+ * @param {number} [protectedPayment=0]
+ * @returns {number}
+ */
+export function statePensionForYears(years, protectedPayment = 0) {
+  if (years < MINIMUM_QUALIFYING_YEARS) return 0;
+  return FULL_STATE_PENSION * Math.min(years, QUALIFYING_YEARS_FULL) / QUALIFYING_YEARS_FULL
+    + Math.max(0, protectedPayment);
+}
+
+/**
+ * State Pension at SPA before any deferral (£/yr, today's money): the flat
+ * amount, or the NI record forecast.
+ *
+ * @param {object} config
+ * @returns {number}
+ */
+export function getStatePensionForecast(config) {
+  const sp = { ...DEFAULT_STATE_PENSION_RECORD, ...config.statePension };
+  if (sp.forecastMode !== 'niRecord') return sp.annualIncome || 0;
+  return statePensionForYears(getQualifyingYears(config).total, sp.protectedPayment);
+}
+
+/**
+ * Age the State Pension is first paid: SPA plus any deferral.
+ *
+ * @param {object} config
+ * @returns {number}
+ */
+export function getStatePensionClaimAge(config) {
+  return config.statePensionAge + Math.max(0, config.statePension?.deferralYears || 0);
+}
+
+/**
+ * State Pension once claimed, with any deferral increase (£/yr, today's
+ * money).
+ *
+ * @param {object} config
+ * @returns {number}
+ */
+export function getStatePensionAmount(config) {
+  const deferral = Math.max(0, config.statePension?.deferralYears || 0);
+  return getStatePensionForecast(config) * (1 + deferral * DEFERRAL_RATE);
+}
+
+/**
+ * What deferring the claim gains, and the age by which the higher pension
+ * has made up for the payments given up (in today's money).
+ *
+ * @param {object} config
+ * @param {number} [years]  Years deferred (default: the configured deferral, else 1)
+ * @returns {{ years: number, claimAge: number, annualIncrease: number, forgone: number, breakEvenAge: number|null }}
+ */
+export function getDeferralBreakEven(config, years = config.statePension?.deferralYears || 1) {
+  const base = getStatePensionForecast(config);
+  const annualIncrease = base * years * DEFERRAL_RATE;
+  const forgone = base * years;
+  const claimAge = config.statePensionAge + years;
+  return {
+    years,
+    claimAge,
+    annualIncrease,
+    forgone,
+    breakEvenAge: annualIncrease > 0 ? claimAge + forgone / annualIncrease : null,
+  };
+}
+
+/**
+ * What buying missing years with Class 3 contributions is worth. With no
+ * voluntary years set, shows the value of buying one.
+ *
+ * @param {object} config
+ * @returns {{ missingYears: number, years: number, cost: number, annualIncrease: number,
+ *             paybackYears: number|null, lifetimeValue: number }}
+ *   missingYears: years short of the full rate without voluntary years;
+ *   lifetimeValue: the extra pension from the claim age to endAge
+ */
+export function getVoluntaryYearsValue(config) {
+  const sp = { ...DEFAULT_STATE_PENSION_RECORD, ...config.statePension };
+  const { earned, future, voluntary } = getQualifyingYears(config);
+  const without = earned + future;
+  const years = voluntary > 0 ? voluntary : 1;
+  const annualIncrease = statePensionForYears(without + years, sp.protectedPayment)
+    - statePensionForYears(without, sp.protectedPayment);
+  const cost = years * CLASS3_WEEKLY_RATE * 52;
+  const paidYears = Math.max(0, config.endAge - getStatePensionClaimAge(config));
+  return {
+    missingYears: Math.max(0, QUALIFYING_YEARS_FULL - without),
+    years,
+    cost,
+    annualIncrease,
+    paybackYears: annualIncrease > 0 ? cost / annualIncrease : null,
+    lifetimeValue: annualIncrease * paidYears,
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * taxEngine.js — UK income tax calculation
+ *
+ * Pure functions. Computes income tax on a year's taxable income using the
+ * configured personal allowance, basic/higher/additional rate bands and the
+ * personal allowance taper above £100k.
+ *
+ * Band thresholds are expressed in base-year £ and can either stay frozen
+ * (fiscal drag) or be indexed with CPI from a configured calendar year.
+ *
+ * Dividends and capital gains (from a GIA) are taxed on top of income:
+ * dividends above the dividend allowance at the dividend rates, then gains
+ * above the annual exempt amount at the CGT rates, each by the band the
+ * amount falls in. The allowance and exempt amount are not indexed.
+ *
+ * Employee National Insurance is only needed for salary sacrifice (the
+ * contribution comes out of pay before NI); its thresholds move with the
+ * income tax bands.
+ */
+
+/** Default thresholds and rates (England, Wales & NI — 2024/25). */
+export const DEFAULT_TAX_CONFIG = {
+  enabled:            true,
+  personalAllowance:  12570,
+  basicRateLimit:     50270,    // Higher-rate threshold (gross income incl. personal allowance)
+  additionalRateLimit: 125140,  // Additional-rate threshold
+  taperThreshold:     100000,   // Allowance reduced by £1 for every £2 above this
+  basicRate:          20,
+  higherRate:         40,
+  additionalRate:     45,
+  // bandIndexation: how thresholds move over time
+  //   "frozen" — thresholds never change in nominal terms
+  //   "cpi"    — thresholds rise with inflation from indexFromYear onwards
+  bandIndexation:     'cpi',
+  indexFromYear:      2028,
+  // Dividends and capital gains (2025/26)
+  dividendAllowance:      500,
+  dividendBasicRate:      8.75,
+  dividendHigherRate:     33.75,
+  dividendAdditionalRate: 39.35,
+  cgtExemptAmount:        3000,
+  cgtBasicRate:           18,
+  cgtHigherRate:          24,
+  // Employee Class 1 National Insurance (2024/25)
+  niPrimaryThreshold:     12570,
+  niUpperEarningsLimit:   50270,
+  niMainRate:             8,
+  niUpperRate:            2,
+};
+
+/**
+ * Resolve the tax bands in force for a given calendar year.
+ *
+ * @param {object} config  Full app state (reads `tax` and `inflationRate`)
+ * @param {number} year    Calendar year being modelled
+ * @returns {{ personalAllowance: number, basicRateLimit: number, additionalRateLimit: number,
+ *             taperThreshold: number, basicRate: number, higherRate: number, additionalRate: number,
+ *             dividendAllowance: number, dividendRates: number[], cgtExemptAmount: number, cgtRates: number[],
+ *             niPrimaryThreshold: number, niUpperEarningsLimit: number, niRates: number[] }}
+ *   dividendRates and cgtRates are [basic, higher, additional] fractions; niRates are [main, upper]
+ */
+export function getTaxBands(config, year) {
+  const tax = { ...DEFAULT_TAX_CONFIG, ...(config.tax || {}) };
+
+  let factor = 1;
+  if (tax.bandIndexation === 'cpi') {
+    const inflationRate = (config.inflationRate ?? 2.5) / 100;
+    const indexedYears  = Math.max(0, year - (tax.indexFromYear ?? year));
+    factor = Math.pow(1 + inflationRate, indexedYears);
+  }
+
+  // The taper threshold is fixed in statute and is not indexed.
+  return {
+    personalAllowance:   tax.personalAllowance   * factor,
+    basicRateLimit:      tax.basicRateLimit      * factor,
+    additionalRateLimit: tax.additionalRateLimit * factor,
+    taperThreshold:      tax.taperThreshold,
+    basicRate:           tax.basicRate      / 100,
+    higherRate:          tax.higherRate     / 100,
+    additionalRate:      tax.additionalRate / 100,
+    dividendAllowance:   tax.dividendAllowance,
+    dividendRates:       [tax.dividendBasicRate, tax.dividendHigherRate, tax.dividendAdditionalRate].map(r => r / 100),
+    cgtExemptAmount:     tax.cgtExemptAmount,
+    cgtRates:            [tax.cgtBasicRate, tax.cgtHigherRate, tax.cgtHigherRate].map(r => r / 100),
+    niPrimaryThreshold:   tax.niPrimaryThreshold   * factor,
+    niUpperEarningsLimit: tax.niUpperEarningsLimit * factor,
+    niRates:             [tax.niMainRate, tax.niUpperRate].map(r => r / 100),
+  };
+}
+
+/**
+ * Personal allowance after the £100k taper.
+ *
+ * @param {number} income  Adjusted net income for the year
+ * @param {object} bands   Output of getTaxBands
+ * @returns {number}
+ */
+export function getPersonalAllowance(income, bands) {
+  const excess = Math.max(0, income - bands.taperThreshold);
+  return Math.max(0, bands.personalAllowance - excess / 2);
+}
+
+/**
+ * Compute income tax due on `income`.
+ *
+ * The basic-rate band width (basicRateLimit − personalAllowance) is preserved
+ * when the allowance is tapered, so higher-rate tax starts earlier for high
+ * earners exactly as it does under HMRC rules.
+ *
+ * @param {number} income  Taxable income for the year (gross, before allowance)
+ * @param {object} bands   Output of getTaxBands
+ * @returns {{ tax: number, personalAllowance: number, taxableIncome: number,
+ *             basicTax: number, higherTax: number, additionalTax: number }}
+ */
+export function computeIncomeTax(income, bands) {
+  const gross = Math.max(0, income || 0);
+  const personalAllowance = getPersonalAllowance(gross, bands);
+  const taxableIncome = Math.max(0, gross - personalAllowance);
+
+  const basicBandWidth  = Math.max(0, bands.basicRateLimit - bands.personalAllowance);
+  const additionalStart = bands.additionalRateLimit;
+
+  const inBasic      = Math.min(taxableIncome, basicBandWidth);
+  const inAdditional = Math.max(0, taxableIncome - additionalStart);
+  const inHigher     = Math.max(0, taxableIncome - inBasic - inAdditional);
+
+  const basicTax      = inBasic      * bands.basicRate;
+  const higherTax     = inHigher     * bands.higherRate;
+  const additionalTax = inAdditional * bands.additionalRate;
+
+  return {
+    tax: basicTax + higherTax + additionalTax,
+    personalAllowance,
+    taxableIncome,
+    basicTax,
+    higherTax,
+    additionalTax,
+  };
+}
+
+// ── Dividends and capital gains ──────────────────────────────────────────────
+
+/**
+ * Tax on `amount` of income stacked from `from` (taxable income, after the
+ * personal allowance) at the given basic / higher / additional rates.
+ */
+function _stackedTax(from, amount, bands, rates) {
+  const basicTop = Math.max(0, bands.basicRateLimit - bands.personalAllowance);
+  const edges = [0, basicTop, Math.max(basicTop, bands.additionalRateLimit), Infinity];
+  let tax = 0;
+  for (let i = 0; i < 3; i++) {
+    const lo = Math.max(from, edges[i]);
+    const hi = Math.min(from + amount, edges[i + 1]);
+    if (hi > lo) tax += (hi - lo) * rates[i];
+  }
+  return tax;
+}
+
+/**
+ * Tax on dividends received on top of `income`. Any personal allowance the
+ * income leaves unused covers dividends first; the dividend allowance is
+ * taxed at 0% but still uses up band.
+ *
+ * @param {number} dividends  Dividends received in the year
+ * @param {number} income     Other taxable income (as for computeIncomeTax)
+ * @param {object} bands      Output of getTaxBands
+ * @returns {number}
+ */
+export function computeDividendTax(dividends, income, bands) {
+  if (!(dividends > 0)) return 0;
+  const gross = Math.max(0, income || 0);
+  const personalAllowance = getPersonalAllowance(gross + dividends, bands);
+  const from     = Math.max(0, gross - personalAllowance);
+  const taxable  = Math.max(0, dividends - Math.max(0, personalAllowance - gross));
+  const allowance = Math.min(taxable, bands.dividendAllowance);
+  return _stackedTax(from + allowance, taxable - allowance, bands, bands.dividendRates);
+}
+
+/**
+ * Capital gains tax on gains realised on top of `income` (income plus
+ * dividends). Gains above the annual exempt amount are taxed at the basic
+ * CGT rate while they fit in the basic-rate band, and the higher rate above.
+ *
+ * @param {number} gains   Net gains realised in the year (losses already offset)
+ * @param {number} income  Taxable income including dividends
+ * @param {object} bands   Output of getTaxBands
+ * @returns {number}
+ */
+export function computeCapitalGainsTax(gains, income, bands) {
+  const taxable = Math.max(0, (gains || 0) - bands.cgtExemptAmount);
+  if (taxable === 0) return 0;
+  const gross = Math.max(0, income || 0);
+  const from  = Math.max(0, gross - getPersonalAllowance(gross, bands));
+  return _stackedTax(from, taxable, bands, bands.cgtRates);
+}
+
+// ── National Insurance ───────────────────────────────────────────────────────
+
+/**
+ * Employee Class 1 National Insurance on a year's earnings: the main rate
+ * between the primary threshold and the upper earnings limit, the upper rate
+ * above it.
+ *
+ * @param {number} earnings  Gross pay for the year
+ * @param {object} bands     Output of getTaxBands
+ * @returns {number}
+ */
+export function computeEmployeeNI(earnings, bands) {
+  const pay = Math.max(0, earnings || 0);
+  const main  = Math.max(0, Math.min(pay, bands.niUpperEarningsLimit) - bands.niPrimaryThreshold);
+  const upper = Math.max(0, pay - Math.max(bands.niPrimaryThreshold, bands.niUpperEarningsLimit));
+  return main * bands.niRates[0] + upper * bands.niRates[1];
+}
+
+/**
+ * Whether income tax modelling is switched on for this config.
+ * Configs without a `tax` block (e.g. saved before tax existed) are untaxed.
+ *
+ * @param {object} config
+ * @returns {boolean}
+ */
+export function isTaxEnabled(config) {
+  return Boolean(config.tax && config.tax.enabled);
+}
@@ -4,42 +4,268 @@
  * Pure function: given pot balances, required withdrawal amount,
  * withdrawal order, and access constraints — returns updated balances
  * and a breakdown of how much came from each pot.
+ *
+ * Tax-aware mode: when a `taxContext` is supplied, `amount` is the NET sum
+ * needed in hand. Draws from taxable pots (SIPP) are grossed up for the
+ * marginal income tax they trigger, so that gross − tax = net.
+ *
+ * A partner's ISA and SIPP are separate pots ("partnerIsa", "partnerSipp")
+ * with their own access flags. Because each person has their own personal
+ * allowance and bands, `baseTaxableIncome` and band-fill limits may be given
+ * per taxable pot ({ sipp, partnerSipp }) instead of as a single number.
+ * Added accounts (accounts.js) are pots keyed by their id; their access is
+ * given in `constraints.accounts`, and `taxContext.owners` maps pots that
+ * share an owner onto one `baseTaxableIncome` entry.
+ *
+ * A pot listed in `constraints.penalties` loses that share of every pound
+ * drawn (a Lifetime ISA before 60). Its draws are grossed up so that what
+ * lands in hand covers `amount`, whether or not tax is modelled; the charge
+ * is reported alongside tax in `tax`.
+ *
+ * Strategies (config.withdrawalStrategy):
+ *   "ordered"               — drain pots strictly in withdrawalOrder
+ *   "fillPersonalAllowance" — draw SIPP up to the personal allowance first,
+ *   "fillBasicRate"           or up to the top of the basic-rate band (even
+ *                             beyond the need), then the other pots in
+ *                             order, then SIPP above target
  */
 
+import { computeIncomeTax } from './taxEngine.js';
+
+/** Constraint flag gating each pot (pots without one are always accessible). */
+const ACCESS_FLAGS = {
+  isa:          'isaDrawdownAllowed',
+  sipp:         'sippAccessAllowed',
+  premiumBonds: 'premiumBondsDrawdownAllowed',
+  cash:         'cashDrawdownAllowed',
+  partnerIsa:   'partnerIsaDrawdownAllowed',
+  partnerSipp:  'partnerSippAccessAllowed',
+};
+
+/** Pots whose withdrawals are taxable income (each belongs to one person). */
+const TAXABLE_POTS = ['sipp', 'partnerSipp'];
+
+/** Whether `pot` may be drawn (added accounts are listed in constraints.accounts). */
+function _accessible(pot, constraints) {
+  const flag = ACCESS_FLAGS[pot];
+  if (flag) return Boolean(constraints[flag]);
+  return constraints.accounts?.[pot] ?? true;
+}
+
+/** Key of `baseTaxableIncome` holding the income of the person who owns `pot`. */
+function _ownerOf(taxContext, pot) {
+  return taxContext?.owners?.[pot] ?? pot;
+}
+
+/** Zeroed per-pot totals covering every balance and every pot in `order`. */
+function _zeroed(balances, order) {
+  const pots = new Set(['isa', 'sipp', 'premiumBonds', 'cash', ...Object.keys(balances), ...order]);
+  return Object.fromEntries([...pots].map(pot => [pot, 0]));
+}
+
+/** Taxable income already received by the owner of `pot`. */
+function _baseFor(base, pot) {
+  return typeof base === 'number' ? base : (base?.[pot] ?? 0);
+}
+
+/** `base` with `amount` more taxable income for the owner of `pot`. */
+function _addBase(base, pot, amount) {
+  return typeof base === 'number' ? base + amount : { ...base, [pot]: _baseFor(base, pot) + amount };
+}
+
+/** Convergence tolerance (£) for the gross-up iteration. */
+const GROSS_UP_TOLERANCE = 0.001;
+const GROSS_UP_MAX_ITERATIONS = 100;
+
 /**
  * Attempt to withdraw `amount` from pots in the given priority order.
  *
- * @param {object} balances        Current pot balances { isa, sipp, premiumBonds, cash }
- * @param {number} amount          Total amount to withdraw
+ * @param {object} balances        Current pot balances { isa, sipp, premiumBonds, cash, partnerIsa?, partnerSipp? }
+ * @param {number} amount          Total amount to withdraw (net of tax when taxContext is given)
  * @param {string[]} order         Withdrawal priority order (pot keys)
- * @param {object} constraints     { isaDrawdownAllowed: bool, sippAccessAllowed: bool, premiumBondsDrawdownAllowed: bool }
- * @returns {{ balances: object, withdrawn: object, shortfall: number }}
+ * @param {object} constraints     { isaDrawdownAllowed: bool, sippAccessAllowed: bool, premiumBondsDrawdownAllowed: bool,
+ *                                   cashDrawdownAllowed: bool, partnerIsaDrawdownAllowed?: bool, partnerSippAccessAllowed?: bool,
+ *                                   accounts?: Record<string, bool>, penalties?: Record<string, number> }
+ * @param {object|null} [taxContext=null]  Enables gross-up for taxable pots
+ * @param {object} [taxContext.bands]            Tax bands (output of getTaxBands); without
+ *   them nothing is grossed up and only owners / taxableFraction are read
+ * @param {number|Record<string, number>} taxContext.baseTaxableIncome
+ *   Taxable income already received this year (per taxable pot for a couple)
+ * @param {Record<string, number>} [taxContext.taxableFraction]
+ *   Share of each pound drawn that is taxable, per pot (default: sipp 1, others 0)
+ * @param {Record<string, string>} [taxContext.owners]
+ *   baseTaxableIncome key for each taxable pot (default: the pot itself)
+ * @param {number} [taxContext.maxGross=Infinity]  Cap on the total gross drawn
+ *   (e.g. the drawdown-rate ceiling)
+ * @returns {{ balances: object, withdrawn: object, tax: object, shortfall: number }}
+ *   `tax` is the income tax (or withdrawal charge) each pot's draw caused;
+ *   `shortfall` is in the same terms as `amount` (net when grossing up).
  */
-export function executeWithdrawal(balances, amount, order, constraints) {
+export function executeWithdrawal(balances, amount, order, constraints, taxContext = null) {
   const newBalances = { ...balances };
-  const withdrawn = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 };
+  const withdrawn = _zeroed(balances, order);
+  const tax       = _zeroed(balances, order);
+  const taxableFraction = { sipp: 1, partnerSipp: 1, ...(taxContext?.taxableFraction || {}) };
+  let baseTaxable = taxContext?.baseTaxableIncome ?? 0;
+  let grossBudget = taxContext?.maxGross ?? Infinity;
   let remaining = amount;
 
   for (const pot of order) {
-    if (remaining <= 0) break;
+    if (remaining <= 0 || grossBudget <= 0) break;
 
     // Check access constraints
-    if (pot === 'isa' && !constraints.isaDrawdownAllowed) continue;
-    if (pot === 'sipp' && !constraints.sippAccessAllowed) continue;
-    if (pot === 'premiumBonds' && !constraints.premiumBondsDrawdownAllowed) continue;
-    if (pot === 'cash' && !constraints.cashDrawdownAllowed) continue;
+    if (!_accessible(pot, constraints)) continue;
+
+    const available = Math.min(Math.max(0, newBalances[pot] || 0), grossBudget);
+    const fraction  = taxContext?.bands ? (taxableFraction[pot] ?? 0) : 0;
 
-    const available = Math.max(0, newBalances[pot] || 0);
-    const take = Math.min(available, remaining);
+    let take;
+    let taxCaused = 0;
+    if (fraction > 0) {
+      const owner = _ownerOf(taxContext, pot);
+      const base  = _baseFor(baseTaxable, owner);
+      take        = grossUp(remaining, available, base, fraction, taxContext.bands);
+      taxCaused   = marginalTax(take, base, fraction, taxContext.bands);
+      baseTaxable = _addBase(baseTaxable, owner, take * fraction);
+    } else if (constraints.penalties?.[pot] > 0) {
+      const rate = constraints.penalties[pot];
+      take      = Math.min(available, remaining / (1 - rate));
+      taxCaused = take * rate;
+    } else {
+      take = Math.min(available, remaining);
+    }
 
     newBalances[pot] -= take;
     withdrawn[pot] += take;
-    remaining -= take;
+    tax[pot]       += taxCaused;
+    grossBudget    -= take;
+    remaining -= take - taxCaused;
   }
 
   return {
     balances: newBalances,
     withdrawn,
+    tax,
     shortfall: Math.max(0, remaining),
   };
 }
+
+export const WITHDRAWAL_STRATEGIES = ['ordered', 'fillPersonalAllowance', 'fillBasicRate'];
+
+/**
+ * Taxable-income target a band-filling strategy draws the SIPP up to.
+ *
+ * @param {string} strategy  One of WITHDRAWAL_STRATEGIES
+ * @param {object} bands     Output of getTaxBands
+ * @returns {number|null}    null for the ordered strategy
+ */
+export function getBandFillTarget(strategy, bands) {
+  if (strategy === 'fillPersonalAllowance') return bands.personalAllowance;
+  if (strategy === 'fillBasicRate')         return bands.basicRateLimit;
+  return null;
+}
+
+/**
+ * Band-filling withdrawal: SIPP first up to `sippLimit` (gross), then the
+ * remaining pots in `order`, then any further SIPP needed above the limit.
+ * For a couple each SIPP fills its owner's band (limits given per pot).
+ * With limits given per pot, every pot listed is a taxable pot; pots with
+ * the same owner (taxContext.owners) share that owner's band.
+ *
+ * Each SIPP is drawn up to its limit even when less is needed, so the band
+ * is used every year. What that draws beyond `amount` (after tax) is
+ * returned as `surplus` for the caller to reinvest.
+ *
+ * @param {object} balances
+ * @param {number} amount
+ * @param {string[]} order
+ * @param {object} constraints
+ * @param {number|Record<string, number>} sippLimit
+ *   Gross SIPP draw that reaches the band target (per taxable pot for a couple)
+ * @param {object|null} [taxContext=null] As for executeWithdrawal
+ * @returns {{ balances: object, withdrawn: object, tax: object, shortfall: number, surplus: number }}
+ */
+export function executeBandFillWithdrawal(balances, amount, order, constraints, sippLimit, taxContext = null) {
+  const taxablePots = order.filter(pot => (typeof sippLimit === 'number' ? TAXABLE_POTS.includes(pot) : pot in sippLimit));
+  if (taxablePots.length === 0) {
+    return { ...executeWithdrawal(balances, amount, order, constraints, taxContext), surplus: 0 };
+  }
+
+  // Taxable income each owner has drawn into their band so far; a later pot
+  // of the same owner only fills what is left.
+  const bandUsed = {};
+  const fractionOf = pot => taxContext?.taxableFraction?.[pot] ?? 1;
+  const stageCap = pot => Math.max(0,
+    _baseFor(sippLimit, pot) - (bandUsed[_ownerOf(taxContext, pot)] ?? 0) / fractionOf(pot));
+
+  const stages = [
+    ...taxablePots.map(pot => ({ order: [pot], cap: () => stageCap(pot), band: true })),
+    { order: order.filter(pot => !taxablePots.includes(pot)), cap: Infinity },
+    { order: taxablePots, cap: Infinity },
+  ];
+
+  const total = {
+    balances:  { ...balances },
+    withdrawn: _zeroed(balances, order),
+    tax:       _zeroed(balances, order),
+    shortfall: amount,
+  };
+  let grossBudget = taxContext?.maxGross ?? Infinity;
+  let baseTaxable = taxContext?.baseTaxableIncome ?? 0;
+
+  for (const stage of stages) {
+    if (grossBudget <= 0) break;
+    // Band stages draw their whole cap; the others only what is still needed
+    if (!stage.band && total.shortfall <= 0) continue;
+
+    const cap = Math.min(typeof stage.cap === 'function' ? stage.cap() : stage.cap, grossBudget);
+    const want = stage.band ? cap : total.shortfall;
+    const result = taxContext?.bands
+      ? executeWithdrawal(total.balances, want, stage.order, constraints,
+          { ...taxContext, baseTaxableIncome: baseTaxable, maxGross: cap })
+      : executeWithdrawal(total.balances, Math.min(want, cap), stage.order, constraints);
+
+    const drawn = Object.values(result.withdrawn).reduce((a, b) => a + b, 0);
+    const taxed = Object.values(result.tax).reduce((a, b) => a + b, 0);
+    for (const pot of Object.keys(total.withdrawn)) {
+      total.withdrawn[pot] += result.withdrawn[pot];
+      total.tax[pot]       += result.tax[pot];
+    }
+    total.balances   = result.balances;
+    total.shortfall -= drawn - taxed;
+    grossBudget     -= drawn;
+    for (const pot of taxablePots) {
+      const owner = _ownerOf(taxContext, pot);
+      baseTaxable = _addBase(baseTaxable, owner, result.withdrawn[pot] * fractionOf(pot));
+      if (stage.band) bandUsed[owner] = (bandUsed[owner] ?? 0) + result.withdrawn[pot] * fractionOf(pot);
+    }
+  }
+
+  total.surplus   = Math.max(0, -total.shortfall);
+  total.shortfall = Math.max(0, total.shortfall);
+  return total;
+}
+
+/**
+ * Extra income tax caused by drawing `gross` from a pot on top of `base`.
+ */
+function marginalTax(gross, base, fraction, bands) {
+  return computeIncomeTax(base + gross * fraction, bands).tax - computeIncomeTax(base, bands).tax;
+}
+
+/**
+ * Find the gross draw whose after-tax value equals `net`, capped at `available`.
+ *
+ * Fixed-point iteration g ← net + tax(g). The map is a contraction because
+ * the effective marginal rate (at most 60% in the allowance taper) is below
+ * 100%, so it converges from g = net within a handful of steps.
+ */
+function grossUp(net, available, base, fraction, bands) {
+  let gross = net;
+  for (let i = 0; i < GROSS_UP_MAX_ITERATIONS; i++) {
+    const next = net + marginalTax(gross, base, fraction, bands);
+    if (Math.abs(next - gross) < GROSS_UP_TOLERANCE) { gross = next; break; }
+    gross = next;
+  }
+  return Math.min(available, gross);
+}
@@ -0,0 +1,95 @@
+/**
+ * workplacePension.js — Pension contributions set from salary
+ *
+ * Pure functions. A SIPP's contributions are either a flat gross amount
+ * (`annualContribution`) or, with contributionMode 'salary', a percentage of
+ * a salary that grows each year:
+ *
+ *   sipp: {
+ *     contributionMode: 'salary',     // 'flat' | 'salary'
+ *     salary:           50000,        // gross salary now (£/yr)
+ *     salaryGrowthRate: 3,            // %/yr, nominal
+ *     employeePercent:  5,            // gross employee contribution, % of salary
+ *     employerPercent:  3,            // % of salary
+ *     reliefMethod:     'reliefAtSource',  // 'reliefAtSource' | 'salarySacrifice'
+ *   }
+ *
+ * Relief at source: the employee pays 80% from take-home pay and the
+ * provider adds basic-rate relief to the pot. Relief above the basic rate
+ * (the tax the contribution saves beyond that) is reclaimed through
+ * self-assessment and lowers the take-home cost but never reaches the pot.
+ *
+ * Salary sacrifice: the employee gives up that much salary and the employer
+ * pays it in gross, so the saving is the income tax and employee National
+ * Insurance on the sacrificed pay. Employers that pass on their own NI
+ * saving are not modelled.
+ *
+ * The employer's contribution costs the employee nothing under either method.
+ */
+
+import { computeIncomeTax, computeEmployeeNI } from './taxEngine.js';
+
+/** How the employee's contribution gets its tax relief. */
+export const RELIEF_METHODS = ['reliefAtSource', 'salarySacrifice'];
+
+/**
+ * Whether a SIPP's contributions are set from salary.
+ *
+ * @param {object} sipp  A SIPP config (config.sipp or the partner's)
+ * @returns {boolean}
+ */
+export function isSalaryLinked(sipp) {
+  return sipp?.contributionMode === 'salary';
+}
+
+/**
+ * Salary `years` from now.
+ *
+ * @param {object} sipp
+ * @param {number} years
+ * @returns {number}
+ */
+export function getSalary(sipp, years) {
+  return (sipp.salary || 0) * Math.pow(1 + (sipp.salaryGrowthRate || 0) / 100, years);
+}
+
+/**
+ * A year's contribution from salary, and what it costs in take-home pay.
+ *
+ * @param {object} sipp   A salary-linked SIPP config
+ * @param {number} years  Years from now (salary growth)
+ * @param {object} bands  Output of getTaxBands for that year
+ * @returns {{ salary: number, taxableSalary: number, employee: number, employer: number, gross: number,
+ *             reliefAtSource: number, higherRateRelief: number, taxSaving: number,
+ *             niSaving: number, takeHomeCost: number }}
+ *   gross is what the pot receives (employee + employer); taxableSalary is
+ *   the salary less the employee's contribution (pay after a sacrifice, or
+ *   the income left after relief); reliefAtSource and higherRateRelief are
+ *   zero under salary sacrifice, whose income tax saving is taxSaving
+ */
+export function getSalaryContribution(sipp, years, bands) {
+  const salary   = getSalary(sipp, years);
+  const employee = salary * Math.max(0, sipp.employeePercent || 0) / 100;
+  const employer = salary * Math.max(0, sipp.employerPercent || 0) / 100;
+  const taxableSalary = salary - employee;
+
+  // Income tax the contribution saves at the employee's marginal rates
+  const taxRelief = computeIncomeTax(salary, bands).tax - computeIncomeTax(taxableSalary, bands).tax;
+
+  if (sipp.reliefMethod === 'salarySacrifice') {
+    const niSaving = computeEmployeeNI(salary, bands) - computeEmployeeNI(taxableSalary, bands);
+    return {
+      salary, taxableSalary, employee, employer, gross: employee + employer,
+      reliefAtSource: 0, higherRateRelief: 0, taxSaving: taxRelief, niSaving,
+      takeHomeCost: employee - taxRelief - niSaving,
+    };
+  }
+
+  const reliefAtSource   = employee * bands.basicRate;
+  const higherRateRelief = Math.max(0, taxRelief - reliefAtSource);
+  return {
+    salary, taxableSalary, employee, employer, gross: employee + employer,
+    reliefAtSource, higherRateRelief, taxSaving: 0, niSaving: 0,
+    takeHomeCost: employee - reliefAtSource - higherRateRelief,
+  };
+}
@@ -1,10 +1,21 @@
 /**
  * localStorageAdapter.js — Persist state to localStorage
+ *
+ * The plan being edited is saved under `fire2_state`; the named scenario
+ * list (scenarios.js), which holds a copy of it, under `fire2_scenarios`.
+ *
+ * A plan or list saved by a newer version is loaded as well as this version
+ * can, and auto-save then writes this version's copy over it. So before
+ * loading, the payload as saved is copied to `<key>_v<version>` (the first
+ * copy for that version is kept), where the newer version can restore it.
  */
 
 import { getState, loadState, subscribe } from './store.js';
+import { isScenarioList } from './scenarios.js';
+import { upgradeState, CURRENT_VERSION } from './migrations.js';
 
-const STORAGE_KEY = 'fire2_state';
+const STORAGE_KEY   = 'fire2_state';
+const SCENARIOS_KEY = 'fire2_scenarios';
 
 /**
  * Save current state to localStorage.
@@ -19,16 +30,24 @@ export function saveToLocalStorage() {
 }
 
 /**
- * Load state from localStorage. Returns true if state was loaded.
+ * Load state from localStorage, upgrading it to the current schema.
+ * Returns true if state was loaded.
+ * @param {(changes: string[]) => void} [onUpgrade]  Called with what the upgrade changed, if anything
  * @returns {boolean}
  */
-export function loadFromLocalStorage() {
+export function loadFromLocalStorage(onUpgrade = () => {}) {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return false;
     const parsed = JSON.parse(raw);
     if (!parsed || parsed.version === undefined) return false;
-    loadState(parsed);
+    const { state, fromVersion, changes } = upgradeState(parsed);
+    if (fromVersion > CURRENT_VERSION) {
+      _keepNewerPayload(STORAGE_KEY, fromVersion, raw);
+      changes.push('The plan as it was saved is kept in this browser, for the newer version');
+    }
+    loadState(state);
+    if (changes.length > 0) onUpgrade(changes);
     return true;
   } catch (e) {
     console.warn('Could not load from localStorage:', e);
@@ -42,3 +61,44 @@ export function loadFromLocalStorage() {
 export function initAutoSave() {
   subscribe(saveToLocalStorage);
 }
+
+/**
+ * Save the scenario list.
+ * @param {object} list
+ */
+export function saveScenarioList(list) {
+  try {
+    localStorage.setItem(SCENARIOS_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn('Could not save scenarios to localStorage:', e);
+  }
+}
+
+/**
+ * Load the scenario list, or null when none is saved. Each scenario's plan
+ * is upgraded to the current schema.
+ * @returns {object|null}
+ */
+export function loadScenarioList() {
+  try {
+    const raw = localStorage.getItem(SCENARIOS_KEY);
+    const parsed = JSON.parse(raw ?? 'null');
+    if (!isScenarioList(parsed)) return null;
+    const upgraded = parsed.scenarios.map(s => ({ scenario: s, ...upgradeState(s.state) }));
+    const newest = Math.max(...upgraded.map(u => u.fromVersion));
+    if (newest > CURRENT_VERSION) _keepNewerPayload(SCENARIOS_KEY, newest, raw);
+    return { ...parsed, scenarios: upgraded.map(({ scenario, state }) => ({ ...scenario, state })) };
+  } catch (e) {
+    console.warn('Could not load scenarios from localStorage:', e);
+    return null;
+  }
+}
+
+/**
+ * Copy a payload saved by a newer schema `version` to a key of its own,
+ * unless one is already kept for that version.
+ */
+function _keepNewerPayload(key, version, raw) {
+  const backupKey = `${key}_v${version}`;
+  if (localStorage.getItem(backupKey) === null) localStorage.setItem(backupKey, raw);
+}
@@ -0,0 +1,338 @@
+/**
+ * migrations.js — Upgrade saved plans to the current state schema
+ *
+ * Every saved plan (localStorage, share links, the scenario list) carries the
+ * `version` of the schema it was written with. upgradeState brings it up to
+ * date in two passes:
+ *
+ *   1. migrate — run the MIGRATIONS steps from the plan's version up to
+ *      CURRENT_VERSION, one version at a time. A step renames, moves or
+ *      removes fields at any depth, year overrides included.
+ *   2. validate — check the result against the schema. DEFAULT_STATE gives
+ *      every field's type and default at every depth; SCHEMA_ENUMS lists the
+ *      allowed values of choice fields. Missing fields take their default,
+ *      values of the wrong type or not allowed are reset to it, and malformed
+ *      list items and overrides are dropped. List items are checked the same
+ *      way against a template for their list (and account type), except that
+ *      missing fields are left to the engine's defaults.
+ *
+ * Both passes report what they changed. store.loadState still fills in
+ * top-level defaults for anything loaded without going through here.
+ *
+ * To change the schema, bump DEFAULT_STATE.version and add a step keyed by
+ * the version being left. Pure functions.
+ */
+
+import { DEFAULT_STATE } from './store.js';
+
+/** Schema version of plans written by this build. */
+export const CURRENT_VERSION = DEFAULT_STATE.version;
+
+/**
+ * Upgrade steps keyed by the version they upgrade from. Each edits the
+ * state in place and returns a description of each change made.
+ */
+export const MIGRATIONS = {
+  // v1 → v2: the old phase 1 drawdown rate becomes the single drawdown rate;
+  // the Premium Bonds lump sum override takes its account key like the others;
+  // a plan saved before income tax was modelled stays untaxed (new plans are
+  // taxed by default)
+  1(state) {
+    return [
+      ..._moveField(state, 'drawdown.phase1Rate', 'drawdown.rate'),
+      ..._renameOverrideField(state, 'premiumBondLumpSum', 'premiumBondsLumpSum'),
+      ..._keepUntaxed(state),
+    ];
+  },
+};
+
+/** Allowed values of choice fields, by path. */
+export const SCHEMA_ENUMS = {
+  'displayMode':                        ['real', 'nominal'],
+  'personView':                         ['household', 'primary', 'partner'],
+  'withdrawalStrategy':                 ['ordered', 'fillPersonalAllowance', 'fillBasicRate'],
+  'spendingStrategy':                   ['fixed', 'guardrails', 'vpw', 'constantPercentage'],
+  'isa.contributionIndexation':         ['none', 'cpi', 'custom', 'salary'],
+  'sipp.contributionIndexation':        ['none', 'cpi', 'custom', 'salary'],
+  'cash.contributionIndexation':        ['none', 'cpi', 'custom', 'salary'],
+  'sipp.contributionMode':              ['flat', 'salary'],
+  'sipp.reliefMethod':                  ['reliefAtSource', 'salarySacrifice'],
+  'sipp.pclsMode':                      ['none', 'full', 'ufpls'],
+  'sipp.pclsDestination':               ['isa', 'cash'],
+  'dbPension.indexation':               ['cpi', 'cpiCapped', 'fixed', 'none'],
+  'statePension.growthModel':           ['real', 'tripleLock', 'custom'],
+  'statePension.forecastMode':          ['amount', 'niRecord'],
+  'partner.isa.contributionIndexation': ['none', 'cpi', 'custom', 'salary'],
+  'partner.sipp.contributionIndexation': ['none', 'cpi', 'custom', 'salary'],
+  'partner.sipp.pclsMode':              ['none', 'ufpls'],
+  'partner.sipp.contributionMode':      ['flat', 'salary'],
+  'partner.sipp.reliefMethod':          ['reliefAtSource', 'salarySacrifice'],
+  'partner.dbPension.indexation':       ['cpi', 'cpiCapped', 'fixed', 'none'],
+  'partner.statePension.forecastMode':  ['amount', 'niRecord'],
+  'survivor.deceased':                  ['primary', 'partner'],
+  'tax.bandIndexation':                 ['frozen', 'cpi'],
+  // List items ([] stands for any index)
+  'accounts[].owner':                   ['primary', 'partner'],
+  'accounts[].contributionIndexation':  ['none', 'cpi', 'custom', 'salary'],
+  'accounts[].contributionMode':        ['flat', 'salary'],
+  'accounts[].reliefMethod':            ['reliefAtSource', 'salarySacrifice'],
+  'accounts[].pclsMode':                ['none', 'full', 'ufpls'],
+  'accounts[].pclsDestination':         ['isa', 'cash'],
+  'dbSchemes[].owner':                  ['primary', 'partner'],
+  'dbSchemes[].indexation':             ['cpi', 'cpiCapped', 'fixed', 'none'],
+};
+
+/** Date fields ('YYYY-MM-DD' or null). */
+const DATE_FIELDS = new Set(['dateOfBirth', 'asOfDate', 'partner.dateOfBirth']);
+
+/**
+ * Lists of objects: whether items need a string `id`, the account types
+ * allowed, and each item's template (field types and reset values, extended
+ * by `byType` for an account of that type).
+ */
+export const OBJECT_LISTS = {
+  'accounts': {
+    id: true,
+    types: ['isa', 'sipp', 'premiumBonds', 'cash', 'gia', 'lisa'],
+    template: {
+      id: '', type: 'isa', name: '', owner: 'primary', enabled: true,
+      balance: 0, growthRate: 0, volatility: null, annualContribution: 0, stopContributionAge: null,
+      contributionIndexation: 'none', contributionIndexRate: 0, drawdownStartAge: null,
+    },
+    byType: {
+      sipp: {
+        accessAge: 57, pclsMode: 'none', pclsAge: 57, pclsDestination: 'isa',
+        contributionMode: 'flat', salary: 0, salaryGrowthRate: 0,
+        employeePercent: 0, employerPercent: 0, reliefMethod: 'reliefAtSource',
+      },
+      gia: { costBasis: null, dividendYield: 0, bedAndIsa: false },
+    },
+  },
+  'dbSchemes': {
+    id: true,
+    template: { ...DEFAULT_STATE.dbPension, annualIncome: 0, id: '', name: '', owner: 'primary', enabled: true },
+  },
+  'spendingGoals': {
+    id: false,
+    template: { label: '', amount: 0, year: 0, repeatYears: 0 },
+  },
+  'spendingPhases.bands': {
+    id: false,
+    template: { toAge: null, amount: 0 },
+  },
+};
+
+// ── Pipeline ──────────────────────────────────────────────────────────────
+
+/**
+ * Bring a saved plan up to the current schema: migrate, then validate.
+ *
+ * @param {object} saved  Parsed plan (not modified)
+ * @returns {{ state: object, fromVersion: number, changes: string[] }}
+ *   changes: what the migrations and validation changed, in order
+ */
+export function upgradeState(saved) {
+  const migrated  = migrateState(saved);
+  const validated = validateState(migrated.state);
+  return {
+    state:       validated.state,
+    fromVersion: migrated.fromVersion,
+    changes:     [...migrated.changes, ...validated.changes],
+  };
+}
+
+/**
+ * Run the migration steps from the plan's version to CURRENT_VERSION.
+ * A plan without a usable version is treated as version 1.
+ *
+ * @param {object} saved  Parsed plan (not modified)
+ * @returns {{ state: object, fromVersion: number, changes: string[] }}
+ */
+export function migrateState(saved) {
+  const state = structuredClone(saved);
+  const fromVersion = Number.isInteger(state.version) && state.version >= 1 ? state.version : 1;
+  const changes = [];
+
+  if (fromVersion > CURRENT_VERSION) {
+    changes.push(`Saved by a newer version (v${fromVersion}); settings this version does not know are ignored`);
+  }
+  for (let version = fromVersion; version < CURRENT_VERSION; version++) {
+    const step = MIGRATIONS[version];
+    if (!step) throw new Error(`No migration from state version ${version}`);
+    changes.push(...step(state).map(change => `v${version} → v${version + 1}: ${change}`));
+  }
+  state.version = CURRENT_VERSION;
+  return { state, fromVersion, changes };
+}
+
+/**
+ * Check a plan against the schema, filling in missing fields and resetting
+ * or dropping invalid ones.
+ *
+ * @param {object} state  Plan at CURRENT_VERSION (not modified)
+ * @returns {{ state: object, changes: string[] }}
+ */
+export function validateState(state) {
+  const changes = [];
+  const result  = _conform(state, DEFAULT_STATE, '', changes);
+  result.version   = CURRENT_VERSION;
+  result.overrides = _conformOverrides(result.overrides, changes);
+  for (const [path, { id, types, template, byType }] of Object.entries(OBJECT_LISTS)) {
+    const list = _get(result, path);
+    if (!Array.isArray(list)) continue;
+    const valid = item => _isPlainObject(item) && (!id || typeof item.id === 'string')
+      && (!types || types.includes(item.type));
+    const kept = list
+      .map((item, i) => (valid(item) ? _conformItem(item, { ...template, ...byType?.[item.type] }, `${path}[${i}]`, changes) : null))
+      .filter(item => item !== null);
+    _set(result, path, kept);
+    if (kept.length < list.length) changes.push(`${path}: dropped ${list.length - kept.length} invalid item(s)`);
+  }
+  if (result.withdrawalOrder.some(key => typeof key !== 'string')) {
+    result.withdrawalOrder = result.withdrawalOrder.filter(key => typeof key === 'string');
+    changes.push('withdrawalOrder: dropped invalid entries');
+  }
+  return { state: result, changes };
+}
+
+// ── Migration helpers ─────────────────────────────────────────────────────
+
+/**
+ * Move the field at path `from` to path `to` (dot-separated). A value
+ * already at `to` wins and the old one is dropped.
+ */
+function _moveField(state, from, to) {
+  const [parentPath, key] = _splitPath(from);
+  const parent = parentPath ? _get(state, parentPath) : state;
+  if (!_isPlainObject(parent) || !(key in parent)) return [];
+  const value = parent[key];
+  delete parent[key];
+  if (_get(state, to) != null) return [`${from} removed (${to} already set)`];
+  _set(state, to, value);
+  return [`${from} moved to ${to}`];
+}
+
+/** Rename a field in every year override. */
+function _renameOverrideField(state, from, to) {
+  const years = Object.entries(state.overrides ?? {})
+    .filter(([, override]) => _isPlainObject(override) && from in override);
+  for (const [, override] of years) {
+    override[to] ??= override[from];
+    delete override[from];
+  }
+  return years.length > 0 ? [`overrides: ${from} renamed ${to} (${years.map(([year]) => year).join(', ')})`] : [];
+}
+
+/** Switch income tax off for a plan saved without a tax block. */
+function _keepUntaxed(state) {
+  if (state.tax !== undefined) return [];
+  state.tax = { enabled: false };
+  return ['income tax was not modelled when this plan was saved, so it stays off (turn it on under Tax)'];
+}
+
+// ── Validation helpers ────────────────────────────────────────────────────
+
+/** `value` conformed to the default `def` at `path`. */
+function _conform(value, def, path, changes) {
+  if (value === undefined) return structuredClone(def);
+
+  const reset = reason => {
+    changes.push(`${path}: ${reason}, reset to ${JSON.stringify(def)}`);
+    return structuredClone(def);
+  };
+
+  if (_isPlainObject(def)) {
+    if (!_isPlainObject(value)) return reset('expected an object');
+    // Fields the schema does not know are kept (e.g. added by a newer version)
+    const result = { ...value };
+    for (const [key, fieldDef] of Object.entries(def)) {
+      result[key] = _conform(value[key], fieldDef, path ? `${path}.${key}` : key, changes);
+    }
+    return result;
+  }
+
+  if (Array.isArray(def)) return Array.isArray(value) ? value : reset('expected a list');
+
+  if (DATE_FIELDS.has(path)) {
+    return value === null || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value))
+      ? value
+      : reset('expected a YYYY-MM-DD date');
+  }
+
+  // Optional fields (null by default) take any plain value
+  if (def === null) return value === null || typeof value !== 'object' ? value : reset('expected a value');
+
+  if (typeof def === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return reset('expected a number');
+    if (number !== value) changes.push(`${path}: converted ${JSON.stringify(value)} to a number`);
+    return number;
+  }
+
+  if (typeof value !== typeof def) return reset(`expected a ${typeof def}`);
+  const allowed = SCHEMA_ENUMS[path.replace(/\[\d+\]/g, '[]')];
+  if (allowed && !allowed.includes(value)) return reset(`unknown option ${JSON.stringify(value)}`);
+  return value;
+}
+
+/**
+ * A list item with each field it has conformed to `template`. Fields it
+ * lacks are left out, for the engine's defaults; fields the template does
+ * not know are kept.
+ */
+function _conformItem(item, template, path, changes) {
+  const result = { ...item };
+  for (const [key, def] of Object.entries(template)) {
+    if (key in item) result[key] = _conform(item[key], def, `${path}.${key}`, changes);
+  }
+  return result;
+}
+
+/**
+ * Overrides keyed by year, each an object of numeric fields (or null) plus
+ * an optional text `note`.
+ */
+function _conformOverrides(overrides, changes) {
+  const result = {};
+  for (const [year, override] of Object.entries(overrides)) {
+    if (!/^\d{4}$/.test(year) || !_isPlainObject(override)) {
+      changes.push(`overrides: dropped invalid entry ${JSON.stringify(year)}`);
+      continue;
+    }
+    result[year] = {};
+    for (const [field, value] of Object.entries(override)) {
+      const valid = field === 'note'
+        ? typeof value === 'string' || value === null
+        : value === null || (typeof value === 'number' && Number.isFinite(value));
+      if (valid) result[year][field] = value;
+      else changes.push(`overrides.${year}.${field}: dropped invalid value ${JSON.stringify(value)}`);
+    }
+  }
+  return result;
+}
+
+// ── Path helpers ──────────────────────────────────────────────────────────
+
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function _splitPath(path) {
+  const i = path.lastIndexOf('.');
+  return i === -1 ? ['', path] : [path.slice(0, i), path.slice(i + 1)];
+}
+
+function _get(obj, path) {
+  return path.split('.').reduce((node, key) => (_isPlainObject(node) ? node[key] : undefined), obj);
+}
+
+/** Set the field at `path`, creating intermediate objects. */
+function _set(obj, path, value) {
+  const [parentPath, key] = _splitPath(path);
+  let node = obj;
+  for (const part of parentPath ? parentPath.split('.') : []) {
+    if (!_isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[key] = value;
+}
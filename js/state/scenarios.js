@@ -0,0 +1,152 @@
+/**
+ * scenarios.js — Named plans ("scenarios") kept alongside the one being edited
+ *
+ * The store (store.js) holds the plan being edited. The scenario list holds
+ * every named plan, that one included, and which one is active:
+ *
+ *   {
+ *     activeId: 'plan1',
+ *     scenarios: [
+ *       { id: 'plan1', name: 'Retire at 55', state: { ...store state } },
+ *       { id: 'plan2', name: 'Retire at 58 + part-time', state: { ... } },
+ *     ],
+ *   }
+ *
+ * The active scenario's state is refreshed from the store as it changes
+ * (syncActiveScenario); switching loads the chosen scenario's state into the
+ * store. Pure functions: each returns a new list. The list is persisted by
+ * localStorageAdapter.js.
+ */
+
+/** File format written by exportScenarios. */
+export const SCENARIO_EXPORT_FORMAT = 'fire2-scenarios';
+
+/**
+ * A list holding just `state`, as the active scenario.
+ *
+ * @param {object} state
+ * @param {string} [name='My plan']
+ * @returns {object}
+ */
+export function createScenarioList(state, name = 'My plan') {
+  return { activeId: 'plan1', scenarios: [{ id: 'plan1', name, state: structuredClone(state) }] };
+}
+
+/**
+ * The active scenario (the first when the active id is unknown).
+ *
+ * @param {object} list
+ * @returns {{ id: string, name: string, state: object }}
+ */
+export function getActiveScenario(list) {
+  return list.scenarios.find(s => s.id === list.activeId) ?? list.scenarios[0];
+}
+
+/**
+ * List with the active scenario's state replaced by `state`.
+ *
+ * @param {object} list
+ * @param {object} state  Current store state
+ * @returns {object}
+ */
+export function syncActiveScenario(list, state) {
+  const { id } = getActiveScenario(list);
+  return {
+    activeId:  id,
+    scenarios: list.scenarios.map(s => (s.id === id ? { ...s, state: structuredClone(state) } : s)),
+  };
+}
+
+/** An id unused by `scenarios`. */
+function _newId(scenarios) {
+  let n = scenarios.length + 1;
+  while (scenarios.some(s => s.id === `plan${n}`)) n++;
+  return `plan${n}`;
+}
+
+/**
+ * List with `id` as the active scenario.
+ *
+ * @param {object} list
+ * @param {string} id
+ * @returns {object}
+ */
+export function switchScenario(list, id) {
+  return list.scenarios.some(s => s.id === id) ? { ...list, activeId: id } : list;
+}
+
+/**
+ * List with a copy of scenario `id` added after it (not made active).
+ *
+ * @param {object} list
+ * @param {string} id
+ * @param {string} [name]  Default: "<name> (copy)"
+ * @returns {{ list: object, id: string }}  The new list and the copy's id
+ */
+export function duplicateScenario(list, id, name) {
+  const index = list.scenarios.findIndex(s => s.id === id);
+  if (index === -1) return { list, id: null };
+  const source = list.scenarios[index];
+  const copy = { id: _newId(list.scenarios), name: name || `${source.name} (copy)`, state: structuredClone(source.state) };
+  const scenarios = [...list.scenarios];
+  scenarios.splice(index + 1, 0, copy);
+  return { list: { ...list, scenarios }, id: copy.id };
+}
+
+/**
+ * List with scenario `id` renamed. A blank name is ignored.
+ *
+ * @param {object} list
+ * @param {string} id
+ * @param {string} name
+ * @returns {object}
+ */
+export function renameScenario(list, id, name) {
+  const trimmed = (name ?? '').trim();
+  if (!trimmed) return list;
+  return { ...list, scenarios: list.scenarios.map(s => (s.id === id ? { ...s, name: trimmed } : s)) };
+}
+
+/**
+ * List without scenario `id`. The last scenario cannot be deleted; deleting
+ * the active one makes its neighbour active.
+ *
+ * @param {object} list
+ * @param {string} id
+ * @returns {object}
+ */
+export function deleteScenario(list, id) {
+  const index = list.scenarios.findIndex(s => s.id === id);
+  if (index === -1 || list.scenarios.length === 1) return list;
+  const scenarios = list.scenarios.filter(s => s.id !== id);
+  const activeId = list.activeId === id ? scenarios[Math.min(index, scenarios.length - 1)].id : list.activeId;
+  return { activeId, scenarios };
+}
+
+/**
+ * The scenario list as a JSON document for download.
+ *
+ * @param {object} list
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export function exportScenarios(list, now = new Date()) {
+  return JSON.stringify({
+    format:    SCENARIO_EXPORT_FORMAT,
+    exported:  now.toISOString(),
+    activeId:  list.activeId,
+    scenarios: list.scenarios,
+  }, null, 2);
+}
+
+/**
+ * Whether `value` is a usable scenario list (e.g. read back from storage).
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isScenarioList(value) {
+  return Boolean(value) && Array.isArray(value.scenarios) && value.scenarios.length > 0
+    && value.scenarios.every(s => typeof s?.id === 'string' && typeof s.name === 'string'
+      && s.state !== null && typeof s.state === 'object');
+}
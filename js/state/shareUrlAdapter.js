@@ -5,6 +5,7 @@
  */
 
 import { getState, loadState } from './store.js';
+import { upgradeState, CURRENT_VERSION } from './migrations.js';
 
 const PARAM = 's';
 
@@ -24,10 +25,15 @@ export function getShareUrl() {
 }
 
 /**
- * Attempt to load state from URL. Returns true if loaded.
+ * Attempt to load state from URL, upgrading links made by older versions to
+ * the current schema. A link made by a newer version is not loaded, since
+ * this version would drop what it does not know; the link stays in the
+ * address bar. Returns true if loaded.
+ * @param {(changes: string[]) => void} [onUpgrade]  Called with what the upgrade changed, if anything
+ * @param {(version: number) => void} [onNewer]  Called with the schema version of a link too new to load
  * @returns {boolean}
  */
-export function loadFromUrl() {
+export function loadFromUrl(onUpgrade = () => {}, onNewer = () => {}) {
   try {
     const params = new URLSearchParams(window.location.search);
     const encoded = params.get(PARAM);
@@ -35,7 +41,13 @@ export function loadFromUrl() {
     const json = decodeURIComponent(escape(atob(encoded)));
     const parsed = JSON.parse(json);
     if (!parsed || parsed.version === undefined) return false;
-    loadState(parsed);
+    if (parsed.version > CURRENT_VERSION) {
+      onNewer(parsed.version);
+      return false;
+    }
+    const { state, changes } = upgradeState(parsed);
+    loadState(state);
+    if (changes.length > 0) onUpgrade(changes);
     // Clean the URL so refreshing doesn't re-apply the param
     const clean = new URL(window.location.href);
     clean.searchParams.delete(PARAM);
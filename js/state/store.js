@@ -8,16 +8,36 @@
 // ── Default state ───────────────────────────────────────────────────────────
 
 export const DEFAULT_STATE = {
-  version: 1,
+  // Schema version — bump it with a new step in migrations.js
+  version: 2,
 
-  // Personal timeline
+  // Personal timeline. With a date of birth ('YYYY-MM-DD') currentAge and
+  // statePensionAge are derived from it and rows follow UK tax years.
+  dateOfBirth: null,
   currentAge: 40,
+  // Date the plan runs from ('YYYY-MM-DD'); set to today when the app first
+  // loads a plan without one, and moved on by "Advance Plan"
+  asOfDate: null,
   retirementAge: 58,
   endAge: 100,
 
   // Spending
   retirementSpending: 35000,
   inflationRate: 2.5,
+  // Age-banded spending (today's £) replacing retirementSpending when enabled.
+  // Each band applies while age < toAge; toAge null runs to the end of the plan.
+  spendingPhases: {
+    enabled: false,
+    bands: [
+      { toAge: 75,   amount: 40000 },   // go-go
+      { toAge: 85,   amount: 32000 },   // slow-go
+      { toAge: null, amount: 28000 },   // no-go
+    ],
+  },
+  // One-off spending goals in retirement (today's £), e.g.
+  //   { label: 'Car', amount: 25000, year: 2032, repeatYears: 8 }
+  //   { label: 'Wedding', amount: 20000, year: 2034, repeatYears: 0 }
+  spendingGoals: [],
 
   // UK State Pension Age
   statePensionAge: 67,
@@ -30,28 +50,70 @@ export const DEFAULT_STATE = {
     enabled: true,
     balance: 75000,
     growthRate: 5,
+    // Annual return volatility (standard deviation, %) for Monte Carlo
+    volatility: 15,
     annualContribution: 10000,
     stopContributionAge: null,
+    // How the contribution moves each year: 'none' (flat) | 'cpi' | 'custom'
+    // (contributionIndexRate %/yr) | 'salary' (the SIPP's salary growth)
+    contributionIndexation: 'none',
+    contributionIndexRate: 0,
     // Age from which drawdown begins (null = same as retirement)
     drawdownStartAge: null,
+    // Equity/bond/cash split sliding linearly from startMix at startAge to
+    // endMix at endAge. When enabled it replaces growthRate with the blended
+    // return of the asset-class assumptions (assetReturns below).
+    glidePath: {
+      enabled: false,
+      startAge: 40, startMix: { equity: 90, bonds: 10, cash: 0 },
+      endAge:   70, endMix:   { equity: 50, bonds: 50, cash: 0 },
+    },
   },
 
   sipp: {
     enabled: true,
     balance: 45000,
     growthRate: 5,
+    volatility: 15,
     annualContribution: 5000,
     stopContributionAge: null,
+    contributionIndexation: 'none',   // as for the ISA (flat contributions only)
+    contributionIndexRate: 0,
+    // Contributions as a flat gross amount ('flat') or set from salary
+    // ('salary' — see engine/workplacePension.js)
+    contributionMode: 'flat',
+    salary: 50000,
+    salaryGrowthRate: 3,
+    employeePercent: 5,
+    employerPercent: 3,
+    reliefMethod: 'reliefAtSource',   // 'reliefAtSource' | 'salarySacrifice'
     // Minimum legal access age (UK NMPA 2028) — used as fallback when drawdownStartAge is null
     accessAge: 57,
     // Age from which drawdown begins (null = same as accessAge / NMPA)
     drawdownStartAge: null,
+    glidePath: {
+      enabled: false,
+      startAge: 40, startMix: { equity: 90, bonds: 10, cash: 0 },
+      endAge:   70, endMix:   { equity: 50, bonds: 50, cash: 0 },
+    },
+    // Pension commencement lump sum (25% tax-free cash)
+    //   "none"  — no tax-free cash; every withdrawal is fully taxable
+    //   "full"  — take the whole 25% at pclsAge; the rest moves into drawdown
+    //   "ufpls" — take it bit by bit: 25% of each withdrawal is tax-free
+    pclsMode: 'none',
+    pclsAge: 57,
+    // Account that receives a "full" lump sum ('isa' | 'cash')
+    pclsDestination: 'isa',
+    // Cap tax-free cash at the Lump Sum Allowance
+    pclsCapAtLsa: true,
+    lumpSumAllowance: 268275,
   },
 
   premiumBonds: {
     enabled: true,
     balance: 50000,
     prizeRate: 3,
+    volatility: 0,
     // Age from which drawdown begins (null = same as retirement)
     drawdownStartAge: null,
     // compoundMode: false = Mode A (prize paid out to cash, balance stays flat)
@@ -63,10 +125,33 @@ export const DEFAULT_STATE = {
     enabled: false,
     balance: 10000,
     growthRate: 2,
+    volatility: 1,
     annualContribution: 0,
     stopContributionAge: null,
+    contributionIndexation: 'none',   // as for the ISA
+    contributionIndexRate: 0,
     // Age from which drawdown begins (null = same as retirement)
     drawdownStartAge: null,
+    glidePath: {
+      enabled: false,
+      startAge: 40, startMix: { equity: 0, bonds: 0, cash: 100 },
+      endAge:   70, endMix:   { equity: 0, bonds: 0, cash: 100 },
+    },
+  },
+
+  // Further accounts beyond the four pots above (a second ISA, a workplace
+  // pension …). Each follows the rules for its type; see engine/accounts.js.
+  //   { id: 'acct1', type: 'isa' | 'sipp' | 'premiumBonds' | 'cash', name, owner: 'primary' | 'partner',
+  //     enabled, balance, growthRate, annualContribution, stopContributionAge, drawdownStartAge,
+  //     contributionIndexation, contributionIndexRate, accessAge, pclsMode }
+  accounts: [],
+
+  // Expected nominal return (%/yr) per asset class, blended by each pot's
+  // glide-path allocation
+  assetReturns: {
+    equity: 7,
+    bonds:  3,
+    cash:   2,
   },
 
   // Pension income streams
@@ -74,8 +159,22 @@ export const DEFAULT_STATE = {
     enabled: true,
     annualIncome: 12000,
     startAge: 65,
+    normalPensionAge: null,    // scheme NPA (null: the start age)
+    earlyReductionPercent: 4,  // % less per year drawn before NPA
+    lateIncreasePercent: 5,    // % more per year drawn after NPA
+    commutationPercent: 0,     // % of the pension exchanged for a tax-free lump sum
+    commutationFactor: 12,     // £ of lump sum per £1 of pension given up
+    lumpSumDestination: 'cash',  // 'cash' | 'isa' | added ISA/Cash/GIA account id
+    indexation: 'cpi',         // 'cpi' | 'cpiCapped' | 'fixed' | 'none'
+    indexationCap: 5,          // % cap for 'cpiCapped'
+    indexationRate: 0,         // %/yr for 'fixed'
+    survivorPercent: 50,       // spouse's pension after your death (% of yours)
   },
 
+  // Further DB schemes, each with the dbPension fields plus
+  //   { id, name, owner: 'primary' | 'partner', enabled }
+  dbSchemes: [],
+
   statePension: {
     enabled: true,
     annualIncome: 11502,   // Full new State Pension 2024/25 (£221.20/week × 52)
@@ -86,6 +185,116 @@ export const DEFAULT_STATE = {
     //   "custom"     — annual increase = customGrowthRate %/yr
     growthModel: 'real',
     customGrowthRate: 2.5,
+    // forecastMode: 'amount' uses annualIncome; 'niRecord' works it out from
+    // qualifying NI years (so far + years worked before SPA + voluntary)
+    forecastMode: 'amount',
+    qualifyingYears: 20,       // qualifying years on your NI record so far
+    voluntaryYears: 0,         // missing years bought with Class 3 contributions
+    protectedPayment: 0,       // £/yr above the full rate from a pre-2016 record
+    deferralYears: 0,          // claim this many years after SPA (+1% per 9 weeks)
+  },
+
+  // Partner (couple plans). Their own ages, ISA, SIPP and pensions; Premium
+  // Bonds, Cash and the spending target are shared with / held by the first
+  // person. Each person is taxed on their own income.
+  partner: {
+    enabled: false,
+    dateOfBirth: null,
+    currentAge: 40,
+    retirementAge: 58,
+    statePensionAge: 67,
+    isa: {
+      enabled: true,
+      balance: 50000,
+      growthRate: 5,
+      annualContribution: 5000,
+      stopContributionAge: null,
+      contributionIndexation: 'none',
+      contributionIndexRate: 0,
+      drawdownStartAge: null,
+    },
+    sipp: {
+      enabled: true,
+      balance: 40000,
+      growthRate: 5,
+      annualContribution: 4000,
+      stopContributionAge: null,
+      contributionIndexation: 'none',
+      contributionIndexRate: 0,
+      accessAge: 57,
+      drawdownStartAge: null,
+      pclsMode: 'none',          // 'none' | 'ufpls' (25% of each draw tax-free)
+      contributionMode: 'flat',  // 'flat' | 'salary' (as for the first person's SIPP)
+      salary: 40000,
+      salaryGrowthRate: 3,
+      employeePercent: 5,
+      employerPercent: 3,
+      reliefMethod: 'reliefAtSource',
+    },
+    dbPension: {
+      enabled: false,
+      annualIncome: 0,
+      startAge: 65,
+      normalPensionAge: null,  // as for the first person's dbPension
+      earlyReductionPercent: 4,
+      lateIncreasePercent: 5,
+      commutationPercent: 0,
+      commutationFactor: 12,
+      lumpSumDestination: 'isa',
+      indexation: 'cpi',
+      indexationCap: 5,
+      indexationRate: 0,
+      survivorPercent: 50,     // spouse's pension after their death (% of theirs)
+    },
+    statePension: {
+      enabled: true,
+      annualIncome: 11502,
+      forecastMode: 'amount',  // as for the first person's statePension
+      qualifyingYears: 20,
+      voluntaryYears: 0,
+      protectedPayment: 0,
+      deferralYears: 0,
+    },
+  },
+  // Survivor scenario (couples): one person dies at deathAge (their own age);
+  // the summary checks the plan on that path. The deceased's ISA/SIPP pass to
+  // the survivor, their State Pension stops and DB schemes pay survivorPercent.
+  survivor: {
+    enabled: false,
+    deceased: 'partner',       // 'primary' | 'partner'
+    deathAge: 80,
+    spendingPercent: 70,       // survivor's spending as % of the couple's
+  },
+  // Whose figures the chart and table show: 'household' | 'primary' | 'partner'
+  personView: 'household',
+
+  // UK income tax (England, Wales & NI bands, 2024/25). Applied to SIPP
+  // withdrawals, DB pension and State Pension income.
+  tax: {
+    enabled: true,
+    personalAllowance: 12570,
+    basicRateLimit: 50270,
+    additionalRateLimit: 125140,
+    // Personal allowance is reduced by £1 for every £2 of income above this
+    taperThreshold: 100000,
+    basicRate: 20,
+    higherRate: 40,
+    additionalRate: 45,
+    // bandIndexation: "frozen" (thresholds never rise) or "cpi" (rise with
+    // inflation from indexFromYear onwards)
+    bandIndexation: 'cpi',
+    indexFromYear: 2028,
+    // Gross up SIPP withdrawals so that spending is met after tax
+    // (otherwise the gross gap is withdrawn and tax shows as a shortfall)
+    grossUpWithdrawals: true,
+  },
+
+  // ISA and pension annual allowances (see engine/allowances.js). Excess
+  // contributions can be moved at the year end to Cash or a GIA ('cash' or
+  // the GIA's account id).
+  allowances: {
+    redirectExcess: false,
+    redirectTo: 'cash',
   },
 
   // Drawdown
@@ -96,7 +305,58 @@ export const DEFAULT_STATE = {
   },
 
   // Withdrawal order (array of pot keys in priority order)
-  withdrawalOrder: ['premiumBonds', 'isa', 'sipp', 'cash'],
+  withdrawalOrder: ['premiumBonds', 'gia', 'isa', 'lisa', 'sipp', 'cash'],
+
+  // withdrawalStrategy: how the spending gap is split across pots
+  //   "ordered"               — strictly follow withdrawalOrder
+  //   "fillPersonalAllowance" — SIPP up to the personal allowance, then the order
+  //   "fillBasicRate"         — SIPP up to the top of the basic-rate band, then the order
+  withdrawalStrategy: 'ordered',
+
+  // Retirement spending rule
+  //   "fixed"              — retirementSpending rising with inflation
+  //   "guardrails"         — Guyton-Klinger: cut/raise spending when the withdrawal
+  //                          rate drifts outside guardrails around the initial rate
+  //   "vpw"                — Variable Percentage Withdrawal: guaranteed income +
+  //                          a % of the portfolio that rises as endAge approaches
+  //   "constantPercentage" — guaranteed income + a fixed % of the portfolio
+  spendingStrategy: 'fixed',
+  guardrails: {
+    upperGuardrail: 20,           // % above the initial withdrawal rate → cut
+    lowerGuardrail: 20,           // % below the initial withdrawal rate → raise
+    adjustment: 10,               // % cut or raise
+    preservationCutoffYears: 15,  // no cuts in the final N years
+    skipInflationAfterLoss: true, // no inflation rise after a losing year
+  },
+  percentageSpending: {
+    rate: 4,                      // constant percentage (%)
+    vpwReturn: 3,                 // VPW expected real return (%)
+    floorCeiling: false,          // clamp spending between floor and ceiling
+    floor: 20000,                 // £/yr, today's money
+    ceiling: 60000,               // £/yr, today's money
+  },
+
+  // Monte Carlo simulation. Each pot's growth rate is the mean annual return
+  // and its `volatility` the standard deviation; correlation rows/columns are
+  // in [isa, sipp, premiumBonds, cash] order. An added account has its own
+  // path, correlated `accountCorrelation` with the built-in pot it follows.
+  monteCarlo: {
+    enabled: false,
+    runs: 1000,
+    seed: 12345,
+    correlation: [
+      [1,   0.9, 0,   0  ],
+      [0.9, 1,   0,   0  ],
+      [0,   0,   1,   0.3],
+      [0,   0,   0.3, 1  ],
+    ],
+    accountCorrelation: 0.9,
+  },
+
+  // Historical rolling-window backtest against data/historicalReturns.json
+  backtest: {
+    enabled: false,
+  },
 
   // Maximum annual income threshold (null = disabled). Years where totalIncome
   // exceeds this value will be flagged with excessIncome in projection rows.
@@ -138,7 +398,8 @@ export function setState(partial) {
  * Replace entire state (e.g., when loading from URL/localStorage).
  * Missing top-level object fields are filled in from DEFAULT_STATE so that
  * accounts always have their required properties (e.g. growthRate) even when
- * loading older saved states that pre-date those fields.
+ * loading older saved states that pre-date those fields. Saved plans should
+ * be passed through upgradeState (migrations.js) first.
  * @param {typeof DEFAULT_STATE} newState
  */
 export function loadState(newState) {
@@ -178,7 +439,7 @@ function _notify() {
 
 /**
  * Set or clear a year override entry.
- * @param {number} year  calendar year
+ * @param {number} year  plan year (a row's `year`)
  * @param {object} data  override fields (null to clear)
  */
 export function setOverride(year, data) {
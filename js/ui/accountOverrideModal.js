@@ -2,14 +2,23 @@
  * accountOverrideModal.js — Per-account lump sum & extra drawdown override modal
  *
  * Opens a modal showing a year-by-year table for a single account (ISA, SIPP,
- * Premium Bonds, or Cash) where the user can set lump sum contributions (In)
- * and extra drawdown overrides (Out) for each year.
+ * Premium Bonds, Cash, the partner's ISA or SIPP, or an added account) where the user can set lump sum
+ * contributions (In) and extra drawdown overrides (Out) for each year. Years
+ * in which this account's contributions break an ISA or pension allowance
+ * carry a warning badge.
  */
 
-import { formatCurrency } from './helpers.js';
+import { formatCurrency, allowanceBadge, escapeHtml } from './helpers.js';
 import { setOverride, subscribe, getState } from '../state/store.js';
 import { runProjection } from '../engine/projectionEngine.js';
-import { getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed } from '../engine/projectionUtils.js';
+import {
+  getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed, getContributionIndexFactor,
+} from '../engine/projectionUtils.js';
+import { getTaxBands } from '../engine/taxEngine.js';
+import { isSalaryLinked, getSalaryContribution } from '../engine/workplacePension.js';
+import { ACCOUNT_TYPES, getExtraAccounts, getAccountDrawdownAllowed } from '../engine/accounts.js';
+import { getPartnerConfig, getPartnerAge } from '../engine/household.js';
+import { getAllowanceWarnings } from '../engine/allowances.js';
 
 export const ACCOUNT_DEFS = [
   {
@@ -32,6 +41,8 @@ export const ACCOUNT_DEFS = [
     lumpSumField:        'sippLumpSum',
     drawdownField:       'sippCustomDrawdown',
     balanceKey:          'sippBalance',
+    crystallisedKey:     'sippCrystallisedBalance',
+    uncrystallisedKey:   'sippUncrystallisedBalance',
     withdrawnKey:        'sippWithdrawn',
     contributionField:   'sippContributionOverride',
     contributionKey:     'sippContribution',
@@ -42,7 +53,7 @@ export const ACCOUNT_DEFS = [
     key:           'premiumBonds',
     label:         'Premium Bonds',
     icon:          '🏆',
-    lumpSumField:  'premiumBondLumpSum',
+    lumpSumField:  'premiumBondsLumpSum',
     drawdownField: 'premiumBondsCustomDrawdown',
     balanceKey:    'premiumBondsBalance',
     withdrawnKey:  'premiumBondsWithdrawn',
@@ -62,13 +73,84 @@ export const ACCOUNT_DEFS = [
   },
 ];
 
+/**
+ * Override definitions for the built-in pots, the partner's ISA and SIPP in a
+ * couple plan, plus each added account. The partner's pots take the same
+ * overrides as the first person's, keyed `partnerIsa…` / `partnerSipp…`. An
+ * added account (other than Premium Bonds) takes the same contribution and
+ * drawdown rate overrides as the built-in pot of its type, read against its
+ * owner's config and ages. An added account's label is its name, HTML-escaped
+ * for the modal markup.
+ *
+ * @param {object} config
+ * @returns {object[]}
+ */
+export function getAccountDefs(config) {
+  return [
+    ...ACCOUNT_DEFS,
+    ..._partnerDefs(config),
+    ...getExtraAccounts(config).map(acct => {
+      const { id } = acct;
+      const byPartner = acct.owner === 'partner';
+      const ownerConfig = byPartner ? getPartnerConfig(config) : config;
+      const ownerAge = age => (byPartner ? getPartnerAge(config, age) : age);
+      return {
+        key:           id,
+        label:         escapeHtml(acct.name),
+        icon:          ACCOUNT_TYPES[acct.type].icon,
+        account:       acct,
+        lumpSumField:  `${id}LumpSum`,
+        drawdownField: `${id}CustomDrawdown`,
+        balanceKey:    `${id}Balance`,
+        withdrawnKey:  `${id}Withdrawn`,
+        ...(acct.type === 'sipp' && {
+          crystallisedKey:   `${id}CrystallisedBalance`,
+          uncrystallisedKey: `${id}UncrystallisedBalance`,
+        }),
+        ...(acct.type !== 'premiumBonds' && {
+          contributionField: `${id}ContributionOverride`,
+          contributionKey:   `${id}Contribution`,
+          drawdownRateField: `${id}DrawdownRateOverride`,
+          drawdownAllowedFn: (_config, age) => getAccountDrawdownAllowed(ownerConfig, acct, ownerAge(age)),
+          contributingFn:    row => ownerAge(row.age) < ownerConfig.retirementAge,
+        }),
+      };
+    }),
+  ];
+}
+
+/** Override definitions for the partner's ISA and SIPP (none without a partner). */
+function _partnerDefs(config) {
+  const partnerConfig = getPartnerConfig(config);
+  if (!partnerConfig) return [];
+  const partnerAge = age => getPartnerAge(config, age);
+  return ACCOUNT_DEFS.filter(def => def.key === 'isa' || def.key === 'sipp').map(def => {
+    const key = def.key === 'isa' ? 'partnerIsa' : 'partnerSipp';
+    return {
+      key,
+      label:             `Partner ${def.label}`,
+      icon:              def.icon,
+      pot:               { ...partnerConfig[def.key], type: def.key, owner: 'partner' },
+      lumpSumField:      `${key}LumpSum`,
+      drawdownField:     `${key}CustomDrawdown`,
+      balanceKey:        `${key}Balance`,
+      withdrawnKey:      `${key}Withdrawn`,
+      contributionField: `${key}ContributionOverride`,
+      contributionKey:   `${key}Contribution`,
+      drawdownRateField: `${key}DrawdownRateOverride`,
+      drawdownAllowedFn: (_config, age) => def.drawdownAllowedFn(partnerConfig, partnerAge(age)),
+      contributingFn:    row => partnerAge(row.age) < partnerConfig.retirementAge,
+    };
+  });
+}
+
 let _activeModal = null;
 let _unsubscribeModal = null;
 
 /**
  * Open the override modal for a specific account.
  *
- * @param {string}   accountKey  One of: 'isa' | 'sipp' | 'premiumBonds' | 'cash'
+ * @param {string}   accountKey  'isa' | 'sipp' | 'premiumBonds' | 'cash' | 'partnerIsa' | 'partnerSipp' or an added account's id
  * @param {object[]} rows        Projection rows from runProjection()
  * @param {object}   config      App state (used for overrides)
  */
@@ -76,7 +158,7 @@ export function openAccountOverrideModal(accountKey, rows, config) {
   // Close any existing modal first
   _closeActiveModal();
 
-  const account = ACCOUNT_DEFS.find(a => a.key === accountKey);
+  const account = getAccountDefs(config).find(a => a.key === accountKey);
   if (!account) return;
 
   const ov = config.overrides || {};
@@ -84,12 +166,19 @@ export function openAccountOverrideModal(accountKey, rows, config) {
   // Whether this account has the extra ISA/SIPP-specific override columns
   const hasContribCols = Boolean(account.contributionField);
 
+  // Whether this account splits its balance into crystallised / uncrystallised (SIPP)
+  const hasCrystallisedCols = Boolean(account.crystallisedKey);
+
   // Build thead
   const theadHTML = `
     <tr>
       <th class="col-year">Year / Age</th>
       <th>Phase</th>
       <th class="col-num">${account.label} Balance</th>
+      ${hasCrystallisedCols
+        ? `<th class="col-num" title="Funds not yet used for tax-free cash or drawdown">Uncrystallised</th>
+           <th class="col-num" title="Funds in drawdown after the tax-free lump sum was taken (fully taxable when drawn)">Crystallised</th>`
+        : ''}
       ${hasContribCols
         ? `<th title="Override the annual contribution to this account for this year (0 = stop contributions)">Contribution (£/yr)</th>
            <th title="Override the portfolio drawdown rate for this year">Drawdown Rate (%)</th>
@@ -101,6 +190,7 @@ export function openAccountOverrideModal(accountKey, rows, config) {
   `;
 
   // Build tbody rows
+  const badges = _allowanceBadges(rows, account.key);
   const tbodyHTML = rows.map(row => {
     const override  = ov[row.year] || {};
     const phase = row.phase === 'retire'
@@ -122,9 +212,10 @@ export function openAccountOverrideModal(accountKey, rows, config) {
                         ? override[account.drawdownRateField]
                         : '';
 
-      // Effective/placeholder contribution for this row
-      const defaultContrib = row.phase === 'accumulate'
-        ? (row[account.contributionKey] || 0)
+      // Projected contribution for this row before any override
+      const contributing = account.contributingFn ? account.contributingFn(row) : row.phase === 'accumulate';
+      const defaultContrib = contributing
+        ? Math.round(_defaultContribution(account, config, row))
         : null;
       const contribPlaceholder = defaultContrib !== null
         ? defaultContrib
@@ -143,7 +234,7 @@ export function openAccountOverrideModal(accountKey, rows, config) {
           <input class="override-input contrib-input" type="number"
             data-year="${row.year}" data-field="${account.contributionField}"
             value="${contribVal}" placeholder="${contribPlaceholder}"
-            ${row.phase === 'retire' ? 'disabled title="Contributions only apply during accumulation phase"' : ''} />
+            ${contributing ? '' : 'disabled title="Contributions only apply during accumulation phase"'} />
         </td>
         <td>
           <input class="override-input rate-input" type="number" min="0" max="100" step="0.1"
@@ -162,9 +253,13 @@ export function openAccountOverrideModal(accountKey, rows, config) {
     const hasOverride = lumpVal || drawdownVal || contribVal !== '' || drawdownRateVal !== '';
     return `
       <tr data-year="${row.year}" class="${hasOverride ? 'has-override' : ''}">
-        <td class="col-year">${row.year} / ${row.age}</td>
+        <td class="col-year">${row.year} / ${row.age} <span class="allowance-badge-slot">${badges[row.year] ?? ''}</span></td>
         <td>${phase}</td>
         <td class="col-num">${formatCurrency(row[account.balanceKey])}</td>
+        ${hasCrystallisedCols
+          ? `<td class="col-num uncrys-cell">${formatCurrency(row[account.uncrystallisedKey])}</td>
+             <td class="col-num crys-cell">${formatCurrency(row[account.crystallisedKey])}</td>`
+          : ''}
         ${extraCols}
         <td>
           <input class="override-input" type="number"
@@ -196,7 +291,7 @@ export function openAccountOverrideModal(accountKey, rows, config) {
   overlay.className = 'acct-modal-overlay';
   overlay.setAttribute('role', 'dialog');
   overlay.setAttribute('aria-modal', 'true');
-  overlay.setAttribute('aria-label', `${account.label} overrides`);
+  overlay.setAttribute('aria-label', `${account.account?.name ?? account.label} overrides`);
   overlay.innerHTML = `
     <div class="acct-modal${hasContribCols ? ' acct-modal-wide' : ''}">
       <div class="acct-modal-header">
@@ -311,11 +406,20 @@ export function openAccountOverrideModal(accountKey, rows, config) {
       const newRows   = runProjection(newConfig);
       const tbody = overlay.querySelector('tbody');
       if (!tbody) return;
+      const newBadges = _allowanceBadges(newRows, account.key);
       newRows.forEach(row => {
         const tr = tbody.querySelector(`tr[data-year="${row.year}"]`);
         if (!tr) return;
+        const badgeSlot = tr.querySelector('.allowance-badge-slot');
+        if (badgeSlot) badgeSlot.innerHTML = newBadges[row.year] ?? '';
         const balanceCell = tr.querySelector('.col-num');
         if (balanceCell) balanceCell.textContent = formatCurrency(row[account.balanceKey]);
+        if (hasCrystallisedCols) {
+          const uncrysCell = tr.querySelector('.uncrys-cell');
+          const crysCell   = tr.querySelector('.crys-cell');
+          if (uncrysCell) uncrysCell.textContent = formatCurrency(row[account.uncrystallisedKey]);
+          if (crysCell)   crysCell.textContent   = formatCurrency(row[account.crystallisedKey]);
+        }
         if (account.drawdownRateField) {
           const drawdownAmountCell = tr.querySelector('.drawdown-amount-cell');
           const drawdownAllowed = account.drawdownAllowedFn
@@ -357,6 +461,36 @@ function _closeActiveModal() {
   }
 }
 
+/**
+ * The regular contribution an account gets in `row`'s year without an
+ * override: from salary, or its annual contribution after indexation, and
+ * nothing from its owner's stop age.
+ */
+function _defaultContribution(account, config, row) {
+  const pot   = account.account ?? account.pot ?? config[account.key];
+  const owner = pot.owner === 'partner' ? getPartnerConfig(config) : config;
+  const age   = pot.owner === 'partner' ? getPartnerAge(config, row.age) : row.age;
+  const years = row.age - config.currentAge;
+  if (pot.stopContributionAge && age >= pot.stopContributionAge) return 0;
+  if ((pot.type ?? account.key) === 'sipp' && isSalaryLinked(pot)) {
+    return getSalaryContribution(pot, years, getTaxBands(config, row.year)).gross;
+  }
+  return (pot.annualContribution || 0) * getContributionIndexFactor(pot, owner, years, row.inflationFactor);
+}
+
+/**
+ * Allowance warning badges by year for the warnings that involve `accountKey`.
+ */
+function _allowanceBadges(rows, accountKey) {
+  const byYear = {};
+  for (const w of getAllowanceWarnings(rows)) {
+    if (!w.accounts.includes(accountKey)) continue;
+    if (!byYear[w.year]) byYear[w.year] = [];
+    byYear[w.year].push(w);
+  }
+  return Object.fromEntries(Object.entries(byYear).map(([year, warnings]) => [year, allowanceBadge(warnings)]));
+}
+
 function _handleEsc(e) {
   if (e.key === 'Escape') _closeActiveModal();
 }
@@ -368,5 +502,5 @@ function _handleEsc(e) {
 function _effectiveDrawdownRate(rateOverride, config) {
   return (rateOverride != null && rateOverride !== 0)
     ? rateOverride
-    : (config.drawdown.rate ?? config.drawdown.phase1Rate ?? 4);
+    : (config.drawdown.rate ?? 4);
 }
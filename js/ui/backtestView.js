@@ -0,0 +1,77 @@
+/**
+ * backtestView.js — Historical rolling-window backtest results
+ *
+ * Shows the cohort success rate, the worst cohort and the median ending
+ * balance, plus one bar per starting year (height = real ending balance,
+ * red = ran short).
+ */
+
+import { formatCurrency } from './helpers.js';
+
+/**
+ * Render backtest results into `container`.
+ *
+ * @param {HTMLElement} container
+ * @param {object|null} result   Output of runBacktest (null = disabled)
+ * @param {object|null} dataset  Parsed historicalReturns.json (for the source note)
+ * @param {object}      [opts]
+ * @param {boolean}     [opts.loading=false]  Dataset still being fetched
+ * @param {string|null} [opts.error=null]     Dataset failed to load
+ */
+export function renderBacktestView(container, result, dataset, { loading = false, error = null } = {}) {
+  if (!container) return;
+
+  if (error) {
+    container.innerHTML = `<p class="outcome-info">Historical data could not be loaded (${error}).</p>`;
+    return;
+  }
+  if (loading) {
+    container.innerHTML = '<p class="outcome-info">Loading historical returns…</p>';
+    return;
+  }
+  if (!result || result.cohorts.length === 0) {
+    container.innerHTML = '<p class="outcome-info">Enable the historical backtest in the sidebar to replay your plan through past market returns and inflation.</p>';
+    return;
+  }
+
+  const { cohorts, successRate, worstCohort, medianEndingBalance, completeCohorts } = result;
+  const first = cohorts[0].startYear;
+  const last  = cohorts[cohorts.length - 1].startYear;
+  const maxEnding = Math.max(1, ...cohorts.map(c => c.endingBalance));
+
+  const worstText = worstCohort.depletionAge !== null
+    ? `${worstCohort.startYear} start — runs short at age ${worstCohort.depletionAge}`
+    : `${worstCohort.startYear} start — ends with ${formatCurrency(worstCohort.endingBalance)}`;
+
+  const bars = cohorts.map(c => `
+    <div class="cohort-bar ${c.success ? '' : 'cohort-bar-failed'}${c.wrapped ? ' cohort-bar-wrapped' : ''}"
+         style="height:${Math.max(2, c.endingBalance / maxEnding * 100).toFixed(1)}%"
+         title="${c.startYear}: ${c.success ? 'funded' : `short from age ${c.depletionAge}`} · ending ${formatCurrency(c.endingBalance)}${c.wrapped ? ' (history wraps around)' : ''}"></div>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="outcome-stats">
+      <div class="outcome-stat">
+        <span class="outcome-stat-label">Cohort success rate</span>
+        <span class="outcome-stat-value">${Math.round(successRate * 100)}%</span>
+      </div>
+      <div class="outcome-stat">
+        <span class="outcome-stat-label">Worst cohort</span>
+        <span class="outcome-stat-value">${worstText}</span>
+      </div>
+      <div class="outcome-stat">
+        <span class="outcome-stat-label">Median ending balance (today's £)</span>
+        <span class="outcome-stat-value">${formatCurrency(medianEndingBalance)}</span>
+      </div>
+    </div>
+    <div class="cohort-chart">
+      <div class="cohort-bars">${bars}</div>
+      <div class="depletion-axis"><span>${first}</span><span>${last}</span></div>
+    </div>
+    <p class="outcome-info">
+      ${cohorts.length} starting years (${first}–${last}); ${completeCohorts} have enough history to cover the whole plan,
+      the rest wrap around to the start of the dataset (hatched).
+      ${dataset?.source ? `<br><em>Data: ${dataset.source}</em>` : ''}
+    </p>
+  `;
+}
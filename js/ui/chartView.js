@@ -7,13 +7,20 @@
  * - SIPP balance
  * - Premium Bonds balance
  * - Cash balance
+ * - Each added account's balance (dashed, in its type's colour)
  *
  * Vertical annotations mark retirement and pension start years.
  * When config.displayMode === 'real', all monetary values are shown
  * in today's purchasing power (inflation-adjusted).
  */
 
-import { toDisplayValue } from './helpers.js';
+import { toDisplayValue, formatAllocation } from './helpers.js';
+import { getExtraAccounts } from '../engine/accounts.js';
+import { getStatePensionClaimAge } from '../engine/statePension.js';
+import { getYearReached } from '../engine/calendar.js';
+
+// Datasets whose pot can carry a glide-path allocation
+const ALLOCATION_KEYS = ['isa', 'sipp', 'cash'];
 
 let _chart = null;
 
@@ -24,15 +31,37 @@ const COLOURS = {
   sipp:         { border: '#d97706', background: 'rgba(217,119,6,0.08)'  },
   premiumBonds: { border: '#9333ea', background: 'rgba(147,51,234,0.08)' },
   cash:         { border: '#64748b', background: 'rgba(100,116,139,0.08)'},
+  gia:          { border: '#0891b2', background: 'rgba(8,145,178,0.08)'  },
+  lisa:         { border: '#db2777', background: 'rgba(219,39,119,0.08)' },
 };
 
+/**
+ * Balance lines drawn on the chart: net worth, the four pot types, then one
+ * line per added account. `key` is the visibility key for the legend.
+ *
+ * @param {object} config
+ * @returns {{ key: string, label: string, field: string, type: string, color: string, dashed: boolean }[]}
+ */
+export function getChartSeries(config) {
+  return [
+    { key: 'total',        label: 'Total Net Worth', field: 'totalNetWorth',       type: 'total' },
+    { key: 'isa',          label: 'ISA',             field: 'isaBalance',          type: 'isa' },
+    { key: 'sipp',         label: 'SIPP',            field: 'sippBalance',         type: 'sipp' },
+    { key: 'premiumBonds', label: 'Premium Bonds',   field: 'premiumBondsBalance', type: 'premiumBonds' },
+    { key: 'cash',         label: 'Cash',            field: 'cashBalance',         type: 'cash' },
+    ...getExtraAccounts(config).map(acct => ({
+      key: acct.id, label: acct.name, field: `${acct.id}Balance`, type: acct.type, dashed: true,
+    })),
+  ].map(series => ({ dashed: false, ...series, color: COLOURS[series.type].border }));
+}
+
 /**
  * Render or update the chart.
  *
  * @param {HTMLCanvasElement} canvas
  * @param {object[]}          rows      Projection rows
  * @param {object}            config    App state
- * @param {object}            visibility  { total, isa, sipp, premiumBonds, cash }
+ * @param {object}            visibility  Series key → shown (see getChartSeries)
  */
 export function renderChart(canvas, rows, config, visibility = {}) {
   // Guard against Chart.js not being loaded
@@ -44,71 +73,27 @@ export function renderChart(canvas, rows, config, visibility = {}) {
   const displayMode = config.displayMode || 'real';
   const isReal = displayMode === 'real';
 
-  const retirementYear = new Date().getFullYear() + (config.retirementAge - config.currentAge);
+  const retirementYear = getYearReached(config, config.retirementAge);
   const dbStartYear    = config.dbPension.enabled
-    ? new Date().getFullYear() + (config.dbPension.startAge - config.currentAge)
+    ? getYearReached(config, config.dbPension.startAge)
     : null;
   const spStartYear    = config.statePension.enabled
-    ? new Date().getFullYear() + (config.statePensionAge - config.currentAge)
+    ? getYearReached(config, getStatePensionClaimAge(config))
     : null;
 
-  const datasets = [
-    {
-      label: 'Total Net Worth',
-      data: rows.map(r => toDisplayValue(r, 'totalNetWorth', displayMode)),
-      borderColor: COLOURS.total.border,
-      backgroundColor: COLOURS.total.background,
-      borderWidth: 2.5,
-      fill: true,
-      tension: 0.3,
-      pointRadius: 0,
-      hidden: !defVis.total,
-    },
-    {
-      label: 'ISA',
-      data: rows.map(r => toDisplayValue(r, 'isaBalance', displayMode)),
-      borderColor: COLOURS.isa.border,
-      backgroundColor: COLOURS.isa.background,
-      borderWidth: 1.5,
-      fill: false,
-      tension: 0.3,
-      pointRadius: 0,
-      hidden: !defVis.isa,
-    },
-    {
-      label: 'SIPP',
-      data: rows.map(r => toDisplayValue(r, 'sippBalance', displayMode)),
-      borderColor: COLOURS.sipp.border,
-      backgroundColor: COLOURS.sipp.background,
-      borderWidth: 1.5,
-      fill: false,
-      tension: 0.3,
-      pointRadius: 0,
-      hidden: !defVis.sipp,
-    },
-    {
-      label: 'Premium Bonds',
-      data: rows.map(r => toDisplayValue(r, 'premiumBondsBalance', displayMode)),
-      borderColor: COLOURS.premiumBonds.border,
-      backgroundColor: COLOURS.premiumBonds.background,
-      borderWidth: 1.5,
-      fill: false,
-      tension: 0.3,
-      pointRadius: 0,
-      hidden: !defVis.premiumBonds,
-    },
-    {
-      label: 'Cash',
-      data: rows.map(r => toDisplayValue(r, 'cashBalance', displayMode)),
-      borderColor: COLOURS.cash.border,
-      backgroundColor: COLOURS.cash.background,
-      borderWidth: 1.5,
-      fill: false,
-      tension: 0.3,
-      pointRadius: 0,
-      hidden: !defVis.cash,
-    },
-  ];
+  const datasets = getChartSeries(config).map(series => ({
+    key:   series.key,
+    label: series.label,
+    data:  rows.map(r => toDisplayValue(r, series.field, displayMode)),
+    borderColor:     series.color,
+    backgroundColor: series.key === 'total' ? COLOURS.total.background : COLOURS[series.type]?.background,
+    borderWidth: series.key === 'total' ? 2.5 : 1.5,
+    ...(series.dashed && { borderDash: [5, 4] }),
+    fill: series.key === 'total',
+    tension: 0.3,
+    pointRadius: 0,
+    hidden: !(defVis[series.key] ?? true),
+  }));
 
   // Vertical annotation lines + phase background shading via inline plugin
   const annotationPlugin = {
@@ -206,6 +191,13 @@ export function renderChart(canvas, rows, config, visibility = {}) {
               const str = abs.toLocaleString('en-GB');
               return ` ${ctx.dataset.label}: ${val < 0 ? '-' : ''}£${str}`;
             },
+            afterLabel(ctx) {
+              const prefix = ALLOCATION_KEYS.includes(ctx.dataset.key) ? ctx.dataset.key : null;
+              const row    = rows[ctx.dataIndex];
+              const allocation = prefix && row?.[`${prefix}Allocation`];
+              if (!allocation) return '';
+              return `    ${formatAllocation(allocation)} · ${row[`${prefix}GrowthRate`]}%/yr`;
+            },
           },
         },
       },
@@ -267,12 +259,12 @@ export function destroyChart() {
 }
 
 /**
- * Toggle visibility of a dataset by label.
- * @param {string} label
+ * Toggle visibility of a dataset by its series key.
+ * @param {string} key
  */
-export function toggleDataset(label) {
+export function toggleDataset(key) {
   if (!_chart) return;
-  const ds = _chart.data.datasets.find(d => d.label === label);
+  const ds = _chart.data.datasets.find(d => d.key === key);
   if (!ds) return;
   ds.hidden = !ds.hidden;
   _chart.update();
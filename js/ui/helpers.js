@@ -14,6 +14,38 @@ export function formatCurrency(value) {
   return (value < 0 ? '-£' : '£') + formatted;
 }
 
+/**
+ * Format a row allocation ({ equity, bonds, cash } in %) for display.
+ * @param {{ equity: number, bonds: number, cash: number }} allocation
+ * @param {boolean} [compact=false]  "78/22/0" instead of the labelled form
+ * @returns {string}
+ */
+export function formatAllocation(allocation, compact = false) {
+  const pct = v => Math.round(v);
+  if (compact) return `${pct(allocation.equity)}/${pct(allocation.bonds)}/${pct(allocation.cash)}`;
+  return `Equity ${pct(allocation.equity)}% · Bonds ${pct(allocation.bonds)}% · Cash ${pct(allocation.cash)}%`;
+}
+
+const SPENDING_ADJUSTMENT_LABELS = {
+  initial:             'Initial spending',
+  inflation:           'Raised with inflation',
+  inflationSkipped:    'Inflation rise skipped after a losing year',
+  capitalPreservation: 'Cut — withdrawal rate above upper guardrail',
+  prosperity:          'Raised — withdrawal rate below lower guardrail',
+  percentage:          'Set by withdrawal percentage',
+  floor:               'Raised to spending floor',
+  ceiling:             'Capped at spending ceiling',
+};
+
+/**
+ * Describe a row's `spendingAdjustment` (the dynamic spending rule that fired).
+ * @param {string|null} adjustment
+ * @returns {string}  Empty when no dynamic rule applies
+ */
+export function describeSpendingAdjustment(adjustment) {
+  return adjustment ? (SPENDING_ADJUSTMENT_LABELS[adjustment] ?? adjustment) : '';
+}
+
 /**
  * Format age as a string.
  * @param {number} age
@@ -23,6 +55,17 @@ export function formatAge(age) {
   return `Age ${age}`;
 }
 
+/**
+ * Format a possibly fractional age (a State Pension age from a date of
+ * birth) in years and months: 66 → "66", 66.5833 → "66y 7m".
+ * @param {number} age
+ * @returns {string}
+ */
+export function formatYearsMonths(age) {
+  const months = Math.round(age * 12);
+  return months % 12 === 0 ? `${months / 12}` : `${Math.floor(months / 12)}y ${months % 12}m`;
+}
+
 /**
  * Return a CSS class based on a numeric value.
  * @param {number} value
@@ -57,3 +100,24 @@ export function toDisplayValue(row, field, displayMode) {
   // Fallback: divide by inflationFactor
   return row.inflationFactor ? row[field] / row.inflationFactor : row[field];
 }
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * A ⚠ badge listing allowance warnings in its tooltip (allowances.js
+ * getAllowanceWarnings), or an empty string when there are none.
+ * @param {{ message: string }[]} warnings
+ * @returns {string}
+ */
+export function allowanceBadge(warnings) {
+  if (!warnings || warnings.length === 0) return '';
+  const title = escapeHtml(warnings.map(w => w.message).join('\n'));
+  return `<span class="badge badge-warning" title="${title}">⚠</span>`;
+}
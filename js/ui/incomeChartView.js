@@ -3,12 +3,21 @@
  *
  * Shows per-year breakdown of income from Retirement Age (including the bridge period):
  *   ISA drawdown | SIPP drawdown | PB drawdown | Cash drawdown | DB pension | State pension
- * Overlaid with a line for required spending.
+ * Overlaid with a line for required spending. Under a dynamic spending rule,
+ * spending phases or one-off goals the line steps between years; guardrail
+ * cuts and raises are marked, and the tooltip breaks spending down into the
+ * core target and each goal.
  * A vertical annotation marks the transition from bridge to guaranteed-income phase.
  * When config.displayMode === 'real', all values are in today's purchasing power.
  */
 
-import { toDisplayValue } from './helpers.js';
+import { toDisplayValue, describeSpendingAdjustment } from './helpers.js';
+
+// Guardrail adjustments marked on the spending line
+const GUARDRAIL_MARKERS = {
+  capitalPreservation: { style: 'triangle', rotation: 180, colour: '#dc2626' },
+  prosperity:          { style: 'triangle', rotation: 0,   colour: '#16a34a' },
+};
 
 let _incomeChart = null;
 
@@ -91,6 +100,11 @@ export function renderIncomeChart(canvas, rows, config) {
   const labels = retRows.map(r => r.year);
   const ageMap = Object.fromEntries(retRows.map(r => [r.year, r.age]));
 
+  const dynamicSpending = retRows.some(r => r.spendingAdjustment);
+  const hasGoals        = retRows.some(r => r.goalSpending > 0);
+  const steppedSpending = dynamicSpending || hasGoals || Boolean(config.spendingPhases?.enabled);
+  const marker = r => GUARDRAIL_MARKERS[r.spendingAdjustment];
+
   const datasets = [
     {
       label: 'ISA',
@@ -143,8 +157,12 @@ export function renderIncomeChart(canvas, rows, config) {
       backgroundColor: 'transparent',
       borderWidth: 2,
       borderDash: [5, 3],
-      pointRadius: 0,
-      tension: 0.2,
+      pointRadius: retRows.map(r => marker(r) ? 5 : 0),
+      pointStyle: retRows.map(r => marker(r)?.style ?? 'circle'),
+      rotation: retRows.map(r => marker(r)?.rotation ?? 0),
+      pointBackgroundColor: retRows.map(r => marker(r)?.colour ?? COLOURS.spending),
+      tension: steppedSpending ? 0 : 0.2,
+      stepped: steppedSpending ? 'middle' : false,
       stack: undefined,
       order: 1,
     },
@@ -175,6 +193,19 @@ export function renderIncomeChart(canvas, rows, config) {
               const str = abs.toLocaleString('en-GB');
               return ` ${ctx.dataset.label}: ${val < 0 ? '-' : ''}£${str}`;
             },
+            footer(items) {
+              const row = retRows[items[0].dataIndex];
+              if (!row) return '';
+              const lines = [];
+              if (dynamicSpending) lines.push(describeSpendingAdjustment(row.spendingAdjustment));
+              // Spending breakdown: core target plus each one-off goal
+              if (row.goalSpending > 0) {
+                const money = v => `£${Math.round(isReal ? v / row.inflationFactor : v).toLocaleString('en-GB')}`;
+                lines.push(`Core spending: ${money(row.coreSpending)}`);
+                for (const goal of row.spendingGoals) lines.push(`${goal.label}: ${money(goal.amount)}`);
+              }
+              return lines.filter(Boolean);
+            },
           },
         },
       },
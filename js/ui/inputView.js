@@ -8,6 +8,13 @@
 import { getState, setState } from '../state/store.js';
 import { openAccountOverrideModal } from './accountOverrideModal.js';
 import { runProjection } from '../engine/projectionEngine.js';
+import { ALLOCATION_POTS, ASSET_CLASSES } from '../engine/assetAllocation.js';
+import { ACCOUNT_TYPES, PARTNER_TYPES, createAccount } from '../engine/accounts.js';
+import { DEFAULT_DB_SCHEME } from '../engine/pensionEngine.js';
+import { DEFAULT_VOLATILITY } from '../engine/monteCarlo.js';
+import { DEFAULT_STATE_PENSION_RECORD } from '../engine/statePension.js';
+import { applyDateOfBirth, getPlanStartYear } from '../engine/calendar.js';
+import { formatYearsMonths, escapeHtml } from './helpers.js';
 
 /**
  * Render the full input sidebar into `container`.
@@ -18,8 +25,571 @@ export function renderInputView(container) {
   attachEventListeners(container);
 }
 
+// Containers whose own (delegated) listeners are already attached — the
+// sidebar is rendered again after the plan is advanced
+const _delegated = new WeakSet();
+
+// Off-diagonal correlation entries editable in the Monte Carlo section
+// (indices follow MC_POTS: isa, sipp, premiumBonds, cash)
+const CORRELATION_PAIRS = [
+  [0, 1, 'ISA ↔ SIPP'],
+  [0, 2, 'ISA ↔ Bonds'],
+  [0, 3, 'ISA ↔ Cash'],
+  [1, 2, 'SIPP ↔ Bonds'],
+  [1, 3, 'SIPP ↔ Cash'],
+  [2, 3, 'Bonds ↔ Cash'],
+];
+
+const POT_LABELS = { isa: 'ISA', sipp: 'SIPP', cash: 'Cash' };
+const ASSET_LABELS = { equity: 'Equity', bonds: 'Bonds', cash: 'Cash' };
+
 // ── HTML builders ─────────────────────────────────────────────────────────
 
+const INDEXATION_LABELS = {
+  none:   'Flat (same £ each year)',
+  cpi:    'Rise with inflation',
+  custom: 'Rise by a custom %',
+  salary: 'Rise with salary growth',
+};
+
+/**
+ * Contribution indexation select and custom rate for a pot. `attrs(field)`
+ * returns the attributes that identify each input (an id or data fields).
+ */
+function buildIndexationHTML(pot, attrs) {
+  const mode = pot?.contributionIndexation || 'none';
+  return `
+    <div class="field-row">
+      <div class="field">
+        <label>Contribution Rises</label>
+        <select ${attrs('contributionIndexation')}>
+          ${Object.entries(INDEXATION_LABELS).map(([value, label]) => `
+          <option value="${value}" ${mode === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="field">
+        <label>Custom Rise (%/yr)</label>
+        <input type="number" ${attrs('contributionIndexRate')} value="${pot?.contributionIndexRate ?? 0}" min="-10" max="20" step="0.1"
+          ${mode === 'custom' ? '' : 'disabled'} />
+      </div>
+    </div>`;
+}
+
+const DB_INDEXATION_LABELS = {
+  cpi:       'CPI',
+  cpiCapped: 'CPI, capped',
+  fixed:     'Fixed %',
+  none:      'None (level)',
+};
+
+/**
+ * A DB scheme's early/late factors, commutation and indexation. `attrs(field)`
+ * returns the attributes that identify each input; `owner` picks the added
+ * accounts offered for the lump sum.
+ */
+function buildDbTermsHTML(s, scheme, attrs, owner = 'primary') {
+  const d = { ...DEFAULT_DB_SCHEME, ...scheme };
+  const destinations = [
+    ['cash', 'Cash'], ['isa', 'ISA'],
+    ...(s.accounts ?? [])
+      .filter(a => ['isa', 'cash', 'gia'].includes(a.type) && (a.owner === 'partner') === (owner === 'partner'))
+      .map(a => [a.id, a.name || ACCOUNT_TYPES[a.type].label]),
+  ];
+  const num = (field, attrsExtra, disabled = false) => `
+        <input type="number" ${attrs(field)} value="${d[field] ?? ''}" ${attrsExtra} ${disabled ? 'disabled' : ''} />`;
+  return `
+    <div class="field-row">
+      <div class="field"><label>Normal Pension Age</label>${num('normalPensionAge', 'min="55" max="75" placeholder="Start age"')}</div>
+      <div class="field"><label>Early Cut (%/yr)</label>${num('earlyReductionPercent', 'min="0" max="20" step="0.5"')}</div>
+      <div class="field"><label>Late Uplift (%/yr)</label>${num('lateIncreasePercent', 'min="0" max="20" step="0.5"')}</div>
+    </div>
+    <div class="field-row">
+      <div class="field"><label>Commute (% of pension)</label>${num('commutationPercent', 'min="0" max="100" step="5"')}</div>
+      <div class="field"><label>Factor (£ per £1)</label>${num('commutationFactor', 'min="0" max="40" step="1"')}</div>
+      <div class="field">
+        <label>Lump Sum To</label>
+        <select ${attrs('lumpSumDestination')}>
+          ${destinations.map(([value, label]) => `
+          <option value="${value}" ${d.lumpSumDestination === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+    <div class="field-row">
+      <div class="field">
+        <label>Indexation</label>
+        <select ${attrs('indexation')}>
+          ${Object.entries(DB_INDEXATION_LABELS).map(([value, label]) => `
+          <option value="${value}" ${d.indexation === value ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="field"><label>Cap (%)</label>${num('indexationCap', 'min="0" max="10" step="0.5"', d.indexation !== 'cpiCapped')}</div>
+      <div class="field"><label>Rate (%/yr)</label>${num('indexationRate', 'min="0" max="10" step="0.1"', d.indexation !== 'fixed')}</div>
+    </div>`;
+}
+
+/**
+ * State Pension amount or NI record forecast, and deferral. `attrs(field)`
+ * returns the attributes that identify each input.
+ */
+function buildStatePensionHTML(sp, attrs) {
+  const d = { ...DEFAULT_STATE_PENSION_RECORD, ...sp };
+  const record = d.forecastMode === 'niRecord';
+  const num = (field, extra, disabled = false) => `
+        <input type="number" ${attrs(field)} value="${d[field] ?? 0}" ${extra} ${disabled ? 'disabled' : ''} />`;
+  return `
+    <div class="field-row">
+      <div class="field">
+        <label>Forecast From</label>
+        <select ${attrs('forecastMode')}>
+          <option value="amount"   ${record ? '' : 'selected'}>Amount</option>
+          <option value="niRecord" ${record ? 'selected' : ''}>NI record</option>
+        </select>
+      </div>
+      <div class="field"><label>Annual Income (£/yr)</label>${num('annualIncome', 'min="0" step="500"', record)}</div>
+    </div>
+    <div class="field-row">
+      <div class="field"><label>Qualifying Years So Far</label>${num('qualifyingYears', 'min="0" max="50"', !record)}</div>
+      <div class="field"><label>Voluntary Years (Class 3)</label>${num('voluntaryYears', 'min="0" max="20"', !record)}</div>
+    </div>
+    <div class="field-row">
+      <div class="field"><label>Protected Payment (£/yr)</label>${num('protectedPayment', 'min="0" step="100"', !record)}</div>
+      <div class="field"><label>Defer Claim (yrs)</label>${num('deferralYears', 'min="0" max="10"')}</div>
+    </div>`;
+}
+
+/** Enable the amount input or the NI record inputs next to a forecast select. */
+/** An age for a number input: a phased State Pension age to two decimals. */
+function _ageValue(age) {
+  return Number((age ?? 0).toFixed(2));
+}
+
+/**
+ * Store the ages worked out from each date of birth, show them and lock the
+ * age inputs a date of birth sets.
+ */
+function _syncDateOfBirth(container) {
+  const state   = getState();
+  const derived = applyDateOfBirth(state);
+  setState({
+    currentAge:      derived.currentAge,
+    statePensionAge: derived.statePensionAge,
+    partner: { currentAge: derived.partner.currentAge, statePensionAge: derived.partner.statePensionAge },
+  });
+  const inputs = [
+    [container.querySelector('#currentAge'),      derived.currentAge,              state.dateOfBirth],
+    [container.querySelector('#statePensionAge'), derived.statePensionAge,         state.dateOfBirth],
+    [container.querySelector('.partner-input[data-group=""][data-field="currentAge"]'),
+      derived.partner.currentAge,      state.partner.dateOfBirth],
+    [container.querySelector('.partner-input[data-group=""][data-field="statePensionAge"]'),
+      derived.partner.statePensionAge, state.partner.dateOfBirth],
+  ];
+  for (const [el, value, dob] of inputs) {
+    if (!el) continue;
+    el.value    = _ageValue(value);
+    el.disabled = Boolean(dob);
+  }
+}
+
+function _enableStatePensionFields(select, mode) {
+  const body = select?.closest('.field-row')?.parentElement;
+  if (!body) return;
+  const record = mode === 'niRecord';
+  for (const field of ['annualIncome', 'qualifyingYears', 'voluntaryYears', 'protectedPayment']) {
+    const el = body.querySelector(`[data-group="statePension"][data-field="${field}"], #sp${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+    if (el) el.disabled = (field === 'annualIncome') === record;
+  }
+}
+
+function buildDbSchemesHTML(s) {
+  const schemes = s.dbSchemes ?? [];
+  if (schemes.length === 0) {
+    return '<div class="field list-empty">No other schemes.</div>';
+  }
+  const partner = Boolean(s.partner?.enabled);
+  const attrs = i => field => `class="db-scheme-input" data-index="${i}" data-field="${field}"`;
+  return schemes.map((scheme, i) => `
+    <div class="list-account">
+      <div class="list-row">
+        <div class="field">
+          <label>Scheme</label>
+          <input type="text" ${attrs(i)('name')} value="${escapeHtml(scheme.name ?? '')}" />
+        </div>
+        ${partner ? `
+        <div class="field">
+          <label>Owner</label>
+          <select ${attrs(i)('owner')}>
+            <option value="primary" ${scheme.owner !== 'partner' ? 'selected' : ''}>You</option>
+            <option value="partner" ${scheme.owner === 'partner' ? 'selected' : ''}>Partner</option>
+          </select>
+        </div>` : ''}
+        <button class="btn btn-sm btn-secondary list-remove" data-index="${i}" title="Remove scheme">✕</button>
+      </div>
+      <div class="field-row">
+        <div class="field">
+          <label>Income at NPA (£/yr)</label>
+          <input type="number" ${attrs(i)('annualIncome')} value="${scheme.annualIncome ?? 0}" min="0" step="500" />
+        </div>
+        <div class="field">
+          <label>Start Age</label>
+          <input type="number" ${attrs(i)('startAge')} value="${scheme.startAge ?? 65}" min="55" max="85" />
+        </div>
+        <div class="field">
+          <label>Survivor (%)</label>
+          <input type="number" ${attrs(i)('survivorPercent')} value="${scheme.survivorPercent ?? 50}" min="0" max="100" step="5" />
+        </div>
+      </div>
+      ${buildDbTermsHTML(s, scheme, attrs(i), partner && scheme.owner === 'partner' ? 'partner' : 'primary')}
+    </div>`).join('');
+}
+
+function buildPartnerHTML(s) {
+  const p  = s.partner ?? {};
+  const sv = s.survivor ?? {};
+  const num = (group, field, value, attrs = '') => `
+    <input type="number" class="partner-input" data-group="${group}" data-field="${field}" value="${value ?? ''}" ${attrs} />`;
+  const toggle = (group, field, checked, label) => `
+    <div class="toggle-field">
+      <label>${label}</label>
+      <label class="switch"><input type="checkbox" class="partner-input" data-group="${group}" data-field="${field}" ${checked ? 'checked' : ''} /><span class="slider"></span></label>
+    </div>`;
+  return `
+    <div class="field">
+      <label>Show Figures For</label>
+      <select id="personView">
+        <option value="household" ${(s.personView || 'household') === 'household' ? 'selected' : ''}>Household</option>
+        <option value="primary"   ${s.personView === 'primary' ? 'selected' : ''}>You</option>
+        <option value="partner"   ${s.personView === 'partner' ? 'selected' : ''}>Partner</option>
+      </select>
+    </div>
+    <div class="field">
+      <label>Date of Birth</label>
+      <input type="date" class="partner-input" data-group="" data-field="dateOfBirth" value="${p.dateOfBirth ?? ''}" />
+    </div>
+    <div class="field-row">
+      <div class="field"><label>Current Age</label>${num('', 'currentAge', p.currentAge, `min="18" max="100" ${p.dateOfBirth ? 'disabled' : ''}`)}</div>
+      <div class="field"><label>Retirement Age</label>${num('', 'retirementAge', p.retirementAge, 'min="40" max="100"')}</div>
+    </div>
+    <div class="field">
+      <label>State Pension Age</label>${num('', 'statePensionAge', _ageValue(p.statePensionAge), `min="60" max="75" step="any" ${p.dateOfBirth ? 'disabled' : ''}`)}
+    </div>
+    ${toggle('isa', 'enabled', p.isa?.enabled, 'ISA')}
+    <div class="field-row">
+      <div class="field"><label>ISA Balance (£)</label>${num('isa', 'balance', p.isa?.balance, 'min="0" step="1000"')}</div>
+      <div class="field"><label>Growth (%/yr)</label>${num('isa', 'growthRate', p.isa?.growthRate, 'min="0" max="20" step="0.1"')}</div>
+    </div>
+    <div class="field">
+      <label>ISA Contribution (£/yr)</label>${num('isa', 'annualContribution', p.isa?.annualContribution, 'min="0" step="500"')}
+    </div>
+    ${buildIndexationHTML(p.isa, field => `class="partner-input" data-group="isa" data-field="${field}"`)}
+    <button class="btn btn-sm btn-secondary btn-full acct-override-btn" data-account="partnerIsa"
+            title="Edit lump sum &amp; extra drawdown overrides for your partner's ISA">
+      ⚙ Partner ISA Overrides…
+    </button>
+    ${toggle('sipp', 'enabled', p.sipp?.enabled, 'SIPP')}
+    <div class="field-row">
+      <div class="field"><label>SIPP Balance (£)</label>${num('sipp', 'balance', p.sipp?.balance, 'min="0" step="1000"')}</div>
+      <div class="field"><label>Growth (%/yr)</label>${num('sipp', 'growthRate', p.sipp?.growthRate, 'min="0" max="20" step="0.1"')}</div>
+    </div>
+    <div class="field">
+      <label>SIPP Contributions</label>
+      <select class="partner-input" data-group="sipp" data-field="contributionMode">
+        <option value="flat"   ${(p.sipp?.contributionMode || 'flat') === 'flat' ? 'selected' : ''}>Fixed amount (gross)</option>
+        <option value="salary" ${p.sipp?.contributionMode === 'salary' ? 'selected' : ''}>Percentage of salary</option>
+      </select>
+    </div>
+    <div class="field-row">
+      <div class="field" id="partnerSippFlatField" style="${p.sipp?.contributionMode === 'salary' ? 'display:none' : ''}">
+        <label>SIPP Contribution (£/yr)</label>${num('sipp', 'annualContribution', p.sipp?.annualContribution, 'min="0" step="500"')}
+      </div>
+      <div class="field"><label>SIPP Access Age</label>${num('sipp', 'accessAge', p.sipp?.accessAge, 'min="55" max="75"')}</div>
+    </div>
+    <div id="partnerSippIndexation" style="${p.sipp?.contributionMode === 'salary' ? 'display:none' : ''}">
+      ${buildIndexationHTML(p.sipp, field => `class="partner-input" data-group="sipp" data-field="${field}"`)}
+    </div>
+    <div id="partnerSippSalaryFields" style="${p.sipp?.contributionMode === 'salary' ? '' : 'display:none'}">
+      <div class="field-row">
+        <div class="field"><label>Salary (£/yr)</label>${num('sipp', 'salary', p.sipp?.salary ?? 0, 'min="0" step="1000"')}</div>
+        <div class="field"><label>Salary Growth (%/yr)</label>${num('sipp', 'salaryGrowthRate', p.sipp?.salaryGrowthRate ?? 0, 'min="-10" max="20" step="0.1"')}</div>
+      </div>
+      <div class="field-row">
+        <div class="field"><label>Employee (%)</label>${num('sipp', 'employeePercent', p.sipp?.employeePercent ?? 0, 'min="0" max="100" step="0.5"')}</div>
+        <div class="field"><label>Employer (%)</label>${num('sipp', 'employerPercent', p.sipp?.employerPercent ?? 0, 'min="0" max="100" step="0.5"')}</div>
+      </div>
+      <div class="field">
+        <label>Tax Relief</label>
+        <select class="partner-input" data-group="sipp" data-field="reliefMethod">
+          <option value="reliefAtSource"  ${(p.sipp?.reliefMethod || 'reliefAtSource') === 'reliefAtSource' ? 'selected' : ''}>Relief at source</option>
+          <option value="salarySacrifice" ${p.sipp?.reliefMethod === 'salarySacrifice' ? 'selected' : ''}>Salary sacrifice</option>
+        </select>
+      </div>
+    </div>
+    <div class="field">
+      <label>SIPP Tax-Free Cash</label>
+      <select class="partner-input" data-group="sipp" data-field="pclsMode">
+        <option value="none"  ${(p.sipp?.pclsMode || 'none') === 'none'  ? 'selected' : ''}>None (all draws taxable)</option>
+        <option value="ufpls" ${p.sipp?.pclsMode === 'ufpls' ? 'selected' : ''}>25% of each draw (UFPLS)</option>
+      </select>
+    </div>
+    <button class="btn btn-sm btn-secondary btn-full acct-override-btn" data-account="partnerSipp"
+            title="Edit lump sum &amp; extra drawdown overrides for your partner's SIPP">
+      ⚙ Partner SIPP Overrides…
+    </button>
+    ${toggle('dbPension', 'enabled', p.dbPension?.enabled, 'DB Pension')}
+    <div class="field-row">
+      <div class="field"><label>DB Income (£/yr)</label>${num('dbPension', 'annualIncome', p.dbPension?.annualIncome, 'min="0" step="500"')}</div>
+      <div class="field"><label>DB Start Age</label>${num('dbPension', 'startAge', p.dbPension?.startAge, 'min="55" max="85"')}</div>
+    </div>
+    <div class="field">
+      <label>DB Survivor's Pension (% of theirs)</label>${num('dbPension', 'survivorPercent', p.dbPension?.survivorPercent ?? 50, 'min="0" max="100" step="5"')}
+    </div>
+    ${buildDbTermsHTML(s, p.dbPension, field => `class="partner-input" data-group="dbPension" data-field="${field}"`, 'partner')}
+    ${toggle('statePension', 'enabled', p.statePension?.enabled, 'State Pension')}
+    <div>
+      ${buildStatePensionHTML(p.statePension, field => `class="partner-input" data-group="statePension" data-field="${field}"`)}
+    </div>
+    <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+      Spending is shared and starts at your retirement age. Premium Bonds and Cash are held by you.
+      Each person is taxed on their own SIPP, DB and State Pension income with their own allowances.
+    </div>
+    <div class="toggle-field">
+      <label for="survivorEnabled">Survivor scenario</label>
+      <label class="switch"><input type="checkbox" id="survivorEnabled" ${sv.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+    </div>
+    <div id="survivorFields" style="${sv.enabled ? '' : 'display:none'}">
+      <div class="field-row">
+        <div class="field">
+          <label>Who Dies</label>
+          <select id="survivorDeceased">
+            <option value="partner" ${sv.deceased !== 'primary' ? 'selected' : ''}>Partner</option>
+            <option value="primary" ${sv.deceased === 'primary' ? 'selected' : ''}>You</option>
+          </select>
+        </div>
+        <div class="field">
+          <label>At Their Age</label>
+          <input type="number" id="survivorDeathAge" value="${sv.deathAge ?? 80}" min="18" max="120" />
+        </div>
+      </div>
+      <div class="field">
+        <label>Survivor Spending (% of couple's)</label>
+        <input type="number" id="survivorSpendingPercent" value="${sv.spendingPercent ?? 70}" min="0" max="100" step="5" />
+      </div>
+      <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+        Their ISA and SIPP pass to the survivor, their State Pension stops and their DB scheme pays its survivor's pension.
+      </div>
+    </div>`;
+}
+
+function buildSpendingBandsHTML(s) {
+  const bands = s.spendingPhases?.bands ?? [];
+  return bands.map((band, i) => `
+    <div class="list-row">
+      <div class="field">
+        <label>${i === 0 ? 'From retirement' : `From ${bands[i - 1].toAge ?? '—'}`} to age</label>
+        <input type="number" class="spending-band-input" data-index="${i}" data-field="toAge"
+               value="${band.toAge ?? ''}" min="0" max="120" placeholder="End" />
+      </div>
+      <div class="field">
+        <label>£/yr</label>
+        <input type="number" class="spending-band-input" data-index="${i}" data-field="amount"
+               value="${band.amount ?? 0}" min="0" step="500" />
+      </div>
+      <button class="btn btn-sm btn-secondary list-remove" data-index="${i}" title="Remove band"
+              ${bands.length <= 1 ? 'disabled' : ''}>✕</button>
+    </div>`).join('');
+}
+
+function buildSpendingGoalsHTML(s) {
+  const goals = s.spendingGoals ?? [];
+  if (goals.length === 0) {
+    return '<div class="field list-empty">No one-off goals.</div>';
+  }
+  return goals.map((goal, i) => `
+    <div class="list-row list-row-goal">
+      <div class="field">
+        <label>Goal</label>
+        <input type="text" class="spending-goal-input" data-index="${i}" data-field="label" value="${escapeHtml(goal.label ?? '')}" />
+      </div>
+      <div class="field">
+        <label>£</label>
+        <input type="number" class="spending-goal-input" data-index="${i}" data-field="amount" value="${goal.amount ?? 0}" min="0" step="500" />
+      </div>
+      <div class="field">
+        <label>Year</label>
+        <input type="number" class="spending-goal-input" data-index="${i}" data-field="year" value="${goal.year ?? ''}" min="2000" max="2200" />
+      </div>
+      <div class="field">
+        <label>Every (yrs)</label>
+        <input type="number" class="spending-goal-input" data-index="${i}" data-field="repeatYears" value="${goal.repeatYears || ''}" min="0" max="50" placeholder="Once" />
+      </div>
+      <button class="btn btn-sm btn-secondary list-remove" data-index="${i}" title="Remove goal">✕</button>
+    </div>`).join('');
+}
+
+function buildAccountsHTML(s) {
+  const accounts = s.accounts ?? [];
+  if (accounts.length === 0) {
+    return '<div class="field list-empty">No other accounts.</div>';
+  }
+  const partner = Boolean(s.partner?.enabled);
+  const num = (acct, i, field, attrs, placeholder = '') => `
+        <input type="number" class="account-input" data-index="${i}" data-field="${field}"
+               value="${acct[field] ?? ''}" ${attrs} ${placeholder ? `placeholder="${placeholder}"` : ''} />`;
+  return accounts.map((acct, i) => {
+    const type = ACCOUNT_TYPES[acct.type] ?? ACCOUNT_TYPES.isa;
+    const ownable = partner && PARTNER_TYPES.includes(acct.type);
+    const fromSalary = acct.type === 'sipp' && acct.contributionMode === 'salary';
+    const select = (field, options, value) => `
+        <select class="account-input" data-index="${i}" data-field="${field}">
+          ${options.map(([option, label]) => `<option value="${option}" ${value === option ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>`;
+    return `
+    <div class="list-account">
+      <div class="list-row">
+        <div class="field">
+          <label>${type.icon} ${type.label}</label>
+          <input type="text" class="account-input" data-index="${i}" data-field="name" value="${escapeHtml(acct.name ?? '')}" />
+        </div>
+        ${ownable ? `
+        <div class="field">
+          <label>Owner</label>
+          <select class="account-input" data-index="${i}" data-field="owner">
+            <option value="primary" ${acct.owner !== 'partner' ? 'selected' : ''}>You</option>
+            <option value="partner" ${acct.owner === 'partner' ? 'selected' : ''}>Partner</option>
+          </select>
+        </div>` : ''}
+        <button class="btn btn-sm btn-secondary list-remove" data-index="${i}" title="Remove account">✕</button>
+      </div>
+      <div class="field-row">
+        <div class="field">
+          <label>Balance (£)</label>${num(acct, i, 'balance', 'min="0" step="1000"')}
+        </div>
+        <div class="field">
+          <label>${acct.type === 'premiumBonds' ? 'Prize Rate' : 'Growth Rate'} (%/yr)</label>${num(acct, i, 'growthRate', 'min="0" max="20" step="0.1"')}
+        </div>
+        <div class="field">
+          <label title="Standard deviation of annual returns in the Monte Carlo simulation">Volatility (%)</label>${num(acct, i, 'volatility',
+            'min="0" max="50" step="0.5"', DEFAULT_VOLATILITY[acct.type] ?? 15)}
+        </div>
+      </div>
+      ${acct.type === 'sipp' ? `
+      <div class="field">
+        <label>Contributions</label>${select('contributionMode',
+          [['flat', 'Fixed amount (gross)'], ['salary', 'Percentage of salary']], acct.contributionMode || 'flat')}
+      </div>` : ''}
+      ${fromSalary ? `
+      <div class="field-row">
+        <div class="field">
+          <label>Salary (£/yr)</label>${num(acct, i, 'salary', 'min="0" step="1000"')}
+        </div>
+        <div class="field">
+          <label>Salary Growth (%/yr)</label>${num(acct, i, 'salaryGrowthRate', 'min="-10" max="20" step="0.1"')}
+        </div>
+      </div>
+      <div class="field-row">
+        <div class="field">
+          <label>Employee (% of salary)</label>${num(acct, i, 'employeePercent', 'min="0" max="100" step="0.5"')}
+        </div>
+        <div class="field">
+          <label>Employer (% of salary)</label>${num(acct, i, 'employerPercent', 'min="0" max="100" step="0.5"')}
+        </div>
+      </div>
+      <div class="field-row">
+        <div class="field">
+          <label>Tax Relief</label>${select('reliefMethod',
+            [['reliefAtSource', 'Relief at source'], ['salarySacrifice', 'Salary sacrifice']], acct.reliefMethod || 'reliefAtSource')}
+        </div>
+        <div class="field">
+          <label>Stop at Age</label>${num(acct, i, 'stopContributionAge', 'min="18" max="100"', 'Never')}
+        </div>
+      </div>` : acct.type === 'premiumBonds' ? '' : `
+      <div class="field-row">
+        <div class="field">
+          <label>Contribution (£/yr)</label>${num(acct, i, 'annualContribution',
+            acct.type === 'lisa' ? 'min="0" max="4000" step="250"' : 'min="0" step="500"')}
+        </div>
+        <div class="field">
+          <label>Stop at Age</label>${num(acct, i, 'stopContributionAge', 'min="18" max="100"', 'Never')}
+        </div>
+      </div>
+      ${buildIndexationHTML(acct, field => `class="account-input" data-index="${i}" data-field="${field}"`)}`}
+      <div class="field-row">
+        <div class="field">
+          <label>Drawdown Start Age</label>${num(acct, i, 'drawdownStartAge', 'min="18" max="100"',
+            acct.type === 'sipp' ? 'Access age' : acct.type === 'lisa' ? '60 or retirement' : 'Retirement')}
+        </div>
+        ${acct.type === 'sipp' ? `
+        <div class="field">
+          <label>Access Age</label>${num(acct, i, 'accessAge', 'min="55" max="75"')}
+        </div>` : ''}
+      </div>
+      ${acct.type === 'sipp' ? `
+      <div class="field">
+        <label>Tax-free Cash</label>${select('pclsMode',
+          [['none', 'None (all draws taxable)'], ['full', 'Full lump sum at a chosen age'], ['ufpls', '25% of each draw (UFPLS)']],
+          ['full', 'ufpls'].includes(acct.pclsMode) ? acct.pclsMode : 'none')}
+      </div>
+      ${acct.pclsMode === 'full' ? `
+      <div class="field-row">
+        <div class="field">
+          <label>Lump Sum Age</label>${num(acct, i, 'pclsAge', 'min="55" max="100"', '57')}
+        </div>
+        <div class="field">
+          <label>Pay Lump Sum Into</label>${select('pclsDestination',
+            [['isa', 'ISA (up to the allowance, rest to Cash)'], ['cash', 'Cash']], acct.pclsDestination || 'isa')}
+        </div>
+      </div>` : ''}` : ''}
+      ${acct.type === 'lisa' ? `
+      <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+        Up to £4,000/yr until 50 with a 25% bonus. Draws before 60 lose 25%.
+      </div>` : ''}
+      ${acct.type === 'gia' ? `
+      <div class="field-row">
+        <div class="field">
+          <label>Cost Basis (£)</label>${num(acct, i, 'costBasis', 'min="0" step="1000"', 'Balance')}
+        </div>
+        <div class="field">
+          <label>Dividend Yield (%/yr)</label>${num(acct, i, 'dividendYield', 'min="0" max="20" step="0.1"')}
+        </div>
+      </div>
+      <div class="toggle-field">
+        <label>Bed &amp; ISA each year</label>
+        <label class="switch"><input type="checkbox" class="account-input" data-index="${i}" data-field="bedAndIsa" ${acct.bedAndIsa ? 'checked' : ''} /><span class="slider"></span></label>
+      </div>` : ''}
+      <button class="btn btn-sm btn-secondary btn-full acct-override-btn" data-account="${acct.id}"
+              title="Edit lump sum &amp; extra drawdown overrides for this account">
+        ⚙ ${escapeHtml(acct.name || type.label)} Overrides…
+      </button>
+    </div>`;
+  }).join('');
+}
+
+function buildGlidePathHTML(s, pot) {
+  const gp = s[pot].glidePath;
+  const mixFields = (which, age) => `
+    <div class="field-row-4">
+      <div class="field">
+        <label>${which === 'startMix' ? 'From' : 'To'} Age</label>
+        <input type="number" class="glide-input" data-pot="${pot}" data-field="${which === 'startMix' ? 'startAge' : 'endAge'}"
+               value="${age}" min="18" max="100" />
+      </div>
+      ${ASSET_CLASSES.map(asset => `
+        <div class="field">
+          <label>${ASSET_LABELS[asset]} %</label>
+          <input type="number" class="glide-input" data-pot="${pot}" data-mix="${which}" data-asset="${asset}"
+                 value="${gp[which][asset] ?? 0}" min="0" max="100" step="5" />
+        </div>`).join('')}
+    </div>`;
+  return `
+    <div class="toggle-field">
+      <label for="${pot}GlideEnabled">${POT_LABELS[pot]} glide path</label>
+      <label class="switch"><input type="checkbox" id="${pot}GlideEnabled" data-pot="${pot}" class="glide-toggle" ${gp.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+    </div>
+    <div class="glide-fields" data-glide-fields="${pot}" ${gp.enabled ? '' : 'hidden'}>
+      ${mixFields('startMix', gp.startAge)}
+      ${mixFields('endMix', gp.endAge)}
+    </div>`;
+}
+
 function buildSidebarHTML(s) {
   return `
     <!-- Profile Section -->
@@ -29,10 +599,20 @@ function buildSidebarHTML(s) {
         <span class="toggle-icon">▾</span>
       </div>
       <div class="section-body" data-body="profile">
+        <div class="field">
+          <label>Date of Birth (optional)</label>
+          <input type="date" id="dateOfBirth" value="${s.dateOfBirth ?? ''}"
+            title="Sets your age and State Pension Age; the plan then runs in tax years from 6 April" />
+        </div>
+        <div class="field">
+          <label>Plan As Of</label>
+          <input type="date" id="asOfDate" value="${s.asOfDate ?? ''}"
+            title="The date the plan starts from. Use Advance Plan to move it on and carry balances forward" />
+        </div>
         <div class="field-row">
           <div class="field">
             <label>Current Age</label>
-            <input type="number" id="currentAge" value="${s.currentAge}" min="18" max="80" />
+            <input type="number" id="currentAge" value="${s.currentAge}" min="18" max="80" ${s.dateOfBirth ? 'disabled' : ''} />
           </div>
           <div class="field">
             <label>Retirement Age</label>
@@ -46,7 +626,7 @@ function buildSidebarHTML(s) {
           </div>
           <div class="field">
             <label>State Pension Age</label>
-            <input type="number" id="statePensionAge" value="${s.statePensionAge}" min="60" max="75" />
+            <input type="number" id="statePensionAge" value="${_ageValue(s.statePensionAge)}" min="60" max="75" step="any" ${s.dateOfBirth ? 'disabled' : ''} />
           </div>
         </div>
         <div class="field">
@@ -59,7 +639,7 @@ function buildSidebarHTML(s) {
         </div>
         <div class="field">
           <label>Default Drawdown Rate (%/yr)</label>
-          <input type="number" id="drawdownRate" value="${s.drawdown.rate ?? s.drawdown.phase1Rate ?? 4}" min="0" max="20" step="0.1" />
+          <input type="number" id="drawdownRate" value="${s.drawdown.rate ?? 4}" min="0" max="20" step="0.1" />
         </div>
         <div class="field">
           <label>Maximum Annual Income (£, blank = no limit)</label>
@@ -75,6 +655,105 @@ function buildSidebarHTML(s) {
       </div>
     </div>
 
+    <!-- Spending Strategy Section -->
+    <div>
+      <div class="section-header" data-section="spending">
+        <span>🎚 Spending Strategy</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="spending">
+        <div class="field">
+          <label>Retirement Spending Rule</label>
+          <select id="spendingStrategy">
+            <option value="fixed"      ${(s.spendingStrategy || 'fixed') === 'fixed'      ? 'selected' : ''}>Fixed (rises with inflation)</option>
+            <option value="guardrails" ${(s.spendingStrategy || 'fixed') === 'guardrails' ? 'selected' : ''}>Guyton-Klinger guardrails</option>
+            <option value="vpw" ${s.spendingStrategy === 'vpw' ? 'selected' : ''}>Variable Percentage Withdrawal (VPW)</option>
+            <option value="constantPercentage" ${s.spendingStrategy === 'constantPercentage' ? 'selected' : ''}>Constant % of portfolio</option>
+          </select>
+        </div>
+        <div id="guardrailFields" style="${s.spendingStrategy === 'guardrails' ? '' : 'display:none'}">
+          <div class="field-row">
+            <div class="field">
+              <label>Upper Guardrail (%)</label>
+              <input type="number" id="guardrailUpper" value="${s.guardrails?.upperGuardrail ?? 20}" min="0" max="100" step="1" />
+            </div>
+            <div class="field">
+              <label>Lower Guardrail (%)</label>
+              <input type="number" id="guardrailLower" value="${s.guardrails?.lowerGuardrail ?? 20}" min="0" max="100" step="1" />
+            </div>
+          </div>
+          <div class="field-row">
+            <div class="field">
+              <label>Cut / Raise By (%)</label>
+              <input type="number" id="guardrailAdjustment" value="${s.guardrails?.adjustment ?? 10}" min="0" max="50" step="1" />
+            </div>
+            <div class="field">
+              <label>No Cuts in Final (yrs)</label>
+              <input type="number" id="guardrailCutoff" value="${s.guardrails?.preservationCutoffYears ?? 15}" min="0" max="50" step="1" />
+            </div>
+          </div>
+          <div class="toggle-field">
+            <label for="guardrailSkipInflation">Skip inflation rise after a losing year</label>
+            <label class="switch"><input type="checkbox" id="guardrailSkipInflation" ${(s.guardrails?.skipInflationAfterLoss ?? true) ? 'checked' : ''} /><span class="slider"></span></label>
+          </div>
+          <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+            Spending is cut when the withdrawal rate rises above the initial rate by more than the upper guardrail,
+            and raised when it falls below by more than the lower guardrail.
+          </div>
+        </div>
+        <div class="toggle-field">
+          <label for="spendingPhasesEnabled">Spending phases by age</label>
+          <label class="switch"><input type="checkbox" id="spendingPhasesEnabled" ${s.spendingPhases?.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div id="spendingPhaseFields" style="${s.spendingPhases?.enabled ? '' : 'display:none'}">
+          <div id="spendingBandList">${buildSpendingBandsHTML(s)}</div>
+          <button class="btn btn-sm btn-secondary btn-full" id="addSpendingBand">+ Add phase</button>
+          <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+            Replaces Retirement Spending with an amount per age band (today's £). Guardrails start from the
+            first band and step with each band change; percentage rules ignore phases.
+          </div>
+        </div>
+        <div class="field">
+          <label>One-off Goals (today's £)</label>
+        </div>
+        <div id="spendingGoalList">${buildSpendingGoalsHTML(s)}</div>
+        <button class="btn btn-sm btn-secondary btn-full" id="addSpendingGoal">+ Add goal</button>
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          Goals are added to spending in the years they fall due during retirement and are drawn in full,
+          whatever the spending rule or drawdown rate.
+        </div>
+        <div id="percentageSpendingFields" style="${['vpw', 'constantPercentage'].includes(s.spendingStrategy) ? '' : 'display:none'}">
+          <div class="field" id="percentageRateField" style="${s.spendingStrategy === 'constantPercentage' ? '' : 'display:none'}">
+            <label>Withdraw Each Year (% of portfolio)</label>
+            <input type="number" id="percentageRate" value="${s.percentageSpending?.rate ?? 4}" min="0" max="100" step="0.1" />
+          </div>
+          <div class="field" id="vpwReturnField" style="${s.spendingStrategy === 'vpw' ? '' : 'display:none'}">
+            <label>VPW Expected Real Return (%)</label>
+            <input type="number" id="vpwReturn" value="${s.percentageSpending?.vpwReturn ?? 3}" min="-5" max="15" step="0.1" />
+          </div>
+          <div class="toggle-field">
+            <label for="percentageFloorCeiling">Floor and ceiling</label>
+            <label class="switch"><input type="checkbox" id="percentageFloorCeiling" ${s.percentageSpending?.floorCeiling ? 'checked' : ''} /><span class="slider"></span></label>
+          </div>
+          <div class="field-row" id="floorCeilingFields" style="${s.percentageSpending?.floorCeiling ? '' : 'display:none'}">
+            <div class="field">
+              <label>Floor (£/yr)</label>
+              <input type="number" id="spendingFloor" value="${s.percentageSpending?.floor ?? 20000}" min="0" step="500" />
+            </div>
+            <div class="field">
+              <label>Ceiling (£/yr)</label>
+              <input type="number" id="spendingCeiling" value="${s.percentageSpending?.ceiling ?? 60000}" min="0" step="500" />
+            </div>
+          </div>
+          <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+            Spending is guaranteed income plus a percentage of the portfolio at the start of each year; the
+            drawdown rate ceiling does not apply. VPW's percentage rises with age so the portfolio is used up by
+            the plan's end age. Floor and ceiling are in today's money.
+          </div>
+        </div>
+      </div>
+    </div>
+
     <!-- ISA Section -->
     <div>
       <div class="section-header" data-section="isa">
@@ -93,13 +772,14 @@ function buildSidebarHTML(s) {
           </div>
           <div class="field">
             <label>Growth Rate (%/yr)</label>
-            <input type="number" id="isaGrowthRate" value="${s.isa.growthRate}" min="0" max="20" step="0.1" />
+            <input type="number" id="isaGrowthRate" value="${s.isa.growthRate}" ${s.isa.glidePath?.enabled ? 'disabled title="Set by the glide path in Asset Allocation"' : ''} min="0" max="20" step="0.1" />
           </div>
         </div>
         <div class="field">
           <label>Annual Contribution (£/yr)</label>
           <input type="number" id="isaAnnualContribution" value="${s.isa.annualContribution}" min="0" step="500" />
         </div>
+        ${buildIndexationHTML(s.isa, field => `id="isa${field[0].toUpperCase()}${field.slice(1)}"`)}
         <div class="field">
           <label>Stop Contributions at Age (blank = never)</label>
           <input type="number" id="isaStopContributionAge" value="${s.isa.stopContributionAge ?? ''}" min="18" max="100" placeholder="Never" />
@@ -133,14 +813,51 @@ function buildSidebarHTML(s) {
           </div>
           <div class="field">
             <label>Growth Rate (%/yr)</label>
-            <input type="number" id="sippGrowthRate" value="${s.sipp.growthRate}" min="0" max="20" step="0.1" />
+            <input type="number" id="sippGrowthRate" value="${s.sipp.growthRate}" ${s.sipp.glidePath?.enabled ? 'disabled title="Set by the glide path in Asset Allocation"' : ''} min="0" max="20" step="0.1" />
           </div>
         </div>
-        <div class="field-row">
+        <div class="field">
+          <label>Contributions</label>
+          <select id="sippContributionMode">
+            <option value="flat"   ${(s.sipp.contributionMode || 'flat') === 'flat'   ? 'selected' : ''}>Fixed amount (gross)</option>
+            <option value="salary" ${s.sipp.contributionMode === 'salary' ? 'selected' : ''}>Percentage of salary</option>
+          </select>
+        </div>
+        <div id="sippFlatContributionFields" style="${s.sipp.contributionMode === 'salary' ? 'display:none' : ''}">
           <div class="field">
             <label>Annual Contribution (£/yr)</label>
             <input type="number" id="sippAnnualContribution" value="${s.sipp.annualContribution}" min="0" step="500" />
           </div>
+          ${buildIndexationHTML(s.sipp, field => `id="sipp${field[0].toUpperCase()}${field.slice(1)}"`)}
+        </div>
+        <div id="sippSalaryFields" style="${s.sipp.contributionMode === 'salary' ? '' : 'display:none'}">
+          <div class="field-row">
+            <div class="field">
+              <label>Salary (£/yr)</label>
+              <input type="number" id="sippSalary" value="${s.sipp.salary ?? 0}" min="0" step="1000" />
+            </div>
+            <div class="field">
+              <label>Salary Growth (%/yr)</label>
+              <input type="number" id="sippSalaryGrowthRate" value="${s.sipp.salaryGrowthRate ?? 0}" min="-10" max="20" step="0.1" />
+            </div>
+          </div>
+          <div class="field-row">
+            <div class="field">
+              <label>Employee (% of salary)</label>
+              <input type="number" id="sippEmployeePercent" value="${s.sipp.employeePercent ?? 0}" min="0" max="100" step="0.5" />
+            </div>
+            <div class="field">
+              <label>Employer (% of salary)</label>
+              <input type="number" id="sippEmployerPercent" value="${s.sipp.employerPercent ?? 0}" min="0" max="100" step="0.5" />
+            </div>
+          </div>
+          <div class="field">
+            <label>Tax Relief</label>
+            <select id="sippReliefMethod">
+              <option value="reliefAtSource"  ${(s.sipp.reliefMethod || 'reliefAtSource') === 'reliefAtSource' ? 'selected' : ''}>Relief at source (basic rate added, higher rate reclaimed)</option>
+              <option value="salarySacrifice" ${s.sipp.reliefMethod === 'salarySacrifice' ? 'selected' : ''}>Salary sacrifice (saves tax and NI)</option>
+            </select>
+          </div>
         </div>
         <div class="field">
           <label>Stop Contributions at Age (blank = never)</label>
@@ -150,6 +867,31 @@ function buildSidebarHTML(s) {
           <label>Drawdown Start Age (blank = NMPA / access age)</label>
           <input type="number" id="sippDrawdownStartAge" value="${s.sipp.drawdownStartAge ?? ''}" min="18" max="100" placeholder="Same as access age (${s.sipp.accessAge ?? 57})" />
         </div>
+        <div class="field">
+          <label>Tax-Free Cash (25%)</label>
+          <select id="sippPclsMode">
+            <option value="none"  ${(s.sipp.pclsMode || 'none') === 'none'  ? 'selected' : ''}>Don't take (all withdrawals taxable)</option>
+            <option value="full"  ${(s.sipp.pclsMode || 'none') === 'full'  ? 'selected' : ''}>Full lump sum at a chosen age</option>
+            <option value="ufpls" ${(s.sipp.pclsMode || 'none') === 'ufpls' ? 'selected' : ''}>Bit by bit (UFPLS, 25% of each draw)</option>
+          </select>
+        </div>
+        <div class="field-row" id="sippPclsFullFields" style="${s.sipp.pclsMode === 'full' ? '' : 'display:none'}">
+          <div class="field">
+            <label>Lump Sum Age</label>
+            <input type="number" id="sippPclsAge" value="${s.sipp.pclsAge ?? 57}" min="55" max="100" />
+          </div>
+          <div class="field">
+            <label>Pay Lump Sum Into</label>
+            <select id="sippPclsDestination">
+              <option value="isa"  ${(s.sipp.pclsDestination || 'isa') === 'isa'  ? 'selected' : ''}>ISA (up to the allowance, rest to Cash)</option>
+              <option value="cash" ${(s.sipp.pclsDestination || 'isa') === 'cash' ? 'selected' : ''}>Cash</option>
+            </select>
+          </div>
+        </div>
+        <div class="toggle-field" id="sippPclsCapField" style="${(s.sipp.pclsMode || 'none') === 'none' ? 'display:none' : ''}">
+          <label for="sippPclsCapAtLsa">Cap at Lump Sum Allowance (£${(s.sipp.lumpSumAllowance ?? 268275).toLocaleString('en-GB')} left)</label>
+          <label class="switch"><input type="checkbox" id="sippPclsCapAtLsa" ${s.sipp.pclsCapAtLsa !== false ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
         <button class="btn btn-sm btn-secondary btn-full acct-override-btn" data-account="sipp"
                 title="Edit lump sum &amp; extra drawdown overrides for SIPP">
           ⚙ SIPP Overrides…
@@ -216,13 +958,14 @@ function buildSidebarHTML(s) {
           </div>
           <div class="field">
             <label>Growth Rate (%/yr)</label>
-            <input type="number" id="cashGrowthRate" value="${s.cash.growthRate}" min="0" max="10" step="0.1" />
+            <input type="number" id="cashGrowthRate" value="${s.cash.growthRate}" ${s.cash.glidePath?.enabled ? 'disabled title="Set by the glide path in Asset Allocation"' : ''} min="0" max="10" step="0.1" />
           </div>
         </div>
         <div class="field">
           <label>Annual Contribution (£/yr)</label>
           <input type="number" id="cashAnnualContribution" value="${s.cash.annualContribution}" min="0" step="500" />
         </div>
+        ${buildIndexationHTML(s.cash, field => `id="cash${field[0].toUpperCase()}${field.slice(1)}"`)}
         <div class="field">
           <label>Stop Contributions at Age (blank = never)</label>
           <input type="number" id="cashStopContributionAge" value="${s.cash.stopContributionAge ?? ''}" min="18" max="100" placeholder="Never" />
@@ -238,6 +981,29 @@ function buildSidebarHTML(s) {
       </div>
     </div>
 
+    <!-- Other Accounts Section -->
+    <div>
+      <div class="section-header" data-section="accounts">
+        <span>🗂️ Other Accounts</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="accounts">
+        <div id="accountList">${buildAccountsHTML(s)}</div>
+        <div class="field-row">
+          <div class="field">
+            <select id="newAccountType">
+              ${Object.entries(ACCOUNT_TYPES).map(([type, t]) => `<option value="${type}">${t.label}</option>`).join('')}
+            </select>
+          </div>
+          <button class="btn btn-sm btn-secondary" id="addAccount">+ Add account</button>
+        </div>
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          Each account follows the rules for its type and is drawn after the other accounts of that type.
+          Premium Bonds share the £50,000 holding limit.
+        </div>
+      </div>
+    </div>
+
     <!-- DB Pension Section -->
     <div>
       <div class="section-header" data-section="db">
@@ -251,7 +1017,7 @@ function buildSidebarHTML(s) {
         </div>
         <div class="field-row">
           <div class="field">
-            <label>Annual Income (£/yr)</label>
+            <label>Income at NPA (£/yr)</label>
             <input type="number" id="dbAnnualIncome" value="${s.dbPension.annualIncome}" min="0" step="500" />
           </div>
           <div class="field">
@@ -259,6 +1025,17 @@ function buildSidebarHTML(s) {
             <input type="number" id="dbStartAge" value="${s.dbPension.startAge}" min="55" max="85" />
           </div>
         </div>
+        <div class="field">
+          <label>Survivor's Pension (% of yours)</label>
+          <input type="number" id="dbSurvivorPercent" value="${s.dbPension.survivorPercent ?? 50}" min="0" max="100" step="5" />
+        </div>
+        ${buildDbTermsHTML(s, s.dbPension, field => `id="db${field.charAt(0).toUpperCase()}${field.slice(1)}"`)}
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          Income is in today's money at normal pension age and is revalued by the scheme's indexation
+          until and after it starts. A commuted lump sum is paid tax-free into the chosen account.
+        </div>
+        <div id="dbSchemeList">${buildDbSchemesHTML(s)}</div>
+        <button class="btn btn-sm btn-secondary btn-full" id="addDbScheme">+ Add DB scheme</button>
       </div>
     </div>
 
@@ -273,9 +1050,8 @@ function buildSidebarHTML(s) {
           <label for="spEnabled">Enabled</label>
           <label class="switch"><input type="checkbox" id="spEnabled" ${s.statePension.enabled ? 'checked' : ''} /><span class="slider"></span></label>
         </div>
-        <div class="field">
-          <label>Annual Income (£/yr)</label>
-          <input type="number" id="spAnnualIncome" value="${s.statePension.annualIncome}" min="0" step="500" />
+        <div>
+          ${buildStatePensionHTML(s.statePension, field => `id="sp${field.charAt(0).toUpperCase()}${field.slice(1)}"`)}
         </div>
         <div class="field">
           <label>Growth Model</label>
@@ -290,7 +1066,193 @@ function buildSidebarHTML(s) {
           <input type="number" id="spCustomGrowthRate" value="${s.statePension.customGrowthRate ?? 2.5}" min="0" max="15" step="0.1" />
         </div>
         <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
-          Start age determined by State Pension Age (set in Profile): <strong data-sp-age-hint>${s.statePensionAge}</strong>
+          Start age determined by State Pension Age (set in Profile): <strong data-sp-age-hint>${formatYearsMonths(s.statePensionAge)}</strong>,
+          plus any deferral. From an NI record, each qualifying year (up to 35) earns 1/35 of the full rate, with
+          none below 10; one is added for each year you work before State Pension Age. Deferring adds 1% per 9 weeks.
+        </div>
+      </div>
+    </div>
+
+    <!-- Partner Section -->
+    <div>
+      <div class="section-header" data-section="partner">
+        <span>👥 Partner</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="partner">
+        <div class="toggle-field">
+          <label for="partnerEnabled">Plan as a couple</label>
+          <label class="switch"><input type="checkbox" id="partnerEnabled" ${s.partner?.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div id="partnerFields" style="${s.partner?.enabled ? '' : 'display:none'}">
+          ${buildPartnerHTML(s)}
+        </div>
+      </div>
+    </div>
+
+    <!-- Tax Section -->
+    <div>
+      <div class="section-header" data-section="tax">
+        <span>🧾 Income Tax</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="tax">
+        <div class="toggle-field">
+          <label for="taxEnabled">Apply UK income tax</label>
+          <label class="switch"><input type="checkbox" id="taxEnabled" ${s.tax?.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div class="toggle-field">
+          <label for="taxGrossUpWithdrawals">Gross up SIPP draws to cover tax</label>
+          <label class="switch"><input type="checkbox" id="taxGrossUpWithdrawals" ${s.tax?.grossUpWithdrawals ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div class="field-row">
+          <div class="field">
+            <label>Personal Allowance (£)</label>
+            <input type="number" id="taxPersonalAllowance" value="${s.tax?.personalAllowance ?? 12570}" min="0" step="10" />
+          </div>
+          <div class="field">
+            <label>Higher-Rate Threshold (£)</label>
+            <input type="number" id="taxBasicRateLimit" value="${s.tax?.basicRateLimit ?? 50270}" min="0" step="10" />
+          </div>
+        </div>
+        <div class="field">
+          <label>Band Thresholds</label>
+          <select id="taxBandIndexation">
+            <option value="cpi"    ${(s.tax?.bandIndexation || 'cpi') === 'cpi'    ? 'selected' : ''}>Indexed with inflation</option>
+            <option value="frozen" ${(s.tax?.bandIndexation || 'cpi') === 'frozen' ? 'selected' : ''}>Frozen (fiscal drag)</option>
+          </select>
+        </div>
+        <div class="field" id="taxIndexFromField" style="${(s.tax?.bandIndexation || 'cpi') === 'cpi' ? '' : 'display:none'}">
+          <label>Indexed From Year</label>
+          <input type="number" id="taxIndexFromYear" value="${s.tax?.indexFromYear ?? 2028}" min="2000" max="2100" />
+        </div>
+        <div class="field">
+          <label title="Band filling draws the SIPP up to the band every year in retirement; what is not spent moves to the ISA (within the allowance) or Cash">Withdrawal Strategy</label>
+          <select id="withdrawalStrategy">
+            <option value="ordered"               ${(s.withdrawalStrategy || 'ordered') === 'ordered'               ? 'selected' : ''}>Fixed order</option>
+            <option value="fillPersonalAllowance" ${(s.withdrawalStrategy || 'ordered') === 'fillPersonalAllowance' ? 'selected' : ''}>SIPP to personal allowance first</option>
+            <option value="fillBasicRate"         ${(s.withdrawalStrategy || 'ordered') === 'fillBasicRate'         ? 'selected' : ''}>SIPP to top of basic-rate band first</option>
+          </select>
+        </div>
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          SIPP withdrawals, DB pension and State Pension are taxed. ISA, Premium Bonds and Cash withdrawals are tax-free.
+        </div>
+        <div class="toggle-field">
+          <label for="allowancesRedirectExcess" title="Contributions over the £20,000 ISA allowance or the pension annual allowance move out at the year end">Redirect contributions over an allowance</label>
+          <label class="switch"><input type="checkbox" id="allowancesRedirectExcess" ${s.allowances?.redirectExcess ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div class="field" id="allowancesRedirectToField" style="${s.allowances?.redirectExcess ? '' : 'display:none'}">
+          <label>Redirect To</label>
+          <select id="allowancesRedirectTo">
+            <option value="cash" ${(s.allowances?.redirectTo ?? 'cash') === 'cash' ? 'selected' : ''}>Cash</option>
+            ${(s.accounts ?? []).filter(a => a.type === 'gia').map(a => `
+            <option value="${a.id}" ${s.allowances?.redirectTo === a.id ? 'selected' : ''}>${escapeHtml(a.name || ACCOUNT_TYPES.gia.label)}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    </div>
+
+    <!-- Asset Allocation Section -->
+    <div>
+      <div class="section-header" data-section="allocation">
+        <span>📊 Asset Allocation</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="allocation">
+        <div class="field">
+          <label>Expected Return by Asset Class (%/yr)</label>
+          <div class="field-row-3">
+            ${ASSET_CLASSES.map(asset => `
+              <div class="field">
+                <label>${ASSET_LABELS[asset]}</label>
+                <input type="number" id="${asset}AssetReturn" value="${s.assetReturns?.[asset] ?? ''}" min="-5" max="20" step="0.1" />
+              </div>`).join('')}
+          </div>
+        </div>
+        ${ALLOCATION_POTS.map(pot => buildGlidePathHTML(s, pot)).join('')}
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          With a glide path the account's growth rate is replaced by the blend of the asset-class returns, sliding
+          linearly between the two allocations. Fix the allocation by entering the same mix twice.
+        </div>
+      </div>
+    </div>
+
+    <!-- Monte Carlo Section -->
+    <div>
+      <div class="section-header" data-section="mc">
+        <span>🎲 Monte Carlo</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="mc">
+        <div class="toggle-field">
+          <label for="mcEnabled">Run simulation</label>
+          <label class="switch"><input type="checkbox" id="mcEnabled" ${s.monteCarlo?.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div class="field-row">
+          <div class="field">
+            <label>Runs</label>
+            <input type="number" id="mcRuns" value="${s.monteCarlo?.runs ?? 1000}" min="100" max="10000" step="100" />
+          </div>
+          <div class="field">
+            <label>Random Seed</label>
+            <input type="number" id="mcSeed" value="${s.monteCarlo?.seed ?? 12345}" min="0" step="1" />
+          </div>
+        </div>
+        <div class="field-row">
+          <div class="field">
+            <label>ISA Volatility (%)</label>
+            <input type="number" id="isaVolatility" value="${s.isa.volatility ?? 15}" min="0" max="50" step="0.5" />
+          </div>
+          <div class="field">
+            <label>SIPP Volatility (%)</label>
+            <input type="number" id="sippVolatility" value="${s.sipp.volatility ?? 15}" min="0" max="50" step="0.5" />
+          </div>
+        </div>
+        <div class="field-row">
+          <div class="field">
+            <label>Bonds Volatility (%)</label>
+            <input type="number" id="pbVolatility" value="${s.premiumBonds.volatility ?? 0}" min="0" max="50" step="0.5" />
+          </div>
+          <div class="field">
+            <label>Cash Volatility (%)</label>
+            <input type="number" id="cashVolatility" value="${s.cash.volatility ?? 1}" min="0" max="50" step="0.5" />
+          </div>
+        </div>
+        <div class="field">
+          <label>Return Correlations</label>
+          <div class="field-row">
+            ${CORRELATION_PAIRS.map(([i, j, label]) => `
+              <div class="field">
+                <label>${label}</label>
+                <input type="number" class="mc-corr" data-i="${i}" data-j="${j}"
+                       value="${s.monteCarlo?.correlation?.[i]?.[j] ?? 0}" min="-1" max="1" step="0.05" />
+              </div>`).join('')}
+            <div class="field">
+              <label title="Each added account's returns against the built-in pot of its type (the ISA for a GIA or Lifetime ISA)">Added account ↔ its pot</label>
+              <input type="number" id="mcAccountCorrelation" value="${s.monteCarlo?.accountCorrelation ?? 0.9}" min="0" max="1" step="0.05" />
+            </div>
+          </div>
+        </div>
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          Each pot's growth rate (or glide-path blend) is used as its mean annual return. Results feed the Outcomes tab and the Plan Success tile.
+        </div>
+      </div>
+    </div>
+
+    <!-- Historical Backtest Section -->
+    <div>
+      <div class="section-header" data-section="backtest">
+        <span>📜 Historical Backtest</span>
+        <span class="toggle-icon">▾</span>
+      </div>
+      <div class="section-body" data-body="backtest">
+        <div class="toggle-field">
+          <label for="backtestEnabled">Replay past returns</label>
+          <label class="switch"><input type="checkbox" id="backtestEnabled" ${s.backtest?.enabled ? 'checked' : ''} /><span class="slider"></span></label>
+        </div>
+        <div class="field" style="font-size:0.78rem;color:var(--text-muted);padding:0.25rem 0;">
+          Runs the plan from every starting year of the bundled UK returns and inflation history.
+          ISA/SIPP growth rates map to an equity/gilt/cash mix; Premium Bonds and Cash earn cash returns.
         </div>
       </div>
     </div>
@@ -311,15 +1273,27 @@ function attachEventListeners(container) {
     });
   });
 
-  // Account override buttons
-  container.querySelectorAll('.acct-override-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
+  // Account override buttons (delegated: added accounts' buttons are re-rendered)
+  if (!_delegated.has(container)) {
+    _delegated.add(container);
+    container.addEventListener('click', e => {
+      const btn = e.target.closest('.acct-override-btn');
+      if (!btn) return;
       const config = getState();
       openAccountOverrideModal(btn.dataset.account, runProjection(config), config);
     });
-  });
+  }
 
   // Profile
+  container.querySelector('#dateOfBirth')?.addEventListener('change', e => {
+    setState({ dateOfBirth: e.target.value || null });
+    _syncDateOfBirth(container);
+  });
+  container.querySelector('#asOfDate')?.addEventListener('change', e => {
+    if (!e.target.value) return;
+    setState({ asOfDate: e.target.value });
+    _syncDateOfBirth(container);
+  });
   bindNumber(container, 'currentAge',        v => setState({ currentAge: v }));
   bindNumber(container, 'retirementAge',     v => setState({ retirementAge: v }));
   bindNumber(container, 'endAge',            v => setState({ endAge: v }));
@@ -330,12 +1304,128 @@ function attachEventListeners(container) {
   bindNullableNumber(container, 'maxIncome', v => setState({ maxIncome: v }));
   bindSelect(container, 'displayMode',       v => setState({ displayMode: v }));
 
+  // Spending strategy
+  bindSelect(container,   'spendingStrategy',       v => {
+    setState({ spendingStrategy: v });
+    const guardrailFields = container.querySelector('#guardrailFields');
+    if (guardrailFields) guardrailFields.style.display = v === 'guardrails' ? '' : 'none';
+    const percentageFields = container.querySelector('#percentageSpendingFields');
+    if (percentageFields) percentageFields.style.display = ['vpw', 'constantPercentage'].includes(v) ? '' : 'none';
+    const rateField = container.querySelector('#percentageRateField');
+    if (rateField) rateField.style.display = v === 'constantPercentage' ? '' : 'none';
+    const vpwField = container.querySelector('#vpwReturnField');
+    if (vpwField) vpwField.style.display = v === 'vpw' ? '' : 'none';
+  });
+  bindNumber(container,   'guardrailUpper',         v => setState({ guardrails: { upperGuardrail: v } }));
+  bindNumber(container,   'guardrailLower',         v => setState({ guardrails: { lowerGuardrail: v } }));
+  bindNumber(container,   'guardrailAdjustment',    v => setState({ guardrails: { adjustment: v } }));
+  bindNumber(container,   'guardrailCutoff',        v => setState({ guardrails: { preservationCutoffYears: v } }));
+  bindCheckbox(container, 'guardrailSkipInflation', v => setState({ guardrails: { skipInflationAfterLoss: v } }));
+  // Partner
+  bindCheckbox(container, 'partnerEnabled', v => {
+    setState({ partner: { enabled: v } });
+    const partnerFields = container.querySelector('#partnerFields');
+    if (partnerFields) partnerFields.style.display = v ? '' : 'none';
+    // Added ISAs and pensions can only be given an owner for a couple
+    const accountList = container.querySelector('#accountList');
+    if (accountList) accountList.innerHTML = buildAccountsHTML(getState());
+  });
+  bindSelect(container, 'personView', v => setState({ personView: v }));
+  bindCheckbox(container, 'survivorEnabled', v => {
+    setState({ survivor: { enabled: v } });
+    const survivorFields = container.querySelector('#survivorFields');
+    if (survivorFields) survivorFields.style.display = v ? '' : 'none';
+  });
+  bindSelect(container, 'survivorDeceased',        v => setState({ survivor: { deceased: v } }));
+  bindNumber(container, 'survivorDeathAge',        v => setState({ survivor: { deathAge: v } }));
+  bindNumber(container, 'survivorSpendingPercent', v => setState({ survivor: { spendingPercent: v } }));
+  container.querySelectorAll('.partner-input').forEach(el => {
+    el.addEventListener('change', () => {
+      const { group, field } = el.dataset;
+      let value;
+      if (el.type === 'checkbox')    value = el.checked;
+      else if (el.type === 'number') value = el.value === '' && field === 'normalPensionAge' ? null : parseFloat(el.value) || 0;
+      else if (el.type === 'date')   value = el.value || null;
+      else                           value = el.value;
+      // partner is nested two levels deep — pass the whole sub-object
+      const partner = getState().partner;
+      setState({ partner: group ? { [group]: { ...partner[group], [field]: value } } : { [field]: value } });
+      if (group === 'sipp' && field === 'contributionMode') {
+        const flatField    = container.querySelector('#partnerSippFlatField');
+        const indexation   = container.querySelector('#partnerSippIndexation');
+        const salaryFields = container.querySelector('#partnerSippSalaryFields');
+        if (flatField)    flatField.style.display    = value === 'salary' ? 'none' : '';
+        if (indexation)   indexation.style.display   = value === 'salary' ? 'none' : '';
+        if (salaryFields) salaryFields.style.display = value === 'salary' ? '' : 'none';
+      }
+      if (field === 'contributionIndexation') _enableIndexRate(el, value);
+      if (group === 'dbPension' && field === 'indexation') _enableDbIndexFields(el, value);
+      if (group === 'statePension' && field === 'forecastMode') _enableStatePensionFields(el, value);
+      if (field === 'dateOfBirth') _syncDateOfBirth(container);
+    });
+  });
+
+  // Spending phases and one-off goals (lists re-rendered on add/remove)
+  bindCheckbox(container, 'spendingPhasesEnabled', v => {
+    setState({ spendingPhases: { enabled: v } });
+    const phaseFields = container.querySelector('#spendingPhaseFields');
+    if (phaseFields) phaseFields.style.display = v ? '' : 'none';
+  });
+  bindSpendingList(container, {
+    listId:   'spendingBandList',
+    addId:    'addSpendingBand',
+    input:    '.spending-band-input',
+    get:      () => getState().spendingPhases?.bands ?? [],
+    set:      bands => setState({ spendingPhases: { bands } }),
+    build:    buildSpendingBandsHTML,
+    // New phase runs to the end; the previous open-ended band gets an end age
+    add: bands => {
+      const { retirementAge, retirementSpending } = getState();
+      if (bands.length === 0) return [{ toAge: null, amount: retirementSpending }];
+      const last  = bands[bands.length - 1];
+      const start = bands.length > 1 ? bands[bands.length - 2].toAge ?? retirementAge : retirementAge;
+      return [...bands.slice(0, -1), { ...last, toAge: last.toAge ?? start + 10 }, { toAge: null, amount: last.amount }];
+    },
+  });
+  bindSpendingList(container, {
+    listId:   'spendingGoalList',
+    addId:    'addSpendingGoal',
+    input:    '.spending-goal-input',
+    get:      () => getState().spendingGoals ?? [],
+    set:      spendingGoals => setState({ spendingGoals }),
+    build:    buildSpendingGoalsHTML,
+    add: goals => [...goals, { label: 'Goal', amount: 10000, year: getPlanStartYear(getState()) + 5, repeatYears: 0 }],
+  });
+
+  // Other accounts (list re-rendered on add/remove and when a field changes
+  // what the row shows)
+  bindSpendingList(container, {
+    listId:   'accountList',
+    addId:    'addAccount',
+    input:    '.account-input',
+    get:      () => getState().accounts ?? [],
+    set:      accounts => setState({ accounts }),
+    build:    buildAccountsHTML,
+    add: accounts => [...accounts, createAccount(container.querySelector('#newAccountType')?.value || 'isa', accounts)],
+  });
+
+  bindNumber(container,   'percentageRate',         v => setState({ percentageSpending: { rate: v } }));
+  bindNumber(container,   'vpwReturn',              v => setState({ percentageSpending: { vpwReturn: v } }));
+  bindCheckbox(container, 'percentageFloorCeiling', v => {
+    setState({ percentageSpending: { floorCeiling: v } });
+    const floorCeilingFields = container.querySelector('#floorCeilingFields');
+    if (floorCeilingFields) floorCeilingFields.style.display = v ? '' : 'none';
+  });
+  bindNumber(container,   'spendingFloor',          v => setState({ percentageSpending: { floor: v } }));
+  bindNumber(container,   'spendingCeiling',        v => setState({ percentageSpending: { ceiling: v } }));
+
   // ISA
   bindCheckbox(container, 'isaEnabled',          v => setState({ isa: { enabled: v } }));
   bindNumber(container,   'isaBalance',           v => setState({ isa: { balance: v } }));
   bindNumber(container,   'isaGrowthRate',        v => setState({ isa: { growthRate: v } }));
   bindNumber(container,   'isaAnnualContribution',v => setState({ isa: { annualContribution: v } }));
   bindNullableNumber(container, 'isaStopContributionAge', v => setState({ isa: { stopContributionAge: v } }));
+  bindIndexation(container, 'isa');
   bindNullableNumber(container, 'isaDrawdownStartAge',    v => setState({ isa: { drawdownStartAge: v } }));
 
   // SIPP
@@ -343,8 +1433,31 @@ function attachEventListeners(container) {
   bindNumber(container,   'sippBalance',            v => setState({ sipp: { balance: v } }));
   bindNumber(container,   'sippGrowthRate',         v => setState({ sipp: { growthRate: v } }));
   bindNumber(container,   'sippAnnualContribution', v => setState({ sipp: { annualContribution: v } }));
+  bindIndexation(container, 'sipp');
+  bindSelect(container,   'sippContributionMode', v => {
+    setState({ sipp: { contributionMode: v } });
+    const flatFields   = container.querySelector('#sippFlatContributionFields');
+    const salaryFields = container.querySelector('#sippSalaryFields');
+    if (flatFields)   flatFields.style.display   = v === 'salary' ? 'none' : '';
+    if (salaryFields) salaryFields.style.display = v === 'salary' ? '' : 'none';
+  });
+  bindNumber(container,   'sippSalary',           v => setState({ sipp: { salary: v } }));
+  bindNumber(container,   'sippSalaryGrowthRate', v => setState({ sipp: { salaryGrowthRate: v } }));
+  bindNumber(container,   'sippEmployeePercent',  v => setState({ sipp: { employeePercent: v } }));
+  bindNumber(container,   'sippEmployerPercent',  v => setState({ sipp: { employerPercent: v } }));
+  bindSelect(container,   'sippReliefMethod',     v => setState({ sipp: { reliefMethod: v } }));
   bindNullableNumber(container, 'sippStopContributionAge', v => setState({ sipp: { stopContributionAge: v } }));
   bindNullableNumber(container, 'sippDrawdownStartAge',    v => setState({ sipp: { drawdownStartAge: v } }));
+  bindSelect(container,   'sippPclsMode',           v => {
+    setState({ sipp: { pclsMode: v } });
+    const fullFields = container.querySelector('#sippPclsFullFields');
+    if (fullFields) fullFields.style.display = v === 'full' ? '' : 'none';
+    const capField = container.querySelector('#sippPclsCapField');
+    if (capField) capField.style.display = v === 'none' ? 'none' : '';
+  });
+  bindNumber(container,   'sippPclsAge',            v => setState({ sipp: { pclsAge: v } }));
+  bindSelect(container,   'sippPclsDestination',    v => setState({ sipp: { pclsDestination: v } }));
+  bindCheckbox(container, 'sippPclsCapAtLsa',       v => setState({ sipp: { pclsCapAtLsa: v } }));
 
   // Premium Bonds
   bindCheckbox(container, 'pbEnabled',          v => setState({ premiumBonds: { enabled: v } }));
@@ -365,22 +1478,179 @@ function attachEventListeners(container) {
   bindNumber(container,   'cashGrowthRate',         v => setState({ cash: { growthRate: v } }));
   bindNumber(container,   'cashAnnualContribution', v => setState({ cash: { annualContribution: v } }));
   bindNullableNumber(container, 'cashStopContributionAge', v => setState({ cash: { stopContributionAge: v } }));
+  bindIndexation(container, 'cash');
   bindNullableNumber(container, 'cashDrawdownStartAge',    v => setState({ cash: { drawdownStartAge: v } }));
 
   // DB Pension
   bindCheckbox(container, 'dbEnabled',     v => setState({ dbPension: { enabled: v } }));
   bindNumber(container,   'dbAnnualIncome',v => setState({ dbPension: { annualIncome: v } }));
   bindNumber(container,   'dbStartAge',   v => setState({ dbPension: { startAge: v } }));
+  bindNumber(container,   'dbSurvivorPercent', v => setState({ dbPension: { survivorPercent: v } }));
+  bindNullableNumber(container, 'dbNormalPensionAge', v => setState({ dbPension: { normalPensionAge: v } }));
+  for (const field of ['earlyReductionPercent', 'lateIncreasePercent', 'commutationPercent', 'commutationFactor',
+    'indexationCap', 'indexationRate']) {
+    bindNumber(container, `db${field.charAt(0).toUpperCase()}${field.slice(1)}`, v => setState({ dbPension: { [field]: v } }));
+  }
+  bindSelect(container, 'dbLumpSumDestination', v => setState({ dbPension: { lumpSumDestination: v } }));
+  bindSelect(container, 'dbIndexation', v => {
+    setState({ dbPension: { indexation: v } });
+    _enableDbIndexFields(container.querySelector('#dbIndexation'), v);
+  });
+  bindSpendingList(container, {
+    listId:   'dbSchemeList',
+    addId:    'addDbScheme',
+    input:    '.db-scheme-input',
+    get:      () => getState().dbSchemes ?? [],
+    set:      dbSchemes => setState({ dbSchemes }),
+    build:    buildDbSchemesHTML,
+    add: schemes => {
+      let n = schemes.length + 1;
+      while (schemes.some(scheme => scheme.id === `db${n}`)) n++;
+      return [...schemes, {
+        ...DEFAULT_DB_SCHEME, id: `db${n}`, name: 'DB pension', owner: 'primary', enabled: true,
+        annualIncome: 5000, startAge: 65,
+      }];
+    },
+  });
 
   // State Pension
   bindCheckbox(container, 'spEnabled',          v => setState({ statePension: { enabled: v } }));
   bindNumber(container,   'spAnnualIncome',     v => setState({ statePension: { annualIncome: v } }));
+  bindSelect(container,   'spForecastMode',     v => {
+    setState({ statePension: { forecastMode: v } });
+    _enableStatePensionFields(container.querySelector('#spForecastMode'), v);
+  });
+  for (const field of ['qualifyingYears', 'voluntaryYears', 'protectedPayment', 'deferralYears']) {
+    bindNumber(container, `sp${field.charAt(0).toUpperCase()}${field.slice(1)}`, v => setState({ statePension: { [field]: v } }));
+  }
   bindSelect(container,   'spGrowthModel',      v => {
     setState({ statePension: { growthModel: v } });
     const customField = container.querySelector('#spCustomRateField');
     if (customField) customField.style.display = v === 'custom' ? '' : 'none';
   });
   bindNumber(container,   'spCustomGrowthRate', v => setState({ statePension: { customGrowthRate: v } }));
+
+  // Tax
+  bindCheckbox(container, 'taxEnabled',           v => setState({ tax: { enabled: v } }));
+  bindCheckbox(container, 'taxGrossUpWithdrawals', v => setState({ tax: { grossUpWithdrawals: v } }));
+  bindNumber(container,   'taxPersonalAllowance', v => setState({ tax: { personalAllowance: v } }));
+  bindNumber(container,   'taxBasicRateLimit',    v => setState({ tax: { basicRateLimit: v } }));
+  bindSelect(container,   'taxBandIndexation',    v => {
+    setState({ tax: { bandIndexation: v } });
+    const indexFromField = container.querySelector('#taxIndexFromField');
+    if (indexFromField) indexFromField.style.display = v === 'cpi' ? '' : 'none';
+  });
+  bindNumber(container,   'taxIndexFromYear',     v => setState({ tax: { indexFromYear: v } }));
+
+  // Allowances
+  bindCheckbox(container, 'allowancesRedirectExcess', v => {
+    setState({ allowances: { redirectExcess: v } });
+    const redirectToField = container.querySelector('#allowancesRedirectToField');
+    if (redirectToField) redirectToField.style.display = v ? '' : 'none';
+  });
+  bindSelect(container,   'allowancesRedirectTo', v => setState({ allowances: { redirectTo: v } }));
+  bindSelect(container,   'withdrawalStrategy',   v => setState({ withdrawalStrategy: v }));
+
+  // Asset allocation
+  for (const asset of ASSET_CLASSES) {
+    bindNumber(container, `${asset}AssetReturn`, v => setState({ assetReturns: { [asset]: v } }));
+  }
+  container.querySelectorAll('.glide-toggle').forEach(el => {
+    el.addEventListener('change', () => {
+      const pot = el.dataset.pot;
+      container.querySelector(`[data-glide-fields="${pot}"]`).hidden = !el.checked;
+      const growthInput = container.querySelector(`#${pot}GrowthRate`);
+      if (growthInput) growthInput.disabled = el.checked;
+      setState({ [pot]: { glidePath: { ...getState()[pot].glidePath, enabled: el.checked } } });
+    });
+  });
+  container.querySelectorAll('.glide-input').forEach(el => {
+    el.addEventListener('change', () => {
+      const v = parseFloat(el.value);
+      if (isNaN(v)) return;
+      const { pot, field, mix, asset } = el.dataset;
+      const glidePath = structuredClone(getState()[pot].glidePath);
+      if (field) glidePath[field] = v;
+      else glidePath[mix][asset] = Math.max(0, v);
+      setState({ [pot]: { glidePath } });
+    });
+  });
+
+  // Historical backtest
+  bindCheckbox(container, 'backtestEnabled', v => setState({ backtest: { enabled: v } }));
+
+  // Monte Carlo
+  bindCheckbox(container, 'mcEnabled',      v => setState({ monteCarlo: { enabled: v } }));
+  bindNumber(container,   'mcRuns',         v => setState({ monteCarlo: { runs: Math.min(10000, Math.max(100, Math.round(v))) } }));
+  bindNumber(container,   'mcSeed',         v => setState({ monteCarlo: { seed: Math.round(v) } }));
+  bindNumber(container,   'isaVolatility',  v => setState({ isa: { volatility: v } }));
+  bindNumber(container,   'sippVolatility', v => setState({ sipp: { volatility: v } }));
+  bindNumber(container,   'pbVolatility',   v => setState({ premiumBonds: { volatility: v } }));
+  bindNumber(container,   'cashVolatility', v => setState({ cash: { volatility: v } }));
+  bindNumber(container,   'mcAccountCorrelation', v => setState({ monteCarlo: { accountCorrelation: Math.min(1, Math.max(0, v)) } }));
+  container.querySelectorAll('.mc-corr').forEach(el => {
+    el.addEventListener('change', () => {
+      const v = parseFloat(el.value);
+      if (isNaN(v)) return;
+      const rho = Math.min(1, Math.max(-1, v));
+      const i = Number(el.dataset.i);
+      const j = Number(el.dataset.j);
+      // Keep the matrix symmetric
+      const correlation = getState().monteCarlo.correlation.map(row => [...row]);
+      correlation[i][j] = rho;
+      correlation[j][i] = rho;
+      setState({ monteCarlo: { correlation } });
+    });
+  });
+}
+
+// List fields where a blank input means "not set" rather than 0
+const NULLABLE_LIST_FIELDS = [
+  'toAge', 'stopContributionAge', 'drawdownStartAge', 'costBasis', 'normalPensionAge', 'pclsAge', 'volatility',
+];
+
+/**
+ * Bind an editable list (spending bands, goals, accounts): field edits update
+ * the item in place; add/remove rewrite the list and re-render its rows.
+ */
+function bindSpendingList(container, { listId, addId, input, get, set, build, add }) {
+  const list = container.querySelector(`#${listId}`);
+  if (!list) return;
+  const rerender = () => { list.innerHTML = build(getState()); };
+
+  list.addEventListener('change', e => {
+    const el = e.target.closest(input);
+    if (!el) return;
+    const items = get().map(item => ({ ...item }));
+    const item  = items[Number(el.dataset.index)];
+    if (!item) return;
+    if (el.type === 'number') {
+      const v = parseFloat(el.value);
+      item[el.dataset.field] = isNaN(v) ? (NULLABLE_LIST_FIELDS.includes(el.dataset.field) ? null : 0) : v;
+    } else if (el.type === 'checkbox') {
+      item[el.dataset.field] = el.checked;
+    } else {
+      item[el.dataset.field] = el.value;
+    }
+    set(items);
+    if (el.dataset.field === 'toAge') rerender();   // "From" labels follow the end ages
+    if (el.dataset.field === 'contributionIndexation') _enableIndexRate(el, el.value);
+    if (el.dataset.field === 'indexation') _enableDbIndexFields(el, el.value);
+    if (el.dataset.field === 'owner' && listId === 'dbSchemeList') rerender();   // lump sum destinations follow the owner
+    if (['contributionMode', 'pclsMode'].includes(el.dataset.field)) rerender();   // salary / lump sum fields
+  });
+
+  list.addEventListener('click', e => {
+    const btn = e.target.closest('.list-remove');
+    if (!btn) return;
+    set(get().filter((_, i) => i !== Number(btn.dataset.index)));
+    rerender();
+  });
+
+  container.querySelector(`#${addId}`)?.addEventListener('click', () => {
+    set(add(get()));
+    rerender();
+  });
 }
 
 function bindNumber(container, id, fn) {
@@ -409,6 +1679,30 @@ function bindCheckbox(container, id, fn) {
   el.addEventListener('change', () => fn(el.checked));
 }
 
+/** Bind a built-in pot's contribution indexation select and custom rate. */
+function bindIndexation(container, pot) {
+  bindSelect(container, `${pot}ContributionIndexation`, v => {
+    setState({ [pot]: { contributionIndexation: v } });
+    _enableIndexRate(container.querySelector(`#${pot}ContributionIndexation`), v);
+  });
+  bindNumber(container, `${pot}ContributionIndexRate`, v => setState({ [pot]: { contributionIndexRate: v } }));
+}
+
+/** Enable the custom rate input next to an indexation select only for 'custom'. */
+function _enableIndexRate(select, mode) {
+  const rate = select?.closest('.field-row')?.querySelector('[data-field="contributionIndexRate"], [id$="ContributionIndexRate"]');
+  if (rate) rate.disabled = mode !== 'custom';
+}
+
+/** Enable a DB scheme's indexation cap only for capped CPI, and its rate only for 'fixed'. */
+function _enableDbIndexFields(select, mode) {
+  const row = select?.closest('.field-row');
+  const cap  = row?.querySelector('[data-field="indexationCap"], #dbIndexationCap');
+  const rate = row?.querySelector('[data-field="indexationRate"], #dbIndexationRate');
+  if (cap)  cap.disabled  = mode !== 'cpiCapped';
+  if (rate) rate.disabled = mode !== 'fixed';
+}
+
 function bindSelect(container, id, fn) {
   const el = container.querySelector(`#${id}`);
   if (!el) return;
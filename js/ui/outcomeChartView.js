@@ -1,48 +1,33 @@
 /**
  * outcomeChartView.js — Inflation-adjusted portfolio outcomes chart (P10/P50/P90)
  *
- * Runs the projection engine with three growth-rate scenarios:
+ * With a Monte Carlo result: plots true percentile bands (P10–P90 and
+ * P25–P75 around the median) of real net worth across simulated paths.
+ *
+ * Without one, plots three growth-rate scenarios (computed by the
+ * simulation worker, see engine/analysis.js):
  *   P10 (pessimistic)  — configured growth rates − 3 pp
  *   P50 (typical)      — configured growth rates as-is
  *   P90 (optimistic)   — configured growth rates + 3 pp
+ * The P50 line is drawn as soon as the projection arrives; the range fills
+ * in once the scenario rows follow.
  *
  * All values are deflated by the user's inflation rate to show real
  * (today's-money) portfolio values.
  */
 
-import { runProjection } from '../engine/projectionEngine.js';
+import { getYearReached } from '../engine/calendar.js';
 
 let _outcomeChart = null;
 
-// Growth-rate scenario adjustments (percentage points)
-const P10_ADJ = -3;
-const P90_ADJ = +3;
-
-function _applyGrowthAdj(config, adj) {
-  return {
-    ...config,
-    isa:          { ...config.isa,          growthRate: Math.max(0, (config.isa.growthRate || 0) + adj) },
-    sipp:         { ...config.sipp,         growthRate: Math.max(0, (config.sipp.growthRate || 0) + adj) },
-    premiumBonds: { ...config.premiumBonds, prizeRate:  Math.max(0, (config.premiumBonds.prizeRate || 0) + adj) },
-    cash:         { ...config.cash,         growthRate: Math.max(0, (config.cash.growthRate || 0) + adj) },
-  };
-}
-
 /**
- * Render or update the outcome chart.
- *
- * @param {HTMLCanvasElement} canvas
- * @param {object}            config  App state
+ * Labels and datasets for the ±3 pp growth scenarios (no Monte Carlo).
  */
-export function renderOutcomeChart(canvas, config) {
-  if (typeof Chart === 'undefined' || !canvas) return;
-
+function _scenarioChartData(config, p50Rows, scenarios) {
   const inflationRate = (config.inflationRate ?? 2.5) / 100;
 
-  // Run the three scenarios
-  const p50Rows = runProjection(config);
-  const p10Rows = runProjection(_applyGrowthAdj(config, P10_ADJ));
-  const p90Rows = runProjection(_applyGrowthAdj(config, P90_ADJ));
+  const p10Rows = scenarios?.low  ?? [];
+  const p90Rows = scenarios?.high ?? [];
 
   const labels = p50Rows.map(r => r.year);
   const ageMap  = Object.fromEntries(p50Rows.map(r => [r.year, r.age]));
@@ -54,8 +39,6 @@ export function renderOutcomeChart(canvas, config) {
   const p10Data = p10Rows.map((r, i) => Math.round(deflate(r.totalNetWorth, i)));
   const p90Data = p90Rows.map((r, i) => Math.round(deflate(r.totalNetWorth, i)));
 
-  const retirementYear = new Date().getFullYear() + (config.retirementAge - config.currentAge);
-
   const datasets = [
     // P10 lower bound (no fill)
     {
@@ -94,6 +77,73 @@ export function renderOutcomeChart(canvas, config) {
     },
   ];
 
+  return { labels, ageMap, datasets };
+}
+
+/** Thin percentile line, optionally filled down to another dataset index. */
+function _bandDataset(label, data, fillTarget, fillColor) {
+  return {
+    label,
+    data,
+    borderColor: 'rgba(37,99,235,0.35)',
+    backgroundColor: fillColor,
+    borderWidth: 1,
+    pointRadius: 0,
+    tension: 0.3,
+    fill: fillTarget === null ? false : { target: fillTarget, above: fillColor, below: 'transparent' },
+  };
+}
+
+/**
+ * Datasets for a Monte Carlo result: P10–P90 band, P25–P75 band, median.
+ */
+function _monteCarloDatasets(pct) {
+  return [
+    _bandDataset('P10', pct.p10, null, 'transparent'),
+    _bandDataset('P90', pct.p90, 0, 'rgba(37,99,235,0.12)'),
+    _bandDataset('P25', pct.p25, null, 'transparent'),
+    _bandDataset('P75', pct.p75, 2, 'rgba(37,99,235,0.22)'),
+    {
+      label: 'P50 — Median',
+      data: pct.p50,
+      borderColor: '#2563eb',
+      backgroundColor: 'transparent',
+      borderWidth: 2.5,
+      pointRadius: 0,
+      tension: 0.3,
+      fill: false,
+    },
+  ];
+}
+
+/**
+ * Render or update the outcome chart.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {object}            config    App state
+ * @param {object}            analysis  Worker results received so far
+ * @param {object[]}          analysis.rows  Projection rows (P50 scenario)
+ * @param {{ low: object[], high: object[] }|null} [analysis.scenarios]  ±3 pp growth rows
+ * @param {object|null}       [analysis.monteCarlo]  Output of runMonteCarlo
+ */
+export function renderOutcomeChart(canvas, config, { rows, scenarios = null, monteCarlo: mcResult = null }) {
+  if (typeof Chart === 'undefined' || !canvas) return;
+
+  let labels;
+  let ageMap;
+  let datasets;
+
+  if (mcResult) {
+    const pct = mcResult.percentiles;
+    labels   = pct.years;
+    ageMap   = Object.fromEntries(pct.years.map((y, i) => [y, pct.ages[i]]));
+    datasets = _monteCarloDatasets(pct);
+  } else {
+    ({ labels, ageMap, datasets } = _scenarioChartData(config, rows, scenarios));
+  }
+
+  const retirementYear = getYearReached(config, config.retirementAge);
+
   // Inline annotation plugin (retirement year vertical line)
   const annotationPlugin = {
     id: 'fire2OutcomeAnnotations',
@@ -0,0 +1,272 @@
+/**
+ * scenarioView.js — Named scenarios: switch, duplicate, rename, delete,
+ * export and compare
+ *
+ * Keeps the scenario list (state/scenarios.js) in step with the store and
+ * saved to localStorage. The header select switches the active scenario;
+ * the Scenarios tab lists them for editing, overlays their real net worth
+ * and lines up their headline metrics (planComparison.js) in columns.
+ */
+
+import { getState, loadState, subscribe } from '../state/store.js';
+import {
+  createScenarioList, getActiveScenario, syncActiveScenario, switchScenario,
+  duplicateScenario, renameScenario, deleteScenario, exportScenarios,
+} from '../state/scenarios.js';
+import { loadScenarioList, saveScenarioList } from '../state/localStorageAdapter.js';
+import { comparePlans, PLAN_METRICS } from '../engine/planComparison.js';
+import { runProjection } from '../engine/projectionEngine.js';
+import { formatCurrency, escapeHtml } from './helpers.js';
+
+const LINE_COLOURS = ['#2563eb', '#d97706', '#16a34a', '#9333ea', '#dc2626', '#0891b2', '#db2777', '#65a30d'];
+
+let _list      = null;
+let _selectEl  = null;
+let _onSwitch  = () => {};
+let _container = null;
+let _canvas    = null;
+let _compareChart = null;
+// Projections of the listed plans by their content, so a re-render only
+// projects the plans that changed (after an edit, just the active one)
+let _projections = new Map();
+
+/**
+ * Load the saved scenario list (or start one from the current plan) and
+ * keep it in step with the store. Call once, after the store is loaded.
+ *
+ * @param {object} opts
+ * @param {HTMLSelectElement|null} opts.select  Header scenario select
+ * @param {boolean} [opts.shared=false]  The store was loaded from a share
+ *   link: add it as a new scenario rather than overwrite the active one
+ * @param {() => void} [opts.onSwitch]  Called after another scenario is loaded
+ */
+export function initScenarios({ select, shared = false, onSwitch = () => {} }) {
+  _selectEl = select;
+  _onSwitch = onSwitch;
+
+  const saved = loadScenarioList();
+  if (!saved) {
+    _list = createScenarioList(getState());
+  } else if (shared) {
+    // Keep the plans already saved; the shared one becomes a new scenario
+    const { list, id } = duplicateScenario(saved, getActiveScenario(saved).id, 'Shared plan');
+    _list = syncActiveScenario(switchScenario(list, id), getState());
+  } else {
+    _list = syncActiveScenario(saved, getState());
+  }
+  saveScenarioList(_list);
+
+  subscribe(() => {
+    _list = syncActiveScenario(_list, getState());
+    saveScenarioList(_list);
+  });
+
+  _selectEl?.addEventListener('change', () => _switchTo(_selectEl.value));
+  _renderSelect();
+}
+
+/**
+ * Render the scenario manager and comparison into `container`, and the net
+ * worth overlay into `canvas`.
+ *
+ * @param {HTMLElement} container
+ * @param {HTMLCanvasElement|null} canvas
+ */
+export function renderScenarioView(container, canvas) {
+  if (!container || !_list) return;
+  _container = container;
+  _canvas    = canvas;
+  const { years, plans } = _comparePlans(_list.scenarios);
+
+  const rows = _list.scenarios.map(s => `
+    <div class="scenario-row ${s.id === _list.activeId ? 'scenario-row-active' : ''}" data-id="${s.id}">
+      <input type="text" class="scenario-name" data-action="rename" value="${escapeHtml(s.name)}" aria-label="Scenario name" />
+      ${s.id === _list.activeId
+        ? '<span class="scenario-active-badge">Editing</span>'
+        : '<button class="btn btn-secondary btn-sm" data-action="switch">Open</button>'}
+      <button class="btn btn-secondary btn-sm" data-action="duplicate" title="Duplicate scenario">⧉</button>
+      <button class="btn btn-secondary btn-sm" data-action="delete" title="Delete scenario"
+        ${_list.scenarios.length === 1 ? 'disabled' : ''}>✕</button>
+    </div>`).join('');
+
+  const metricRows = PLAN_METRICS.map(({ key, label, format }) => `
+    <tr>
+      <td>${label}</td>
+      ${plans.map(p => `<td>${_formatMetric(p.metrics[key], format)}</td>`).join('')}
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <div class="scenario-list">${rows}</div>
+    <div class="scenario-actions">
+      <button class="btn btn-secondary btn-sm" data-action="export">⬇ Export Scenarios</button>
+    </div>
+    <div class="table-scroll">
+      <table class="year-table scenario-table">
+        <thead>
+          <tr><th>Today's £</th>${plans.map(p => `<th>${escapeHtml(p.name)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>${metricRows}</tbody>
+      </table>
+    </div>`;
+
+  if (!container.dataset.bound) {
+    container.dataset.bound = 'true';
+    container.addEventListener('click', _onClick);
+    container.addEventListener('change', _onChange);
+  }
+
+  _renderCompareChart(canvas, years, plans);
+}
+
+/** comparePlans, reusing the projections of plans unchanged since the last render. */
+function _comparePlans(scenarios) {
+  const projections = new Map();
+  const project = state => {
+    const key  = JSON.stringify(state);
+    const rows = projections.get(key) ?? _projections.get(key) ?? runProjection(state);
+    projections.set(key, rows);
+    return rows;
+  };
+  const comparison = comparePlans(scenarios, project);
+  _projections = projections;
+  return comparison;
+}
+
+// ── Actions ───────────────────────────────────────────────────────────────
+
+function _onClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const id = btn.closest('[data-id]')?.dataset.id;
+  switch (btn.dataset.action) {
+    case 'switch':
+      _switchTo(id);
+      break;
+    case 'duplicate':
+      _list = duplicateScenario(_list, id).list;
+      _changed();
+      break;
+    case 'delete': {
+      const { name } = _list.scenarios.find(s => s.id === id);
+      if (!window.confirm(`Delete the scenario "${name}"?`)) return;
+      const activeId = _list.activeId;
+      _list = deleteScenario(_list, id);
+      if (_list.activeId !== activeId) _loadActive();
+      else _changed();
+      break;
+    }
+    case 'export':
+      _download(exportScenarios(_list));
+      break;
+  }
+}
+
+function _onChange(e) {
+  if (e.target.dataset.action !== 'rename') return;
+  _list = renameScenario(_list, e.target.closest('[data-id]').dataset.id, e.target.value);
+  _changed();
+}
+
+function _switchTo(id) {
+  if (id === _list.activeId) return;
+  _list = switchScenario(syncActiveScenario(_list, getState()), id);
+  _loadActive();
+}
+
+/** Load the active scenario into the store (re-renders everything). */
+function _loadActive() {
+  saveScenarioList(_list);
+  _renderSelect();
+  loadState(getActiveScenario(_list).state);
+  _onSwitch();
+}
+
+/** Save and redraw after a change that leaves the store as it is. */
+function _changed() {
+  saveScenarioList(_list);
+  _renderSelect();
+  renderScenarioView(_container, _canvas);
+}
+
+function _renderSelect() {
+  if (!_selectEl) return;
+  _selectEl.innerHTML = _list.scenarios
+    .map(s => `<option value="${s.id}" ${s.id === _list.activeId ? 'selected' : ''}>${escapeHtml(s.name)}</option>`)
+    .join('');
+}
+
+function _download(json) {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href = url;
+  a.download = `fire2-scenarios-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ── Rendering helpers ─────────────────────────────────────────────────────
+
+function _formatMetric(value, format) {
+  if (value === null || value === undefined) return '—';
+  if (format === 'currency') return formatCurrency(value);
+  if (format === 'percent')  return `${value}%`;
+  return String(value);
+}
+
+function _renderCompareChart(canvas, years, plans) {
+  if (typeof Chart === 'undefined' || !canvas) return;
+  const datasets = plans.map((p, i) => ({
+    label:           p.name,
+    data:            p.netWorth,
+    borderColor:     LINE_COLOURS[i % LINE_COLOURS.length],
+    backgroundColor: 'transparent',
+    borderWidth:     p.id === _list.activeId ? 2.5 : 1.5,
+    pointRadius:     0,
+    spanGaps:        false,
+  }));
+  const chartConfig = {
+    type: 'line',
+    data: { labels: years, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: { display: true, position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+        tooltip: {
+          callbacks: {
+            label(ctx) {
+              const age = plans[ctx.datasetIndex].ages[ctx.dataIndex];
+              return ` ${ctx.dataset.label}${age !== null ? ` (age ${age})` : ''}: ${formatCurrency(ctx.parsed.y)}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { ticks: { maxTicksLimit: 10, font: { size: 10 }, color: '#6b7280' }, grid: { color: '#f0f2f5' } },
+        y: {
+          ticks: {
+            font: { size: 10 },
+            color: '#6b7280',
+            callback(val) {
+              if (val >= 1_000_000) return `£${(val / 1_000_000).toFixed(1)}m`;
+              if (val >= 1_000)     return `£${(val / 1_000).toFixed(0)}k`;
+              return `£${val}`;
+            },
+          },
+          grid: { color: '#f0f2f5' },
+        },
+      },
+    },
+  };
+
+  if (_compareChart) {
+    _compareChart.data    = chartConfig.data;
+    _compareChart.options = chartConfig.options;
+    _compareChart.update('none');
+  } else {
+    // eslint-disable-next-line no-undef
+    _compareChart = new Chart(canvas, chartConfig);
+  }
+}
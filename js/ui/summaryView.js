@@ -5,23 +5,40 @@
  *  - Plan summary tiles (net worth, FI age, guaranteed income, success, etc.)
  *  - Phase timeline bar showing accumulation / bridge / retirement / pension transitions
  *  - Bridge summary card when a bridge period exists
+ *  - Lifetime tax under each withdrawal strategy (when tax is enabled)
+ *  - Minimum and median real spending under a dynamic spending strategy
+ *  - Household totals for couples (both people's pots and pensions)
+ *  - Whether the plan still succeeds on the survivor path (couples)
+ *  - Monte Carlo success probability when a simulation result is supplied
+ *  - Plan warnings: years in which contributions break an ISA or pension allowance
+ *
+ * Scenario, strategy and Monte Carlo results are computed by the simulation
+ * worker and arrive after the projection rows; until then their figures
+ * show as pending.
  */
 
-import { formatCurrency, toDisplayValue } from './helpers.js';
-import { runProjection } from '../engine/projectionEngine.js';
-
-// Growth-rate adjustment (pp) for scenario analysis — mirrors outcomeChartView.js
-const SCENARIO_ADJ = 3;
-
-function _applyGrowthAdj(cfg, adj) {
-  return {
-    ...cfg,
-    isa:          { ...cfg.isa,          growthRate: Math.max(0, (cfg.isa.growthRate  || 0) + adj) },
-    sipp:         { ...cfg.sipp,         growthRate: Math.max(0, (cfg.sipp.growthRate || 0) + adj) },
-    premiumBonds: { ...cfg.premiumBonds, prizeRate:  Math.max(0, (cfg.premiumBonds.prizeRate || 0) + adj) },
-    cash:         { ...cfg.cash,         growthRate: Math.max(0, (cfg.cash.growthRate || 0) + adj) },
-  };
-}
+import { formatCurrency, toDisplayValue, formatYearsMonths, escapeHtml } from './helpers.js';
+import { SCENARIO_ADJ } from '../engine/analysis.js';
+import { summariseSpending, getPhaseSpending } from '../engine/spendingStrategy.js';
+import { getPartnerConfig, getSurvivorScenario, summariseSurvivorPath } from '../engine/household.js';
+import { ALLOWANCE_RULES, getAllowanceWarnings, summariseAllowanceWarnings } from '../engine/allowances.js';
+import { getDbSchemes, getDbCommutation } from '../engine/pensionEngine.js';
+import { getPlanMetrics, getLifetimeTax } from '../engine/planComparison.js';
+import {
+  getStatePensionAmount, getStatePensionClaimAge, getQualifyingYears, getDeferralBreakEven, getVoluntaryYearsValue,
+} from '../engine/statePension.js';
+
+const SPENDING_STRATEGY_LABELS = {
+  guardrails:         'Guyton-Klinger guardrails',
+  vpw:                'Variable Percentage Withdrawal',
+  constantPercentage: 'Constant percentage',
+};
+
+const STRATEGY_LABELS = {
+  ordered:               'Fixed order',
+  fillPersonalAllowance: 'Fill personal allowance',
+  fillBasicRate:         'Fill basic-rate band',
+};
 
 function _scenarioSuccess(projRows) {
   const retirementPhases = projRows.filter(r => r.phase === 'retire' || r.phase === 'bridge');
@@ -35,8 +52,22 @@ function _scenarioSuccess(projRows) {
  * @param {HTMLElement} container
  * @param {object[]}    rows       Projection rows
  * @param {object}      config     App state
+ * @param {object}      [analysis] Worker results received so far
+ * @param {{ low: object[], high: object[] }|null} [analysis.scenarios]  ±3 pp growth rows
+ * @param {Record<string, object[]>|null} [analysis.strategyRows]  Rows per other withdrawal strategy
+ * @param {object[]|null} [analysis.survivorRows]  Rows on the survivor path
+ * @param {object|null} [analysis.monteCarlo]  Output of runMonteCarlo, when enabled
+ * @param {{ completed: number, total: number }|null} [analysis.monteCarloProgress]
  */
-export function renderSummaryView(container, rows, config) {
+export function renderSummaryView(container, rows, config, analysis = {}) {
+  const {
+    scenarios          = null,
+    strategyRows       = null,
+    survivorRows       = null,
+    monteCarlo: mcResult = null,
+    monteCarloProgress = null,
+  } = analysis;
+
   if (!rows || rows.length === 0) {
     container.innerHTML = '<div class="empty-state"><p>No projection data.</p></div>';
     return;
@@ -50,47 +81,40 @@ export function renderSummaryView(container, rows, config) {
   // Final row
   const finalRow = rows[rows.length - 1];
 
-  // Retirement + bridge rows (for post-retirement metrics)
-  const postRetirementRows = rows.filter(r => r.phase === 'retire' || r.phase === 'bridge');
-  const totalRetirementYears = postRetirementRows.length;
-
-  // ── Metric 1: Probability of success ──────────────────────────────────
-  // Deterministic model: % of retirement + bridge years where spending is
-  // fully covered (no shortfall).
-  const fullyFundedYears = postRetirementRows.filter(r => r.shortfall === 0).length;
-  const probabilityOfSuccess = totalRetirementYears > 0
-    ? Math.round((fullyFundedYears / totalRetirementYears) * 100)
-    : 100;
+  // Headline metrics (planComparison.js): success is the % of retirement +
+  // bridge years where spending is fully covered (no shortfall); the worst
+  // year is the minimum net worth across them; FI age is the first of them
+  // with no shortfall.
+  const metrics = getPlanMetrics(rows, config, displayMode);
+  const totalRetirementYears = metrics.retirementYears;
+  const fullyFundedYears     = metrics.fundedYears;
+  const probabilityOfSuccess = metrics.successRate;
 
   // ── Scenario success rates (P10 / P50 / P90) ─────────────────────────
-  // Run two additional lightweight projections at ±3 pp growth to give a
-  // quick sense of plan robustness without full Monte Carlo.
-  const p10Success = _scenarioSuccess(runProjection(_applyGrowthAdj(config, -SCENARIO_ADJ)));
-  const p90Success = _scenarioSuccess(runProjection(_applyGrowthAdj(config, +SCENARIO_ADJ)));
-
-  // ── Metric 2: Worst-year balance ──────────────────────────────────────
-  // Minimum net worth (display-mode aware) across all retirement years
-  const worstYearBalance = postRetirementRows.length > 0
-    ? Math.min(...postRetirementRows.map(r => toDisplayValue(r, 'totalNetWorth', displayMode)))
-    : toDisplayValue(retirementRow, 'totalNetWorth', displayMode);
+  // Two additional projections at ±3 pp growth give a quick sense of plan
+  // robustness without full Monte Carlo.
+  const p10Success = scenarios ? _scenarioSuccess(scenarios.low)  : null;
+  const p90Success = scenarios ? _scenarioSuccess(scenarios.high) : null;
 
-  // ── Metric 3: First shortfall year ────────────────────────────────────
-  const firstShortfallRow = postRetirementRows.find(r => r.shortfall > 0);
-  const firstShortfallAge  = firstShortfallRow ? firstShortfallRow.age : null;
+  const { worstYearBalance, firstShortfallAge, fiAge } = metrics;
 
-  // ── FI Age: first retirement year where no spending shortfall exists ──
-  const fiRow = postRetirementRows.find(r => r.shortfall === 0);
-  const fiAge = fiRow ? fiRow.age : null;
-
-  // ── Monthly target spend (always in today's £ regardless of displayMode) ──
-  const monthlyTargetSpend = config.retirementSpending / 12;
+  // Monthly target spend (always in today's £ regardless of displayMode;
+  // first spending phase when phases are enabled)
+  const monthlyTargetSpend = metrics.monthlyTargetSpend;
 
   // ── Guaranteed income summary ─────────────────────────────────────────
-  const hasDb = config.dbPension.enabled;
+  // DB schemes after early/late factors and commutation, in today's £
+  const dbSchemes = getDbSchemes(config);
+  const hasDb = dbSchemes.length > 0;
   const hasSp = config.statePension.enabled;
-  const dbAnnual = hasDb ? config.dbPension.annualIncome : 0;
-  const spAnnual = hasSp ? config.statePension.annualIncome : 0;
-  const totalGuaranteed = dbAnnual + spAnnual;
+  const dbAnnual = dbSchemes.reduce((sum, scheme) => sum + getDbCommutation(scheme).pension, 0);
+  const spAnnual = hasSp ? getStatePensionAmount(config) : 0;
+  // Partner's pensions (their start ages are the partner's own ages)
+  const partnerCfg = getPartnerConfig(config);
+  const partnerDbSchemes = partnerCfg ? getDbSchemes(partnerCfg) : [];
+  const partnerDb  = partnerDbSchemes.reduce((sum, scheme) => sum + getDbCommutation(scheme).pension, 0);
+  const partnerSp  = partnerCfg?.statePension.enabled ? getStatePensionAmount(partnerCfg) : 0;
+  const totalGuaranteed = dbAnnual + spAnnual + partnerDb + partnerSp;
 
   // ── Bridge summary ────────────────────────────────────────────────────
   // Bridge = retirement age → first pension start.  Compute total spending
@@ -114,21 +138,24 @@ export function renderSummaryView(container, rows, config) {
   const totalAlloc = allocIsa + allocSipp + allocPb + allocCash;
 
   // Net worth shown in display mode
-  const retirementNetWorth = toDisplayValue(retirementRow, 'totalNetWorth', displayMode);
-  const finalNetWorth      = toDisplayValue(finalRow, 'totalNetWorth', displayMode);
+  const { retirementNetWorth, finalNetWorth } = metrics;
+
+  // ── Monte Carlo success (replaces the deterministic headline when run) ─
+  const mcSuccess = mcResult ? Math.round(mcResult.successProbability * 100) : null;
+  const headlineSuccess = mcSuccess ?? probabilityOfSuccess;
 
   // Health class driven by probability of success
   let healthClass;
-  if (probabilityOfSuccess === 100) {
+  if (headlineSuccess === 100) {
     healthClass = 'tile-positive';
-  } else if (probabilityOfSuccess >= 80) {
+  } else if (headlineSuccess >= 80) {
     healthClass = 'tile-warning';
   } else {
     healthClass = 'tile-negative';
   }
 
   // Safe spending estimate from 4% rule at retirement (display-mode aware)
-  const safeSpending4pct = retirementNetWorth * 0.04;
+  const safeSpending4pct = metrics.safeSpending;
 
   // Allocation bars (only show enabled accounts)
   const allocItems = [
@@ -160,10 +187,17 @@ export function renderSummaryView(container, rows, config) {
   // ── Guaranteed income card ─────────────────────────────────────────────
   // Headline shows total; sub-text distinguishes DB start age vs state pension start age
   let guaranteedIncomeCard = '';
-  if (hasDb || hasSp) {
-    const dbLine  = hasDb ? `DB pension: ${formatCurrency(dbAnnual)}/yr — starts age ${config.dbPension.startAge}` : '';
-    const spLine  = hasSp ? `State pension: ${formatCurrency(spAnnual)}/yr — starts age ${config.statePensionAge}` : '';
-    const lines   = [dbLine, spLine].filter(Boolean);
+  if (totalGuaranteed > 0 || hasDb || hasSp) {
+    const dbLine  = (scheme, who) => {
+      const { pension, lumpSum } = getDbCommutation(scheme);
+      const lump = lumpSum > 0 ? ` + ${formatCurrency(lumpSum)} lump sum` : '';
+      return `${who}${escapeHtml(scheme.name)}: ${formatCurrency(pension)}/yr${lump} — starts ${who ? 'at their ' : ''}age ${scheme.startAge}`;
+    };
+    const dbLines  = dbSchemes.map(scheme => dbLine(scheme, ''));
+    const spLine   = hasSp ? `State pension: ${formatCurrency(spAnnual)}/yr — starts age ${formatYearsMonths(getStatePensionClaimAge(config))}` : '';
+    const pDbLines = partnerDbSchemes.map(scheme => dbLine(scheme, 'Partner '));
+    const pSpLine  = partnerSp > 0 ? `Partner state pension: ${formatCurrency(partnerSp)}/yr — starts at their age ${formatYearsMonths(getStatePensionClaimAge(partnerCfg))}` : '';
+    const lines    = [...dbLines, spLine, ...pDbLines, pSpLine].filter(Boolean);
     guaranteedIncomeCard = `
       <div class="snapshot-tile tile-positive tile-guaranteed">
         <div class="tile-label">Guaranteed Income</div>
@@ -175,6 +209,34 @@ export function renderSummaryView(container, rows, config) {
     `;
   }
 
+  // ── State Pension options (today's £) ─────────────────────────────────
+  let statePensionCard = '';
+  if (hasSp) {
+    const deferral = getDeferralBreakEven(config);
+    const record   = config.statePension.forecastMode === 'niRecord';
+    const years    = getQualifyingYears(config);
+    const buy      = record ? getVoluntaryYearsValue(config) : null;
+    const lines = [
+      record ? `${years.total} qualifying years at SPA (${years.earned} so far + ${years.future} working${
+        years.voluntary > 0 ? ` + ${years.voluntary} voluntary` : ''})` : '',
+      deferral.breakEvenAge !== null
+        ? `Deferring ${deferral.years} yr${deferral.years === 1 ? '' : 's'} adds ${formatCurrency(deferral.annualIncrease)}/yr — breaks even at age ${Math.ceil(deferral.breakEvenAge)}`
+        : '',
+      buy && buy.annualIncrease > 0
+        ? `Buying ${buy.years} missing year${buy.years === 1 ? '' : 's'} costs ${formatCurrency(buy.cost)} and adds ${formatCurrency(buy.annualIncrease)}/yr — pays back in ${buy.paybackYears.toFixed(1)} yrs, ${formatCurrency(buy.lifetimeValue)} by age ${config.endAge}`
+        : buy ? 'No missing years worth buying' : '',
+    ].filter(Boolean);
+    statePensionCard = `
+      <div class="snapshot-tile tile-guaranteed">
+        <div class="tile-label">State Pension (today's £)</div>
+        <div class="tile-value">${formatCurrency(spAnnual)}/yr</div>
+        <div class="tile-sub guaranteed-detail">
+          ${lines.map(l => `<span>${l}</span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
   // ── Bridge summary card ────────────────────────────────────────────────
   let bridgeCard = '';
   if (hasBridge) {
@@ -194,6 +256,78 @@ export function renderSummaryView(container, rows, config) {
     `;
   }
 
+  // ── Lifetime tax by withdrawal strategy ───────────────────────────────
+  // Compare the projection under each strategy so the user can see which
+  // ordering pays the least tax over the whole plan: income tax, GIA dividend
+  // and capital gains tax, and Lifetime ISA withdrawal charges.
+  let taxCard = '';
+  if (config.tax?.enabled) {
+    const currentStrategy = config.withdrawalStrategy || 'ordered';
+    const strategyTaxes = Object.keys(STRATEGY_LABELS).map(strategy => {
+      const strategyProjection = strategy === currentStrategy ? rows : strategyRows?.[strategy];
+      return { strategy, tax: strategyProjection ? getLifetimeTax(strategyProjection, displayMode) : null };
+    });
+    const pending   = strategyTaxes.some(t => t.tax === null);
+    const lowestTax = Math.min(...strategyTaxes.filter(t => t.tax !== null).map(t => t.tax));
+    const allEqual  = pending || strategyTaxes.every(t => Math.round(t.tax) === Math.round(lowestTax));
+    const currentTax = strategyTaxes.find(t => t.strategy === currentStrategy).tax;
+
+    taxCard = `
+      <div class="snapshot-tile tile-guaranteed">
+        <div class="tile-label">Lifetime Tax ${modeTag}</div>
+        <div class="tile-value">${formatCurrency(currentTax)}</div>
+        <div class="tile-sub guaranteed-detail">
+          ${strategyTaxes.map(t => `<span>${t.strategy === currentStrategy ? '▸ ' : ''}${STRATEGY_LABELS[t.strategy]}: ${t.tax === null ? 'calculating…' : formatCurrency(t.tax)}${
+            t.tax === lowestTax && !allEqual ? ' ✓ lowest' : ''}</span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // ── Dynamic spending range ────────────────────────────────────────────
+  // Under guardrails / VPW / constant percentage spending moves with the
+  // portfolio, so show the worst and typical year in today's money.
+  let spendingCard = '';
+  const spendingStrategy = config.spendingStrategy || 'fixed';
+  const spendingRange = spendingStrategy !== 'fixed' ? summariseSpending(rows) : null;
+  if (spendingRange) {
+    const belowTarget = spendingRange.min < getPhaseSpending(config, spendingRange.minAge);
+    spendingCard = `
+      <div class="snapshot-tile ${belowTarget ? 'tile-warning' : ''}">
+        <div class="tile-label">Real Spending (today's £)</div>
+        <div class="tile-value">${formatCurrency(spendingRange.median)}/yr</div>
+        <div class="tile-sub guaranteed-detail">
+          <span>Median over ${spendingRange.years} retirement years</span>
+          <span>Minimum ${formatCurrency(spendingRange.min)} at age ${spendingRange.minAge}</span>
+          <span>${SPENDING_STRATEGY_LABELS[spendingStrategy] ?? spendingStrategy}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  // ── Survivor path ─────────────────────────────────────────────────────
+  // Couples: does the plan still meet the survivor's spending after one
+  // person dies?
+  let survivorCard = '';
+  const survivorScenario = getSurvivorScenario(config);
+  if (survivorScenario) {
+    const who     = survivorScenario.deceased === 'primary' ? 'You die' : 'Partner dies';
+    const outcome = survivorRows ? summariseSurvivorPath(survivorRows) : null;
+    const tileClass = !outcome ? '' : outcome.success ? 'tile-positive' : 'tile-negative';
+    survivorCard = `
+      <div class="snapshot-tile ${tileClass}">
+        <div class="tile-label">Survivor Path</div>
+        <div class="tile-value">${!outcome ? '…' : outcome.success ? 'Succeeds' : `Shortfall from ${outcome.firstShortfallAge}`}</div>
+        <div class="tile-sub guaranteed-detail">
+          <span>${who} at ${survivorScenario.deathAge}; survivor spends ${Math.round(survivorScenario.spendingFactor * 100)}%</span>
+          <span>${!outcome ? 'calculating…' : outcome.success
+            ? 'Spending met in every remaining year'
+            : `${formatCurrency(outcome.realShortfall)} unmet (today's £)`}</span>
+        </div>
+      </div>
+    `;
+  }
+
   // ── Phase timeline bar ─────────────────────────────────────────────────
   const timelineBar = renderTimelineBar(rows, config);
 
@@ -212,7 +346,7 @@ export function renderSummaryView(container, rows, config) {
       <div class="snapshot-tile">
         <div class="tile-label">Target Monthly Spend (today's £)</div>
         <div class="tile-value">${formatCurrency(monthlyTargetSpend)}</div>
-        <div class="tile-sub">Retirement spending target</div>
+        <div class="tile-sub">${config.spendingPhases?.enabled ? 'First spending phase' : 'Retirement spending target'}</div>
       </div>
       <div class="snapshot-tile">
         <div class="tile-label">4% Safe Spending ${modeTag}</div>
@@ -220,7 +354,23 @@ export function renderSummaryView(container, rows, config) {
         <div class="tile-sub">Sustainable annual draw</div>
       </div>
       ${guaranteedIncomeCard}
+      ${statePensionCard}
       ${bridgeCard}
+      ${taxCard}
+      ${spendingCard}
+      ${survivorCard}
+      ${mcResult ? `
+      <div class="snapshot-tile ${healthClass}">
+        <div class="tile-label">Plan Success <span class="model-badge">Monte Carlo</span></div>
+        <div class="tile-value">${mcSuccess}%</div>
+        <div class="tile-sub">
+          ${mcSuccess === 100
+            ? `Every one of ${mcResult.runs.toLocaleString('en-GB')} simulated paths is fully funded to age ${config.endAge}`
+            : `${mcSuccess}% of ${mcResult.runs.toLocaleString('en-GB')} simulated paths never fall short${
+                mcResult.depletion.medianAge !== null ? ` · median first shortfall at age ${mcResult.depletion.medianAge}` : ''}`}
+          <span class="scenario-rates">Deterministic: ${probabilityOfSuccess}% of years funded</span>
+        </div>
+      </div>` : `
       <div class="snapshot-tile ${healthClass}">
         <div class="tile-label">Plan Success <span class="model-badge">Deterministic</span></div>
         <div class="tile-value">${probabilityOfSuccess}%</div>
@@ -232,9 +382,13 @@ export function renderSummaryView(container, rows, config) {
                 ? `First shortfall at age ${firstShortfallAge} (${fullyFundedYears}/${totalRetirementYears} years funded)`
                 : 'Spending exceeds income'
           }
-          <span class="scenario-rates">Pessimistic (−3 pp): ${p10Success}% · Optimistic (+3 pp): ${p90Success}%</span>
+          <span class="scenario-rates">${scenarios
+            ? `Pessimistic (−${SCENARIO_ADJ} pp): ${p10Success}% · Optimistic (+${SCENARIO_ADJ} pp): ${p90Success}%`
+            : 'Growth scenarios: calculating…'}</span>
+          ${monteCarloProgress ? `<span class="scenario-rates">Monte Carlo: ${
+            Math.round(monteCarloProgress.completed / monteCarloProgress.total * 100)}% simulated…</span>` : ''}
         </div>
-      </div>
+      </div>`}
       <div class="snapshot-tile ${worstYearBalance <= 0 ? 'tile-negative' : ''}">
         <div class="tile-label">Worst-Year Balance ${modeTag}</div>
         <div class="tile-value ${worstYearBalance <= 0 ? 'tile-negative' : ''}">${formatCurrency(worstYearBalance)}</div>
@@ -253,6 +407,39 @@ export function renderSummaryView(container, rows, config) {
     </div>
     ${allocBars ? `<div class="alloc-section">${allocBars}</div>` : ''}
     ${timelineBar}
+    ${renderPlanWarnings(rows, config)}
+  `;
+}
+
+/**
+ * Render the plan warnings panel: each run of years in which one person's
+ * contributions break an ISA or pension allowance.
+ *
+ * @param {object[]} rows
+ * @param {object}   config
+ * @returns {string} HTML string (empty when there are no warnings)
+ */
+function renderPlanWarnings(rows, config) {
+  const runs = summariseAllowanceWarnings(getAllowanceWarnings(rows));
+  if (runs.length === 0) return '';
+
+  const couple = Boolean(config.partner?.enabled);
+  const items = runs.map(run => {
+    const who   = couple ? (run.person === 'partner' ? 'Partner: ' : 'You: ') : '';
+    const years = run.fromYear === run.toYear
+      ? `${run.fromYear} (age ${run.fromAge})`
+      : `${run.fromYear}–${run.toYear} (ages ${run.fromAge}–${run.toAge})`;
+    const action = run.rule === 'lisaAllowance'
+      ? 'not paid in'
+      : run.redirected > 0 ? `${formatCurrency(run.redirected)} redirected` : 'over the limit';
+    return `<li>${who}<strong>${ALLOWANCE_RULES[run.rule]}</strong> exceeded in ${years} — ${formatCurrency(run.totalExcess)} ${action}</li>`;
+  });
+
+  return `
+    <div class="plan-warnings" role="status">
+      <div class="plan-warnings-title">⚠ Plan warnings</div>
+      <ul>${items.join('')}</ul>
+    </div>
   `;
 }
 
@@ -298,19 +485,20 @@ function renderTimelineBar(rows, config) {
 
   // Income start markers
   const markers = [];
-  if (config.dbPension.enabled) {
-    const dbPct = (((config.dbPension.startAge - config.currentAge) / totalYears) * 100).toFixed(1);
+  for (const startAge of new Set(getDbSchemes(config).map(scheme => scheme.startAge))) {
+    const dbPct = (((startAge - config.currentAge) / totalYears) * 100).toFixed(1);
     if (parseFloat(dbPct) >= 0 && parseFloat(dbPct) <= 100) {
-      markers.push(`<div class="timeline-marker timeline-marker-db" style="left:${dbPct}%" title="DB pension starts age ${config.dbPension.startAge}">
-        <span class="timeline-marker-label">DB ${config.dbPension.startAge}</span>
+      markers.push(`<div class="timeline-marker timeline-marker-db" style="left:${dbPct}%" title="DB pension starts age ${startAge}">
+        <span class="timeline-marker-label">DB ${startAge}</span>
       </div>`);
     }
   }
   if (config.statePension.enabled) {
-    const spPct = (((config.statePensionAge - config.currentAge) / totalYears) * 100).toFixed(1);
+    const spAge = getStatePensionClaimAge(config);
+    const spPct = (((spAge - config.currentAge) / totalYears) * 100).toFixed(1);
     if (parseFloat(spPct) >= 0 && parseFloat(spPct) <= 100) {
-      markers.push(`<div class="timeline-marker timeline-marker-sp" style="left:${spPct}%" title="State pension starts age ${config.statePensionAge}">
-        <span class="timeline-marker-label">SP ${config.statePensionAge}</span>
+      markers.push(`<div class="timeline-marker timeline-marker-sp" style="left:${spPct}%" title="State pension starts age ${formatYearsMonths(spAge)}">
+        <span class="timeline-marker-label">SP ${formatYearsMonths(spAge)}</span>
       </div>`);
     }
   }
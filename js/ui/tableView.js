@@ -8,10 +8,15 @@
  *   negative = deficit (spending > income)
  */
 
-import { formatCurrency, toDisplayValue } from './helpers.js';
+import { formatCurrency, toDisplayValue, formatAllocation, describeSpendingAdjustment, allowanceBadge, formatYearsMonths, escapeHtml } from './helpers.js';
 import { setOverride } from '../state/store.js';
-import { ACCOUNT_DEFS } from './accountOverrideModal.js';
+import { getAccountDefs } from './accountOverrideModal.js';
 import { calcAutoFillDrawdown } from '../engine/autoFillDrawdown.js';
+import { ACCOUNT_TYPES, getAccounts, getExtraAccounts } from '../engine/accounts.js';
+import { getAllowanceWarnings } from '../engine/allowances.js';
+import { getDbSchemes } from '../engine/pensionEngine.js';
+import { getStatePensionAmount, getStatePensionClaimAge } from '../engine/statePension.js';
+import { getYearReached } from '../engine/calendar.js';
 
 /**
  * Render the year-by-year projection table.
@@ -30,16 +35,30 @@ export function renderTableView(container, rows, config) {
   const isReal = displayMode === 'real';
   const unitLabel = isReal ? "Today's £" : 'Nominal £';
 
-  const retirementYear = new Date().getFullYear() + (config.retirementAge - config.currentAge);
-  const dbStartYear    = config.dbPension.enabled
-    ? new Date().getFullYear() + (config.dbPension.startAge - config.currentAge)
-    : -1;
+  const retirementYear = getYearReached(config, config.retirementAge);
+  const dbStartYears   = new Set(getDbSchemes(config).map(scheme => getYearReached(config, scheme.startAge)));
   const spStartYear    = config.statePension.enabled
-    ? new Date().getFullYear() + (config.statePensionAge - config.currentAge)
+    ? getYearReached(config, getStatePensionClaimAge(config))
     : -1;
 
   const ov = config.overrides || {};
 
+  // Added accounts get their own balance and drawn columns (also counted in
+  // the column for their type)
+  const accountDefs = getAccountDefs(config);
+  const extras = getAccounts(config).filter(a => !a.builtin);
+  const extraHeaders = suffix => extras.map(a =>
+    `<th title="${ACCOUNT_TYPES[a.type].label}${a.owner === 'partner' ? ' (partner)' : ''} — included in the ${ACCOUNT_TYPES[a.type].label} column">${escapeHtml(a.name)}${suffix}</th>`).join('');
+
+  // Allowance warnings by year (only the shown person's in a per-person view)
+  const personView = config.personView || 'household';
+  const warningsByYear = {};
+  for (const w of getAllowanceWarnings(rows)) {
+    if (personView !== 'household' && w.person !== personView) continue;
+    if (!warningsByYear[w.year]) warningsByYear[w.year] = [];
+    warningsByYear[w.year].push(w);
+  }
+
   // Helper: get display value for a field in a row
   const d = (row, field) => toDisplayValue(row, field, displayMode);
 
@@ -47,12 +66,12 @@ export function renderTableView(container, rows, config) {
     <thead>
       <tr class="thead-group">
         <th colspan="2" class="col-pin"></th>
-        <th colspan="5" class="group-header">Balances (${unitLabel})</th>
+        <th colspan="${5 + extras.length}" class="group-header">Balances (${unitLabel})</th>
         <th colspan="2" class="group-header">Contributions / Growth</th>
         <th colspan="3" class="group-header">Guaranteed Income</th>
         <th colspan="2" class="group-header">Spending / Gap</th>
-        <th colspan="4" class="group-header">Portfolio Withdrawals</th>
-        <th colspan="3" class="group-header">Totals</th>
+        <th colspan="${4 + extras.length}" class="group-header">Portfolio Withdrawals</th>
+        <th colspan="5" class="group-header">Totals</th>
         <th class="group-header">Surplus / Deficit</th>
         <th class="group-header group-override">Note</th>
         <th class="group-header group-override">Actions</th>
@@ -64,6 +83,7 @@ export function renderTableView(container, rows, config) {
         <th>SIPP</th>
         <th>Bonds</th>
         <th>Cash</th>
+        ${extraHeaders('')}
         <th>Net Worth</th>
         <th>Contributions</th>
         <th>Growth</th>
@@ -76,8 +96,11 @@ export function renderTableView(container, rows, config) {
         <th>SIPP Drawn</th>
         <th>Bonds Drawn</th>
         <th>Cash Drawn</th>
+        ${extraHeaders(' Drawn')}
         <th>Portfolio Drawn</th>
         <th>Total Income</th>
+        <th title="UK income tax on SIPP withdrawals, DB pension and State Pension">Income Tax</th>
+        <th title="Total income after income tax">Net Income</th>
         <th>Excess Income</th>
         <th>Surplus / Deficit</th>
         <th>Note</th>
@@ -88,7 +111,7 @@ export function renderTableView(container, rows, config) {
 
   const tbodyRows = rows.map(row => {
     const isRetireStart = row.year === retirementYear;
-    const isDbStart     = row.year === dbStartYear;
+    const isDbStart     = dbStartYears.has(row.year);
     const isSpStart     = row.year === spStartYear;
     let rowClass = '';
     if (isRetireStart) rowClass = 'retirement-start';
@@ -104,7 +127,7 @@ export function renderTableView(container, rows, config) {
     const override = ov[row.year] || {};
 
     // Show a dot indicator if any account overrides exist for this year
-    const yearHasOverride = ACCOUNT_DEFS.some(a =>
+    const yearHasOverride = accountDefs.some(a =>
       (override[a.lumpSumField]  && override[a.lumpSumField]  !== 0) ||
       (override[a.drawdownField] && override[a.drawdownField] !== 0) ||
       (a.contributionField && override[a.contributionField] != null) ||
@@ -123,6 +146,8 @@ export function renderTableView(container, rows, config) {
     const reqSpending     = d(row, 'requiredSpending');
     const gapToPortfolio  = Math.max(0, reqSpending - totalGuaranteed);
     const contribs        = d(row, 'totalContributions');
+    const takeHomeCost    = d(row, 'sippTakeHomeCost') || 0;
+    const employerContrib = d(row, 'sippEmployerContribution') || 0;
     const growth          = d(row, 'totalGrowth');
     const isaW            = d(row, 'isaWithdrawn');
     const sippW           = d(row, 'sippWithdrawn');
@@ -130,38 +155,93 @@ export function renderTableView(container, rows, config) {
     const cashW           = d(row, 'cashWithdrawn');
     const totalW          = d(row, 'totalWithdrawn');
     const totalInc        = d(row, 'totalIncome');
+    const sippCrys        = d(row, 'sippCrystallisedBalance') || 0;
+    const sippUncrys      = d(row, 'sippUncrystallisedBalance') ?? d(row, 'sippBalance');
+    const pclsLumpSum     = d(row, 'pclsLumpSum') || 0;
+    const dbLumpSum       = d(row, 'dbLumpSum') || 0;
+    const incomeTax       = d(row, 'incomeTax');
+    const sippWTax        = d(row, 'sippWithdrawalTax') || 0;
+    const gainsTax        = (d(row, 'dividendTax') || 0) + (d(row, 'capitalGainsTax') || 0);
+    const netInc          = d(row, 'netIncome');
     const surplusDeficit  = d(row, 'surplusDeficit');
+    const bandFillSaved   = d(row, 'bandFillSaved') || 0;
     // excessIncome is not inflation-sensitive (it's the nominal excess flag)
     const excess          = row.excessIncome;
 
+    // Guardrail cut/raise or floor/ceiling shown under the spending target
+    const spendingSub = row.spendingAdjustment === 'capitalPreservation' ? '<span class="cell-sub cell-sub-cut">▼ guardrail cut</span>'
+      : row.spendingAdjustment === 'prosperity'        ? '<span class="cell-sub cell-sub-raise">▲ guardrail raise</span>'
+      : row.spendingAdjustment === 'inflationSkipped'  ? '<span class="cell-sub">no inflation rise</span>'
+      : row.spendingAdjustment === 'floor'             ? '<span class="cell-sub cell-sub-raise">at floor</span>'
+      : row.spendingAdjustment === 'ceiling'           ? '<span class="cell-sub cell-sub-cut">at ceiling</span>'
+      : '';
+    // One-off goals shown under the spending target (tooltip lists each)
+    const goalSub   = row.goalSpending > 0 ? `<span class="cell-sub">incl. ${row.spendingGoals.map(g => escapeHtml(g.label)).join(', ')}</span>` : '';
+    const goalTitle = row.spendingGoals?.map(g => `${escapeHtml(g.label)}: ${formatCurrency(d({ ...g, inflationFactor: row.inflationFactor }, 'amount'))}`).join('\n') ?? '';
+
+    // Glide-path allocation shown under the pot balance
+    const allocationSub = prefix => {
+      const allocation = row[`${prefix}Allocation`];
+      return allocation
+        ? `<span class="cell-sub" title="${formatAllocation(allocation)} · expected return ${row[`${prefix}GrowthRate`]}%">${formatAllocation(allocation, true)}</span>`
+        : '';
+    };
+
     // Surplus/deficit: positive = surplus (green), negative = deficit (red), 0 = muted
     const sdClass = surplusDeficit > 0 ? 'num-positive' : surplusDeficit < 0 ? 'num-negative' : 'num-zero';
     const sdDisplay = surplusDeficit !== 0 ? formatCurrency(surplusDeficit) : '—';
 
     return `
       <tr class="${rowClass}" data-year="${row.year}">
-        <td class="col-pin">${row.year} / ${row.age} ${overrideIndicator}</td>
-        <td class="col-pin">${phaseLabel}</td>
-        <td>${formatCurrency(d(row, 'isaBalance'))}</td>
-        <td>${formatCurrency(d(row, 'sippBalance'))}</td>
+        <td class="col-pin">${row.taxYear ?? row.year} / ${row.age}${row.partnerAge != null ? ` & ${row.partnerAge}` : ''} ${overrideIndicator}</td>
+        <td class="col-pin">${phaseLabel} ${allowanceBadge(warningsByYear[row.year])}</td>
+        <td>${formatCurrency(d(row, 'isaBalance'))}${allocationSub('isa')}</td>
+        <td title="Uncrystallised ${formatCurrency(sippUncrys)} · Crystallised (in drawdown) ${formatCurrency(sippCrys)}">${formatCurrency(d(row, 'sippBalance'))}${
+          sippCrys > 0 ? `<span class="cell-sub">crys. ${formatCurrency(sippCrys)}</span>` : ''}${
+          pclsLumpSum > 0 ? `<span class="cell-sub cell-sub-event">PCLS ${formatCurrency(pclsLumpSum)}</span>` : ''}${
+          allocationSub('sipp')}</td>
         <td>${formatCurrency(d(row, 'premiumBondsBalance'))}</td>
-        <td>${formatCurrency(d(row, 'cashBalance'))}</td>
+        <td>${formatCurrency(d(row, 'cashBalance'))}${allocationSub('cash')}</td>
+        ${extras.map(a => {
+          const bedAndIsa = d(row, `${a.id}BedAndIsa`) || 0;
+          const bonus     = d(row, `${a.id}Bonus`) || 0;
+          return `<td>${formatCurrency(d(row, `${a.id}Balance`))}${
+            bedAndIsa > 0 ? `<span class="cell-sub cell-sub-event">Bed &amp; ISA ${formatCurrency(bedAndIsa)}</span>` : ''}${
+            bonus > 0 ? `<span class="cell-sub">bonus ${formatCurrency(bonus)}</span>` : ''}</td>`;
+        }).join('')}
         <td><strong>${formatCurrency(d(row, 'totalNetWorth'))}</strong></td>
-        <td class="col-contributions ${contribs > 0 ? '' : 'num-zero'}">${contribs > 0 ? formatCurrency(contribs) : '—'}</td>
+        <td class="col-contributions ${contribs > 0 ? '' : 'num-zero'}">${contribs > 0 ? formatCurrency(contribs) : '—'}${
+          takeHomeCost > 0 ? `<span class="cell-sub" title="Pension from salary: cost to take-home pay after tax relief${
+            employerContrib > 0 ? `; the employer adds ${formatCurrency(employerContrib)}` : ''}">SIPP cost ${formatCurrency(takeHomeCost)}</span>` : ''}</td>
         <td class="col-growth ${growth > 0 ? '' : 'num-zero'}">${growth > 0 ? formatCurrency(growth) : '—'}</td>
-        <td class="col-guaranteed ${dbIncome > 0 ? '' : 'num-zero'}">${dbIncome > 0 ? formatCurrency(dbIncome) : '—'}</td>
+        <td class="col-guaranteed ${dbIncome > 0 ? '' : 'num-zero'}">${dbIncome > 0 ? formatCurrency(dbIncome) : '—'}${
+          dbLumpSum > 0 ? `<span class="cell-sub cell-sub-event" title="Tax-free lump sum from commuting DB pension">lump sum ${formatCurrency(dbLumpSum)}</span>` : ''}</td>
         <td class="col-guaranteed ${stateIncome > 0 ? '' : 'num-zero'}">${stateIncome > 0 ? formatCurrency(stateIncome) : '—'}</td>
         <td class="col-guaranteed ${totalGuaranteed > 0 ? '' : 'num-zero'}">${totalGuaranteed > 0 ? formatCurrency(totalGuaranteed) : '—'}</td>
-        <td class="col-spending ${reqSpending > 0 ? '' : 'num-zero'}">${reqSpending > 0 ? formatCurrency(reqSpending) : '—'}</td>
+        <td class="col-spending ${reqSpending > 0 ? '' : 'num-zero'}"${row.spendingAdjustment || goalTitle
+          ? ` title="${[describeSpendingAdjustment(row.spendingAdjustment), goalTitle].filter(Boolean).join('\n')}"` : ''}>${reqSpending > 0 ? formatCurrency(reqSpending) : '—'}${spendingSub}${goalSub}</td>
         <td class="col-gap ${gapToPortfolio > 0 ? '' : 'num-zero'}">${gapToPortfolio > 0 ? formatCurrency(gapToPortfolio) : '—'}</td>
         <td class="col-withdrawal ${isaW > 0 ? '' : 'num-zero'}">${isaW > 0 ? formatCurrency(isaW) : '—'}</td>
-        <td class="col-withdrawal ${sippW > 0 ? '' : 'num-zero'}">${sippW > 0 ? formatCurrency(sippW) : '—'}</td>
+        <td class="col-withdrawal ${sippW > 0 ? '' : 'num-zero'}"${sippWTax > 0 ? ` title="Includes ${formatCurrency(sippWTax)} grossed up to cover the tax this draw caused"` : ''}>${sippW > 0 ? formatCurrency(sippW) : '—'}${
+          sippWTax > 0 ? `<span class="cell-sub">tax ${formatCurrency(sippWTax)}</span>` : ''}</td>
         <td class="col-withdrawal ${pbW > 0 ? '' : 'num-zero'}">${pbW > 0 ? formatCurrency(pbW) : '—'}</td>
         <td class="col-withdrawal ${cashW > 0 ? '' : 'num-zero'}">${cashW > 0 ? formatCurrency(cashW) : '—'}</td>
+        ${extras.map(a => {
+          const drawn   = d(row, `${a.id}Withdrawn`);
+          const penalty = d(row, `${a.id}Penalty`) || 0;
+          return `<td class="col-withdrawal ${drawn > 0 ? '' : 'num-zero'}"${penalty > 0
+            ? ` title="Includes the ${formatCurrency(penalty)} early-withdrawal charge"` : ''}>${drawn > 0 ? formatCurrency(drawn) : '—'}${
+            penalty > 0 ? `<span class="cell-sub cell-sub-cut">penalty ${formatCurrency(penalty)}</span>` : ''}</td>`;
+        }).join('')}
         <td class="col-withdrawal ${totalW > 0 ? '' : 'num-zero'}">${totalW > 0 ? formatCurrency(totalW) : '—'}</td>
         <td class="${totalInc > 0 ? 'num-positive' : 'num-zero'}">${totalInc > 0 ? formatCurrency(totalInc) : '—'}</td>
+        <td class="col-tax ${incomeTax > 0 ? '' : 'num-zero'}"${gainsTax > 0
+          ? ` title="GIA dividend tax ${formatCurrency(d(row, 'dividendTax'))} · CGT ${formatCurrency(d(row, 'capitalGainsTax'))}, paid from the GIA"` : ''}>${incomeTax > 0 ? formatCurrency(incomeTax) : '—'}${
+          gainsTax > 0 ? `<span class="cell-sub">+ GIA ${formatCurrency(gainsTax)}</span>` : ''}</td>
+        <td class="${netInc > 0 ? 'num-positive' : 'num-zero'}">${netInc > 0 ? formatCurrency(netInc) : '—'}</td>
         <td class="${excess > 0 ? 'num-warning' : 'num-zero'}">${excess > 0 ? formatCurrency(excess) : '—'}</td>
-        <td class="${sdClass}">${sdDisplay}</td>
+        <td class="${sdClass}">${sdDisplay}${
+          bandFillSaved > 0 ? `<span class="cell-sub" title="SIPP drawn to fill the tax band beyond spending, moved to the ISA or Cash">saved ${formatCurrency(bandFillSaved)}</span>` : ''}</td>
         <td><input class="note-input" type="text" data-year="${row.year}" data-field="note" value="${override.note || ''}" placeholder="Note…" /></td>
         <td class="col-actions">
           <button class="btn btn-primary btn-sm autofill-btn" data-year="${row.year}" title="Calculate ISA &amp; SIPP draws to meet required spending">⚡ Auto-fill</button>${hasAutoFillOverride ? `\n          <button class="btn btn-secondary btn-sm clear-autofill-btn" data-year="${row.year}" title="Clear auto-fill drawdown overrides">✕ Clear</button>` : ''}
@@ -224,6 +304,9 @@ export function renderTableView(container, rows, config) {
   }
 }
 
+// Pots whose glide-path allocation is exported as extra CSV columns
+const GLIDE_LABELS = { isa: 'ISA', sipp: 'SIPP', cash: 'Cash' };
+
 /**
  * Export projection rows to a CSV file and trigger browser download.
  *
@@ -238,6 +321,14 @@ export function renderTableView(container, rows, config) {
 function exportToCsv(rows, config, displayMode) {
   const isReal = displayMode === 'real';
   const d = (row, field) => toDisplayValue(row, field, displayMode);
+  const glidePots = Object.keys(GLIDE_LABELS).filter(pot => config[pot]?.glidePath?.enabled);
+  const hasPartnerAge = rows.some(r => r.partnerAge != null);
+  const extras = getAccounts(config).filter(a => !a.builtin);
+  const hasGia = rows.some(r => 'dividendIncome' in r);
+  const hasLisa = rows.some(r => 'lisaBonus' in r);
+  const hasSalary = rows.some(r => 'salary' in r);
+  const hasDbLumpSum = rows.some(r => 'dbLumpSum' in r);
+  const hasBandFill = rows.some(r => 'bandFillSaved' in r);
 
   // Assumptions block
   const assumptions = [
@@ -245,6 +336,8 @@ function exportToCsv(rows, config, displayMode) {
     ['# Generated', new Date().toISOString()],
     ['# Display mode', displayMode],
     ['# Inflation rate (%)', config.inflationRate ?? 2.5],
+    ['# Plan as of', config.asOfDate ?? ''],
+    config.dateOfBirth ? ['# Date of birth', config.dateOfBirth] : null,
     ['# Retirement age', config.retirementAge],
     ['# End age', config.endAge],
     ['# Retirement spending (today\'s £)', config.retirementSpending],
@@ -253,25 +346,73 @@ function exportToCsv(rows, config, displayMode) {
     ['# DB pension enabled', config.dbPension.enabled],
     config.dbPension.enabled ? ['# DB pension annual income (£)', config.dbPension.annualIncome] : null,
     config.dbPension.enabled ? ['# DB pension start age', config.dbPension.startAge] : null,
+    ...getDbSchemes(config).map(scheme => [`# DB scheme: ${scheme.name.replace(/"/g, '""')}`,
+      `${scheme.annualIncome} at NPA ${scheme.normalPensionAge ?? scheme.startAge} from ${scheme.startAge}`
+      + ` (early -${scheme.earlyReductionPercent}%/yr, late +${scheme.lateIncreasePercent}%/yr);`
+      + ` commute ${scheme.commutationPercent}% at ${scheme.commutationFactor}:1 to ${scheme.lumpSumDestination};`
+      + ` indexation ${scheme.indexation}${scheme.indexation === 'cpiCapped' ? ` cap ${scheme.indexationCap}%`
+        : scheme.indexation === 'fixed' ? ` ${scheme.indexationRate}%` : ''}`]),
     ['# State pension enabled', config.statePension.enabled],
-    config.statePension.enabled ? ['# State pension annual income (£)', config.statePension.annualIncome] : null,
-    config.statePension.enabled ? ['# State pension start age', config.statePensionAge] : null,
+    config.statePension.enabled ? ['# State pension annual income (£)', Math.round(getStatePensionAmount(config))] : null,
+    config.statePension.enabled ? ['# State pension start age', formatYearsMonths(getStatePensionClaimAge(config))] : null,
+    config.statePension.enabled && config.statePension.forecastMode === 'niRecord'
+      ? ['# State pension NI record', `${config.statePension.qualifyingYears} years so far; ${config.statePension.voluntaryYears ?? 0} voluntary; protected payment ${config.statePension.protectedPayment ?? 0}`] : null,
+    config.statePension.enabled && config.statePension.deferralYears > 0
+      ? ['# State pension deferral (years)', config.statePension.deferralYears] : null,
     config.statePension.enabled ? ['# State pension growth model', config.statePension.growthModel ?? 'real'] : null,
+    ['# SIPP tax-free cash mode', config.sipp.pclsMode ?? 'none'],
+    config.sipp.contributionMode === 'salary'
+      ? ['# SIPP from salary', `${config.sipp.salary} growing ${config.sipp.salaryGrowthRate}%/yr; employee ${config.sipp.employeePercent}% + employer ${config.sipp.employerPercent}%; ${config.sipp.reliefMethod ?? 'reliefAtSource'}`] : null,
+    ['# Income tax enabled', Boolean(config.tax?.enabled)],
+    config.tax?.enabled ? ['# Tax band indexation', config.tax.bandIndexation ?? 'cpi'] : null,
+    config.tax?.enabled ? ['# Gross up SIPP withdrawals', Boolean(config.tax.grossUpWithdrawals)] : null,
+    config.partner?.enabled ? ['# Partner (age / retirement age / SPA)', `${config.partner.currentAge} / ${config.partner.retirementAge} / ${formatYearsMonths(config.partner.statePensionAge)}`] : null,
+    config.partner?.enabled ? ['# Figures shown for', config.personView ?? 'household'] : null,
+    config.partner?.enabled && config.survivor?.enabled
+      ? ['# Survivor scenario', `${config.survivor.deceased} dies at ${config.survivor.deathAge}; survivor spends ${config.survivor.spendingPercent}%`] : null,
+    ['# Withdrawal strategy', config.withdrawalStrategy ?? 'ordered'],
+    ['# Spending strategy', config.spendingStrategy ?? 'fixed'],
+    config.spendingPhases?.enabled
+      ? ['# Spending phases (today\'s £)', config.spendingPhases.bands.map(b => `${b.amount} to ${b.toAge ?? config.endAge}`).join('; ')] : null,
+    ...(config.spendingGoals ?? []).map(g => [`# Goal: ${g.label}`, `${g.amount} in ${g.year}${g.repeatYears > 0 ? ` every ${g.repeatYears} yrs` : ''}`]),
+    config.spendingStrategy === 'constantPercentage' ? ['# Withdrawal percentage', `${config.percentageSpending?.rate}%`] : null,
+    config.spendingStrategy === 'vpw' ? ['# VPW expected real return', `${config.percentageSpending?.vpwReturn}%`] : null,
+    ['vpw', 'constantPercentage'].includes(config.spendingStrategy) && config.percentageSpending?.floorCeiling
+      ? ['# Spending floor / ceiling (today\'s £)', `${config.percentageSpending.floor} / ${config.percentageSpending.ceiling}`] : null,
+    ...glidePots.map(pot => {
+      const gp = config[pot].glidePath;
+      const mix = m => `${m.equity ?? 0}/${m.bonds ?? 0}/${m.cash ?? 0}`;
+      return [`# ${GLIDE_LABELS[pot]} glide path (equity/bonds/cash)`, `${mix(gp.startMix)} at ${gp.startAge} → ${mix(gp.endMix)} at ${gp.endAge}`];
+    }),
+    ...getExtraAccounts(config).filter(a => a.type === 'gia').map(a => [`# GIA: ${a.name.replace(/"/g, '""')}`,
+      `cost basis ${a.costBasis}; dividend yield ${a.dividendYield}%; Bed & ISA ${a.bedAndIsa ? 'on' : 'off'}`]),
+    glidePots.length ? ['# Asset-class returns (equity/bonds/cash %)', `${config.assetReturns?.equity}/${config.assetReturns?.bonds}/${config.assetReturns?.cash}`] : null,
     ['#'],
   ].filter(Boolean).map(row => row.map(v => `"${v}"`).join(',')).join('\n');
 
   // Column headers
   const unit = isReal ? "today's £" : 'nominal £';
   const headers = [
-    'Year', 'Age', 'Phase',
-    `ISA Balance (${unit})`, `SIPP Balance (${unit})`, `Bonds Balance (${unit})`, `Cash Balance (${unit})`, `Net Worth (${unit})`,
+    'Year', 'Age', ...(hasPartnerAge ? ['Partner Age'] : []), 'Phase',
+    `ISA Balance (${unit})`, `SIPP Balance (${unit})`, `SIPP Uncrystallised (${unit})`, `SIPP Crystallised (${unit})`, `Bonds Balance (${unit})`, `Cash Balance (${unit})`, `Net Worth (${unit})`,
     `ISA Contributions (${unit})`, `SIPP Contributions (${unit})`, `Bonds Contributions (${unit})`, `Cash Contributions (${unit})`, `Total Contributions (${unit})`,
     `Growth (${unit})`,
+    ...extras.flatMap(a => [`${a.name} Balance (${unit})`, `${a.name} Contributions (${unit})`, `${a.name} Drawn (${unit})`]
+      .map(h => `"${h.replace(/"/g, '""')}"`)),
     `DB Income (${unit})`, `SP Income (${unit})`, `Total Guaranteed Income (${unit})`,
-    `Required Spending (${unit})`, `Gap to Portfolio (${unit})`,
-    `ISA Drawn (${unit})`, `SIPP Drawn (${unit})`, `Bonds Drawn (${unit})`, `Cash Drawn (${unit})`, `Portfolio Drawn (${unit})`,
-    `Total Income (${unit})`, 'Excess Income (£)',
+    `Required Spending (${unit})`, `One-off Goals (${unit})`, 'Spending Rule', `Gap to Portfolio (${unit})`,
+    ...(hasDbLumpSum ? [`DB Lump Sum (${unit})`] : []),
+    `ISA Drawn (${unit})`, `SIPP Drawn (${unit})`, `SIPP Tax-Free Cash (${unit})`, `SIPP Withdrawal Tax (${unit})`, `PCLS Lump Sum (${unit})`, `Bonds Drawn (${unit})`, `Cash Drawn (${unit})`, `Portfolio Drawn (${unit})`,
+    `Total Income (${unit})`, `Income Tax (${unit})`, `Net Income (${unit})`, 'Excess Income (£)',
     `Surplus/Deficit (${unit})`,
+    ...(hasBandFill ? [`Band-Fill Saved (${unit})`] : []),
+    ...(hasGia ? [`GIA Dividends (${unit})`, `GIA Realised Gains (${unit})`, `Bed & ISA (${unit})`, `Dividend Tax (${unit})`, `CGT (${unit})`] : []),
+    ...(hasLisa ? [`LISA Bonus (${unit})`, `LISA Penalty (${unit})`] : []),
+    ...(hasSalary ? [`Salary (${unit})`, `SIPP Employee (${unit})`, `SIPP Employer (${unit})`, `Relief at Source (${unit})`,
+      `Higher-Rate Relief (${unit})`, `Sacrifice Tax Saving (${unit})`, `Sacrifice NI Saving (${unit})`, `SIPP Take-Home Cost (${unit})`] : []),
+    ...glidePots.flatMap(pot => [
+      `${GLIDE_LABELS[pot]} Equity %`, `${GLIDE_LABELS[pot]} Bonds %`, `${GLIDE_LABELS[pot]} Cash %`, `${GLIDE_LABELS[pot]} Return %`,
+    ]),
     'Note',
   ];
 
@@ -280,15 +421,26 @@ function exportToCsv(rows, config, displayMode) {
     const totalGuaranteed = d(row, 'totalPensionIncome');
     const gapToPortfolio = Math.max(0, reqSpending - totalGuaranteed);
     return [
-      row.year, row.age, row.phase,
-      d(row, 'isaBalance'), d(row, 'sippBalance'), d(row, 'premiumBondsBalance'), d(row, 'cashBalance'), d(row, 'totalNetWorth'),
+      row.year, row.age, ...(hasPartnerAge ? [row.partnerAge] : []), row.phase,
+      d(row, 'isaBalance'), d(row, 'sippBalance'), d(row, 'sippUncrystallisedBalance'), d(row, 'sippCrystallisedBalance'), d(row, 'premiumBondsBalance'), d(row, 'cashBalance'), d(row, 'totalNetWorth'),
       d(row, 'isaContribution'), d(row, 'sippContribution'), d(row, 'premiumBondsContribution'), d(row, 'cashContribution'), d(row, 'totalContributions'),
       d(row, 'totalGrowth'),
+      ...extras.flatMap(a => [d(row, `${a.id}Balance`), d(row, `${a.id}Contribution`), d(row, `${a.id}Withdrawn`)]),
       d(row, 'dbIncome'), d(row, 'stateIncome'), totalGuaranteed,
-      reqSpending, gapToPortfolio,
-      d(row, 'isaWithdrawn'), d(row, 'sippWithdrawn'), d(row, 'premiumBondsWithdrawn'), d(row, 'cashWithdrawn'), d(row, 'totalWithdrawn'),
-      d(row, 'totalIncome'), row.excessIncome,
+      reqSpending, d(row, 'goalSpending'), `"${describeSpendingAdjustment(row.spendingAdjustment)}"`, gapToPortfolio,
+      ...(hasDbLumpSum ? [d(row, 'dbLumpSum')] : []),
+      d(row, 'isaWithdrawn'), d(row, 'sippWithdrawn'), d(row, 'sippTaxFreeWithdrawn'), d(row, 'sippWithdrawalTax'), d(row, 'pclsLumpSum'), d(row, 'premiumBondsWithdrawn'), d(row, 'cashWithdrawn'), d(row, 'totalWithdrawn'),
+      d(row, 'totalIncome'), d(row, 'incomeTax'), d(row, 'netIncome'), row.excessIncome,
       d(row, 'surplusDeficit'),
+      ...(hasBandFill ? [d(row, 'bandFillSaved')] : []),
+      ...(hasGia ? [d(row, 'dividendIncome'), d(row, 'realisedGains'), d(row, 'bedAndIsa'), d(row, 'dividendTax'), d(row, 'capitalGainsTax')] : []),
+      ...(hasLisa ? [d(row, 'lisaBonus'), d(row, 'lisaPenalty')] : []),
+      ...(hasSalary ? ['salary', 'sippEmployeeContribution', 'sippEmployerContribution', 'sippReliefAtSource',
+        'sippHigherRateRelief', 'sippTaxSaving', 'sippNiSaving', 'sippTakeHomeCost'].map(f => d(row, f)) : []),
+      ...glidePots.flatMap(pot => {
+        const a = row[`${pot}Allocation`];
+        return [a.equity, a.bonds, a.cash, row[`${pot}GrowthRate`]];
+      }),
       `"${(row.note || '').replace(/"/g, '""')}"`,
     ].join(',');
   });
@@ -0,0 +1,65 @@
+/**
+ * analysisRunner.js — Drives a staged analysis job asynchronously
+ *
+ * Runs steps of an analysis job (engine/analysis.js) in time slices and
+ * yields to the event loop between slices, so that a newer `run` or a
+ * `cancel` message can be handled while a long Monte Carlo is in flight.
+ *
+ * Shared by the simulation worker and the client's main-thread fallback.
+ */
+
+import { createAnalysisRun } from '../engine/analysis.js';
+
+/** Longest stretch of work (ms) before yielding to the event loop. */
+const SLICE_MS = 16;
+
+/**
+ * Start an analysis and stream its messages to `post`.
+ *
+ * Messages posted (each tagged with the run's `id`):
+ *   { type: 'progress', id, stage, completed, total }
+ *   { type: 'partial',  id, key, value }
+ *   { type: 'done',     id }
+ *   { type: 'error',    id, message }
+ *
+ * Nothing more is posted once `cancel()` has been called.
+ *
+ * @param {{ id: number, config: object, historical?: object|null }} request
+ * @param {(message: object) => void} post
+ * @returns {{ cancel: () => void }}
+ */
+export function startAnalysis({ id, config, historical = null }, post) {
+  let cancelled = false;
+  let job;
+
+  function slice() {
+    if (cancelled) return;
+    try {
+      const sliceEnd = Date.now() + SLICE_MS;
+      do {
+        const message = job.step();
+        if (message === null) {
+          post({ type: 'done', id });
+          return;
+        }
+        post({ ...message, id });
+      } while (Date.now() < sliceEnd && !cancelled);
+    } catch (err) {
+      post({ type: 'error', id, message: err.message });
+      return;
+    }
+    setTimeout(slice, 0);
+  }
+
+  try {
+    job = createAnalysisRun(config, { historical });
+  } catch (err) {
+    post({ type: 'error', id, message: err.message });
+    return { cancel() {} };
+  }
+  setTimeout(slice, 0);
+
+  return {
+    cancel() { cancelled = true; },
+  };
+}
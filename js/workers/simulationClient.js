@@ -0,0 +1,90 @@
+/**
+ * simulationClient.js — Main-thread side of the simulation worker
+ *
+ * Starts analysis runs in simulationWorker.js and forwards their messages to
+ * a single handler. Starting a new run cancels the previous one, and any
+ * message that still arrives from an older run is dropped, so the UI only
+ * ever sees results for the latest state.
+ *
+ * When module workers are unavailable (or the worker fails to load), runs
+ * fall back to the main thread using the same time-sliced runner.
+ */
+
+import { startAnalysis } from './analysisRunner.js';
+
+const WORKER_URL = new URL('./simulationWorker.js', import.meta.url);
+
+/**
+ * Create a simulation client.
+ *
+ * @param {(message: object) => void} onMessage
+ *   Receives progress / partial / done / error messages for the current run
+ * @param {object} [opts]
+ * @param {boolean} [opts.useWorker=true]  Set false to always run in-thread
+ * @returns {{
+ *   run: (config: object, historical?: object|null) => number,
+ *   cancel: () => void,
+ * }}
+ */
+export function createSimulationClient(onMessage, { useWorker = true } = {}) {
+  let _currentId = 0;
+  let _current   = null;   // latest request { id, config, historical }
+  let _running   = false;
+  let _local     = null;   // fallback runner handle
+  let _worker    = useWorker ? _createWorker() : null;
+
+  function _createWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+      const worker = new Worker(WORKER_URL, { type: 'module' });
+      worker.onmessage = event => _receive(event.data);
+      worker.onerror = event => {
+        // Worker failed to load or crashed — retry the current run in-thread
+        event.preventDefault?.();
+        worker.terminate();
+        _worker = null;
+        if (_running && _current) _dispatch(_current);
+      };
+      return worker;
+    } catch {
+      return null;
+    }
+  }
+
+  function _receive(message) {
+    if (message.id !== _currentId || !_running) return;   // stale or cancelled run
+    if (message.type === 'done' || message.type === 'error') _running = false;
+    onMessage(message);
+  }
+
+  function _dispatch(request) {
+    if (_worker) {
+      _worker.postMessage({ type: 'run', ...request });
+    } else {
+      _local = startAnalysis(request, _receive);
+    }
+  }
+
+  function _cancelCurrent() {
+    if (!_running) return;
+    if (_worker) _worker.postMessage({ type: 'cancel', id: _currentId });
+    if (_local) _local.cancel();
+    _local   = null;
+    _running = false;
+  }
+
+  return {
+    run(config, historical = null) {
+      _cancelCurrent();
+      _currentId += 1;
+      _current = { id: _currentId, config, historical };
+      _running = true;
+      _dispatch(_current);
+      return _currentId;
+    },
+
+    cancel() {
+      _cancelCurrent();
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * simulationWorker.js — Web Worker entry point for plan analysis
+ *
+ * Message protocol (main → worker):
+ *   { type: 'run',    id, config, historical }  start a run; abandons any run in flight
+ *   { type: 'cancel', id }                      abandon run `id`
+ *
+ * Worker → main messages are those documented in analysisRunner.js
+ * (progress / partial / done / error), each tagged with the run id.
+ */
+
+import { startAnalysis } from './analysisRunner.js';
+
+let _active = null;   // { id, cancel }
+
+self.onmessage = (event) => {
+  const msg = event.data;
+
+  if (msg.type === 'run') {
+    if (_active) _active.cancel();
+    const { cancel } = startAnalysis(msg, message => {
+      if (message.type === 'done' || message.type === 'error') _active = null;
+      self.postMessage(message);
+    });
+    _active = { id: msg.id, cancel };
+    return;
+  }
+
+  if (msg.type === 'cancel' && _active?.id === msg.id) {
+    _active.cancel();
+    _active = null;
+  }
+};
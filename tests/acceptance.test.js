@@ -15,13 +15,15 @@ import { validateYearInvariants } from '../js/engine/invariants.js';
 
 // ── Shared helpers ────────────────────────────────────────────────────────────
 
-const currentYear = new Date().getFullYear();
+/** Year the factory's plans start in (their as-of date), keeping tests off the clock. */
+const currentYear = 2026;
 
 /**
  * Minimal config factory. Only PB enabled by default; all other pots opt-in.
  */
 function makeConfig(opts = {}) {
   return {
+    asOfDate:           `${currentYear}-01-01`,
     currentAge:         opts.currentAge   ?? 60,
     retirementAge:      opts.retirementAge ?? 60,
     endAge:             opts.endAge        ?? 61,
@@ -246,7 +248,7 @@ test('Test E: PB lump sum overflow is capped at £50,000 and excess transferred
     cashEnabled:  true,
     cashBalance:  0,
     drawdownRate: 0,
-    overrides: { [currentYear]: { premiumBondLumpSum: 5000 } },
+    overrides: { [currentYear]: { premiumBondsLumpSum: 5000 } },
   });
 
   const rows = runProjection(config);
@@ -283,7 +285,7 @@ test('Test E: invariants hold after PB cap transfer', () => {
     cashEnabled: true,
     cashBalance: 10000,
     drawdownRate: 0,
-    overrides: { [currentYear]: { premiumBondLumpSum: 10000 } },
+    overrides: { [currentYear]: { premiumBondsLumpSum: 10000 } },
   });
   // Should not throw (invariants internally satisfied)
   assert.doesNotThrow(() => runProjection(config), 'Invariants should hold after PB cap transfer');
@@ -456,3 +458,29 @@ test('PB Mode A: prize not added to cash when cash is disabled', () => {
   assert.strictEqual(row.premiumBondsBalance, 20000, 'PB balance unchanged (Mode A, cash disabled)');
   assert.strictEqual(row.cashBalance, 0, 'Cash stays at 0 when disabled');
 });
+
+// ── Income tax invariants ─────────────────────────────────────────────────────
+
+const EMPTY_LEDGER = { opening: 0, growth: 0, inflows: 0, outflows: 0, transfersIn: 0, transfersOut: 0, closing: 0, reportedWithdrawn: 0 };
+
+test('Invariant 4 accounts for tax: shortfall is measured against net income', () => {
+  // income 20000, tax 1486, spend 20000 → shortfall 1486
+  assert.doesNotThrow(() => validateYearInvariants({
+    accounts: { isa: EMPTY_LEDGER },
+    netWorth: 0, income: 20000, spendNeed: 20000, shortfall: 1486,
+    tax: 1486, taxableIncome: 20000, year: 2025, age: 60,
+  }));
+  assert.throws(() => validateYearInvariants({
+    accounts: { isa: EMPTY_LEDGER },
+    netWorth: 0, income: 20000, spendNeed: 20000, shortfall: 0,
+    tax: 1486, taxableIncome: 20000, year: 2025, age: 60,
+  }), /Invariant 4/);
+});
+
+test('Invariant 5 rejects tax greater than taxable income', () => {
+  assert.throws(() => validateYearInvariants({
+    accounts: { isa: EMPTY_LEDGER },
+    netWorth: 0, income: 1000, spendNeed: 1000, shortfall: 2000,
+    tax: 2000, taxableIncome: 1000, year: 2025, age: 60,
+  }), /Invariant 5/);
+});
@@ -0,0 +1,121 @@
+/**
+ * accounts.test.js — Unit tests for the account list helpers
+ *
+ * Covers: added accounts with defaults, the full account list, access and
+ * growth rules by type, the expanded withdrawal order and new accounts.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getExtraAccounts,
+  getAccounts,
+  getAccountDrawdownAllowed,
+  getAccountGrowthRate,
+  expandAccountOrder,
+  createAccount,
+} from '../js/engine/accounts.js';
+
+function makeConfig(overrides = {}) {
+  return {
+    currentAge: 50,
+    retirementAge: 60,
+    isa:          { enabled: true,  balance: 10000, growthRate: 5 },
+    sipp:         { enabled: true,  balance: 20000, growthRate: 5, accessAge: 57 },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 3 },
+    cash:         { enabled: true,  balance: 5000, growthRate: 2 },
+    accounts: [],
+    ...overrides,
+  };
+}
+
+test('getExtraAccounts: fills defaults and skips disabled or unknown types', () => {
+  const accounts = getExtraAccounts(makeConfig({
+    accounts: [
+      { id: 'acct1', type: 'isa', balance: 1000 },
+      { id: 'acct2', type: 'cash', enabled: false },
+      { id: 'acct3', type: 'gold' },
+    ],
+  }));
+  assert.strictEqual(accounts.length, 1);
+  assert.strictEqual(accounts[0].name, 'ISA');
+  assert.strictEqual(accounts[0].owner, 'primary');
+  assert.strictEqual(accounts[0].annualContribution, 0);
+});
+
+test('getExtraAccounts: partner ownership needs a partner and an ISA or pension', () => {
+  const accounts = [
+    { id: 'acct1', type: 'isa', owner: 'partner' },
+    { id: 'acct2', type: 'cash', owner: 'partner' },
+  ];
+  assert.deepStrictEqual(getExtraAccounts(makeConfig({ accounts })).map(a => a.owner), ['primary', 'primary']);
+  const couple = makeConfig({ accounts, partner: { enabled: true, isa: { enabled: false } } });
+  assert.deepStrictEqual(getExtraAccounts(couple).map(a => a.owner), ['partner', 'primary']);
+});
+
+test('getAccounts: enabled built-in pots, then partner pots, then added accounts', () => {
+  const config = makeConfig({
+    partner: { enabled: true, isa: { enabled: true }, sipp: { enabled: false } },
+    accounts: [{ id: 'acct1', type: 'sipp', name: 'Workplace' }],
+  });
+  assert.deepStrictEqual(getAccounts(config).map(a => [a.id, a.builtin]), [
+    ['isa', true], ['sipp', true], ['cash', true], ['partnerIsa', true], ['acct1', false],
+  ]);
+});
+
+test('getAccountDrawdownAllowed: follows the rule for the account type', () => {
+  const config = makeConfig();
+  const pension = { type: 'sipp', accessAge: 55 };
+  assert.strictEqual(getAccountDrawdownAllowed(config, pension, 54), false);
+  assert.strictEqual(getAccountDrawdownAllowed(config, pension, 55), true);
+  const isa = { type: 'isa', drawdownStartAge: null };
+  assert.strictEqual(getAccountDrawdownAllowed(config, isa, 59), false);
+  assert.strictEqual(getAccountDrawdownAllowed(config, isa, 60), true);
+  const bonds = { type: 'premiumBonds', drawdownStartAge: 52 };
+  assert.strictEqual(getAccountDrawdownAllowed(config, bonds, 52), true);
+  const lisa = { type: 'lisa', drawdownStartAge: null };
+  assert.strictEqual(getAccountDrawdownAllowed(config, lisa, 59), false, 'LISA waits for 60');
+  assert.strictEqual(getAccountDrawdownAllowed(config, lisa, 60), true);
+});
+
+test('getAccountGrowthRate: growth rate, or the prize rate for Premium Bonds', () => {
+  const config = makeConfig();
+  assert.strictEqual(getAccountGrowthRate(config, { type: 'isa', growthRate: 6 }, 50), 6);
+  assert.strictEqual(getAccountGrowthRate(config, { type: 'premiumBonds', growthRate: 4 }, 50), 4);
+});
+
+test('expandAccountOrder: added accounts follow the pots of their type', () => {
+  const accounts = [{ id: 'acct1', type: 'isa' }, { id: 'acct2', type: 'sipp' }, { id: 'acct3', type: 'isa' }];
+  assert.deepStrictEqual(
+    expandAccountOrder(['isa', 'partnerIsa', 'sipp', 'cash'], accounts),
+    ['isa', 'partnerIsa', 'acct1', 'acct3', 'sipp', 'acct2', 'cash'],
+  );
+  assert.deepStrictEqual(expandAccountOrder(['cash'], accounts), ['cash', 'acct1', 'acct2', 'acct3'],
+    'types missing from the order are drawn last');
+  assert.deepStrictEqual(expandAccountOrder(['isa'], []), ['isa']);
+});
+
+test('createAccount: unused id and type defaults', () => {
+  const existing = [{ id: 'acct1' }, { id: 'acct2' }];
+  const pension = createAccount('sipp', existing);
+  assert.strictEqual(pension.id, 'acct3');
+  assert.strictEqual(pension.accessAge, 57);
+  assert.strictEqual(pension.pclsMode, 'none');
+  assert.strictEqual(createAccount('isa', [{ id: 'acct2' }]).id, 'acct3');
+  assert.strictEqual(createAccount('cash').accessAge, undefined);
+  assert.strictEqual(createAccount('gia').dividendYield, 2);
+  assert.strictEqual(createAccount('lisa').annualContribution, 4000);
+});
+
+test('getExtraAccounts: a GIA\'s cost basis defaults to its balance', () => {
+  const [opened, bought] = getExtraAccounts(makeConfig({
+    accounts: [
+      { id: 'acct1', type: 'gia', balance: 40000, costBasis: null },
+      { id: 'acct2', type: 'gia', balance: 40000, costBasis: 25000, owner: 'partner' },
+    ],
+  }));
+  assert.strictEqual(opened.costBasis, 40000);
+  assert.strictEqual(opened.bedAndIsa, false);
+  assert.strictEqual(bought.costBasis, 25000);
+  assert.strictEqual(bought.owner, 'primary', 'no partner modelled');
+});
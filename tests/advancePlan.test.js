@@ -0,0 +1,126 @@
+/**
+ * advancePlan.test.js — Unit tests for moving a plan's as-of date on
+ *
+ * Covers: balances rolled forward from the years passed (with their
+ * overrides), ages moving with the plan, dropping overrides now in the
+ * past, added accounts and a partner's pots, pension tax-free cash already
+ * taken, and plans set from a date of birth.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { advancePlan } from '../js/engine/advancePlan.js';
+import { runProjection } from '../js/engine/projectionEngine.js';
+import { parseDate } from '../js/engine/calendar.js';
+
+function makeConfig(overrides = {}) {
+  return {
+    asOfDate: '2026-03-01',
+    currentAge: 50,
+    retirementAge: 60,
+    endAge: 90,
+    retirementSpending: 0,
+    inflationRate: 0,
+    statePensionAge: 67,
+    isa:          { enabled: true,  balance: 100000, growthRate: 5, annualContribution: 0 },
+    sipp:         { enabled: true,  balance: 50000,  growthRate: 0, annualContribution: 1000, accessAge: 57 },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 0 },
+    cash:         { enabled: false, balance: 0, growthRate: 0, annualContribution: 0 },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    drawdown: { rate: 4 },
+    withdrawalOrder: ['isa', 'sipp', 'premiumBonds', 'cash'],
+    overrides: {},
+    ...overrides,
+  };
+}
+
+test('a plan still in its first year is left as it is', () => {
+  const config = makeConfig();
+  const result = advancePlan(config, parseDate('2026-12-31'));
+  assert.strictEqual(result.years, 0);
+  assert.strictEqual(result.config, config);
+});
+
+test('balances roll forward through the years passed and ages move on', () => {
+  const config = makeConfig({ overrides: { 2027: { isaLumpSum: 10000 } } });
+  const { config: next, years, fromYear, toYear } = advancePlan(config, parseDate('2028-02-01'));
+  assert.deepStrictEqual([years, fromYear, toYear], [2, 2026, 2028]);
+  assert.strictEqual(next.asOfDate, '2028-02-01');
+  assert.strictEqual(next.currentAge, 52);
+  assert.strictEqual(next.isa.balance, Math.round(100000 * 1.05 ** 2) + 10000, 'the 2027 lump sum lands after that year\'s growth');
+  assert.strictEqual(next.sipp.balance, 52000);
+  assert.strictEqual(config.currentAge, 50, 'the original config is untouched');
+});
+
+test('overrides for years now past are dropped and listed; later ones stay on their year', () => {
+  const config = makeConfig({ overrides: { 2026: { note: 'a' }, 2027: { note: 'b' }, 2030: { note: 'c' } } });
+  const { config: next, pastOverrides } = advancePlan(config, parseDate('2028-02-01'));
+  assert.deepStrictEqual(pastOverrides, [2026, 2027]);
+  assert.deepStrictEqual(Object.keys(next.overrides), ['2030']);
+});
+
+test('added accounts keep their cost basis and a partner\'s pots roll forward', () => {
+  const config = makeConfig({
+    accounts: [
+      { id: 'acct1', type: 'gia', name: 'GIA', owner: 'primary', balance: 10000, costBasis: 8000, growthRate: 0, annualContribution: 500 },
+      { id: 'acct2', type: 'isa', name: 'Partner ISA 2', owner: 'partner', balance: 5000, growthRate: 0, annualContribution: 0 },
+    ],
+    partner: {
+      enabled: true, currentAge: 48, retirementAge: 60, statePensionAge: 67,
+      isa:  { enabled: true, balance: 20000, growthRate: 0, annualContribution: 1000 },
+      sipp: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57 },
+      dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+      statePension: { enabled: false, annualIncome: 0 },
+    },
+  });
+  const { config: next } = advancePlan(config, parseDate('2027-05-01'));
+  const [gia, isa2] = next.accounts;
+  assert.strictEqual(gia.balance, 10500);
+  assert.strictEqual(gia.costBasis, 8500);
+  assert.strictEqual(isa2.balance, 5000);
+  assert.strictEqual(next.partner.isa.balance, 21000);
+  assert.strictEqual(next.partner.currentAge, 49);
+});
+
+test('a tax-free lump sum already taken is not taken again and uses up the allowance', () => {
+  const config = makeConfig({
+    currentAge: 57,
+    drawdown: { rate: 0 },
+    sipp: { enabled: true, balance: 100000, growthRate: 0, annualContribution: 0, accessAge: 57, pclsMode: 'full', pclsAge: 57 },
+  });
+  const { config: next, taxFreeCash } = advancePlan(config, parseDate('2027-02-01'));
+  assert.deepStrictEqual(taxFreeCash, [2026]);
+  assert.strictEqual(next.sipp.balance, 75000);
+  assert.strictEqual(next.sipp.pclsMode, 'none');
+  assert.strictEqual(next.sipp.lumpSumAllowance, 268275 - 25000);
+  assert.strictEqual(runProjection(next)[0].pclsLumpSum, 0);
+});
+
+test('a partner\'s tax-free cash taken by UFPLS comes off their allowance', () => {
+  const config = makeConfig({
+    partner: {
+      enabled: true, currentAge: 60, retirementAge: 60, statePensionAge: 67,
+      isa:  { enabled: false, balance: 0, growthRate: 0, annualContribution: 0 },
+      sipp: { enabled: true, balance: 100000, growthRate: 0, annualContribution: 0, accessAge: 57, pclsMode: 'ufpls' },
+      dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+      statePension: { enabled: false, annualIncome: 0 },
+    },
+    drawdown: { rate: 0 },
+    overrides: { 2026: { partnerSippCustomDrawdown: 40000 } },
+  });
+  const { config: next, taxFreeCash } = advancePlan(config, parseDate('2027-02-01'));
+  assert.deepStrictEqual(taxFreeCash, [2026]);
+  assert.strictEqual(next.partner.sipp.balance, 60000);
+  assert.strictEqual(next.partner.sipp.lumpSumAllowance, 268275 - 10000);
+  assert.strictEqual(next.sipp.lumpSumAllowance, undefined, 'the first person took none');
+});
+
+test('with a date of birth the plan moves by tax years and ages are re-derived', () => {
+  const config = makeConfig({ dateOfBirth: '1976-01-01', asOfDate: '2026-03-01', currentAge: 50 });
+  const { config: next, years, toYear } = advancePlan(config, parseDate('2026-04-06'));
+  assert.strictEqual(years, 1, '2025/26 → 2026/27');
+  assert.strictEqual(toYear, 2026);
+  assert.strictEqual(next.currentAge, 50);
+  assert.strictEqual(next.statePensionAge, 67);
+});
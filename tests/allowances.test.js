@@ -0,0 +1,108 @@
+/**
+ * allowances.test.js — Unit tests for the ISA and pension allowance rules
+ *
+ * Covers: the annual allowance with taper and money purchase allowance,
+ * warnings built from projection rows and their grouping into runs of years.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getAllowanceSettings,
+  getPensionAnnualAllowance,
+  getAllowanceWarnings,
+  summariseAllowanceWarnings,
+} from '../js/engine/allowances.js';
+
+function makeUsage(overrides = {}) {
+  return {
+    person: 'primary',
+    isa:        { paid: 0, limit: 20000, accounts: [] },
+    lisa:       { requested: 0, limit: 0, accounts: [] },
+    pension:    { paid: 0, limit: 60000, rule: 'annualAllowance', accounts: [] },
+    redirected: { isa: 0, pension: 0 },
+    ...overrides,
+  };
+}
+
+test('getAllowanceSettings: fills defaults under the config block', () => {
+  const settings = getAllowanceSettings({ allowances: { redirectExcess: true } });
+  assert.strictEqual(settings.redirectExcess, true);
+  assert.strictEqual(settings.redirectTo, 'cash');
+  assert.strictEqual(settings.annualAllowance, 60000);
+  assert.strictEqual(getAllowanceSettings({}).redirectExcess, false);
+});
+
+test('getPensionAnnualAllowance: full allowance below the taper thresholds', () => {
+  assert.deepStrictEqual(
+    getPensionAnnualAllowance({ thresholdIncome: 150000, adjustedIncome: 300000, flexiblyAccessed: false }),
+    { limit: 60000, rule: 'annualAllowance' },
+  );
+});
+
+test('getPensionAnnualAllowance: tapers £1 for every £2 over adjusted income, to a floor', () => {
+  assert.deepStrictEqual(
+    getPensionAnnualAllowance({ thresholdIncome: 220000, adjustedIncome: 300000, flexiblyAccessed: false }),
+    { limit: 40000, rule: 'taperedAnnualAllowance' },
+  );
+  assert.strictEqual(
+    getPensionAnnualAllowance({ thresholdIncome: 400000, adjustedIncome: 500000, flexiblyAccessed: false }).limit,
+    10000,
+  );
+});
+
+test('getPensionAnnualAllowance: flexible access brings the money purchase allowance', () => {
+  assert.deepStrictEqual(
+    getPensionAnnualAllowance({ thresholdIncome: 30000, adjustedIncome: 40000, flexiblyAccessed: true }),
+    { limit: 10000, rule: 'moneyPurchaseAnnualAllowance' },
+  );
+  assert.deepStrictEqual(
+    getPensionAnnualAllowance({ thresholdIncome: 30000, adjustedIncome: 40000, flexiblyAccessed: true }, { moneyPurchaseAllowance: 4000 }),
+    { limit: 4000, rule: 'moneyPurchaseAnnualAllowance' },
+  );
+});
+
+test('getAllowanceWarnings: one warning per broken allowance, within tolerance ignored', () => {
+  const rows = [
+    { year: 2030, age: 40, allowanceUsage: [makeUsage({
+      isa:     { paid: 25000, limit: 20000, accounts: ['isa', 'acct1'] },
+      pension: { paid: 60000.5, limit: 60000, rule: 'annualAllowance', accounts: ['sipp'] },
+    })] },
+    { year: 2031, age: 41 },
+  ];
+  const warnings = getAllowanceWarnings(rows);
+  assert.strictEqual(warnings.length, 1);
+  assert.deepStrictEqual(
+    { ...warnings[0], message: undefined },
+    { year: 2030, age: 40, person: 'primary', rule: 'isaAllowance', accounts: ['isa', 'acct1'],
+      paid: 25000, limit: 20000, excess: 5000, redirected: 0, message: undefined },
+  );
+  assert.match(warnings[0].message, /£5,000 over the £20,000 ISA allowance/);
+});
+
+test('getAllowanceWarnings: messages name the partner and any redirected amount', () => {
+  const [warning] = getAllowanceWarnings([{ year: 2030, age: 40, allowanceUsage: [makeUsage({
+    person: 'partner',
+    pension:    { paid: 20000, limit: 10000, rule: 'moneyPurchaseAnnualAllowance', accounts: ['partnerSipp'] },
+    redirected: { isa: 0, pension: 10000 },
+  })] }]);
+  assert.strictEqual(warning.rule, 'moneyPurchaseAnnualAllowance');
+  assert.match(warning.message, /^Partner: /);
+  assert.match(warning.message, /£10,000 redirected$/);
+});
+
+test('summariseAllowanceWarnings: groups consecutive years by person and rule', () => {
+  const w = (year, person, rule, excess) => ({ year, age: year - 1990, person, rule, excess, redirected: 0 });
+  const runs = summariseAllowanceWarnings([
+    w(2030, 'primary', 'isaAllowance', 1000),
+    w(2030, 'partner', 'isaAllowance', 500),
+    w(2031, 'primary', 'isaAllowance', 2000),
+    w(2033, 'primary', 'isaAllowance', 3000),
+  ]);
+  assert.deepStrictEqual(runs.map(r => [r.person, r.fromYear, r.toYear, r.totalExcess]), [
+    ['primary', 2030, 2031, 3000],
+    ['partner', 2030, 2030, 500],
+    ['primary', 2033, 2033, 3000],
+  ]);
+  assert.strictEqual(runs[0].toAge, 41);
+});
@@ -0,0 +1,198 @@
+/**
+ * analysis.test.js — Unit tests for the staged analysis job and its runners
+ *
+ * Covers: stage order and contents, chunked Monte Carlo matching a single
+ * runMonteCarlo call, the time-sliced runner's message stream and
+ * cancellation, and the simulation client abandoning stale runs (exercised
+ * through its main-thread fallback, as Node has no Web Worker).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalysisRun, applyGrowthAdjustment } from '../js/engine/analysis.js';
+import { runProjection } from '../js/engine/projectionEngine.js';
+import { createMonteCarloRun, runMonteCarlo } from '../js/engine/monteCarlo.js';
+import { startAnalysis } from '../js/workers/analysisRunner.js';
+import { createSimulationClient } from '../js/workers/simulationClient.js';
+
+// Helper: retired at 60, ISA-only, spending-driven drawdown
+function makeConfig({
+  balance    = 500000,
+  growthRate = 5,
+  spending   = 20000,
+  endAge     = 80,
+  tax        = undefined,
+  monteCarlo = undefined,
+} = {}) {
+  return {
+    currentAge: 60,
+    retirementAge: 60,
+    endAge,
+    retirementSpending: spending,
+    inflationRate: 0,
+    statePensionAge: 67,
+    isa: { enabled: true, balance, growthRate, volatility: 15, annualContribution: 0,
+           stopContributionAge: null, drawdownStartAge: null },
+    sipp: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57,
+            stopContributionAge: null },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 0, drawdownStartAge: null },
+    cash: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0,
+            stopContributionAge: null, drawdownStartAge: null },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    drawdown: { rate: 0 },
+    withdrawalOrder: ['isa', 'sipp', 'premiumBonds', 'cash'],
+    tax,
+    monteCarlo,
+    overrides: {},
+  };
+}
+
+function drain(job) {
+  const messages = [];
+  for (let m = job.step(); m !== null; m = job.step()) messages.push(m);
+  return messages;
+}
+
+// Collect runner/client messages until `done` (or a timeout)
+function collectUntilDone(start, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const timer = setTimeout(() => reject(new Error('timed out')), timeoutMs);
+    start(msg => {
+      messages.push(msg);
+      if (msg.type === 'done' || msg.type === 'error') {
+        clearTimeout(timer);
+        resolve(messages);
+      }
+    });
+  });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ── applyGrowthAdjustment ────────────────────────────────────────────────────
+
+test('applyGrowthAdjustment: shifts every pot rate and floors at 0', () => {
+  const config = makeConfig({ growthRate: 2 });
+  config.premiumBonds.prizeRate = 4;
+  const down = applyGrowthAdjustment(config, -3);
+  assert.strictEqual(down.isa.growthRate, 0);
+  assert.strictEqual(down.premiumBonds.prizeRate, 1);
+  assert.strictEqual(applyGrowthAdjustment(config, 3).isa.growthRate, 5);
+  assert.strictEqual(config.isa.growthRate, 2, 'input config is not mutated');
+});
+
+test('applyGrowthAdjustment: shifts asset-class returns for glide-path pots', () => {
+  const adjusted = applyGrowthAdjustment({ ...makeConfig(), assetReturns: { equity: 7, bonds: 3, cash: 2 } }, -3);
+  assert.deepStrictEqual(adjusted.assetReturns, { equity: 4, bonds: 0, cash: 0 });
+});
+
+// ── createAnalysisRun ────────────────────────────────────────────────────────
+
+test('createAnalysisRun: rows then scenarios when nothing optional is enabled', () => {
+  const config = makeConfig();
+  const messages = drain(createAnalysisRun(config));
+  assert.deepStrictEqual(messages.map(m => m.key), ['rows', 'scenarios']);
+  assert.deepStrictEqual(messages[0].value, runProjection(config));
+  assert.deepStrictEqual(messages[1].value.high, runProjection(applyGrowthAdjustment(config, 3)));
+});
+
+test('createAnalysisRun: strategyRows cover the other strategies when tax is enabled', () => {
+  const config = makeConfig({ tax: { enabled: true } });
+  const messages = drain(createAnalysisRun(config));
+  const strategy = messages.find(m => m.key === 'strategyRows');
+  assert.deepStrictEqual(Object.keys(strategy.value).sort(), ['fillBasicRate', 'fillPersonalAllowance']);
+});
+
+test('createAnalysisRun: survivorRows follow the survivor path for couples', () => {
+  const config = {
+    ...makeConfig(),
+    partner: { enabled: true, currentAge: 60, retirementAge: 60, statePensionAge: 67,
+               isa: { enabled: true, balance: 100000, growthRate: 5 } },
+    survivor: { enabled: true, deceased: 'partner', deathAge: 70, spendingPercent: 60 },
+  };
+  const survivor = drain(createAnalysisRun(config)).find(m => m.key === 'survivorRows');
+  assert.deepStrictEqual(survivor.value, runProjection(config, { survivor: true }));
+  assert.ok(!drain(createAnalysisRun({ ...config, survivor: { enabled: false } })).some(m => m.key === 'survivorRows'));
+});
+
+test('createAnalysisRun: Monte Carlo streams progress chunks then the result', () => {
+  const config = makeConfig({ monteCarlo: { enabled: true, runs: 120, seed: 7 } });
+  const messages = drain(createAnalysisRun(config, { chunkSize: 50 }));
+  const progress = messages.filter(m => m.type === 'progress');
+  assert.deepStrictEqual(progress.map(m => m.completed), [50, 100, 120]);
+  assert.ok(progress.every(m => m.total === 120 && m.stage === 'monteCarlo'));
+  const mc = messages.at(-1);
+  assert.strictEqual(mc.key, 'monteCarlo');
+  assert.deepStrictEqual(mc.value, runMonteCarlo(config));
+});
+
+test('createAnalysisRun: backtest runs only when historical data is supplied', () => {
+  const config = { ...makeConfig(), backtest: { enabled: true } };
+  assert.ok(!drain(createAnalysisRun(config)).some(m => m.key === 'backtest'));
+  const historical = { years: [{ year: 2000, equity: 5, bonds: 3, cash: 2, cpi: 0 }] };
+  const bt = drain(createAnalysisRun(config, { historical })).find(m => m.key === 'backtest');
+  assert.strictEqual(bt.value.cohorts.length, 1);
+});
+
+test('createMonteCarloRun: stepping in chunks matches one full run', () => {
+  const config = makeConfig({ monteCarlo: { enabled: true, runs: 90, seed: 3 } });
+  const run = createMonteCarloRun(config);
+  while (run.completed() < run.total) run.step(17);
+  assert.deepStrictEqual(run.result(), runMonteCarlo(config));
+});
+
+// ── startAnalysis (time-sliced runner) ───────────────────────────────────────
+
+test('startAnalysis: posts every partial tagged with the run id, then done', async () => {
+  const config = makeConfig({ monteCarlo: { enabled: true, runs: 100, seed: 1 } });
+  const messages = await collectUntilDone(post => startAnalysis({ id: 5, config }, post));
+  assert.ok(messages.every(m => m.id === 5));
+  assert.deepStrictEqual(
+    messages.filter(m => m.type === 'partial').map(m => m.key),
+    ['rows', 'scenarios', 'monteCarlo'],
+  );
+  assert.strictEqual(messages.at(-1).type, 'done');
+});
+
+test('startAnalysis: nothing is posted after cancel', async () => {
+  const messages = [];
+  const { cancel } = startAnalysis({ id: 1, config: makeConfig() }, m => messages.push(m));
+  cancel();
+  await wait(50);
+  assert.deepStrictEqual(messages, []);
+});
+
+test('startAnalysis: engine errors are reported as an error message', async () => {
+  const messages = await collectUntilDone(post => startAnalysis({ id: 2, config: {} }, post));
+  assert.strictEqual(messages.at(-1).type, 'error');
+  assert.strictEqual(messages.at(-1).id, 2);
+});
+
+// ── createSimulationClient ───────────────────────────────────────────────────
+
+test('createSimulationClient: a new run abandons the one in flight', async () => {
+  const first  = makeConfig({ monteCarlo: { enabled: true, runs: 2000, seed: 1 } });
+  const second = makeConfig({ spending: 10000 });
+  const messages = await collectUntilDone(onMessage => {
+    const client = createSimulationClient(onMessage, { useWorker: false });
+    client.run(first);
+    client.run(second);
+  });
+  const ids = new Set(messages.map(m => m.id));
+  assert.deepStrictEqual([...ids], [2], 'only the latest run reports back');
+  assert.deepStrictEqual(messages.find(m => m.key === 'rows').value, runProjection(second));
+});
+
+test('createSimulationClient: cancel stops further messages', async () => {
+  const messages = [];
+  const client = createSimulationClient(m => messages.push(m), { useWorker: false });
+  client.run(makeConfig({ monteCarlo: { enabled: true, runs: 2000, seed: 1 } }));
+  await wait(30);
+  client.cancel();
+  const seen = messages.length;
+  await wait(100);
+  assert.strictEqual(messages.length, seen);
+  assert.ok(!messages.some(m => m.type === 'done'));
+});
@@ -0,0 +1,95 @@
+/**
+ * assetAllocation.test.js — Unit tests for per-account allocation and glide paths
+ *
+ * Covers: mix normalisation, linear glide-path interpolation and clamping,
+ * blended returns from asset-class assumptions, and the growth-rate fallback
+ * for pots without a glide path.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normaliseMix, getGlidePathMix, getPotAllocation, blendAssetReturn,
+  getPotGrowthRate, getAssetReturns, DEFAULT_ASSET_RETURNS,
+} from '../js/engine/assetAllocation.js';
+
+const near = (a, b, tol = 1e-9) => Math.abs(a - b) < tol;
+
+const GLIDE_90_TO_50 = {
+  enabled: true,
+  startAge: 40, startMix: { equity: 90, bonds: 10, cash: 0 },
+  endAge:   70, endMix:   { equity: 50, bonds: 50, cash: 0 },
+};
+
+function makeConfig({ glidePath = GLIDE_90_TO_50, growthRate = 5, assetReturns = undefined } = {}) {
+  return {
+    currentAge: 40,
+    assetReturns,
+    isa:          { growthRate, glidePath },
+    sipp:         { growthRate },
+    premiumBonds: { prizeRate: 3 },
+    cash:         { growthRate: 2 },
+  };
+}
+
+// ── normaliseMix ─────────────────────────────────────────────────────────────
+
+test('normaliseMix: percentages become fractions summing to 1', () => {
+  assert.deepStrictEqual(normaliseMix({ equity: 60, bonds: 30, cash: 10 }), { equity: 0.6, bonds: 0.3, cash: 0.1 });
+});
+
+test('normaliseMix: weights that do not sum to 100 are scaled', () => {
+  const mix = normaliseMix({ equity: 3, bonds: 1 });
+  assert.ok(near(mix.equity, 0.75) && near(mix.bonds, 0.25) && mix.cash === 0);
+});
+
+test('normaliseMix: an empty mix is all cash', () => {
+  assert.deepStrictEqual(normaliseMix({}), { equity: 0, bonds: 0, cash: 1 });
+});
+
+// ── getGlidePathMix ──────────────────────────────────────────────────────────
+
+test('getGlidePathMix: start, midpoint and end of the glide path', () => {
+  assert.ok(near(getGlidePathMix(GLIDE_90_TO_50, 40).equity, 0.9));
+  assert.ok(near(getGlidePathMix(GLIDE_90_TO_50, 55).equity, 0.7));
+  assert.ok(near(getGlidePathMix(GLIDE_90_TO_50, 70).equity, 0.5));
+});
+
+test('getGlidePathMix: flat before the start age and after the end age', () => {
+  assert.ok(near(getGlidePathMix(GLIDE_90_TO_50, 30).equity, 0.9));
+  assert.ok(near(getGlidePathMix(GLIDE_90_TO_50, 85).bonds, 0.5));
+});
+
+test('getGlidePathMix: end age at or before start age switches at the end age', () => {
+  const gp = { ...GLIDE_90_TO_50, startAge: 60, endAge: 60 };
+  assert.ok(near(getGlidePathMix(gp, 59).equity, 0.9));
+  assert.ok(near(getGlidePathMix(gp, 60).equity, 0.5));
+});
+
+// ── Blended returns ──────────────────────────────────────────────────────────
+
+test('blendAssetReturn: weights each asset-class return by the mix', () => {
+  const r = blendAssetReturn({ equity: 0.6, bonds: 0.3, cash: 0.1 }, { equity: 10, bonds: -5, cash: 2 });
+  assert.ok(near(r, 6 - 1.5 + 0.2));
+});
+
+test('getPotGrowthRate: glide-path pot earns the blended default assumptions', () => {
+  const config = makeConfig();
+  // 90/10 at 40: 0.9 × 7 + 0.1 × 3 = 6.6; 50/50 at 70: 5.0
+  assert.ok(near(getPotGrowthRate(config, 'isa', 40), 6.6));
+  assert.ok(near(getPotGrowthRate(config, 'isa', 70), 5.0));
+});
+
+test('getPotGrowthRate: custom asset-class returns are used', () => {
+  const config = makeConfig({ assetReturns: { equity: 10 } });
+  assert.deepStrictEqual(getAssetReturns(config), { ...DEFAULT_ASSET_RETURNS, equity: 10 });
+  assert.ok(near(getPotGrowthRate(config, 'isa', 40), 9.3));
+});
+
+test('getPotGrowthRate: pots without an enabled glide path keep their flat rate', () => {
+  const config = makeConfig({ glidePath: { ...GLIDE_90_TO_50, enabled: false }, growthRate: 4 });
+  assert.strictEqual(getPotAllocation(config, 'isa', 50), null);
+  assert.strictEqual(getPotGrowthRate(config, 'isa', 50), 4);
+  assert.strictEqual(getPotGrowthRate(config, 'sipp', 50), 4);
+  assert.strictEqual(getPotGrowthRate(config, 'premiumBonds', 50), 3);
+});
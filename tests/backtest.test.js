@@ -0,0 +1,188 @@
+/**
+ * backtest.test.js — Unit tests for the historical rolling-window backtest
+ *
+ * Covers: growth-rate → asset-mix mapping, return blending, cohort path
+ * wrap-around, cohort success/worst/median statistics, and the bundled
+ * historical dataset's shape.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  getAssetMix, buildCohortPaths, runBacktest,
+} from '../js/engine/backtest.js';
+import { runProjection } from '../js/engine/projectionEngine.js';
+
+const HISTORICAL = JSON.parse(
+  readFileSync(new URL('../data/historicalReturns.json', import.meta.url), 'utf8'),
+);
+
+// Helper: retired at 60, ISA-only, spending-driven drawdown
+function makeConfig({
+  balance    = 500000,
+  growthRate = 7,
+  spending   = 20000,
+  endAge     = 69,
+  glidePath  = undefined,
+} = {}) {
+  return {
+    currentAge: 60,
+    retirementAge: 60,
+    endAge,
+    retirementSpending: spending,
+    inflationRate: 0,
+    statePensionAge: 67,
+    isa: { enabled: true, balance, growthRate, glidePath, annualContribution: 0,
+           stopContributionAge: null, drawdownStartAge: null },
+    sipp: { enabled: false, balance: 0, growthRate: 5, annualContribution: 0, accessAge: 57,
+            stopContributionAge: null },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 0, drawdownStartAge: null },
+    cash: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0,
+            stopContributionAge: null, drawdownStartAge: null },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    drawdown: { rate: 0 },
+    withdrawalOrder: ['isa', 'sipp', 'premiumBonds', 'cash'],
+    overrides: {},
+  };
+}
+
+// Synthetic dataset: every year has the same returns and CPI
+function constantHistory(years, { equity = 7, bonds = 3, cash = 2, cpi = 0 } = {}) {
+  return {
+    years: Array.from({ length: years }, (_, k) => ({ year: 2000 + k, equity, bonds, cash, cpi })),
+  };
+}
+
+const near = (a, b, tol = 1e-9) => Math.abs(a - b) < tol;
+
+// ── getAssetMix ──────────────────────────────────────────────────────────────
+
+test('getAssetMix: 7%+ growth rate is all equity', () => {
+  assert.deepStrictEqual(getAssetMix(makeConfig({ growthRate: 9 }), 'isa'), { equity: 1, bonds: 0, cash: 0 });
+});
+
+test('getAssetMix: 5% interpolates halfway between equity and bonds', () => {
+  const mix = getAssetMix(makeConfig({ growthRate: 5 }), 'isa');
+  assert.ok(near(mix.equity, 0.5) && near(mix.bonds, 0.5) && mix.cash === 0);
+});
+
+test('getAssetMix: 2.5% interpolates between bonds and cash', () => {
+  const mix = getAssetMix(makeConfig({ growthRate: 2.5 }), 'isa');
+  assert.ok(mix.equity === 0 && near(mix.bonds, 0.5) && near(mix.cash, 0.5));
+});
+
+test('getAssetMix: 2% or less is all cash', () => {
+  assert.deepStrictEqual(getAssetMix(makeConfig({ growthRate: 1 }), 'isa'), { equity: 0, bonds: 0, cash: 1 });
+});
+
+test('getAssetMix: Premium Bonds and Cash always track cash', () => {
+  const config = makeConfig();
+  assert.deepStrictEqual(getAssetMix(config, 'premiumBonds'), { equity: 0, bonds: 0, cash: 1 });
+  assert.deepStrictEqual(getAssetMix(config, 'cash'), { equity: 0, bonds: 0, cash: 1 });
+});
+
+test('getAssetMix: a glide path wins over the growth rate and follows age', () => {
+  const glidePath = {
+    enabled: true,
+    startAge: 60, startMix: { equity: 60, bonds: 40, cash: 0 },
+    endAge:   70, endMix:   { equity: 40, bonds: 60, cash: 0 },
+  };
+  const config = makeConfig({ growthRate: 9, glidePath });
+  const atStart = getAssetMix(config, 'isa');
+  assert.ok(near(atStart.equity, 0.6) && near(atStart.bonds, 0.4));
+  assert.ok(near(getAssetMix(config, 'isa', 65).equity, 0.5));
+});
+
+// ── buildCohortPaths ─────────────────────────────────────────────────────────
+
+test('buildCohortPaths: blends each year by the glide-path mix at that age', () => {
+  const glidePath = {
+    enabled: true,
+    startAge: 60, startMix: { equity: 100, bonds: 0, cash: 0 },
+    endAge:   61, endMix:   { equity: 0, bonds: 100, cash: 0 },
+  };
+  const history = [{ year: 2000, equity: 10, bonds: 4, cash: 1, cpi: 0 }];
+  const { returns } = buildCohortPaths(makeConfig({ glidePath }), history, 0, 2);
+  assert.deepStrictEqual(returns.map(r => r.isa), [10, 4]);
+});
+
+test('buildCohortPaths: windows wrap to the start of the history', () => {
+  const history = [
+    { year: 2000, equity: 10, bonds: 0, cash: 0, cpi: 1 },
+    { year: 2001, equity: 20, bonds: 0, cash: 0, cpi: 2 },
+    { year: 2002, equity: 30, bonds: 0, cash: 0, cpi: 3 },
+  ];
+  const { returns, inflation, wrapped } = buildCohortPaths(makeConfig(), history, 1, 4);
+  assert.deepStrictEqual(returns.map(r => r.isa), [20, 30, 10, 20]);
+  assert.deepStrictEqual(inflation, [2, 3, 1, 2]);
+  assert.strictEqual(wrapped, true);
+});
+
+test('buildCohortPaths: a window inside the history is not wrapped', () => {
+  const { wrapped } = buildCohortPaths(makeConfig(), constantHistory(10).years, 0, 10);
+  assert.strictEqual(wrapped, false);
+});
+
+// ── runBacktest ──────────────────────────────────────────────────────────────
+
+test('runBacktest: constant history matches the deterministic projection', () => {
+  const config = makeConfig({ growthRate: 7 });
+  const result = runBacktest(config, constantHistory(10, { equity: 7 }));
+  const expected = runProjection(config).at(-1).realTotalNetWorth;
+  assert.strictEqual(result.cohorts.length, 10);
+  for (const c of result.cohorts) assert.ok(Math.abs(c.endingBalance - expected) <= 1);
+  assert.strictEqual(result.successRate, 1);
+});
+
+test('runBacktest: historical CPI deflates the ending balance', () => {
+  const config = makeConfig({ spending: 0 });
+  const flat     = runBacktest(config, constantHistory(10, { equity: 0, cpi: 0 }));
+  const inflated = runBacktest(config, constantHistory(10, { equity: 0, cpi: 5 }));
+  assert.ok(inflated.medianEndingBalance < flat.medianEndingBalance);
+});
+
+test('runBacktest: worst cohort is the one that runs short earliest', () => {
+  // Year 2001 crashes equities; cohorts starting there are hit immediately
+  const history = constantHistory(5, { equity: 5 });
+  history.years[1].equity = -90;
+  const config = makeConfig({ balance: 100000, spending: 15000, endAge: 64 });
+  const result = runBacktest(config, history);
+  assert.strictEqual(result.worstCohort.startYear, 2001);
+  assert.strictEqual(result.worstCohort.success, false);
+  assert.ok(result.successRate < 1);
+});
+
+test('runBacktest: median ending balance across cohorts', () => {
+  const history = constantHistory(3, { equity: 0 });
+  history.years[0].equity = 10;
+  const result = runBacktest(makeConfig({ spending: 0, endAge: 60 }), history);
+  // One-year plans: 550k, 500k, 500k → median 500k
+  assert.strictEqual(result.medianEndingBalance, 500000);
+  assert.strictEqual(result.completeCohorts, 3);
+});
+
+test('runBacktest: empty dataset returns an empty result', () => {
+  const result = runBacktest(makeConfig(), { years: [] });
+  assert.deepStrictEqual(result.cohorts, []);
+  assert.strictEqual(result.worstCohort, null);
+  assert.strictEqual(result.successRate, 0);
+});
+
+// ── Bundled dataset ──────────────────────────────────────────────────────────
+
+test('historicalReturns.json: consecutive years with every field', () => {
+  const { years } = HISTORICAL;
+  assert.ok(years.length > 30);
+  years.forEach((y, k) => {
+    if (k > 0) assert.strictEqual(y.year, years[k - 1].year + 1);
+    for (const f of ['equity', 'bonds', 'cash', 'cpi']) assert.strictEqual(typeof y[f], 'number');
+  });
+});
+
+test('runBacktest: one cohort per year of the bundled dataset', () => {
+  const result = runBacktest(makeConfig(), HISTORICAL);
+  assert.strictEqual(result.cohorts.length, HISTORICAL.years.length);
+  assert.ok(result.successRate >= 0 && result.successRate <= 1);
+});
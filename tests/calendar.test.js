@@ -0,0 +1,92 @@
+/**
+ * calendar.test.js — Unit tests for dates of birth and UK tax years
+ *
+ * Covers: date parsing, tax years and their labels, exact ages, the
+ * legislated State Pension age schedule (including the phased bands),
+ * part-year shares and deriving ages from a date of birth. Every test passes
+ * `today` explicitly so none depends on the current date.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDate, taxYearStart, getTaxYear, formatTaxYear, exactAge,
+  getStatePensionDate, getStatePensionAgeFor, getPlanStartYear, getExactAge,
+  getYearReached, getYearShare, applyDateOfBirth,
+} from '../js/engine/calendar.js';
+
+const TODAY = parseDate('2026-10-19');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+const spaDate = dob => getStatePensionDate(parseDate(dob)).toISOString().slice(0, 10);
+
+test('parseDate reads YYYY-MM-DD and rejects anything else', () => {
+  assert.strictEqual(parseDate('1980-07-15').toISOString(), '1980-07-15T00:00:00.000Z');
+  assert.strictEqual(parseDate('2026-02-30'), null);
+  assert.strictEqual(parseDate('15/07/1980'), null);
+  assert.strictEqual(parseDate(null), null);
+});
+
+test('tax years start on 6 April', () => {
+  assert.strictEqual(taxYearStart(2026).toISOString().slice(0, 10), '2026-04-06');
+  assert.strictEqual(getTaxYear(parseDate('2026-04-05')), 2025);
+  assert.strictEqual(getTaxYear(parseDate('2026-04-06')), 2026);
+  assert.strictEqual(formatTaxYear(2026), '2026/27');
+  assert.strictEqual(formatTaxYear(1999), '1999/00');
+});
+
+test('exact age counts the fraction of the year since the last birthday', () => {
+  assert.strictEqual(exactAge(parseDate('1980-04-06'), parseDate('2026-04-06')), 46);
+  close(exactAge(parseDate('1980-10-06'), parseDate('2026-04-06')), 45 + 182 / 365);
+  assert.strictEqual(exactAge(parseDate('2000-02-29'), parseDate('2001-02-28')), 1, 'leap-day birthday falls on 28 Feb');
+  assert.strictEqual(getExactAge(null, 2026), null);
+});
+
+test('State Pension age follows the legislated schedule', () => {
+  assert.strictEqual(spaDate('1953-01-01'), '2018-01-01', '65');
+  assert.strictEqual(spaDate('1954-01-10'), '2019-05-06', 'phased to 66 (2011 Act)');
+  assert.strictEqual(spaDate('1954-10-05'), '2020-09-06');
+  assert.strictEqual(spaDate('1958-03-01'), '2024-03-01', '66');
+  assert.strictEqual(spaDate('1960-04-06'), '2026-05-06', '66 and 1 month');
+  assert.strictEqual(spaDate('1960-05-10'), '2026-07-10', '66 and 2 months');
+  assert.strictEqual(spaDate('1961-03-05'), '2028-02-05', '66 and 11 months');
+  assert.strictEqual(spaDate('1961-03-06'), '2028-03-06', '67');
+  assert.strictEqual(spaDate('1977-04-20'), '2044-05-06', 'phased to 68 (2007 Act)');
+  assert.strictEqual(spaDate('1978-04-05'), '2046-03-06');
+  assert.strictEqual(spaDate('1978-04-06'), '2046-04-06', '68');
+  close(getStatePensionAgeFor(parseDate('1960-05-10')), 66 + 61 / 365);
+  assert.strictEqual(getStatePensionAgeFor(parseDate('1965-01-01')), 67);
+});
+
+test('a part year counts from the exact age the pension starts', () => {
+  assert.strictEqual(getYearShare(65, null, 66), 0);
+  assert.strictEqual(getYearShare(66, null, 66), 1);
+  close(getYearShare(65, 65.25, 66), 0.25);
+  assert.strictEqual(getYearShare(66, 66.25, 66), 1);
+  assert.strictEqual(getYearShare(64, 64.9, 66), 0);
+});
+
+test('a date of birth sets the ages and a tax-year start', () => {
+  const config = {
+    dateOfBirth: '1960-05-10', currentAge: 40, statePensionAge: 67,
+    partner: { enabled: true, dateOfBirth: '1962-01-01', currentAge: 40, statePensionAge: 67 },
+  };
+  const derived = applyDateOfBirth(config, TODAY);
+  assert.strictEqual(derived.currentAge, 65);
+  close(derived.statePensionAge, getStatePensionAgeFor(parseDate('1960-05-10')));
+  assert.strictEqual(derived.partner.currentAge, 64);
+  assert.strictEqual(derived.partner.statePensionAge, 67);
+  assert.strictEqual(getPlanStartYear(config, TODAY), 2026);
+
+  const typed = { currentAge: 40, statePensionAge: 67 };
+  assert.strictEqual(applyDateOfBirth(typed, TODAY), typed, 'no date of birth: unchanged');
+  assert.strictEqual(getPlanStartYear(typed, parseDate('2026-02-01')), 2026);
+  assert.strictEqual(getPlanStartYear({ dateOfBirth: '1980-01-01' }, parseDate('2026-02-01')), 2025);
+});
+
+test('the year an age is reached is the tax year containing that date', () => {
+  const config = applyDateOfBirth({ dateOfBirth: '1960-05-10' }, TODAY);
+  assert.strictEqual(getYearReached(config, config.statePensionAge, TODAY), 2026);
+  assert.strictEqual(getYearReached(config, 70, TODAY), 2030);
+  assert.strictEqual(getYearReached({ currentAge: 40 }, 58, TODAY), 2044);
+});
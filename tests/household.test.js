@@ -0,0 +1,194 @@
+/**
+ * household.test.js — Unit tests for the partner (couple) helpers
+ *
+ * Covers: the partner's single-person config view, partner ages, the
+ * expanded withdrawal order, per-person projection rows and the survivor
+ * scenario.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  hasPartner,
+  getPartnerConfig,
+  getPartnerAge,
+  expandWithdrawalOrder,
+  getPersonRows,
+  getSurvivorScenario,
+  summariseSurvivorPath,
+} from '../js/engine/household.js';
+
+function makeConfig(partner = {}) {
+  return {
+    currentAge: 45,
+    retirementAge: 60,
+    statePensionAge: 67,
+    inflationRate: 2.5,
+    isa:          { enabled: true, balance: 100000, growthRate: 5, annualContribution: 10000 },
+    sipp:         { enabled: true, balance: 200000, growthRate: 5, annualContribution: 8000, accessAge: 57 },
+    dbPension:    { enabled: true, annualIncome: 10000, startAge: 65 },
+    statePension: { enabled: true, annualIncome: 11502, growthModel: 'tripleLock' },
+    partner: {
+      enabled: true,
+      currentAge: 42,
+      retirementAge: 58,
+      statePensionAge: 68,
+      isa:  { enabled: true, balance: 20000, growthRate: 4 },
+      sipp: { enabled: true, balance: 30000, growthRate: 4, accessAge: 58 },
+      statePension: { enabled: true, annualIncome: 9000 },
+      ...partner,
+    },
+  };
+}
+
+test('hasPartner: follows partner.enabled', () => {
+  assert.strictEqual(hasPartner(makeConfig()), true);
+  assert.strictEqual(hasPartner(makeConfig({ enabled: false })), false);
+  assert.strictEqual(hasPartner({}), false);
+});
+
+test('getPartnerConfig: partner ages, pots and pensions replace the first person\'s', () => {
+  const p = getPartnerConfig(makeConfig());
+  assert.strictEqual(p.currentAge, 42);
+  assert.strictEqual(p.retirementAge, 58);
+  assert.strictEqual(p.statePensionAge, 68);
+  assert.strictEqual(p.isa.balance, 20000);
+  assert.strictEqual(p.isa.annualContribution, 0, 'missing fields default to zero');
+  assert.strictEqual(p.sipp.accessAge, 58);
+  assert.strictEqual(p.dbPension.enabled, false, 'no partner DB pension unless given');
+  assert.strictEqual(p.statePension.annualIncome, 9000);
+  assert.strictEqual(p.statePension.growthModel, 'tripleLock', 'household growth model is shared');
+  assert.strictEqual(p.inflationRate, 2.5);
+});
+
+test('getPartnerConfig: null without a partner', () => {
+  assert.strictEqual(getPartnerConfig(makeConfig({ enabled: false })), null);
+});
+
+test('getPartnerAge: keeps the age gap', () => {
+  assert.strictEqual(getPartnerAge(makeConfig(), 45), 42);
+  assert.strictEqual(getPartnerAge(makeConfig(), 70), 67);
+  assert.strictEqual(getPartnerAge(makeConfig({ enabled: false }), 70), null);
+});
+
+test('expandWithdrawalOrder: partner pots follow the matching pot', () => {
+  const order = ['isa', 'sipp', 'premiumBonds', 'cash'];
+  assert.deepStrictEqual(expandWithdrawalOrder(order, true),
+    ['isa', 'partnerIsa', 'sipp', 'partnerSipp', 'premiumBonds', 'cash']);
+  assert.deepStrictEqual(expandWithdrawalOrder(order, false), order);
+});
+
+// ── Per-person rows ──────────────────────────────────────────────────────────
+
+const ROW = {
+  age: 60, partnerAge: 57, requiredSpending: 30000,
+  isaBalance: 150000, partnerIsaBalance: 50000,
+  realIsaBalance: 120000, realPartnerIsaBalance: 40000,
+  incomeTax: 3000, partnerIncomeTax: 1000,
+  cashBalance: 10000, premiumBondsBalance: 5000,
+  totalNetWorth: 165000, partnerNetWorth: 50000,
+};
+
+test('getPersonRows: household view returns the rows unchanged', () => {
+  const rows = [ROW];
+  assert.strictEqual(getPersonRows(rows, 'household'), rows);
+});
+
+test('getPersonRows: partner view shows the partner share and no first-person pots', () => {
+  const [row] = getPersonRows([ROW], 'partner');
+  assert.strictEqual(row.isaBalance, 50000);
+  assert.strictEqual(row.realIsaBalance, 40000);
+  assert.strictEqual(row.incomeTax, 1000);
+  assert.strictEqual(row.totalNetWorth, 50000);
+  assert.strictEqual(row.cashBalance, 0);
+  assert.strictEqual(row.premiumBondsBalance, 0);
+  assert.strictEqual(row.requiredSpending, 30000, 'household spending is kept');
+});
+
+test('getPersonRows: primary view is the household total less the partner', () => {
+  const [row] = getPersonRows([ROW], 'primary');
+  assert.strictEqual(row.isaBalance, 100000);
+  assert.strictEqual(row.realIsaBalance, 80000);
+  assert.strictEqual(row.incomeTax, 2000);
+  assert.strictEqual(row.totalNetWorth, 115000);
+  assert.strictEqual(row.cashBalance, 10000);
+});
+
+test('getPersonRows: single-person rows are returned as they are', () => {
+  const rows = [{ age: 60, isaBalance: 1000 }];
+  assert.strictEqual(getPersonRows(rows, 'partner'), rows);
+});
+
+// ── Survivor scenario ────────────────────────────────────────────────────────
+
+test('getSurvivorScenario: null without a partner or when disabled', () => {
+  assert.strictEqual(getSurvivorScenario(makeConfig()), null);
+  const config = { ...makeConfig({ enabled: false }), survivor: { enabled: true } };
+  assert.strictEqual(getSurvivorScenario(config), null);
+});
+
+test('getSurvivorScenario: partner death age converts to the first person\'s age', () => {
+  const config = { ...makeConfig(), survivor: { enabled: true, deceased: 'partner', deathAge: 80 } };
+  const s = getSurvivorScenario(config);
+  assert.strictEqual(s.deceased, 'partner');
+  assert.strictEqual(s.householdDeathAge, 83, 'partner is 3 years younger');
+  assert.strictEqual(s.spendingFactor, 0.7, 'default 70%');
+});
+
+test('getSurvivorScenario: first person\'s death age is used as it is', () => {
+  const config = { ...makeConfig(), survivor: { enabled: true, deceased: 'primary', deathAge: 75, spendingPercent: 60 } };
+  const s = getSurvivorScenario(config);
+  assert.strictEqual(s.householdDeathAge, 75);
+  assert.strictEqual(s.spendingFactor, 0.6);
+});
+
+test('getSurvivorScenario: opens an empty pot for the survivor to inherit into', () => {
+  const base = makeConfig();
+  const config = { ...base, isa: { ...base.isa, enabled: false, balance: 5000 }, survivor: { enabled: true } };
+  const s = getSurvivorScenario(config);
+  assert.strictEqual(s.config.isa.enabled, true);
+  assert.strictEqual(s.config.isa.balance, 0);
+  assert.strictEqual(s.config.sipp, config.sipp, 'pots the survivor already has are unchanged');
+});
+
+test('getSurvivorScenario: a Lifetime ISA needs the survivor\'s ISA too', () => {
+  const base = makeConfig({ isa: { enabled: false } });
+  const config = {
+    ...base,
+    isa: { ...base.isa, enabled: false },
+    accounts: [{ id: 'acct1', type: 'lisa', owner: 'partner', balance: 10000 }],
+    survivor: { enabled: true },
+  };
+  assert.strictEqual(getSurvivorScenario(config).config.isa.enabled, true);
+  assert.strictEqual(getSurvivorScenario({ ...config, accounts: [] }).config.isa.enabled, false);
+});
+
+test('summariseSurvivorPath: success and the first shortfall', () => {
+  const rows = [
+    { age: 60, phase: 'accumulate', shortfall: 500, realShortfall: 500 },
+    { age: 61, phase: 'retire', shortfall: 0, realShortfall: 0 },
+    { age: 62, phase: 'retire', shortfall: 2000, realShortfall: 1800 },
+    { age: 63, phase: 'retire', shortfall: 1000, realShortfall: 900 },
+  ];
+  assert.deepStrictEqual(summariseSurvivorPath(rows), { success: false, firstShortfallAge: 62, realShortfall: 2700 });
+  assert.deepStrictEqual(summariseSurvivorPath(rows.slice(0, 2)), { success: true, firstShortfallAge: null, realShortfall: 0 });
+});
+
+test('getPersonRows: zeroes the other person\'s added accounts', () => {
+  const rows = [{
+    age: 60, partnerAge: 58, isaBalance: 50, partnerIsaBalance: 20,
+    acct1Balance: 20, realAcct1Balance: 20, acct2Balance: 10,
+  }];
+  const accounts = [
+    { id: 'isa', owner: 'primary', builtin: true },
+    { id: 'acct1', owner: 'partner', builtin: false },
+    { id: 'acct2', owner: 'primary', builtin: false },
+  ];
+  const [primary] = getPersonRows(rows, 'primary', accounts);
+  assert.strictEqual(primary.acct1Balance, 0);
+  assert.strictEqual(primary.realAcct1Balance, 0);
+  assert.strictEqual(primary.acct2Balance, 10);
+  const [partner] = getPersonRows(rows, 'partner', accounts);
+  assert.strictEqual(partner.acct1Balance, 20);
+  assert.strictEqual(partner.acct2Balance, 0);
+});
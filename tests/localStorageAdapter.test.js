@@ -0,0 +1,60 @@
+/**
+ * localStorageAdapter.test.js — Unit tests for saving plans in the browser
+ *
+ * Covers: a plan or scenario list saved by a newer version is kept under a
+ * key of its own before this version's copy can overwrite it. localStorage
+ * is an in-memory stand-in.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STATE, getState } from '../js/state/store.js';
+import { CURRENT_VERSION } from '../js/state/migrations.js';
+import {
+  loadFromLocalStorage, saveToLocalStorage, loadScenarioList, saveScenarioList,
+} from '../js/state/localStorageAdapter.js';
+import { createScenarioList } from '../js/state/scenarios.js';
+
+beforeEach(() => {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem:    key => (items.has(key) ? items.get(key) : null),
+    setItem:    (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+});
+
+const NEWER = CURRENT_VERSION + 1;
+
+test('a plan saved by a newer version is kept before it is overwritten', () => {
+  const raw = JSON.stringify({ ...structuredClone(DEFAULT_STATE), version: NEWER, retirementAge: 58, futureField: 1 });
+  localStorage.setItem('fire2_state', raw);
+  let reported = [];
+  assert.strictEqual(loadFromLocalStorage(changes => { reported = changes; }), true);
+  assert.strictEqual(getState().retirementAge, 58);
+  assert.strictEqual(localStorage.getItem(`fire2_state_v${NEWER}`), raw);
+  assert.match(reported.at(-1), /kept/);
+
+  saveToLocalStorage();
+  assert.strictEqual(JSON.parse(localStorage.getItem('fire2_state')).version, CURRENT_VERSION);
+  // Loading this version's copy again leaves the kept one alone
+  loadFromLocalStorage();
+  assert.strictEqual(localStorage.getItem(`fire2_state_v${NEWER}`), raw);
+});
+
+test('a plan saved by this version is not copied', () => {
+  localStorage.setItem('fire2_state', JSON.stringify(DEFAULT_STATE));
+  loadFromLocalStorage();
+  assert.strictEqual(localStorage.getItem(`fire2_state_v${CURRENT_VERSION}`), null);
+});
+
+test('a scenario list holding a newer plan is kept before it is overwritten', () => {
+  const list = createScenarioList({ ...structuredClone(DEFAULT_STATE), version: NEWER });
+  const raw = JSON.stringify(list);
+  localStorage.setItem('fire2_scenarios', raw);
+  const loaded = loadScenarioList();
+  assert.strictEqual(loaded.scenarios[0].state.version, CURRENT_VERSION);
+  assert.strictEqual(localStorage.getItem(`fire2_scenarios_v${NEWER}`), raw);
+  saveScenarioList(loaded);
+  assert.strictEqual(localStorage.getItem(`fire2_scenarios_v${NEWER}`), raw);
+});
@@ -0,0 +1,182 @@
+/**
+ * migrations.test.js — Unit tests for upgrading saved plans
+ *
+ * Covers: the migration steps reaching the current version, moving the old
+ * phase 1 drawdown rate and renaming override fields, filling nested
+ * defaults, resetting invalid values, dropping malformed overrides and list
+ * items, checking list items against their templates, and leaving a current
+ * plan untouched.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STATE } from '../js/state/store.js';
+import {
+  CURRENT_VERSION, MIGRATIONS, SCHEMA_ENUMS, OBJECT_LISTS, upgradeState, migrateState, validateState,
+} from '../js/state/migrations.js';
+import { ACCOUNT_TYPES } from '../js/engine/accounts.js';
+
+/** A version 1 plan as saved before the schema was versioned. */
+function makeV1State(overrides = {}) {
+  return {
+    version: 1,
+    currentAge: 45,
+    retirementAge: 55,
+    drawdown: { phase1Rate: 3.5 },
+    overrides: {},
+    ...overrides,
+  };
+}
+
+test('there is a step from every old version to the current one', () => {
+  assert.strictEqual(CURRENT_VERSION, DEFAULT_STATE.version);
+  for (let version = 1; version < CURRENT_VERSION; version++) {
+    assert.strictEqual(typeof MIGRATIONS[version], 'function', `v${version}`);
+  }
+});
+
+test('v1 → v2: phase1Rate becomes the drawdown rate', () => {
+  const { state, fromVersion, changes } = migrateState(makeV1State());
+  assert.strictEqual(fromVersion, 1);
+  assert.strictEqual(state.version, CURRENT_VERSION);
+  assert.deepStrictEqual(state.drawdown, { rate: 3.5 });
+  assert.strictEqual(changes[0], 'v1 → v2: drawdown.phase1Rate moved to drawdown.rate');
+});
+
+test('v1 → v2: a plan saved without a tax block stays untaxed, and says so', () => {
+  const { state, changes } = upgradeState(makeV1State());
+  assert.strictEqual(state.tax.enabled, false);
+  assert.strictEqual(state.tax.personalAllowance, DEFAULT_STATE.tax.personalAllowance);
+  assert.ok(changes.some(c => c.startsWith('v1 → v2: income tax was not modelled')));
+
+  const taxed = upgradeState(makeV1State({ tax: { enabled: true } }));
+  assert.strictEqual(taxed.state.tax.enabled, true);
+  assert.ok(!taxed.changes.some(c => c.includes('income tax')));
+});
+
+test('v1 → v2: an existing drawdown rate wins over phase1Rate', () => {
+  const { state, changes } = migrateState(makeV1State({ drawdown: { rate: 4, phase1Rate: 3 } }));
+  assert.deepStrictEqual(state.drawdown, { rate: 4 });
+  assert.match(changes[0], /phase1Rate removed/);
+});
+
+test('v1 → v2: the Premium Bonds lump sum override is renamed in every year', () => {
+  const saved = makeV1State({
+    overrides: { 2027: { premiumBondLumpSum: 5000, note: 'Bonus' }, 2030: { isaLumpSum: 100 }, 2031: { premiumBondLumpSum: 200 } },
+  });
+  const { state, changes } = migrateState(saved);
+  assert.deepStrictEqual(state.overrides[2027], { note: 'Bonus', premiumBondsLumpSum: 5000 });
+  assert.deepStrictEqual(state.overrides[2031], { premiumBondsLumpSum: 200 });
+  assert.ok(changes.some(c => c.includes('premiumBondLumpSum renamed premiumBondsLumpSum (2027, 2031)')));
+  assert.strictEqual(saved.overrides[2027].premiumBondLumpSum, 5000, 'the saved plan is not modified');
+});
+
+test('upgradeState: fills nested defaults more than one level down', () => {
+  const { state } = upgradeState(makeV1State({ isa: { balance: 1234, glidePath: { enabled: true } } }));
+  assert.strictEqual(state.isa.balance, 1234);
+  assert.strictEqual(state.isa.growthRate, DEFAULT_STATE.isa.growthRate);
+  assert.strictEqual(state.isa.glidePath.enabled, true);
+  assert.deepStrictEqual(state.isa.glidePath.endMix, DEFAULT_STATE.isa.glidePath.endMix);
+  assert.deepStrictEqual(state.partner.sipp, DEFAULT_STATE.partner.sipp);
+});
+
+test('validateState: resets values of the wrong type or unknown options, and reports them', () => {
+  const { state, changes } = validateState({
+    ...structuredClone(DEFAULT_STATE),
+    retirementAge: 'soon',
+    endAge: '95',
+    displayMode: 'sideways',
+    sipp: { ...DEFAULT_STATE.sipp, pclsMode: 'all' },
+    tax: 'on',
+    asOfDate: '19/10/2026',
+  });
+  assert.strictEqual(state.retirementAge, DEFAULT_STATE.retirementAge);
+  assert.strictEqual(state.endAge, 95, 'numeric text is converted');
+  assert.strictEqual(state.displayMode, 'real');
+  assert.strictEqual(state.sipp.pclsMode, 'none');
+  assert.deepStrictEqual(state.tax, DEFAULT_STATE.tax);
+  assert.strictEqual(state.asOfDate, null);
+  for (const path of ['retirementAge', 'endAge', 'displayMode', 'sipp.pclsMode', 'tax', 'asOfDate']) {
+    assert.ok(changes.some(c => c.startsWith(`${path}:`)), path);
+  }
+});
+
+test('validateState: drops malformed overrides and list items', () => {
+  const { state, changes } = validateState({
+    ...structuredClone(DEFAULT_STATE),
+    overrides: { 2027: { isaLumpSum: 100, sippLumpSum: 'lots', note: 'ok' }, age60: { isaLumpSum: 1 }, 2028: 5 },
+    accounts: [{ id: 'acct1', type: 'isa' }, { type: 'cash' }, 'gia'],
+    withdrawalOrder: ['isa', 7, 'sipp'],
+  });
+  assert.deepStrictEqual(state.overrides, { 2027: { isaLumpSum: 100, note: 'ok' } });
+  assert.deepStrictEqual(state.accounts, [{ id: 'acct1', type: 'isa' }]);
+  assert.deepStrictEqual(state.withdrawalOrder, ['isa', 'sipp']);
+  assert.strictEqual(changes.length, 5);
+});
+
+test('nullable fields keep null or a value', () => {
+  const { state, changes } = validateState({
+    ...structuredClone(DEFAULT_STATE),
+    maxIncome: 90000,
+    isa: { ...DEFAULT_STATE.isa, stopContributionAge: null, drawdownStartAge: 60 },
+    dateOfBirth: '1981-05-02',
+  });
+  assert.strictEqual(state.maxIncome, 90000);
+  assert.strictEqual(state.isa.drawdownStartAge, 60);
+  assert.strictEqual(state.dateOfBirth, '1981-05-02');
+  assert.deepStrictEqual(changes, []);
+});
+
+test('a current plan passes through unchanged', () => {
+  const { state, changes } = upgradeState(DEFAULT_STATE);
+  assert.deepStrictEqual(state, DEFAULT_STATE);
+  assert.deepStrictEqual(changes, []);
+});
+
+test('a plan from a newer version is kept, with a warning', () => {
+  const { state, changes } = upgradeState({ ...structuredClone(DEFAULT_STATE), version: CURRENT_VERSION + 1, futureField: 1 });
+  assert.strictEqual(state.futureField, 1);
+  assert.strictEqual(state.version, CURRENT_VERSION);
+  assert.match(changes[0], /newer version/);
+});
+
+test('every default of an enum field is one of its options', () => {
+  for (const [path, options] of Object.entries(SCHEMA_ENUMS)) {
+    const [listPath, field] = path.split('[].');
+    const { template, byType = {} } = OBJECT_LISTS[listPath] ?? {};
+    const values = field
+      ? [template, ...Object.values(byType)].filter(t => field in t).map(t => t[field])
+      : [path.split('.').reduce((node, key) => node[key], DEFAULT_STATE)];
+    assert.ok(values.length > 0, path);
+    for (const value of values) assert.ok(options.includes(value), path);
+  }
+});
+
+test('list items: accounts of every type are allowed', () => {
+  assert.deepStrictEqual(OBJECT_LISTS.accounts.types, Object.keys(ACCOUNT_TYPES));
+});
+
+test('validateState: checks list items against their template, by account type', () => {
+  const { state, changes } = validateState({
+    ...structuredClone(DEFAULT_STATE),
+    accounts: [
+      { id: 'acct1', type: 'sipp', balance: '5000', pclsMode: 'lump', owner: 'spouse', futureField: 1 },
+      { id: 'acct2', type: 'gia', bedAndIsa: 'yes', pclsMode: 'lump' },
+      { id: 'acct3', type: 'bitcoin' },
+    ],
+    dbSchemes: [{ id: 'db1', indexation: 'rpi', annualIncome: 9000 }],
+    spendingGoals: [{ label: 'Car', amount: 'a lot', year: 2030 }],
+  });
+  assert.deepStrictEqual(state.accounts, [
+    { id: 'acct1', type: 'sipp', balance: 5000, pclsMode: 'none', owner: 'primary', futureField: 1 },
+    { id: 'acct2', type: 'gia', bedAndIsa: false, pclsMode: 'lump' },
+  ], 'missing fields are left out; a GIA has no pclsMode to check');
+  assert.deepStrictEqual(state.dbSchemes, [{ id: 'db1', indexation: 'cpi', annualIncome: 9000 }]);
+  assert.deepStrictEqual(state.spendingGoals, [{ label: 'Car', amount: 0, year: 2030 }]);
+  for (const path of [
+    'accounts[0].balance', 'accounts[0].pclsMode', 'accounts[0].owner', 'accounts[1].bedAndIsa', 'accounts',
+    'dbSchemes[0].indexation', 'spendingGoals[0].amount',
+  ]) {
+    assert.ok(changes.some(c => c.startsWith(`${path}:`)), path);
+  }
+});
@@ -0,0 +1,269 @@
+/**
+ * monteCarlo.test.js — Unit tests for the Monte Carlo simulation
+ *
+ * Covers: seeded PRNG reproducibility, normal sampling, Cholesky
+ * decomposition, correlated return paths, percentile maths, depletion
+ * detection, and end-to-end runMonteCarlo behaviour.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRng, createNormal, choleskyDecompose, sampleReturnPath,
+  getReturnAssumptions, percentile, getDepletionAge, runMonteCarlo, MC_POTS,
+  getReturnKeys, buildCorrelation, DEFAULT_MONTE_CARLO,
+} from '../js/engine/monteCarlo.js';
+import { runProjection } from '../js/engine/projectionEngine.js';
+
+// Helper: retired at 60, ISA-only, spending-driven drawdown
+function makeConfig({
+  balance    = 500000,
+  growthRate = 5,
+  volatility = 15,
+  spending   = 20000,
+  endAge     = 90,
+  runs       = 200,
+  seed       = 42,
+} = {}) {
+  return {
+    currentAge: 60,
+    retirementAge: 60,
+    endAge,
+    retirementSpending: spending,
+    inflationRate: 0,
+    statePensionAge: 67,
+    isa: { enabled: true, balance, growthRate, volatility, annualContribution: 0,
+           stopContributionAge: null, drawdownStartAge: null },
+    sipp: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57,
+            stopContributionAge: null },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 0, drawdownStartAge: null },
+    cash: { enabled: false, balance: 0, growthRate: 0, annualContribution: 0,
+            stopContributionAge: null, drawdownStartAge: null },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    drawdown: { rate: 0 },
+    withdrawalOrder: ['isa', 'sipp', 'premiumBonds', 'cash'],
+    monteCarlo: { enabled: true, runs, seed },
+    overrides: {},
+  };
+}
+
+const DEFAULT_CORRELATION = DEFAULT_MONTE_CARLO.correlation;
+
+// ── PRNG ─────────────────────────────────────────────────────────────────────
+
+test('createRng: same seed gives the same sequence', () => {
+  const a = createRng(123);
+  const b = createRng(123);
+  for (let i = 0; i < 100; i++) assert.strictEqual(a(), b());
+});
+
+test('createRng: different seeds give different sequences', () => {
+  assert.notStrictEqual(createRng(1)(), createRng(2)());
+});
+
+test('createRng: values lie in [0, 1)', () => {
+  const rng = createRng(7);
+  for (let i = 0; i < 10000; i++) {
+    const u = rng();
+    assert.ok(u >= 0 && u < 1);
+  }
+});
+
+test('createNormal: sample mean ≈ 0 and variance ≈ 1', () => {
+  const normal = createNormal(createRng(99));
+  const n = 20000;
+  let sum = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) { const z = normal(); sum += z; sumSq += z * z; }
+  const mean = sum / n;
+  const variance = sumSq / n - mean * mean;
+  assert.ok(Math.abs(mean) < 0.03, `mean ${mean}`);
+  assert.ok(Math.abs(variance - 1) < 0.05, `variance ${variance}`);
+});
+
+// ── Correlation ──────────────────────────────────────────────────────────────
+
+test('choleskyDecompose: L·Lᵀ reproduces the matrix', () => {
+  const m = [[1, 0.9, 0.2], [0.9, 1, 0.1], [0.2, 0.1, 1]];
+  const L = choleskyDecompose(m);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let v = 0;
+      for (let k = 0; k < 3; k++) v += L[i][k] * L[j][k];
+      assert.ok(Math.abs(v - m[i][j]) < 1e-12);
+    }
+  }
+});
+
+test('choleskyDecompose: perfectly correlated rows do not produce NaN', () => {
+  const L = choleskyDecompose([[1, 1], [1, 1]]);
+  assert.ok(L.flat().every(Number.isFinite));
+});
+
+test('sampleReturnPath: zero volatility returns the mean every year', () => {
+  const assumptions = { mean: { isa: 5, sipp: 4, premiumBonds: 3, cash: 2 },
+                        volatility: { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 } };
+  const identity = MC_POTS.map((_, i) => MC_POTS.map((_, j) => (i === j ? 1 : 0)));
+  const path = sampleReturnPath(3, assumptions, choleskyDecompose(identity), createNormal(createRng(1)));
+  assert.deepStrictEqual(path[2], { isa: 5, sipp: 4, premiumBonds: 3, cash: 2 });
+});
+
+test('sampleReturnPath: correlation of 1 moves ISA and SIPP together', () => {
+  const assumptions = { mean: { isa: 5, sipp: 5, premiumBonds: 0, cash: 0 },
+                        volatility: { isa: 15, sipp: 15, premiumBonds: 0, cash: 0 } };
+  const corr = [[1, 1, 0, 0], [1, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+  const path = sampleReturnPath(20, assumptions, choleskyDecompose(corr), createNormal(createRng(5)));
+  for (const year of path) assert.ok(Math.abs(year.isa - year.sipp) < 1e-9);
+});
+
+test('sampleReturnPath: returns are clamped at −99%', () => {
+  const assumptions = { mean: { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 },
+                        volatility: { isa: 1000, sipp: 0, premiumBonds: 0, cash: 0 } };
+  const identity = MC_POTS.map((_, i) => MC_POTS.map((_, j) => (i === j ? 1 : 0)));
+  const path = sampleReturnPath(200, assumptions, choleskyDecompose(identity), createNormal(createRng(3)));
+  assert.ok(path.every(y => y.isa >= -99));
+});
+
+test('getReturnAssumptions: mean from growth rates, volatility from pots', () => {
+  const { mean, volatility } = getReturnAssumptions(makeConfig({ growthRate: 6, volatility: 12 }));
+  assert.strictEqual(mean.isa, 6);
+  assert.strictEqual(volatility.isa, 12);
+  assert.strictEqual(volatility.cash, 1, 'missing volatility falls back to the default');
+});
+
+test('getReturnAssumptions: an added account has its own mean and volatility', () => {
+  const config = makeConfig();
+  config.accounts = [
+    { id: 'acct1', type: 'gia', enabled: true, balance: 0, growthRate: 8, volatility: 20 },
+    { id: 'acct2', type: 'cash', enabled: true, balance: 0, growthRate: 3 },
+  ];
+  const { mean, volatility } = getReturnAssumptions(config);
+  assert.strictEqual(mean.acct1, 8);
+  assert.strictEqual(volatility.acct1, 20);
+  assert.strictEqual(volatility.acct2, 1, 'missing volatility falls back to its type\'s default');
+});
+
+test('buildCorrelation: an added account follows its pot, scaled by accountCorrelation', () => {
+  const config = makeConfig();
+  config.accounts = [
+    { id: 'acct1', type: 'gia', enabled: true },
+    { id: 'acct2', type: 'isa', enabled: true },
+  ];
+  const keys = getReturnKeys(config);
+  assert.deepStrictEqual(keys.slice(4), [{ key: 'acct1', pot: 'isa' }, { key: 'acct2', pot: 'isa' }]);
+  const corr = buildCorrelation(keys, DEFAULT_CORRELATION, 0.8);
+  assert.strictEqual(corr[4][4], 1);
+  assert.strictEqual(corr[4][0], 0.8, 'with the ISA');
+  assert.ok(Math.abs(corr[4][1] - 0.72) < 1e-12, 'with the SIPP: 0.8 × 0.9');
+  assert.ok(Math.abs(corr[4][5] - 0.64) < 1e-12, 'with another account on the ISA\'s path');
+  assert.deepStrictEqual(corr.slice(0, 4).map(row => row.slice(0, 4)), DEFAULT_CORRELATION);
+  // Positive definite: the factor reproduces it
+  const L = choleskyDecompose(corr);
+  corr.forEach((row, i) => row.forEach((value, j) => {
+    const product = L[i].reduce((sum, l, k) => sum + l * L[j][k], 0);
+    assert.ok(Math.abs(product - value) < 1e-9);
+  }));
+});
+
+test('sampleReturnPath: an added account draws its own returns', () => {
+  const config = makeConfig();
+  config.accounts = [{ id: 'acct1', type: 'isa', enabled: true, balance: 0, growthRate: 5, volatility: 15 }];
+  const keys = getReturnKeys(config);
+  const assumptions = getReturnAssumptions(config);
+  const sample = accountCorrelation => sampleReturnPath(20, assumptions,
+    choleskyDecompose(buildCorrelation(keys, DEFAULT_CORRELATION, accountCorrelation)),
+    createNormal(createRng(7)), keys.map(k => k.key));
+  for (const year of sample(1)) assert.ok(Math.abs(year.acct1 - year.isa) < 1e-9);
+  assert.ok(sample(0.5).some(year => Math.abs(year.acct1 - year.isa) > 1));
+});
+
+// ── Statistics ───────────────────────────────────────────────────────────────
+
+test('percentile: interpolates between sorted values', () => {
+  const sorted = [0, 10, 20, 30, 40];
+  assert.strictEqual(percentile(sorted, 0), 0);
+  assert.strictEqual(percentile(sorted, 50), 20);
+  assert.strictEqual(percentile(sorted, 100), 40);
+  assert.strictEqual(percentile(sorted, 10), 4);
+});
+
+test('getDepletionAge: first retirement year with a shortfall', () => {
+  const rows = [
+    { phase: 'accumulate', age: 55, shortfall: 100 },
+    { phase: 'retire', age: 60, shortfall: 0 },
+    { phase: 'retire', age: 61, shortfall: 50 },
+  ];
+  assert.strictEqual(getDepletionAge(rows), 61);
+  assert.strictEqual(getDepletionAge(rows.slice(0, 2)), null);
+});
+
+// ── runMonteCarlo ────────────────────────────────────────────────────────────
+
+test('runMonteCarlo: same seed → identical results', () => {
+  const config = makeConfig();
+  assert.deepStrictEqual(runMonteCarlo(config), runMonteCarlo(config));
+});
+
+test('runMonteCarlo: different seeds → different percentile paths', () => {
+  const a = runMonteCarlo(makeConfig({ seed: 1 }));
+  const b = runMonteCarlo(makeConfig({ seed: 2 }));
+  assert.notDeepStrictEqual(a.percentiles.p50, b.percentiles.p50);
+});
+
+test('runMonteCarlo: zero volatility matches the deterministic projection', () => {
+  const config = makeConfig({ volatility: 0, runs: 5 });
+  const mc = runMonteCarlo(config);
+  const rows = runProjection(config);
+  assert.deepStrictEqual(mc.percentiles.p10, rows.map(r => r.realTotalNetWorth));
+  assert.deepStrictEqual(mc.percentiles.p90, rows.map(r => r.realTotalNetWorth));
+  assert.strictEqual(mc.successProbability, 1);
+});
+
+test('runMonteCarlo: percentile bands are ordered P10 ≤ P25 ≤ P50 ≤ P75 ≤ P90', () => {
+  const { percentiles: p } = runMonteCarlo(makeConfig());
+  for (let i = 0; i < p.years.length; i++) {
+    assert.ok(p.p10[i] <= p.p25[i] && p.p25[i] <= p.p50[i] && p.p50[i] <= p.p75[i] && p.p75[i] <= p.p90[i]);
+  }
+});
+
+test('runMonteCarlo: depletion histogram accounts for every failed path', () => {
+  const mc = runMonteCarlo(makeConfig({ spending: 30000 }));
+  const failed = Object.values(mc.depletion.ages).reduce((a, b) => a + b, 0);
+  assert.strictEqual(failed, Math.round(mc.depletion.probability * mc.runs));
+  assert.ok(Math.abs(mc.successProbability + mc.depletion.probability - 1) < 1e-12);
+  assert.ok(failed > 0, 'a 6% withdrawal rate should fail on some paths');
+});
+
+test('runMonteCarlo: higher volatility lowers success for a marginal plan', () => {
+  const calm  = runMonteCarlo(makeConfig({ spending: 25000, volatility: 5 }));
+  const rough = runMonteCarlo(makeConfig({ spending: 25000, volatility: 25 }));
+  assert.ok(rough.successProbability < calm.successProbability);
+});
+
+test('runMonteCarlo: opts.runs overrides the configured run count', () => {
+  assert.strictEqual(runMonteCarlo(makeConfig(), { runs: 10 }).runs, 10);
+});
+
+test('getReturnAssumptions: glide-path pots use the blended mean for the age', () => {
+  const config = makeConfig();
+  config.isa.glidePath = {
+    enabled: true,
+    startAge: 60, startMix: { equity: 100, bonds: 0, cash: 0 },
+    endAge:   70, endMix:   { equity: 0, bonds: 100, cash: 0 },
+  };
+  assert.strictEqual(getReturnAssumptions(config).mean.isa, 7);
+  assert.strictEqual(getReturnAssumptions(config, 70).mean.isa, 3);
+});
+
+test('runMonteCarlo: zero volatility with a glide path matches the deterministic projection', () => {
+  const config = makeConfig({ volatility: 0, runs: 3 });
+  config.isa.glidePath = {
+    enabled: true,
+    startAge: 60, startMix: { equity: 100, bonds: 0, cash: 0 },
+    endAge:   80, endMix:   { equity: 20, bonds: 80, cash: 0 },
+  };
+  const mc = runMonteCarlo(config);
+  const rows = runProjection(config);
+  rows.forEach((r, y) => assert.ok(Math.abs(mc.percentiles.p50[y] - r.realTotalNetWorth) <= 1));
+});
@@ -1,12 +1,17 @@
 /**
  * pensionEngine.test.js — Unit tests for getPensionIncome
  *
- * Covers: activation ages, disabled pensions, combined totals.
+ * Covers: activation ages, disabled pensions, combined totals, survivor
+ * benefits after the member's death and DB scheme terms (early/late
+ * factors, commutation, indexation, further schemes) and part years from
+ * an exact age.
  */
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { getPensionIncome } from '../js/engine/pensionEngine.js';
+import {
+  getPensionIncome, getDbSchemes, getDbPensionFactor, getDbCommutation, computeDbIndexFactor, getDbLumpSums,
+} from '../js/engine/pensionEngine.js';
 
 // Helper: default config with both pensions enabled
 function makeConfig(overrides = {}) {
@@ -91,6 +96,26 @@ test('total is sum of both active pensions', () => {
   assert.strictEqual(total, 23000);
 });
 
+// ── Survivor benefits ────────────────────────────────────────────────────────
+
+test('deceased member: DB pays the default 50% survivor pension and State Pension stops', () => {
+  const { dbIncome, stateIncome, total } = getPensionIncome(makeConfig(), 70, 1, null, { deceased: true });
+  assert.strictEqual(dbIncome, 6000);
+  assert.strictEqual(stateIncome, 0);
+  assert.strictEqual(total, 6000);
+});
+
+test('deceased member: survivorPercent sets the spouse\'s share', () => {
+  const config = makeConfig({ dbPension: { enabled: true, annualIncome: 12000, startAge: 65, survivorPercent: 66.6 } });
+  const { dbIncome } = getPensionIncome(config, 70, 2, null, { deceased: true });
+  assert.ok(Math.abs(dbIncome - 12000 * 0.666 * 2) < 1e-6);
+});
+
+test('deceased member: survivor pension starts when the member would have reached the start age', () => {
+  const { dbIncome } = getPensionIncome(makeConfig(), 64, 1, null, { deceased: true });
+  assert.strictEqual(dbIncome, 0);
+});
+
 // ── State pension inflation adjustment ───────────────────────────────────────
 
 test('state pension is scaled by inflationFactor when active', () => {
@@ -197,3 +222,131 @@ test('computePensionGrowthFactor: defaults to "real" model when growthModel is a
   const factor = computePensionGrowthFactor(config, 10);
   assert.ok(Math.abs(factor - Math.pow(1.03, 10)) < 0.0001);
 });
+
+test('computePensionGrowthFactor: "real" compounds along an inflation path', () => {
+  const config = makeGrowthConfig();
+  const factor = computePensionGrowthFactor(config, 3, [10, 0, 5]);
+  assert.ok(Math.abs(factor - 1.10 * 1.05) < 0.0001, `Expected ~1.155, got ${factor}`);
+});
+
+test('computePensionGrowthFactor: "tripleLock" floors each path year at 2.5%', () => {
+  const config = makeGrowthConfig({ statePension: { growthModel: 'tripleLock' } });
+  const factor = computePensionGrowthFactor(config, 2, [1, 8]);
+  assert.ok(Math.abs(factor - 1.025 * 1.08) < 0.0001, `Expected ~1.107, got ${factor}`);
+});
+
+test('computePensionGrowthFactor: "custom" ignores the inflation path', () => {
+  const config = makeGrowthConfig({ statePension: { growthModel: 'custom', customGrowthRate: 3.0 } });
+  const factor = computePensionGrowthFactor(config, 2, [20, 20]);
+  assert.ok(Math.abs(factor - Math.pow(1.03, 2)) < 0.0001);
+});
+
+// ── DB scheme terms ──────────────────────────────────────────────────────────
+
+test('DB pension drawn before NPA is cut by the early reduction per year', () => {
+  const scheme = { annualIncome: 10000, startAge: 62, normalPensionAge: 65, earlyReductionPercent: 4 };
+  assert.ok(Math.abs(getDbPensionFactor(scheme) - 0.88) < 1e-9);
+  const config = makeConfig({ currentAge: 60, dbPension: { enabled: true, ...scheme } });
+  assert.ok(Math.abs(getPensionIncome(config, 62).dbIncome - 8800) < 1e-6);
+});
+
+test('DB pension drawn after NPA gets the late increase per year', () => {
+  const scheme = { annualIncome: 10000, startAge: 67, normalPensionAge: 65, lateIncreasePercent: 5 };
+  assert.ok(Math.abs(getDbPensionFactor(scheme) - 1.1) < 1e-9);
+});
+
+test('DB pension factor is 1 without a normal pension age', () => {
+  assert.strictEqual(getDbPensionFactor({ annualIncome: 10000, startAge: 60 }), 1);
+});
+
+test('commutation exchanges pension for a lump sum at the scheme factor', () => {
+  const { pension, lumpSum } = getDbCommutation({ annualIncome: 12000, startAge: 65, commutationPercent: 25, commutationFactor: 12 });
+  assert.strictEqual(pension, 9000);
+  assert.strictEqual(lumpSum, 36000);
+});
+
+test('commuted DB pension pays the reduced income', () => {
+  const config = makeConfig({ currentAge: 65, dbPension: { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25 } });
+  assert.strictEqual(getPensionIncome(config, 65).dbIncome, 9000);
+});
+
+test('capped CPI indexation limits each year to the cap', () => {
+  const scheme = { indexation: 'cpiCapped', indexationCap: 2.5 };
+  const factor = computeDbIndexFactor(scheme, { inflationRate: 4 }, 2, 1.04 * 1.04);
+  assert.ok(Math.abs(factor - 1.025 * 1.025) < 1e-9);
+});
+
+test('capped CPI indexation follows an inflation path and never falls', () => {
+  const scheme = { indexation: 'cpiCapped', indexationCap: 5 };
+  const factor = computeDbIndexFactor(scheme, { inflationRate: 2.5 }, 3, 1, [8, -1, 3]);
+  assert.ok(Math.abs(factor - 1.05 * 1 * 1.03) < 1e-9);
+});
+
+test('fixed and no indexation ignore CPI', () => {
+  assert.ok(Math.abs(computeDbIndexFactor({ indexation: 'fixed', indexationRate: 3 }, {}, 2, 2) - 1.0609) < 1e-9);
+  assert.strictEqual(computeDbIndexFactor({ indexation: 'none' }, {}, 10, 2), 1);
+  assert.strictEqual(computeDbIndexFactor({ indexation: 'cpi' }, {}, 10, 1.5), 1.5);
+});
+
+test('DB pension with capped indexation uses the capped factor', () => {
+  const config = makeConfig({
+    currentAge: 63, inflationRate: 6,
+    dbPension: { enabled: true, annualIncome: 10000, startAge: 65, indexation: 'cpiCapped', indexationCap: 5 },
+  });
+  const { dbIncome } = getPensionIncome(config, 65, 1.06 * 1.06);
+  assert.ok(Math.abs(dbIncome - 10000 * 1.05 * 1.05) < 1e-6);
+});
+
+test('further DB schemes add to DB income from their own start ages', () => {
+  const config = makeConfig({
+    dbSchemes: [{ id: 'db1', name: 'Old employer', annualIncome: 3000, startAge: 60 }],
+  });
+  assert.strictEqual(getPensionIncome(config, 60).dbIncome, 3000);
+  assert.strictEqual(getPensionIncome(config, 65).dbIncome, 15000);
+});
+
+test('getDbSchemes leaves out disabled schemes and the partner\'s when a partner is modelled', () => {
+  const dbSchemes = [
+    { id: 'db1', annualIncome: 3000, startAge: 60 },
+    { id: 'db2', annualIncome: 2000, startAge: 60, enabled: false },
+    { id: 'db3', annualIncome: 1000, startAge: 60, owner: 'partner' },
+  ];
+  assert.deepStrictEqual(getDbSchemes(makeConfig({ dbSchemes })).map(s => s.id), ['dbPension', 'db1', 'db3']);
+  assert.deepStrictEqual(getDbSchemes(makeConfig({ dbSchemes, partner: { enabled: true } })).map(s => s.id), ['dbPension', 'db1']);
+});
+
+test('getDbLumpSums pays each commuting scheme once, in its start year', () => {
+  const config = makeConfig({
+    currentAge: 60,
+    dbPension: { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25, lumpSumDestination: 'isa' },
+  });
+  assert.deepStrictEqual(getDbLumpSums(config, 64), []);
+  const [lump] = getDbLumpSums(config, 65, 1.1);
+  assert.strictEqual(lump.id, 'dbPension');
+  assert.strictEqual(lump.destination, 'isa');
+  assert.ok(Math.abs(lump.amount - 36000 * 1.1) < 1e-6);
+  assert.deepStrictEqual(getDbLumpSums(config, 66), []);
+  assert.deepStrictEqual(getDbLumpSums(config, 65, 1, { deceased: true }), []);
+});
+
+// ── Part years (date of birth) ───────────────────────────────────────────────
+
+test('a pension starting part-way through a tax year is paid for that part', () => {
+  const config = makeConfig({ currentAge: 60, statePensionAge: 66.5 });
+  const startYear = getPensionIncome(config, 64, 1, null, { exactAge: 64.75 });
+  assert.ok(Math.abs(startYear.dbIncome - 12000 * 0.75) < 1e-6);
+  const spYear = getPensionIncome(config, 65, 1, null, { exactAge: 65.75 });
+  assert.strictEqual(spYear.dbIncome, 12000);
+  assert.ok(Math.abs(spYear.stateIncome - 11000 * 0.25) < 1e-6);
+  assert.strictEqual(getPensionIncome(config, 66, 1, null, { exactAge: 66.75 }).stateIncome, 11000);
+});
+
+test('a DB lump sum is paid in the tax year the start age is reached', () => {
+  const config = makeConfig({
+    currentAge: 60,
+    dbPension: { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25 },
+  });
+  assert.strictEqual(getDbLumpSums(config, 64, 1, { exactAge: 64.5 }).length, 1);
+  assert.deepStrictEqual(getDbLumpSums(config, 65, 1, { exactAge: 65.5 }), []);
+  assert.strictEqual(getDbLumpSums(config, 65, 1, { exactAge: 65 }).length, 1, 'birthday on 6 April');
+});
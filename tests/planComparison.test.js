@@ -0,0 +1,101 @@
+/**
+ * planComparison.test.js — Unit tests for headline metrics and comparing plans
+ *
+ * Covers: the summary metrics of a funded and a short plan, real vs nominal
+ * values, lifetime tax across income, GIA and Lifetime ISA charges, and lining up named plans of different lengths by year.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runProjection } from '../js/engine/projectionEngine.js';
+import { getPlanMetrics, getLifetimeTax, comparePlans, PLAN_METRICS } from '../js/engine/planComparison.js';
+
+function makeConfig(overrides = {}) {
+  return {
+    asOfDate: '2026-01-01',
+    currentAge: 55,
+    retirementAge: 55,
+    endAge: 60,
+    retirementSpending: 3000,
+    inflationRate: 0,
+    statePensionAge: 67,
+    isa:          { enabled: true,  balance: 100000, growthRate: 0, annualContribution: 0 },
+    sipp:         { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57 },
+    premiumBonds: { enabled: false, balance: 0, prizeRate: 0 },
+    cash:         { enabled: false, balance: 0, growthRate: 0, annualContribution: 0 },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    drawdown: { rate: 4 },
+    withdrawalOrder: ['isa', 'sipp', 'premiumBonds', 'cash'],
+    overrides: {},
+    ...overrides,
+  };
+}
+
+test('getPlanMetrics: a fully funded plan', () => {
+  const config = makeConfig();
+  const metrics = getPlanMetrics(runProjection(config), config);
+  assert.strictEqual(metrics.retirementAge, 55);
+  assert.strictEqual(metrics.fiAge, 55);
+  assert.strictEqual(metrics.monthlyTargetSpend, 250);
+  assert.strictEqual(metrics.successRate, 100);
+  assert.strictEqual(metrics.fundedYears, metrics.retirementYears);
+  assert.strictEqual(metrics.firstShortfallAge, null);
+  assert.strictEqual(metrics.safeSpending, metrics.retirementNetWorth * 0.04);
+  assert.ok(metrics.worstYearBalance <= metrics.retirementNetWorth);
+});
+
+test('getPlanMetrics: a plan that runs short reports its first shortfall', () => {
+  const config = makeConfig({ isa: { enabled: true, balance: 30000, growthRate: 0, annualContribution: 0 } });
+  const metrics = getPlanMetrics(runProjection(config), config);
+  assert.strictEqual(metrics.successRate, 0, 'a 4% draw of £30k falls short of £3k every year');
+  assert.strictEqual(metrics.firstShortfallAge, 55);
+  assert.strictEqual(metrics.fiAge, null);
+});
+
+test('getPlanMetrics: real values are deflated, nominal ones are not', () => {
+  const config = makeConfig({ inflationRate: 3, isa: { enabled: true, balance: 100000, growthRate: 5, annualContribution: 0 } });
+  const rows = runProjection(config);
+  const real    = getPlanMetrics(rows, config, 'real');
+  const nominal = getPlanMetrics(rows, config, 'nominal');
+  assert.strictEqual(nominal.finalNetWorth, rows[rows.length - 1].totalNetWorth);
+  assert.ok(real.finalNetWorth < nominal.finalNetWorth);
+  assert.strictEqual(real.monthlyTargetSpend, nominal.monthlyTargetSpend, 'target spend is in today\'s £ either way');
+});
+
+test('getLifetimeTax: adds GIA taxes and Lifetime ISA charges to income tax', () => {
+  const rows = [
+    { incomeTax: 1000, realIncomeTax: 900 },
+    { incomeTax: 2000, realIncomeTax: 1800, dividendTax: 300, realDividendTax: 270,
+      capitalGainsTax: 500, realCapitalGainsTax: 450, lisaPenalty: 250, realLisaPenalty: 225 },
+  ];
+  assert.strictEqual(getLifetimeTax(rows, 'nominal'), 4050);
+  assert.strictEqual(getLifetimeTax(rows), 3645);
+});
+
+test('comparePlans: lines plans up by year with gaps where a plan has ended', () => {
+  const { years, plans } = comparePlans([
+    { id: 'plan1', name: 'Short', state: makeConfig() },
+    { id: 'plan2', name: 'Long',  state: makeConfig({ endAge: 62, retirementAge: 57 }) },
+  ]);
+  assert.strictEqual(years[0], 2026);
+  assert.strictEqual(years.length, plans[1].netWorth.length);
+  assert.deepStrictEqual(plans.map(p => p.name), ['Short', 'Long']);
+  assert.strictEqual(plans[0].netWorth.at(-1), null);
+  assert.strictEqual(plans[0].ages.at(-1), null);
+  assert.strictEqual(plans[1].ages.at(-1), 62);
+  assert.strictEqual(plans[1].metrics.retirementAge, 57);
+  for (const { key } of PLAN_METRICS) assert.ok(key in plans[0].metrics, key);
+});
+
+test('comparePlans: projects each plan with the given function', () => {
+  const projected = [];
+  const project = state => { projected.push(state); return runProjection(state); };
+  const scenarios = [
+    { id: 'plan1', name: 'A', state: makeConfig() },
+    { id: 'plan2', name: 'B', state: makeConfig({ endAge: 62 }) },
+  ];
+  const { plans } = comparePlans(scenarios, project);
+  assert.deepStrictEqual(projected, scenarios.map(s => s.state));
+  assert.deepStrictEqual(plans, comparePlans(scenarios).plans);
+});
@@ -9,9 +9,15 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { runProjection } from '../js/engine/projectionEngine.js';
+import { getPersonRows } from '../js/engine/household.js';
+import { getAllowanceWarnings } from '../js/engine/allowances.js';
+import { getExactAge, formatTaxYear } from '../js/engine/calendar.js';
 
 // ── Config factory ───────────────────────────────────────────────────────────
 
+/** Year the factory's plans start in (their as-of date), keeping tests off the clock. */
+const PLAN_YEAR = 2026;
+
 /**
  * Returns a minimal valid config.
  * @param {object} [opts]
@@ -35,6 +41,7 @@ function makeConfig({
   overrides     = {},
 } = {}) {
   return {
+    asOfDate: `${PLAN_YEAR}-01-01`,
     currentAge,
     retirementAge,
     endAge,
@@ -195,7 +202,7 @@ test('accumulation: contributions stop at stopContributionAge', () => {
 // ── Lump sums ────────────────────────────────────────────────────────────────
 
 test('ISA lump sum is applied in the correct year and increases balance', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const targetYear = currentYear + 1; // second row (i=1, age=61)
   const rows = runProjection(makeConfig({
     balance: 100000,
@@ -212,7 +219,7 @@ test('ISA lump sum is applied in the correct year and increases balance', () =>
 // ── Custom drawdowns ─────────────────────────────────────────────────────────
 
 test('custom ISA drawdown is applied after regular growth/drawdown', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   // drawdownRate=0 so only the custom drawdown acts; no retirement spending
   const rows = runProjection(makeConfig({
     balance: 100000,
@@ -283,7 +290,7 @@ test('sippDrawdownRateOverride draws specifically from SIPP from retirement age'
   // Without the fix the SIPP would only be drawn after higher-priority pots
   // are exhausted (potentially age 82). With the fix sippWithdrawn > 0 in
   // the very first retirement year.
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,      // ISA disabled by setting balance=0 and disabling below
     growthRate:    0,
@@ -317,7 +324,7 @@ test('sippDrawdownRateOverride: SIPP draws its specific rate even when ISA/PB ar
   // Core bug scenario: ISA has a large balance AND is first in the withdrawal
   // order. Without the fix the SIPP would not be drawn at all while ISA
   // remains non-zero. With the fix sippWithdrawn > 0 in the first year.
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       200000,   // Large ISA balance
     growthRate:    0,
@@ -346,7 +353,7 @@ test('sippDrawdownRateOverride: SIPP draws its specific rate even when ISA/PB ar
 test('sippDrawdownRateOverride is excluded from main portfolio withdrawal', () => {
   // When a SIPP-specific rate is set, the SIPP should not also be drawn
   // from by the main portfolio withdrawal strategy (no double-counting).
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -375,7 +382,7 @@ test('sippDrawdownRateOverride is excluded from main portfolio withdrawal', () =
 });
 
 test('isaDrawdownRateOverride draws specifically from ISA at the configured rate', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       100000,
     growthRate:    0,
@@ -397,7 +404,7 @@ test('isaDrawdownRateOverride draws specifically from ISA at the configured rate
 test('sippDrawdownRateOverride respects sippAccessAge (no draw before access age)', () => {
   // If retirement starts before the SIPP access age, the SIPP-specific rate
   // override should not draw from SIPP until the access age is reached.
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -431,7 +438,7 @@ test('sippDrawdownRateOverride respects sippAccessAge (no draw before access age
 test('sippDrawdownRateOverride and global portfolio drawdown coexist correctly', () => {
   // SIPP draws at its specific rate (3%) from SIPP specifically.
   // Remaining spending gap after SIPP draw comes from ISA (spending drives, ceiling 4% portfolio).
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       100000,   // ISA
     growthRate:    0,
@@ -494,7 +501,7 @@ test('ISA drawdown deferred when drawdownStartAge > retirementAge', () => {
 test('isaDrawdownRateOverride respects drawdownStartAge (no draw before access age)', () => {
   // When drawdownStartAge is set beyond retirement age, the ISA-specific rate
   // override must not draw from ISA until the drawdownStartAge is reached.
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       100000,
     growthRate:    0,
@@ -647,7 +654,7 @@ test('cash contribution stops at stopContributionAge', () => {
 });
 
 test('cashContributionOverride replaces regular contribution for that year', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, retirementAge: 70 });
   config.cash.enabled            = true;
   config.cash.balance            = 10000;
@@ -667,7 +674,7 @@ test('cashContributionOverride replaces regular contribution for that year', ()
 // ── Cash: drawdown rate override ─────────────────────────────────────────────
 
 test('cashDrawdownRateOverride draws specifically from Cash at the configured rate', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -692,7 +699,7 @@ test('cashDrawdownRateOverride draws specifically from Cash at the configured ra
 });
 
 test('cashDrawdownRateOverride respects drawdownStartAge (no draw before access age)', () => {
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -761,7 +768,7 @@ test('cash drawdown deferred when drawdownStartAge is after retirementAge', () =
 test('cashCustomDrawdown applies regardless of drawdownStartAge', () => {
   // cashCustomDrawdown is an unconditional capital reallocation override.
   // It must reduce the balance even during accumulation (before drawdownStartAge).
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -791,7 +798,7 @@ test('cashCustomDrawdown applies regardless of drawdownStartAge', () => {
 test('isaCustomDrawdown is not applied before ISA drawdownStartAge', () => {
   // ISA drawdownStartAge explicitly set to 60; current age is 55, retirementAge 65.
   // A custom drawdown override must not be applied before the drawdownStartAge.
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       100000,
     growthRate:    0,
@@ -821,7 +828,7 @@ test('isaCustomDrawdown is not applied before ISA drawdownStartAge', () => {
 test('premiumBondsCustomDrawdown applies regardless of drawdown age', () => {
   // premiumBondsCustomDrawdown is an unconditional capital reallocation override.
   // It must reduce the balance even during accumulation (before retirementAge).
-  const currentYear = new Date().getFullYear();
+  const currentYear = PLAN_YEAR;
   const config = makeConfig({
     balance:       0,
     growthRate:    0,
@@ -1154,3 +1161,1394 @@ test('surplusDeficit is zero during accumulation phase', () => {
   const rows = runProjection(config);
   assert.strictEqual(rows[0].surplusDeficit, 0, 'surplusDeficit should be 0 in accumulation');
 });
+
+// ── Per-year return paths (opts.returns) ─────────────────────────────────────
+
+test('returns: per-year path replaces the configured growth rate', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 5, drawdownRate: 0, endAge: 62 });
+  const rows = runProjection(config, { returns: [{ isa: 10 }, { isa: -20 }, {}] });
+  assert.strictEqual(rows[0].isaBalance, 110000);
+  assert.strictEqual(rows[1].isaBalance, 88000);
+  assert.strictEqual(rows[2].isaBalance, 92400, 'missing entry falls back to the configured rate');
+});
+
+test('returns: ledger invariants hold with negative returns', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 5, drawdownRate: 0, spending: 10000, endAge: 61 });
+  const rows = runProjection(config, { debug: true, returns: [{ isa: -30 }, { isa: -30 }] });
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('inflation: per-year CPI path drives spending and real values', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0, spending: 10000, endAge: 62 });
+  const rows = runProjection(config, { inflation: [10, 0] });
+  assert.strictEqual(rows[0].totalNetWorth, 90000);
+  assert.strictEqual(rows[1].totalNetWorth, 79000, 'year 1 spending is inflated by 10%');
+  assert.strictEqual(rows[2].totalNetWorth, 68000, 'zero CPI in year 2 keeps spending flat');
+  assert.ok(Math.abs(rows[2].realTotalNetWorth - 68000 / 1.1) <= 1);
+});
+
+// ── Asset allocation glide path ──────────────────────────────────────────────
+
+test('glide path: each year grows at the blended rate for that age', () => {
+  const config = makeConfig({ balance: 100000, drawdownRate: 0, endAge: 62 });
+  config.isa.glidePath = {
+    enabled: true,
+    startAge: 60, startMix: { equity: 100, bonds: 0, cash: 0 },
+    endAge:   62, endMix:   { equity: 0, bonds: 100, cash: 0 },
+  };
+  const rows = runProjection(config);
+  // Default assumptions: equity 7%, bonds 3% → 7%, 5%, 3%
+  assert.deepStrictEqual(rows.map(r => r.isaGrowthRate), [7, 5, 3]);
+  assert.strictEqual(rows[0].isaBalance, 107000);
+  assert.strictEqual(rows[1].isaBalance, 112350);
+  assert.deepStrictEqual(rows[1].isaAllocation, { equity: 50, bonds: 50, cash: 0 });
+});
+
+test('glide path: disabled pots report their flat rate and no allocation', () => {
+  const rows = runProjection(makeConfig({ growthRate: 4, drawdownRate: 0 }));
+  assert.strictEqual(rows[0].isaGrowthRate, 4);
+  assert.strictEqual(rows[0].isaAllocation, null);
+});
+
+// ── Guardrails spending strategy ─────────────────────────────────────────────
+
+test('guardrails: a market crash cuts spending and the row records the rule', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, spending: 40000, endAge: 90 });
+  config.spendingStrategy = 'guardrails';
+  const rows = runProjection(config, { returns: [{ isa: -30 }] });
+  assert.strictEqual(rows[0].spendingAdjustment, 'initial');
+  assert.strictEqual(rows[0].requiredSpending, 40000);
+  // Year 1: 40 000 / 660 000 = 6.1% > 4.8% → cut 10% (no inflation in this config)
+  // (the withdrawal rule also skips the rise, but inflation is 0 here)
+  assert.strictEqual(rows[1].spendingAdjustment, 'capitalPreservation');
+  assert.strictEqual(rows[1].requiredSpending, 36000);
+  assert.ok(rows.every(r => r.shortfall === 0));
+});
+
+test('guardrails: strong growth raises spending', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, spending: 40000, endAge: 61 });
+  config.spendingStrategy = 'guardrails';
+  const rows = runProjection(config, { returns: [{ isa: 60 }, {}] });
+  assert.strictEqual(rows[1].spendingAdjustment, 'prosperity');
+  assert.strictEqual(rows[1].requiredSpending, 44000);
+});
+
+test('guardrails: fixed strategy leaves spendingAdjustment null', () => {
+  const rows = runProjection(makeConfig({ spending: 10000 }));
+  assert.ok(rows.every(r => r.spendingAdjustment === null));
+});
+
+// ── Spending phases and one-off goals ────────────────────────────────────────
+
+test('spending phases: requiredSpending steps down with the age bands', () => {
+  const config = makeConfig({ balance: 2000000, growthRate: 0, drawdownRate: 0, spending: 99999, endAge: 90 });
+  config.inflationRate  = 2;
+  config.spendingPhases = {
+    enabled: true,
+    bands: [{ toAge: 75, amount: 40000 }, { toAge: 85, amount: 32000 }, { toAge: null, amount: 28000 }],
+  };
+  const rows = runProjection(config);
+  const at = age => rows.find(r => r.age === age);
+  assert.strictEqual(at(74).realRequiredSpending, 40000);
+  assert.strictEqual(at(75).realRequiredSpending, 32000);
+  assert.strictEqual(at(85).realRequiredSpending, 28000);
+  assert.strictEqual(at(75).requiredSpending, Math.round(32000 * Math.pow(1.02, 15)));
+});
+
+test('spending goals: added to spending and drawn beyond the drawdown-rate ceiling', () => {
+  const config = makeConfig({ balance: 500000, growthRate: 0, drawdownRate: 4, spending: 10000, endAge: 70 });
+  const rows = runProjection(config);
+  config.spendingGoals = [{ label: 'Car', amount: 25000, year: rows[1].year, repeatYears: 8 }];
+  const withGoals = runProjection(config);
+
+  assert.strictEqual(withGoals[0].goalSpending, 0);
+  assert.deepStrictEqual(withGoals[0].spendingGoals, []);
+  assert.strictEqual(withGoals[1].coreSpending, 10000);
+  assert.strictEqual(withGoals[1].goalSpending, 25000);
+  assert.deepStrictEqual(withGoals[1].spendingGoals, [{ label: 'Car', amount: 25000 }]);
+  assert.strictEqual(withGoals[1].requiredSpending, 35000);
+  // 35 000 exceeds the 4% ceiling (≈ 19 600) but the goal is funded in full
+  assert.strictEqual(withGoals[1].shortfall, 0);
+  assert.strictEqual(withGoals[1].totalWithdrawn, 35000);
+  assert.strictEqual(withGoals[9].goalSpending, 25000);
+  assert.strictEqual(withGoals[2].goalSpending, 0);
+});
+
+test('spending goals: ignored before retirement', () => {
+  const config = makeConfig({ balance: 500000, growthRate: 0, retirementAge: 62, spending: 10000, endAge: 63 });
+  const year = runProjection(config)[0].year;
+  config.spendingGoals = [{ label: 'Wedding', amount: 20000, year, repeatYears: 0 }];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].requiredSpending, 0);
+  assert.strictEqual(rows[0].goalSpending, 0);
+});
+
+test('guardrails: spending phases step the guardrail spending', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, spending: 1, endAge: 90 });
+  config.spendingStrategy = 'guardrails';
+  config.spendingPhases   = { enabled: true, bands: [{ toAge: 62, amount: 40000 }, { toAge: null, amount: 30000 }] };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].requiredSpending, 40000);
+  assert.strictEqual(rows[1].requiredSpending, 40000);
+  assert.strictEqual(rows[2].requiredSpending, 30000);
+});
+
+// ── Percentage spending policies ─────────────────────────────────────────────
+
+test('vpw: zero expected return spends the portfolio evenly to endAge', () => {
+  const config = makeConfig({ balance: 300000, growthRate: 0, drawdownRate: 4, spending: 1, endAge: 89 });
+  config.spendingStrategy   = 'vpw';
+  config.percentageSpending = { vpwReturn: 0 };
+  const rows = runProjection(config);
+  // 30 years → £10 000 a year; the 4% drawdown ceiling does not cap the policy
+  assert.ok(rows.every(r => r.requiredSpending === 10000 && r.shortfall === 0));
+  assert.ok(rows.every(r => r.spendingAdjustment === 'percentage'));
+  assert.strictEqual(rows[rows.length - 1].totalNetWorth, 0);
+});
+
+test('constantPercentage: spending follows the opening portfolio', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 10, drawdownRate: 0, spending: 1, endAge: 62 });
+  config.spendingStrategy   = 'constantPercentage';
+  config.percentageSpending = { rate: 5 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].requiredSpending, 5000);
+  // (100 000 × 1.1 − 5 000) × 5%
+  assert.strictEqual(rows[1].requiredSpending, 5250);
+});
+
+test('constantPercentage: floor is applied in real terms', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0, spending: 1, endAge: 61 });
+  config.spendingStrategy   = 'constantPercentage';
+  config.percentageSpending = { rate: 4, floorCeiling: true, floor: 6000, ceiling: 60000 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].requiredSpending, 6000);
+  assert.strictEqual(rows[0].spendingAdjustment, 'floor');
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+// ── Income tax ───────────────────────────────────────────────────────────────
+
+const TAX_2024 = { enabled: true, bandIndexation: 'frozen' };
+
+test('tax: no tax block → incomeTax is zero and netIncome equals totalIncome', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0, spending: 5000 });
+  config.dbPension = { enabled: true, annualIncome: 30000, startAge: 60 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].incomeTax, 0);
+  assert.strictEqual(rows[0].netIncome, rows[0].totalIncome);
+});
+
+test('tax: DB pension above the personal allowance is taxed at basic rate', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 0 });
+  config.dbPension = { enabled: true, annualIncome: 20000, startAge: 60 };
+  config.tax = TAX_2024;
+  const rows = runProjection(config);
+  // 20% of (20000 − 12570) = 1486
+  assert.strictEqual(rows[0].taxableIncome, 20000);
+  assert.strictEqual(rows[0].incomeTax, 1486);
+  assert.strictEqual(rows[0].netIncome, 18514);
+});
+
+test('tax: ISA withdrawals are not taxable', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0, spending: 30000 });
+  config.tax = TAX_2024;
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].isaWithdrawn, 30000);
+  assert.strictEqual(rows[0].taxableIncome, 0);
+  assert.strictEqual(rows[0].incomeTax, 0);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('tax: SIPP withdrawals are taxable and shortfall is judged on net income', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 30000 });
+  config.isa.enabled = false;
+  config.sipp = { enabled: true, balance: 500000, growthRate: 0, annualContribution: 0,
+                  accessAge: 57, stopContributionAge: null, drawdownStartAge: null };
+  config.tax = TAX_2024;
+  const rows = runProjection(config);
+  // Gross draw 30000 → tax 20% × 17430 = 3486 → net 26514 → shortfall 3486
+  assert.strictEqual(rows[0].sippWithdrawn, 30000);
+  assert.strictEqual(rows[0].incomeTax, 3486);
+  assert.strictEqual(rows[0].netIncome, 26514);
+  assert.strictEqual(rows[0].shortfall, 3486);
+  assert.strictEqual(rows[0].spendingCovered, 26514);
+  assert.strictEqual(rows[0].surplusDeficit, -3486);
+});
+
+test('tax: realIncomeTax is the inflation-adjusted incomeTax', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, endAge: 62 });
+  config.inflationRate = 2.5;
+  config.dbPension = { enabled: true, annualIncome: 40000, startAge: 60 };
+  config.tax = TAX_2024;
+  const rows = runProjection(config);
+  assert.strictEqual(rows[1].realIncomeTax, Math.round(rows[1].incomeTax / 1.025));
+});
+
+const TAX_GROSS_UP = { ...TAX_2024, grossUpWithdrawals: true };
+
+function makeSippOnlyConfig(spending) {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending });
+  config.isa.enabled = false;
+  config.sipp = { enabled: true, balance: 500000, growthRate: 0, annualContribution: 0,
+                  accessAge: 57, stopContributionAge: null, drawdownStartAge: null };
+  config.tax = TAX_GROSS_UP;
+  return config;
+}
+
+test('gross-up: SIPP draw is grossed up so net income meets spending', () => {
+  const rows = runProjection(makeSippOnlyConfig(30000));
+  // 12570 tax-free + 17430 / 0.8 = 34357.50 gross, tax 4357.50
+  assert.ok(Math.abs(rows[0].sippWithdrawn - 34357.5) <= 1);
+  assert.ok(Math.abs(rows[0].incomeTax - 4357.5) <= 1);
+  assert.strictEqual(rows[0].sippWithdrawalTax, rows[0].incomeTax);
+  assert.strictEqual(rows[0].netIncome, 30000);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('gross-up: tax on guaranteed income is covered before drawing', () => {
+  const config = makeSippOnlyConfig(30000);
+  config.dbPension = { enabled: true, annualIncome: 20000, startAge: 60 };
+  const rows = runProjection(config);
+  // DB uses the allowance and pays 1486 tax → net 18514; 11486 net from SIPP at 20%
+  assert.ok(Math.abs(rows[0].sippWithdrawn - 11486 / 0.8) <= 1);
+  assert.ok(Math.abs(rows[0].sippWithdrawalTax - 11486 / 0.8 * 0.2) <= 1);
+  assert.strictEqual(rows[0].netIncome, 30000);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('gross-up: UFPLS draws gross up for the 75% taxable element', () => {
+  const config = makeSippOnlyConfig(30000);
+  config.sipp.pclsMode = 'ufpls';
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].netIncome, 30000);
+  assert.strictEqual(rows[0].shortfall, 0);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, Math.round(rows[0].sippWithdrawn * 0.25));
+});
+
+test('gross-up: drawdown rate still caps the gross withdrawal', () => {
+  const config = makeSippOnlyConfig(30000);
+  config.drawdown.rate = 6;   // 6% × 500000 = 30000 gross ceiling
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 30000);
+  assert.strictEqual(rows[0].shortfall, 3486);
+});
+
+test('gross-up: off by default — gross gap is withdrawn', () => {
+  const config = makeSippOnlyConfig(30000);
+  config.tax = TAX_2024;
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 30000);
+  assert.strictEqual(rows[0].sippWithdrawalTax, 0);
+});
+
+test('gross-up: invariants hold when the SIPP runs dry', () => {
+  const config = makeSippOnlyConfig(30000);
+  config.sipp.balance = 20000;
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].sippWithdrawn, 20000);
+  assert.strictEqual(rows[0].shortfall, 30000 - rows[0].netIncome);
+});
+
+// ── Withdrawal strategy ──────────────────────────────────────────────────────
+
+function makeStrategyConfig(strategy, opts = {}) {
+  const config = makeConfig({ balance: 200000, growthRate: 0, drawdownRate: 0, spending: 30000, ...opts });
+  config.sipp = { enabled: true, balance: 200000, growthRate: 0, annualContribution: 0,
+                  accessAge: 57, stopContributionAge: null, drawdownStartAge: null };
+  config.withdrawalOrder = ['isa', 'sipp'];
+  config.withdrawalStrategy = strategy;
+  config.tax = TAX_2024;
+  return config;
+}
+
+test('strategy: missing withdrawalStrategy behaves as ordered', () => {
+  const config = makeStrategyConfig('ordered');
+  delete config.withdrawalStrategy;
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].isaWithdrawn, 30000);
+  assert.strictEqual(rows[0].sippWithdrawn, 0);
+});
+
+test('strategy: fillPersonalAllowance draws SIPP tax-free up to the allowance', () => {
+  const rows = runProjection(makeStrategyConfig('fillPersonalAllowance'));
+  assert.strictEqual(rows[0].sippWithdrawn, 12570);
+  assert.strictEqual(rows[0].isaWithdrawn, 17430);
+  assert.strictEqual(rows[0].incomeTax, 0);
+});
+
+test('strategy: allowance used by guaranteed income leaves no SIPP headroom', () => {
+  const config = makeStrategyConfig('fillPersonalAllowance');
+  config.dbPension = { enabled: true, annualIncome: 15000, startAge: 60 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 0);
+  assert.strictEqual(rows[0].isaWithdrawn, 15000);
+});
+
+test('strategy: fillBasicRate with gross-up fills the band and saves what is not spent', () => {
+  const config = makeStrategyConfig('fillBasicRate');
+  config.tax = TAX_GROSS_UP;
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].isaWithdrawn, 0);
+  assert.strictEqual(rows[0].sippWithdrawn, 50270);
+  // 50270 − 7540 tax = 42730 net, 12730 more than spending
+  assert.strictEqual(rows[0].netIncome, 42730);
+  assert.strictEqual(rows[0].bandFillSaved, 12730);
+  assert.strictEqual(rows[0]._debug.accounts.isa.transfersIn, 12730);
+  assert.strictEqual(rows[0].surplus, 0);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('strategy: a gap smaller than the band still fills it, saving the rest to the ISA then Cash', () => {
+  const config = makeStrategyConfig('fillPersonalAllowance', { spending: 2000, overrides: { [PLAN_YEAR]: { isaLumpSum: 12000 } } });
+  config.cash = { ...config.cash, enabled: true };
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].sippWithdrawn, 12570);
+  assert.strictEqual(rows[0].isaWithdrawn, 0);
+  assert.strictEqual(rows[0].incomeTax, 0);
+  // 10570 saved: 8000 fills the ISA allowance, 2570 to Cash
+  assert.strictEqual(rows[0].bandFillSaved, 10570);
+  assert.strictEqual(rows[0]._debug.accounts.isa.transfersIn, 8000);
+  assert.strictEqual(rows[0]._debug.accounts.cash.transfersIn, 2570);
+  assert.strictEqual(rows[0].allowanceUsage[0].isa.paid, 20000);
+  assert.strictEqual(rows[0].totalNetWorth, 400000 + 12000 - 2000);
+});
+
+test('strategy: filling the allowance lowers lifetime tax vs ISA-first ordering', () => {
+  const opts = { endAge: 85 };
+  const lifetimeTax = strategy => {
+    const config = makeStrategyConfig(strategy, opts);
+    config.statePension = { enabled: true, annualIncome: 11500 };
+    config.tax = TAX_GROSS_UP;
+    return runProjection(config).reduce((s, r) => s + r.incomeTax, 0);
+  };
+  assert.ok(lifetimeTax('fillPersonalAllowance') < lifetimeTax('ordered'));
+});
+
+// ── SIPP tax-free cash (PCLS / UFPLS) ────────────────────────────────────────
+
+function makeSippConfig(sippOpts = {}, opts = {}) {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, ...opts });
+  config.sipp = { enabled: true, balance: 100000, growthRate: 0, annualContribution: 0,
+                  accessAge: 57, stopContributionAge: null, drawdownStartAge: null, ...sippOpts };
+  return config;
+}
+
+test('PCLS full: 25% lump sum is transferred to the ISA at pclsAge', () => {
+  const config = makeSippConfig({ balance: 80000, pclsMode: 'full', pclsAge: 60, pclsDestination: 'isa' });
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].pclsLumpSum, 20000);
+  assert.strictEqual(rows[0].isaBalance, 20000);
+  assert.strictEqual(rows[0].sippBalance, 60000);
+  assert.strictEqual(rows[0].sippCrystallisedBalance, 60000);
+  assert.strictEqual(rows[0].sippUncrystallisedBalance, 0);
+  assert.strictEqual(rows[0].totalNetWorth, 80000, 'a transfer does not change net worth');
+  // Recorded as a transfer, not a withdrawal
+  assert.strictEqual(rows[0].sippWithdrawn, 0);
+  assert.strictEqual(rows[0]._debug.accounts.sipp.transfersOut, 20000);
+  assert.strictEqual(rows[0]._debug.accounts.isa.transfersIn, 20000);
+});
+
+test('PCLS full: the ISA takes only the remaining allowance, the excess goes to Cash', () => {
+  const config = makeSippConfig({ balance: 200000, pclsMode: 'full', pclsAge: 60, pclsDestination: 'isa' },
+    { overrides: { [PLAN_YEAR]: { isaLumpSum: 5000 } } });
+  config.cash.enabled = true;
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].pclsLumpSum, 50000);
+  // £5,000 already subscribed → £15,000 of room
+  assert.strictEqual(rows[0]._debug.accounts.isa.transfersIn, 15000);
+  assert.strictEqual(rows[0]._debug.accounts.cash.transfersIn, 35000);
+  assert.strictEqual(rows[0].sippWithdrawn, 0);
+});
+
+test('PCLS full: the excess over the ISA allowance is paid out when Cash is disabled', () => {
+  const config = makeSippConfig({ balance: 200000, pclsMode: 'full', pclsAge: 60, pclsDestination: 'isa' });
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0]._debug.accounts.isa.transfersIn, 20000);
+  assert.strictEqual(rows[0].sippWithdrawn, 30000);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 30000);
+});
+
+test('PCLS full: lump sum is taken only once', () => {
+  const config = makeSippConfig({ pclsMode: 'full', pclsAge: 60 }, { endAge: 62 });
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.pclsLumpSum), [25000, 0, 0]);
+});
+
+test('PCLS full: waits for the SIPP access age even if pclsAge is earlier', () => {
+  const config = makeSippConfig({ pclsMode: 'full', pclsAge: 55, accessAge: 57 },
+    { currentAge: 55, retirementAge: 60, endAge: 57 });
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.pclsLumpSum), [0, 0, 25000]);
+});
+
+test('PCLS full: lump sum is capped at the Lump Sum Allowance', () => {
+  const config = makeSippConfig({ balance: 2000000, pclsMode: 'full', pclsAge: 60, pclsCapAtLsa: true, lumpSumAllowance: 268275 });
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].pclsLumpSum, 268275);
+  assert.strictEqual(rows[0].sippCrystallisedBalance, 2000000 - 268275);
+});
+
+test('PCLS full: cap can be switched off', () => {
+  const config = makeSippConfig({ balance: 2000000, pclsMode: 'full', pclsAge: 60, pclsCapAtLsa: false });
+  assert.strictEqual(runProjection(config)[0].pclsLumpSum, 500000);
+});
+
+test('PCLS full: disabled destination pays the lump sum out as tax-free withdrawal', () => {
+  const config = makeSippConfig({ pclsMode: 'full', pclsAge: 60, pclsDestination: 'cash' });
+  config.tax = { enabled: true, bandIndexation: 'frozen' };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 25000);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 25000);
+  assert.strictEqual(rows[0].incomeTax, 0);
+});
+
+test('PCLS full: later withdrawals come from crystallised funds and are fully taxable', () => {
+  const config = makeSippConfig({ pclsMode: 'full', pclsAge: 60 }, { spending: 45000 });
+  config.isa.enabled = false;
+  config.withdrawalOrder = ['sipp'];
+  config.tax = { enabled: true, bandIndexation: 'frozen' };
+  const rows = runProjection(config);
+  // ISA disabled → lump sum paid out (25000 tax-free) covers part of spending,
+  // the remaining 20000 is drawn from crystallised funds
+  assert.strictEqual(rows[0].sippWithdrawn, 45000);
+  assert.strictEqual(rows[0].sippCrystallisedBalance, 55000);
+  assert.strictEqual(rows[0].taxableIncome, 20000);
+});
+
+test('UFPLS: 25% of each SIPP withdrawal is tax-free', () => {
+  const config = makeSippConfig({ pclsMode: 'ufpls' }, { spending: 20000 });
+  config.isa.enabled = false;
+  config.withdrawalOrder = ['sipp'];
+  config.tax = { enabled: true, bandIndexation: 'frozen' };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 20000);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 5000);
+  assert.strictEqual(rows[0].taxableIncome, 15000);
+  // 20% × (15000 − 12570) = 486
+  assert.strictEqual(rows[0].incomeTax, 486);
+  assert.strictEqual(rows[0].sippCrystallisedBalance, 0, 'UFPLS never moves funds into drawdown');
+});
+
+test('pclsMode none: every SIPP withdrawal is taxable', () => {
+  const config = makeSippConfig({ pclsMode: 'none' }, { spending: 20000 });
+  config.isa.enabled = false;
+  config.withdrawalOrder = ['sipp'];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 0);
+  assert.strictEqual(rows[0].taxableIncome, 20000);
+});
+
+// ── Partner (couple) ─────────────────────────────────────────────────────────
+
+/** Partner block with every pot and pension off unless overridden. */
+function makePartner(overrides = {}) {
+  return {
+    enabled: true,
+    currentAge: 60,
+    retirementAge: 60,
+    statePensionAge: 67,
+    isa:          { enabled: false, balance: 0, growthRate: 0, annualContribution: 0 },
+    sipp:         { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57 },
+    dbPension:    { enabled: false, annualIncome: 0, startAge: 65 },
+    statePension: { enabled: false, annualIncome: 0 },
+    ...overrides,
+  };
+}
+
+test('partner: rows carry the partner age, moving in step with the first person', () => {
+  const config = makeConfig({ endAge: 62 });
+  config.partner = makePartner({ currentAge: 57 });
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.partnerAge), [57, 58, 59]);
+});
+
+test('partner: no partnerAge or partner fields when disabled', () => {
+  const config = makeConfig();
+  config.partner = makePartner({ enabled: false, isa: { enabled: true, balance: 50000, growthRate: 0 } });
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].partnerAge, undefined);
+  assert.strictEqual(rows[0].isaBalance, 105000);
+});
+
+test('partner: contributions stop at the partner\'s own retirement age', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 53 });
+  config.partner = makePartner({
+    currentAge: 48, retirementAge: 50,
+    isa: { enabled: true, balance: 0, growthRate: 0, annualContribution: 1000 },
+  });
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.partnerIsaContribution), [1000, 1000, 0, 0]);
+  assert.strictEqual(rows[3].partnerIsaBalance, 2000);
+  assert.strictEqual(rows[3].isaBalance, 2000, 'household ISA total includes the partner ISA');
+});
+
+test('partner: ISA is drawn after the first person\'s ISA', () => {
+  const config = makeConfig({ balance: 10000, growthRate: 0, drawdownRate: 0, spending: 15000 });
+  config.partner = makePartner({ isa: { enabled: true, balance: 50000, growthRate: 0, annualContribution: 0 } });
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].partnerIsaWithdrawn, 5000);
+  assert.strictEqual(rows[0].isaWithdrawn, 15000, 'household total');
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('partner: SIPP is not drawn before the partner reaches its access age', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 10000 });
+  config.isa.enabled = false;
+  config.partner = makePartner({
+    currentAge: 50,
+    sipp: { enabled: true, balance: 100000, growthRate: 0, annualContribution: 0, accessAge: 57 },
+  });
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].partnerSippWithdrawn, 0);
+  assert.strictEqual(rows[0].shortfall, 10000);
+});
+
+test('partner: a year\'s contribution override and lump sum apply to the partner\'s pots', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 53 });
+  config.partner = makePartner({
+    currentAge: 48, retirementAge: 50,
+    isa:  { enabled: true, balance: 0, growthRate: 0, annualContribution: 1000 },
+    sipp: { enabled: true, balance: 0, growthRate: 0, annualContribution: 2000, accessAge: 57 },
+  });
+  config.overrides = {
+    [PLAN_YEAR]:     { partnerIsaContributionOverride: 0, partnerSippContributionOverride: 3000 },
+    [PLAN_YEAR + 2]: { partnerIsaLumpSum: 5000, partnerSippLumpSum: 4000 },
+  };
+  const rows = runProjection(config, { debug: true });
+  assert.deepStrictEqual(rows.map(r => r.partnerIsaContribution), [0, 1000, 5000, 0]);
+  assert.deepStrictEqual(rows.map(r => r.partnerSippContribution), [3000, 2000, 4000, 0]);
+  assert.strictEqual(rows[3].partnerIsaBalance, 6000);
+  assert.strictEqual(rows[3].partnerSippBalance, 9000);
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('partner: a year\'s drawdown rate and extra drawdown apply to the partner\'s pots', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0 });
+  config.partner = makePartner({
+    isa:  { enabled: true, balance: 10000, growthRate: 0, annualContribution: 0 },
+    sipp: { enabled: true, balance: 100000, growthRate: 0, annualContribution: 0, accessAge: 57 },
+  });
+  config.overrides = {
+    [PLAN_YEAR]:     { partnerSippDrawdownRateOverride: 10 },
+    [PLAN_YEAR + 1]: { partnerIsaCustomDrawdown: 2000 },
+  };
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].partnerSippWithdrawn, 10000);
+  assert.strictEqual(rows[0].partnerIsaWithdrawn, 0);
+  assert.strictEqual(rows[1].partnerIsaWithdrawn, 2000);
+  assert.strictEqual(rows[1].partnerSippWithdrawn, 0);
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('partner: each person has their own personal allowance', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0 });
+  config.tax = TAX_2024;
+  config.dbPension = { enabled: true, annualIncome: 12570, startAge: 60 };
+  config.partner = makePartner({ dbPension: { enabled: true, annualIncome: 12570, startAge: 60 } });
+  const couple = runProjection(config);
+  assert.strictEqual(couple[0].dbIncome, 25140);
+  assert.strictEqual(couple[0].incomeTax, 0);
+
+  // The same income for one person is taxed above the allowance
+  const single = runProjection({ ...config, partner: undefined, dbPension: { enabled: true, annualIncome: 25140, startAge: 60 } });
+  assert.strictEqual(single[0].incomeTax, 2514);
+});
+
+test('partner: per-person views add up to the household rows', () => {
+  const config = makeConfig({ balance: 40000, growthRate: 4, drawdownRate: 0, spending: 30000, endAge: 64 });
+  config.tax = TAX_2024;
+  config.withdrawalStrategy = 'fillPersonalAllowance';
+  config.sipp = { enabled: true, balance: 80000, growthRate: 4, annualContribution: 0, accessAge: 57,
+                  stopContributionAge: null, drawdownStartAge: null };
+  config.statePension = { enabled: true, annualIncome: 11502 };
+  config.statePensionAge = 62;
+  config.partner = makePartner({
+    currentAge: 58,
+    isa:          { enabled: true, balance: 30000, growthRate: 4, annualContribution: 0 },
+    sipp:         { enabled: true, balance: 60000, growthRate: 4, annualContribution: 0, accessAge: 57 },
+    dbPension:    { enabled: true, annualIncome: 8000, startAge: 60 },
+  });
+  const rows = runProjection(config);
+  const primary = getPersonRows(rows, 'primary');
+  const partner = getPersonRows(rows, 'partner');
+  for (const field of ['isaBalance', 'sippBalance', 'sippWithdrawn', 'dbIncome', 'incomeTax', 'totalNetWorth']) {
+    rows.forEach((row, i) => {
+      assert.ok(Math.abs(primary[i][field] + partner[i][field] - row[field]) < 1e-6, `${field} at ${row.age}`);
+    });
+  }
+  assert.ok(partner[0].sippWithdrawn > 0, 'partner SIPP fills their own allowance');
+  assert.strictEqual(partner[0].dbIncome, 0, 'partner DB starts at their age 60');
+  assert.strictEqual(partner[2].dbIncome, 8000);
+});
+
+// ── Survivor path ────────────────────────────────────────────────────────────
+
+test('survivor: partner\'s ISA and SIPP pass to the survivor in the year of death', () => {
+  const config = makeConfig({ balance: 10000, growthRate: 0, drawdownRate: 0, endAge: 63 });
+  config.sipp = { enabled: false, balance: 0, growthRate: 0, annualContribution: 0, accessAge: 57 };
+  config.partner = makePartner({
+    currentAge: 58,
+    isa:  { enabled: true, balance: 20000, growthRate: 0, annualContribution: 0 },
+    sipp: { enabled: true, balance: 30000, growthRate: 0, annualContribution: 0, accessAge: 57 },
+  });
+  config.survivor = { enabled: true, deceased: 'partner', deathAge: 60 };
+  const rows = runProjection(config, { survivor: true });
+  assert.deepStrictEqual(rows.map(r => r.deceased), [null, null, 'partner', 'partner']);
+  assert.strictEqual(rows[1].partnerIsaBalance, 20000);
+  assert.strictEqual(rows[2].partnerIsaBalance, 0);
+  assert.strictEqual(rows[2].partnerSippBalance, 0);
+  assert.strictEqual(rows[2].isaBalance, 30000, 'inherited ISA');
+  assert.strictEqual(rows[2].sippBalance, 30000, 'inherited SIPP opens a pot for the survivor');
+  assert.strictEqual(rows[2].totalNetWorth, rows[1].totalNetWorth);
+});
+
+test('survivor: spending drops to the survivor percentage', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, spending: 30000, endAge: 62 });
+  config.partner = makePartner();
+  config.survivor = { enabled: true, deceased: 'partner', deathAge: 61, spendingPercent: 60 };
+  const rows = runProjection(config, { survivor: true });
+  assert.deepStrictEqual(rows.map(r => r.requiredSpending), [30000, 18000, 18000]);
+});
+
+test('survivor: State Pension stops and the DB scheme pays its survivor\'s pension', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 67, retirementAge: 67, endAge: 68 });
+  config.dbPension    = { enabled: true, annualIncome: 10000, startAge: 60, survivorPercent: 50 };
+  config.statePension = { enabled: true, annualIncome: 11000 };
+  config.partner = makePartner({ currentAge: 67, statePension: { enabled: true, annualIncome: 9000 } });
+  config.survivor = { enabled: true, deceased: 'primary', deathAge: 68 };
+  const rows = runProjection(config, { survivor: true });
+  assert.strictEqual(rows[0].totalPensionIncome, 30000);
+  assert.strictEqual(rows[1].dbIncome, 5000);
+  assert.strictEqual(rows[1].stateIncome, 9000);
+  assert.strictEqual(rows[1].partnerPensionIncome, 9000, 'the survivor\'s own State Pension continues');
+});
+
+test('survivor: the deceased\'s contributions stop', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 52 });
+  config.isa.annualContribution = 1000;
+  config.partner = makePartner({ currentAge: 50, isa: { enabled: true, balance: 0, growthRate: 0, annualContribution: 500 } });
+  config.survivor = { enabled: true, deceased: 'primary', deathAge: 51 };
+  const rows = runProjection(config, { survivor: true });
+  assert.deepStrictEqual(rows.map(r => r.isaContribution), [1500, 500, 500]);
+  assert.strictEqual(rows[2].partnerIsaBalance, 2500, 'the survivor holds both ISAs');
+});
+
+test('survivor: ignored unless the survivor path is requested', () => {
+  const config = makeConfig({ spending: 30000, endAge: 62 });
+  config.partner = makePartner();
+  config.survivor = { enabled: true, deceased: 'partner', deathAge: 61, spendingPercent: 60 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[2].requiredSpending, 30000);
+  assert.strictEqual(rows[2].deceased, undefined);
+});
+
+// ── Added accounts ───────────────────────────────────────────────────────────
+
+/** Added account with no balance, growth or contributions unless overridden. */
+function makeAccount(overrides = {}) {
+  return {
+    id: 'acct1', type: 'isa', name: 'Second ISA', enabled: true,
+    balance: 0, growthRate: 0, annualContribution: 0, stopContributionAge: null, drawdownStartAge: null,
+    ...overrides,
+  };
+}
+
+test('accounts: an added ISA grows, is reported per account and counts in the ISA total', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0 });
+  config.accounts = [makeAccount({ balance: 20000, growthRate: 10 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Balance, 22000);
+  assert.strictEqual(rows[0].acct1Growth, 2000);
+  assert.strictEqual(rows[0].isaBalance, 122000);
+  assert.strictEqual(rows[0].totalNetWorth, 122000);
+  assert.strictEqual(rows[0].totalGrowth, 2000);
+});
+
+test('accounts: disabled accounts are ignored', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0 });
+  config.accounts = [makeAccount({ balance: 20000, enabled: false })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].totalNetWorth, 100000);
+  assert.strictEqual(rows[0].acct1Balance, undefined);
+});
+
+test('accounts: contributions run until retirement or the stop age', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 53, endAge: 53 });
+  config.accounts = [
+    makeAccount({ annualContribution: 1000 }),
+    makeAccount({ id: 'acct2', type: 'cash', annualContribution: 500, stopContributionAge: 52 }),
+  ];
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.acct1Contribution), [1000, 1000, 1000, 0]);
+  assert.deepStrictEqual(rows.map(r => r.acct2Contribution), [500, 500, 0, 0]);
+  assert.strictEqual(rows[1].isaContribution, 1000);
+  assert.strictEqual(rows[1].cashContribution, 500);
+  assert.strictEqual(rows[1].totalContributions, 1500);
+});
+
+test('accounts: an added ISA is drawn after the built-in ISA', () => {
+  const config = makeConfig({ balance: 10000, growthRate: 0, drawdownRate: 0, spending: 15000 });
+  config.accounts = [makeAccount({ balance: 20000 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].isaWithdrawn, 15000);
+  assert.strictEqual(rows[0].acct1Withdrawn, 5000);
+  assert.strictEqual(rows[0].acct1Balance, 15000);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('accounts: an added account is not drawn before its drawdown start age', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 10000 });
+  config.accounts = [makeAccount({ balance: 20000, drawdownStartAge: 61 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Withdrawn, 0);
+  assert.strictEqual(rows[0].shortfall, 10000);
+  assert.strictEqual(rows[1].acct1Withdrawn, 10000);
+});
+
+test('accounts: an added pension is taxable income, with its own access age', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 56, retirementAge: 56, endAge: 57, spending: 20000 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ type: 'sipp', name: 'Workplace', balance: 100000, accessAge: 57 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Withdrawn, 0, 'not accessible before 57');
+  assert.strictEqual(rows[1].acct1Withdrawn, 20000);
+  assert.strictEqual(rows[1].sippWithdrawn, 20000);
+  // 20% of (20000 − 12570)
+  assert.strictEqual(rows[1].taxableIncome, 20000);
+  assert.strictEqual(rows[1].incomeTax, 1486);
+});
+
+test('accounts: an added pension with UFPLS takes 25% tax-free', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 20000 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ type: 'sipp', balance: 100000, accessAge: 57, pclsMode: 'ufpls' })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 5000);
+  assert.strictEqual(rows[0].taxableIncome, 15000);
+});
+
+test('accounts: an added pension takes a full lump sum into the ISA and tracks its crystallised balance', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0 });
+  config.accounts = [makeAccount({ type: 'sipp', balance: 80000, accessAge: 57, pclsMode: 'full', pclsAge: 60 })];
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].acct1PclsLumpSum, 20000);
+  assert.strictEqual(rows[0].pclsLumpSum, 20000);
+  assert.strictEqual(rows[0].isaBalance, 20000);
+  assert.strictEqual(rows[0].acct1Balance, 60000);
+  assert.strictEqual(rows[0].acct1CrystallisedBalance, 60000);
+  assert.strictEqual(rows[0].acct1UncrystallisedBalance, 0);
+  assert.strictEqual(rows[0].sippCrystallisedBalance, 60000);
+  assert.strictEqual(rows[0].acct1Withdrawn, 0, 'a transfer, not a withdrawal');
+  assert.strictEqual(rows[1].acct1PclsLumpSum, 0, 'taken once');
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('accounts: after an added pension\'s lump sum, its crystallised draws are fully taxable', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 20000 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({
+    type: 'sipp', balance: 100000, accessAge: 57, pclsMode: 'full', pclsAge: 60, pclsDestination: 'cash',
+  })];
+  const rows = runProjection(config, { debug: true });
+  // No Cash account: the lump sum is paid out as a tax-free draw
+  assert.strictEqual(rows[0].pclsLumpSum, 25000);
+  assert.strictEqual(rows[0].sippTaxFreeWithdrawn, 25000);
+  assert.strictEqual(rows[0].taxableIncome, 0);
+  assert.strictEqual(rows[1].sippTaxFreeWithdrawn, 0);
+  assert.strictEqual(rows[1].taxableIncome, rows[1].acct1Withdrawn);
+  assert.strictEqual(rows[1].acct1CrystallisedBalance, rows[1].acct1Balance);
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('accounts: an added pension\'s contributions can be set from salary', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 42 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ ...makeSalarySipp(), id: 'acct1', type: 'sipp' })];
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.acct1Contribution), [4800, 5280, 0]);
+  assert.deepStrictEqual(rows.map(r => r.sippContribution), [4800, 5280, 0]);
+  assert.deepStrictEqual(rows.map(r => r.salary), [60000, 66000, 0]);
+  assert.strictEqual(rows[0].sippEmployerContribution, 1800);
+  assert.strictEqual(rows[0].sippTakeHomeCost, 1800);
+});
+
+test('accounts: contribution and drawdown rate overrides apply to an added pension', () => {
+  const config = makeConfig({
+    balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 59, retirementAge: 60, endAge: 60,
+    overrides: {
+      [PLAN_YEAR]:     { acct1ContributionOverride: 2500 },
+      [PLAN_YEAR + 1]: { acct1DrawdownRateOverride: 10 },
+    },
+  });
+  config.accounts = [makeAccount({ type: 'sipp', balance: 50000, annualContribution: 1000, accessAge: 57 })];
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].acct1Contribution, 2500);
+  assert.strictEqual(rows[1].acct1Withdrawn, 5250);
+  assert.strictEqual(rows[1].acct1Balance, 47250);
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('accounts: two pensions fill one personal allowance between them', () => {
+  const config = makeConfig({ balance: 100000, growthRate: 0, drawdownRate: 0, spending: 30000 });
+  config.tax = TAX_2024;
+  config.withdrawalStrategy = 'fillPersonalAllowance';
+  config.sipp = { enabled: true, balance: 8000, growthRate: 0, annualContribution: 0, accessAge: 57 };
+  config.accounts = [makeAccount({ type: 'sipp', balance: 100000, accessAge: 57 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippWithdrawn, 12570, 'pensions stop at the allowance');
+  assert.strictEqual(rows[0].acct1Withdrawn, 4570);
+  assert.strictEqual(rows[0].incomeTax, 0);
+  assert.strictEqual(rows[0].isaWithdrawn, 30000 - 12570);
+});
+
+test('accounts: Premium Bonds share the £50,000 holding limit', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 50 });
+  config.premiumBonds = { enabled: true, balance: 40000, prizeRate: 0, drawdownStartAge: null };
+  config.cash.enabled = true;
+  config.accounts = [makeAccount({ type: 'premiumBonds', balance: 15000 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Balance, 10000);
+  assert.strictEqual(rows[0].premiumBondsBalance, 50000);
+  assert.strictEqual(rows[0].cashBalance, 5000);
+});
+
+test('accounts: lump sum and custom drawdown overrides apply per account', () => {
+  const config = makeConfig({
+    balance: 0, growthRate: 0, drawdownRate: 0,
+    overrides: { [PLAN_YEAR]: { acct1LumpSum: 5000, acct1CustomDrawdown: 2000 } },
+  });
+  config.accounts = [makeAccount({ balance: 10000 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Contribution, 5000);
+  assert.strictEqual(rows[0].acct1Withdrawn, 2000);
+  assert.strictEqual(rows[0].acct1Balance, 13000);
+});
+
+test('accounts: a partner\'s added ISA counts in the partner fields', () => {
+  const config = makeConfig({ balance: 10000, growthRate: 0, drawdownRate: 0 });
+  config.partner = makePartner();
+  config.accounts = [makeAccount({ balance: 30000, owner: 'partner' })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].partnerIsaBalance, 30000);
+  assert.strictEqual(rows[0].partnerNetWorth, 30000);
+  assert.strictEqual(rows[0].isaBalance, 40000);
+  assert.strictEqual(rows[0].totalNetWorth, 40000);
+});
+
+test('accounts: the deceased\'s added accounts pass to the survivor', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 70, endAge: 52 });
+  config.partner = makePartner({ currentAge: 50, retirementAge: 70 });
+  config.accounts = [makeAccount({ balance: 30000, owner: 'partner' })];
+  config.survivor = { enabled: true, deceased: 'partner', deathAge: 51 };
+  const rows = runProjection(config, { survivor: true });
+  assert.strictEqual(rows[0].acct1Balance, 30000);
+  assert.strictEqual(rows[1].acct1Balance, 0);
+  assert.strictEqual(rows[1].isaBalance, 30000, 'moved into the survivor\'s ISA');
+  assert.strictEqual(rows[1].totalNetWorth, 30000);
+});
+
+test('accounts: debug ledger covers added accounts and invariants hold', () => {
+  const config = makeConfig({ balance: 10000, growthRate: 5, drawdownRate: 0, spending: 12000, endAge: 65 });
+  config.accounts = [
+    makeAccount({ balance: 20000, growthRate: 3, annualContribution: 1000 }),
+    makeAccount({ id: 'acct2', type: 'cash', balance: 5000, growthRate: 2 }),
+  ];
+  const rows = runProjection(config, { debug: true });
+  assert.ok(rows[0]._debug.accounts.acct1);
+  assert.ok(rows[0]._debug.accounts.acct2);
+  assert.strictEqual(rows[0]._debug.invariantsPassed, true);
+});
+
+// ── GIA ──────────────────────────────────────────────────────────────────────
+
+test('gia: a withdrawal realises its share of the gain', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 10000 });
+  config.accounts = [makeAccount({ type: 'gia', balance: 40000, costBasis: 20000 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Withdrawn, 10000);
+  assert.strictEqual(rows[0].acct1RealisedGain, 5000, 'a quarter of the £20,000 gain');
+  assert.strictEqual(rows[0].acct1CostBasis, 15000);
+  assert.strictEqual(rows[0].giaBalance, 30000);
+  assert.strictEqual(rows[0].capitalGainsTax, 0, 'tax not modelled');
+});
+
+test('gia: CGT above the exempt amount is paid from the GIA', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 20000 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ type: 'gia', balance: 40000, costBasis: 0 })];
+  const rows = runProjection(config);
+  // £20,000 gain − £3,000 exempt, inside the basic band at 18%. The sale
+  // that pays it (no basis) is all gain too: s = 18% × (17000 + s)
+  const sale = 3060 / 0.82;
+  assert.strictEqual(rows[0].realisedGains, Math.round(20000 + sale));
+  assert.strictEqual(rows[0].capitalGainsTax, Math.round(sale));
+  assert.strictEqual(rows[0].acct1Balance, Math.round(40000 - 20000 - sale));
+  assert.strictEqual(rows[0].incomeTax, 0);
+  assert.strictEqual(rows[0].netIncome, 20000);
+  assert.strictEqual(rows[0].shortfall, 0);
+});
+
+test('gia: the sale paying the tax realises its share of the gain', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, spending: 20000 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ type: 'gia', balance: 40000, costBasis: 20000 })];
+  const rows = runProjection(config, { debug: true });
+  // Half of each £ sold is gain: 10000 from spending, then s = 18% × (7000 + s / 2)
+  const sale = 1260 / 0.91;
+  assert.ok(Math.abs(rows[0]._debug.accounts.acct1.realisedGains - (10000 + sale / 2)) < 0.05);
+  assert.strictEqual(rows[0].capitalGainsTax, Math.round(sale));
+  assert.strictEqual(rows[0].acct1CostBasis, Math.round(20000 - 10000 - sale / 2));
+});
+
+test('gia: dividends are part of the return, add to the basis and are taxed', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 50 });
+  config.tax = TAX_2024;
+  config.dbPension = { enabled: true, annualIncome: 60000, startAge: 50 };
+  config.accounts = [makeAccount({ type: 'gia', balance: 100000, growthRate: 5, dividendYield: 3 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Growth, 5000);
+  assert.strictEqual(rows[0].dividendIncome, 3000);
+  // £500 allowance, then £2,500 at the higher dividend rate
+  assert.strictEqual(rows[0].dividendTax, Math.round(2500 * 0.3375));
+  assert.strictEqual(rows[0].acct1CostBasis, Math.round(100000 + 3000 - 2500 * 0.3375 * 103000 / 105000));
+});
+
+test('gia: Bed & ISA moves up to the unused ISA allowance each year', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 60, endAge: 51 });
+  config.isa.annualContribution = 5000;
+  config.accounts = [makeAccount({ type: 'gia', balance: 50000, costBasis: 50000, bedAndIsa: true })];
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.bedAndIsa), [15000, 15000]);
+  assert.strictEqual(rows[1].acct1Balance, 20000);
+  assert.strictEqual(rows[1].isaBalance, 40000);
+  assert.strictEqual(rows[1].totalNetWorth, 60000);
+  assert.strictEqual(rows[1].realisedGains, 0, 'sold at cost');
+});
+
+test('gia: debug ledger tracks the basis and invariants hold', () => {
+  const config = makeConfig({ balance: 20000, growthRate: 4, drawdownRate: 0, spending: 30000, endAge: 70 });
+  config.tax = TAX_2024;
+  config.accounts = [makeAccount({ type: 'gia', balance: 150000, growthRate: 6, dividendYield: 2, costBasis: 60000, bedAndIsa: true })];
+  const rows = runProjection(config, { debug: true });
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+  assert.ok(rows[0]._debug.accounts.acct1.costBasis > 0);
+  assert.ok(rows.some(r => r.capitalGainsTax > 0));
+});
+
+// ── Lifetime ISA ─────────────────────────────────────────────────────────────
+
+test('lisa: subscriptions are capped, end at 50 and earn the 25% bonus', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 48, retirementAge: 60, endAge: 50 });
+  config.accounts = [makeAccount({ type: 'lisa', annualContribution: 5000 })];
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.acct1Contribution), [4000, 4000, 0]);
+  assert.deepStrictEqual(rows.map(r => r.acct1Bonus), [1000, 1000, 0]);
+  assert.strictEqual(rows[2].acct1Balance, 10000);
+  assert.strictEqual(rows[0].lisaBonus, 1000);
+  assert.strictEqual(rows[0].totalContributions, 5000, 'the bonus counts as paid in');
+});
+
+test('lisa: not drawn before 60 unless a start age is set', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 59, retirementAge: 55, endAge: 60, spending: 6000 });
+  config.accounts = [makeAccount({ type: 'lisa', balance: 20000 })];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].acct1Withdrawn, 0);
+  assert.strictEqual(rows[0].shortfall, 6000);
+  assert.strictEqual(rows[1].acct1Withdrawn, 6000);
+  assert.strictEqual(rows[1].acct1Penalty, 0);
+});
+
+test('lisa: an early withdrawal loses 25% and is drawn gross', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 55, retirementAge: 55, endAge: 55, spending: 6000 });
+  config.accounts = [makeAccount({ type: 'lisa', balance: 20000, drawdownStartAge: 55 })];
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].acct1Withdrawn, 8000);
+  assert.strictEqual(rows[0].acct1Penalty, 2000);
+  assert.strictEqual(rows[0].lisaPenalty, 2000);
+  assert.strictEqual(rows[0].netIncome, 6000);
+  assert.strictEqual(rows[0].shortfall, 0);
+  assert.strictEqual(rows[0].acct1Balance, 12000);
+  assert.strictEqual(rows[0]._debug.invariantsPassed, true);
+});
+
+test('lisa: subscriptions count toward the ISA allowance for Bed & ISA', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.isa.annualContribution = 6000;
+  config.accounts = [
+    makeAccount({ type: 'lisa', annualContribution: 4000 }),
+    makeAccount({ id: 'acct2', type: 'gia', balance: 50000, bedAndIsa: true }),
+  ];
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].bedAndIsa, 10000);
+});
+
+test('lisa: passes into the survivor\'s ISA on death', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 50, retirementAge: 70, endAge: 52 });
+  config.partner = makePartner({ currentAge: 50, retirementAge: 70 });
+  config.accounts = [makeAccount({ type: 'lisa', balance: 30000, owner: 'partner' })];
+  config.survivor = { enabled: true, deceased: 'partner', deathAge: 51 };
+  const rows = runProjection(config, { survivor: true });
+  assert.strictEqual(rows[1].acct1Balance, 0);
+  assert.strictEqual(rows[1].isaBalance, 30000);
+});
+
+// ── Allowances ───────────────────────────────────────────────────────────────
+
+test('allowances: ISA subscriptions over £20,000 are recorded and warned about', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.isa.annualContribution = 50000;
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows[0].allowanceUsage[0].isa, { paid: 50000, limit: 20000, accounts: ['isa'] });
+  assert.strictEqual(rows[0].isaBalance, 50000, 'not redirected by default');
+  const warnings = getAllowanceWarnings(rows);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].rule, 'isaAllowance');
+  assert.strictEqual(warnings[0].excess, 30000);
+});
+
+test('allowances: no usage is recorded in years without contributions', () => {
+  const rows = runProjection(makeConfig({ spending: 5000 }));
+  assert.ok(rows.every(r => r.allowanceUsage === undefined));
+});
+
+test('allowances: transfers into an ISA count as subscriptions', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 60, retirementAge: 60, endAge: 60,
+    overrides: { [PLAN_YEAR]: { isaLumpSum: 4000 } } });
+  config.sipp = { enabled: true, balance: 40000, growthRate: 0, annualContribution: 0, accessAge: 57,
+                  pclsMode: 'full', pclsAge: 60, pclsDestination: 'isa' };
+  config.accounts = [makeAccount({ type: 'gia', balance: 50000, costBasis: 50000, bedAndIsa: true })];
+  const [row] = runProjection(config);
+  // £4,000 lump sum + £10,000 PCLS + £6,000 Bed & ISA
+  assert.strictEqual(row.bedAndIsa, 6000);
+  assert.deepStrictEqual(row.allowanceUsage[0].isa, { paid: 20000, limit: 20000, accounts: ['isa'] });
+  assert.deepStrictEqual(getAllowanceWarnings([row]), []);
+});
+
+test('allowances: an ISA and an added ISA share one allowance', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.isa.annualContribution = 15000;
+  config.accounts = [makeAccount({ annualContribution: 10000 })];
+  const [warning] = getAllowanceWarnings(runProjection(config));
+  assert.strictEqual(warning.excess, 5000);
+  assert.deepStrictEqual(warning.accounts, ['isa', 'acct1']);
+});
+
+test('allowances: excess ISA subscriptions can be redirected to Cash', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 41 });
+  config.isa.annualContribution = 50000;
+  config.cash.enabled = true;
+  config.allowances = { redirectExcess: true, redirectTo: 'cash' };
+  const rows = runProjection(config, { debug: true });
+  assert.deepStrictEqual(rows.map(r => r.isaBalance), [20000, 40000]);
+  assert.deepStrictEqual(rows.map(r => r.cashBalance), [30000, 60000]);
+  assert.strictEqual(getAllowanceWarnings(rows)[0].redirected, 30000);
+  assert.ok(rows.every(r => r._debug.invariantsPassed));
+});
+
+test('allowances: excess pension contributions can be redirected to a GIA', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.sipp = { ...config.sipp, enabled: true, annualContribution: 70000 };
+  config.accounts = [makeAccount({ type: 'gia', name: 'GIA' })];
+  config.allowances = { redirectExcess: true, redirectTo: 'acct1' };
+  const rows = runProjection(config, { debug: true });
+  assert.strictEqual(rows[0].sippBalance, 60000);
+  assert.strictEqual(rows[0].acct1Balance, 10000);
+  assert.strictEqual(rows[0].acct1CostBasis, 10000);
+  assert.strictEqual(rows[0]._debug.invariantsPassed, true);
+});
+
+test('allowances: the annual allowance tapers on high income', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.dbPension = { enabled: true, annualIncome: 250000, startAge: 40 };
+  config.sipp = { ...config.sipp, enabled: true, annualContribution: 40000 };
+  const { pension } = runProjection(config)[0].allowanceUsage[0];
+  // Adjusted income £290,000: £60,000 − £30,000 / 2
+  assert.strictEqual(pension.rule, 'taperedAnnualAllowance');
+  assert.strictEqual(pension.limit, 45000);
+  assert.strictEqual(getAllowanceWarnings(runProjection(config)).length, 0);
+});
+
+test('allowances: the money purchase allowance applies the year after flexible access', () => {
+  const year = PLAN_YEAR;
+  const config = makeConfig({
+    balance: 0, growthRate: 0, drawdownRate: 0, spending: 20000, endAge: 62,
+    overrides: {
+      [year]:     { sippLumpSum: 20000 },
+      [year + 1]: { sippLumpSum: 20000 },
+    },
+  });
+  config.sipp = { ...config.sipp, enabled: true, balance: 200000 };
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].allowanceUsage[0].pension.rule, 'annualAllowance');
+  assert.strictEqual(rows[1].allowanceUsage[0].pension.rule, 'moneyPurchaseAnnualAllowance');
+  const warnings = getAllowanceWarnings(rows);
+  assert.deepStrictEqual(warnings.map(w => [w.year, w.excess]), [[year + 1, 10000]]);
+});
+
+test('allowances: Lifetime ISA payments over the cap are warned about', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 49, retirementAge: 60, endAge: 50 });
+  config.accounts = [makeAccount({ type: 'lisa', annualContribution: 5000 })];
+  const warnings = getAllowanceWarnings(runProjection(config));
+  assert.deepStrictEqual(warnings.map(w => [w.age, w.rule, w.excess]), [[49, 'lisaAllowance', 1000], [50, 'lisaAllowance', 5000]]);
+});
+
+test('allowances: each partner has their own allowances', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 60, endAge: 40 });
+  config.isa.annualContribution = 20000;
+  config.partner = makePartner({ currentAge: 40, retirementAge: 60 });
+  config.partner.isa = { enabled: true, balance: 0, growthRate: 0, annualContribution: 25000 };
+  const warnings = getAllowanceWarnings(runProjection(config));
+  assert.deepStrictEqual(warnings.map(w => [w.person, w.excess]), [['partner', 5000]]);
+  assert.deepStrictEqual(warnings[0].accounts, ['partnerIsa']);
+});
+
+// ── Contributions from salary ────────────────────────────────────────────────
+
+function makeSalarySipp(overrides = {}) {
+  return {
+    enabled: true, balance: 0, growthRate: 0, annualContribution: 9999, accessAge: 57, stopContributionAge: null,
+    contributionMode: 'salary', salary: 60000, salaryGrowthRate: 10,
+    employeePercent: 5, employerPercent: 3, reliefMethod: 'reliefAtSource',
+    ...overrides,
+  };
+}
+
+test('salary: the SIPP receives employee and employer contributions, growing with salary', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 42 });
+  config.tax = TAX_2024;
+  config.sipp = makeSalarySipp();
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.sippContribution), [4800, 5280, 0]);
+  assert.deepStrictEqual(rows.map(r => r.salary), [60000, 66000, 0]);
+  assert.strictEqual(rows[0].sippEmployerContribution, 1800);
+  assert.strictEqual(rows[0].sippReliefAtSource, 600);
+  assert.strictEqual(rows[0].sippHigherRateRelief, 600);
+  assert.strictEqual(rows[0].sippTakeHomeCost, 1800);
+  assert.strictEqual(rows[1].sippBalance, 10080);
+});
+
+test('salary: a contribution override still sets the gross amount', () => {
+  const year = PLAN_YEAR;
+  const config = makeConfig({
+    balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 40,
+    overrides: { [year]: { sippContributionOverride: 1000 } },
+  });
+  config.sipp = makeSalarySipp();
+  const rows = runProjection(config);
+  assert.strictEqual(rows[0].sippContribution, 1000);
+  assert.strictEqual(rows[0].sippTakeHomeCost, 0);
+});
+
+test('salary: flat contributions stay as they were', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 41 });
+  config.sipp = makeSalarySipp({ contributionMode: 'flat', annualContribution: 5000 });
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.sippContribution), [5000, 5000]);
+  assert.ok(!('salary' in rows[0]));
+});
+
+test('salary: the salary counts toward the tapered annual allowance', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 40 });
+  config.sipp = makeSalarySipp({ salary: 300000, salaryGrowthRate: 0, employeePercent: 20, employerPercent: 10 });
+  const { pension } = runProjection(config)[0].allowanceUsage[0];
+  // Threshold income £240,000, adjusted income £330,000: £60,000 − £35,000
+  assert.strictEqual(pension.rule, 'taperedAnnualAllowance');
+  assert.strictEqual(pension.limit, 25000);
+  assert.strictEqual(pension.paid, 90000);
+});
+
+test('salary: a partner\'s salary-linked SIPP is reported in the partner fields', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 42, endAge: 40 });
+  config.partner = makePartner({ currentAge: 40, retirementAge: 60 });
+  config.partner.sipp = makeSalarySipp({ salary: 40000, salaryGrowthRate: 0, reliefMethod: 'salarySacrifice' });
+  const [row] = runProjection(config);
+  assert.strictEqual(row.partnerSalary, 40000);
+  assert.strictEqual(row.partnerSippContribution, 3200);
+  assert.strictEqual(row.partnerSippNiSaving, 160);
+  assert.strictEqual(row.sippTakeHomeCost, 1440);
+  const [primaryRow] = getPersonRows([row], 'primary');
+  assert.strictEqual(primaryRow.salary, 0);
+});
+
+// ── Contribution indexation ──────────────────────────────────────────────────
+
+test('indexation: flat contributions are the same nominal amount every year', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 43, endAge: 42 });
+  config.inflationRate = 3;
+  config.isa.annualContribution = 10000;
+  assert.deepStrictEqual(runProjection(config).map(r => r.isaContribution), [10000, 10000, 10000]);
+});
+
+test('indexation: CPI, custom and salary-linked contributions rise each year', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 43, endAge: 42 });
+  config.inflationRate = 3;
+  config.isa  = { ...config.isa, annualContribution: 10000, contributionIndexation: 'cpi' };
+  config.cash = { ...config.cash, enabled: true, annualContribution: 1000, contributionIndexation: 'custom', contributionIndexRate: 10 };
+  config.sipp = { ...config.sipp, enabled: true, annualContribution: 2000, contributionIndexation: 'salary', salaryGrowthRate: 5 };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.isaContribution), [10000, 10300, 10609]);
+  assert.deepStrictEqual(rows.map(r => r.cashContribution), [1000, 1100, 1210]);
+  assert.deepStrictEqual(rows.map(r => r.sippContribution), [2000, 2100, 2205]);
+  assert.strictEqual(rows[0].realIsaBalance, 10000);
+});
+
+test('indexation: CPI contributions follow a supplied inflation path', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 43, endAge: 41 });
+  config.isa = { ...config.isa, annualContribution: 10000, contributionIndexation: 'cpi' };
+  const rows = runProjection(config, { inflation: [10, 10] });
+  assert.deepStrictEqual(rows.map(r => r.isaContribution), [10000, 11000]);
+});
+
+test('indexation: applies to added accounts and a partner\'s pots, before the LISA cap', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 43, endAge: 41 });
+  config.partner = makePartner({ currentAge: 40, retirementAge: 60 });
+  config.partner.isa = { enabled: true, balance: 0, growthRate: 0, annualContribution: 1000, contributionIndexation: 'custom', contributionIndexRate: 20 };
+  config.accounts = [
+    makeAccount({ annualContribution: 1000, contributionIndexation: 'custom', contributionIndexRate: 50 }),
+    makeAccount({ id: 'acct2', type: 'lisa', annualContribution: 3500, contributionIndexation: 'custom', contributionIndexRate: 50 }),
+  ];
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.acct1Contribution), [1000, 1500]);
+  assert.deepStrictEqual(rows.map(r => r.acct2Contribution), [3500, 4000]);
+  assert.deepStrictEqual(rows.map(r => r.partnerIsaContribution), [1000, 1200]);
+});
+
+test('indexation: a contribution override replaces the indexed amount', () => {
+  const year = PLAN_YEAR;
+  const config = makeConfig({
+    balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 43, endAge: 41,
+    overrides: { [year + 1]: { isaContributionOverride: 500 } },
+  });
+  config.isa = { ...config.isa, annualContribution: 10000, contributionIndexation: 'custom', contributionIndexRate: 10 };
+  assert.deepStrictEqual(runProjection(config).map(r => r.isaContribution), [10000, 500]);
+});
+
+// ── DB schemes ───────────────────────────────────────────────────────────────
+
+test('db: a commuted lump sum is paid into the destination account in the start year', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 64, retirementAge: 64, endAge: 66 });
+  config.dbPension = { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25, commutationFactor: 12, lumpSumDestination: 'isa' };
+  config.cash = { ...config.cash, enabled: true };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.dbLumpSum), [0, 36000, 0]);
+  assert.deepStrictEqual(rows.map(r => r.dbIncome), [0, 9000, 9000]);
+  assert.strictEqual(rows[1].isaBalance, 20000, 'up to the ISA allowance');
+  assert.strictEqual(rows[1].cashBalance, 16000);
+  assert.strictEqual(rows[1].isaContribution, 0, 'the lump sum is not a contribution');
+});
+
+test('db: a lump sum over the ISA allowance sends the rest to Cash, or pays it out', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 65, retirementAge: 65, endAge: 65,
+    overrides: { [PLAN_YEAR]: { isaLumpSum: 5000 } } });
+  config.dbPension = { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25, commutationFactor: 12, lumpSumDestination: 'isa' };
+  config.cash = { ...config.cash, enabled: true };
+  let [row] = runProjection(config);
+  assert.strictEqual(row.isaBalance, 20000, '£5,000 subscribed + £15,000 of the lump sum');
+  assert.strictEqual(row.cashBalance, 21000);
+
+  config.cash = { ...config.cash, enabled: false };
+  [row] = runProjection(config);
+  assert.strictEqual(row.isaBalance, 20000);
+  assert.strictEqual(row.totalPensionIncome, 9000 + 21000);
+});
+
+test('db: the lump sum falls back to Cash, or is paid out as tax-free income with no open account', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 65, retirementAge: 65, endAge: 65 });
+  config.dbPension = { enabled: true, annualIncome: 12000, startAge: 65, commutationPercent: 25, lumpSumDestination: 'acct9' };
+  config.cash = { ...config.cash, enabled: true };
+  assert.strictEqual(runProjection(config)[0].cashBalance, 36000);
+
+  config.cash = { ...config.cash, enabled: false };
+  config.isa  = { ...config.isa, enabled: false };
+  const [row] = runProjection(config);
+  assert.strictEqual(row.totalNetWorth, 0);
+  assert.strictEqual(row.totalPensionIncome, 45000);
+  assert.strictEqual(row.taxableIncome, 9000);
+});
+
+test('db: a lump sum into a GIA adds to its cost basis', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 65, retirementAge: 65, endAge: 65 });
+  config.dbPension = { enabled: true, annualIncome: 10000, startAge: 65, commutationPercent: 10, commutationFactor: 12, lumpSumDestination: 'acct1' };
+  config.accounts = [makeAccount({ type: 'gia', name: 'GIA', costBasis: 0, dividendYield: 0 })];
+  const [row] = runProjection(config);
+  assert.strictEqual(row.acct1Balance, 12000);
+  assert.strictEqual(row.acct1CostBasis, 12000);
+});
+
+test('db: early retirement and capped indexation set the income', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 60, retirementAge: 60, endAge: 62 });
+  config.inflationRate = 8;
+  config.dbPension = {
+    enabled: true, annualIncome: 10000, startAge: 60, normalPensionAge: 65, earlyReductionPercent: 4,
+    indexation: 'cpiCapped', indexationCap: 5,
+  };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.dbIncome), [8000, 8400, 8820]);
+});
+
+test('db: further schemes, including a partner\'s, add income and set the bridge end', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, currentAge: 58, retirementAge: 58, endAge: 62 });
+  config.partner = makePartner({ currentAge: 55 });
+  config.dbSchemes = [
+    { id: 'db1', name: 'Old employer', owner: 'primary', annualIncome: 3000, startAge: 61 },
+    { id: 'db2', name: 'Partner scheme', owner: 'partner', annualIncome: 2000, startAge: 57, commutationPercent: 50, lumpSumDestination: 'cash' },
+  ];
+  config.cash = { ...config.cash, enabled: true };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.phase), ['bridge', 'bridge', 'retire', 'retire', 'retire']);
+  assert.deepStrictEqual(rows.map(r => r.dbIncome), [0, 0, 1000, 4000, 4000]);
+  assert.deepStrictEqual(rows.map(r => r.partnerDbIncome), [0, 0, 1000, 1000, 1000]);
+  assert.deepStrictEqual(rows.map(r => r.partnerDbLumpSum), [0, 0, 12000, 0, 0]);
+  assert.strictEqual(rows[2].cashBalance, 12000);
+  const primary = getPersonRows(rows, 'primary');
+  assert.strictEqual(primary[2].dbLumpSum, 0);
+});
+
+// ── State Pension forecast and deferral ──────────────────────────────────────
+
+test('state pension: deferral starts it later with the increase and moves the bridge end', () => {
+  const config = makeConfig({ balance: 1000000, growthRate: 0, drawdownRate: 0, currentAge: 66, retirementAge: 66, endAge: 69 });
+  config.statePension = { enabled: true, annualIncome: 9000, deferralYears: 2 };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.stateIncome), [0, 0, 0, Math.round(9000 * (1 + 2 * 52 / 900))]);
+  assert.deepStrictEqual(rows.map(r => r.phase), ['bridge', 'bridge', 'bridge', 'retire']);
+});
+
+test('state pension: an NI record forecast counts years worked before SPA, for each person', () => {
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 62, retirementAge: 64, endAge: 67 });
+  config.statePension = { enabled: true, annualIncome: 0, forecastMode: 'niRecord', qualifyingYears: 28 };
+  config.partner = makePartner({ currentAge: 62, retirementAge: 62 });
+  config.partner.statePension = { enabled: true, annualIncome: 5000 };
+  const [row] = runProjection(config).slice(-1);
+  assert.strictEqual(row.stateIncome - row.partnerStateIncome, Math.round(11502 * 30 / 35));
+  assert.strictEqual(row.partnerStateIncome, 5000, 'the partner does not take the first person\'s record');
+});
+
+// ── Date of birth and tax years ──────────────────────────────────────────────
+
+test('date of birth: rows are tax years, ages come from it and the first pension year is pro-rated', () => {
+  const dateOfBirth = `${PLAN_YEAR - 60}-07-06`;   // 59 and 9 months on 6 April
+  const config = makeConfig({ balance: 0, growthRate: 0, drawdownRate: 0, currentAge: 40, retirementAge: 58, endAge: 61 });
+  config.asOfDate    = `${PLAN_YEAR}-06-01`;
+  config.dateOfBirth = dateOfBirth;
+  config.dbPension = { enabled: true, annualIncome: 12000, startAge: 60 };
+  const rows = runProjection(config);
+  assert.deepStrictEqual(rows.map(r => r.age), [59, 60, 61]);
+  assert.deepStrictEqual(rows.map(r => r.year), [PLAN_YEAR, PLAN_YEAR + 1, PLAN_YEAR + 2]);
+  assert.strictEqual(rows[0].taxYear, formatTaxYear(PLAN_YEAR));
+  const share = getExactAge(dateOfBirth, PLAN_YEAR) + 1 - 60;
+  assert.ok(share > 0.7 && share < 0.8);
+  assert.deepStrictEqual(rows.map(r => r.dbIncome), [Math.round(12000 * share), 12000, 12000]);
+});
+
+test('date of birth: an as-of date before 6 April starts in the previous tax year', () => {
+  const config = makeConfig();
+  config.dateOfBirth = `${PLAN_YEAR - 60}-01-01`;
+  assert.strictEqual(runProjection(config)[0].taxYear, formatTaxYear(PLAN_YEAR - 1));
+});
+
+test('date of birth: without one, rows keep calendar years and no tax-year label', () => {
+  const rows = runProjection(makeConfig());
+  assert.strictEqual(rows[0].year, PLAN_YEAR);
+  assert.ok(!('taxYear' in rows[0]));
+});
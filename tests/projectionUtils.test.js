@@ -7,7 +7,11 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { projectYear, getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed } from '../js/engine/projectionUtils.js';
+import {
+  projectYear, getIsaDrawdownAllowed, getSippDrawdownAllowed, getCashDrawdownAllowed,
+  splitSippWithdrawal, getLsaRemaining, getSippTaxableFraction,
+  getLisaDrawdownAllowed, getLisaPenaltyRate, getLisaSubscription, getContributionIndexFactor,
+} from '../js/engine/projectionUtils.js';
 
 // ── Growth vs drawdown relationship ─────────────────────────────────────────
 
@@ -189,3 +193,81 @@ test('Cash drawdown not allowed before explicit drawdownStartAge, even if retire
 test('Cash drawdown not allowed when Cash is disabled', () => {
   assert.strictEqual(getCashDrawdownAllowed(makeCashConfig({ enabled: false }), 65), false);
 });
+
+// ── splitSippWithdrawal ───────────────────────────────────────────────────────
+
+test('splitSippWithdrawal: crystallised funds are drawn first and are fully taxable', () => {
+  const split = splitSippWithdrawal({ amount: 10000, crystallised: 50000, mode: 'full', lsaRemaining: 268275 });
+  assert.strictEqual(split.fromCrystallised, 10000);
+  assert.strictEqual(split.fromUncrystallised, 0);
+  assert.strictEqual(split.taxFree, 0);
+  assert.strictEqual(split.taxable, 10000);
+});
+
+test('splitSippWithdrawal: uncrystallised draws are 25% tax-free in ufpls mode', () => {
+  const split = splitSippWithdrawal({ amount: 10000, crystallised: 0, mode: 'ufpls', lsaRemaining: 268275 });
+  assert.strictEqual(split.taxFree, 2500);
+  assert.strictEqual(split.taxable, 7500);
+});
+
+test('splitSippWithdrawal: tax-free element is limited by the remaining LSA', () => {
+  const split = splitSippWithdrawal({ amount: 10000, crystallised: 0, mode: 'ufpls', lsaRemaining: 1000 });
+  assert.strictEqual(split.taxFree, 1000);
+});
+
+test('splitSippWithdrawal: no tax-free cash in none mode', () => {
+  const split = splitSippWithdrawal({ amount: 10000, crystallised: 0, mode: 'none', lsaRemaining: 268275 });
+  assert.strictEqual(split.taxFree, 0);
+});
+
+test('getLsaRemaining: Infinity when the cap is off, otherwise allowance less used', () => {
+  assert.strictEqual(getLsaRemaining({ pclsCapAtLsa: false }, 500000), Infinity);
+  assert.strictEqual(getLsaRemaining({ lumpSumAllowance: 268275 }, 68275), 200000);
+  assert.strictEqual(getLsaRemaining({ lumpSumAllowance: 268275 }, 300000), 0);
+});
+
+test('getSippTaxableFraction: crystallised funds and none mode are fully taxable', () => {
+  assert.strictEqual(getSippTaxableFraction(1000, 'ufpls', 268275), 1);
+  assert.strictEqual(getSippTaxableFraction(0, 'none', 268275), 1);
+});
+
+test('getSippTaxableFraction: UFPLS is 75% taxable until the LSA is spent', () => {
+  assert.strictEqual(getSippTaxableFraction(0, 'ufpls', 268275), 0.75);
+  assert.strictEqual(getSippTaxableFraction(0, 'full', 1), 0.75);
+  assert.strictEqual(getSippTaxableFraction(0, 'ufpls', 0), 1);
+});
+
+// ── Lifetime ISA ─────────────────────────────────────────────────────────────
+
+test('getLisaDrawdownAllowed: from 60 or retirement if later, unless a start age is set', () => {
+  const config = { retirementAge: 55, lisa: { enabled: true, drawdownStartAge: null } };
+  assert.strictEqual(getLisaDrawdownAllowed(config, 59), false);
+  assert.strictEqual(getLisaDrawdownAllowed(config, 60), true);
+  assert.strictEqual(getLisaDrawdownAllowed({ ...config, retirementAge: 62 }, 61), false);
+  assert.strictEqual(getLisaDrawdownAllowed({ ...config, lisa: { enabled: true, drawdownStartAge: 55 } }, 55), true);
+  assert.strictEqual(getLisaDrawdownAllowed({ retirementAge: 55 }, 70), false, 'no LISA');
+});
+
+test('getLisaPenaltyRate: 25% before 60, nothing after', () => {
+  assert.strictEqual(getLisaPenaltyRate(59), 0.25);
+  assert.strictEqual(getLisaPenaltyRate(60), 0);
+});
+
+test('getLisaSubscription: capped at £4,000 and nothing from 50', () => {
+  assert.strictEqual(getLisaSubscription(3000, 30), 3000);
+  assert.strictEqual(getLisaSubscription(6000, 49), 4000);
+  assert.strictEqual(getLisaSubscription(4000, 50), 0);
+  assert.strictEqual(getLisaSubscription(undefined, 30), 0);
+});
+
+// ── Contribution indexation ──────────────────────────────────────────────────
+
+test('getContributionIndexFactor: flat by default, or with CPI, a custom rate or salary', () => {
+  const owner = { sipp: { salaryGrowthRate: 4 } };
+  assert.strictEqual(getContributionIndexFactor({}, owner, 5, 1.2), 1);
+  assert.strictEqual(getContributionIndexFactor({ contributionIndexation: 'none' }, owner, 5, 1.2), 1);
+  assert.strictEqual(getContributionIndexFactor({ contributionIndexation: 'cpi' }, owner, 5, 1.2), 1.2);
+  assert.strictEqual(getContributionIndexFactor({ contributionIndexation: 'custom', contributionIndexRate: 10 }, owner, 2, 1.2), 1.1 * 1.1);
+  assert.strictEqual(getContributionIndexFactor({ contributionIndexation: 'salary' }, owner, 1, 1.2), 1.04);
+  assert.strictEqual(getContributionIndexFactor({ contributionIndexation: 'salary' }, {}, 3, 1.2), 1);
+});
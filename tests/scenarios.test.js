@@ -0,0 +1,105 @@
+/**
+ * scenarios.test.js — Unit tests for the named scenario list
+ *
+ * Covers: starting a list, keeping the active scenario in step with the
+ * store, switching, duplicating, renaming, deleting, export and checking a
+ * stored list.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCENARIO_EXPORT_FORMAT,
+  createScenarioList,
+  getActiveScenario,
+  syncActiveScenario,
+  switchScenario,
+  duplicateScenario,
+  renameScenario,
+  deleteScenario,
+  exportScenarios,
+  isScenarioList,
+} from '../js/state/scenarios.js';
+
+function makeState(overrides = {}) {
+  return { currentAge: 50, retirementAge: 55, isa: { enabled: true, balance: 10000 }, ...overrides };
+}
+
+/** A list of three scenarios, the first active. */
+function makeList() {
+  let list = createScenarioList(makeState(), 'Retire at 55');
+  list = duplicateScenario(list, 'plan1', 'Retire at 58').list;
+  list = duplicateScenario(list, 'plan2', 'Retire at 60').list;
+  return list;
+}
+
+test('createScenarioList: one active scenario holding a copy of the state', () => {
+  const state = makeState();
+  const list = createScenarioList(state);
+  assert.strictEqual(list.scenarios.length, 1);
+  assert.strictEqual(getActiveScenario(list).name, 'My plan');
+  assert.deepStrictEqual(getActiveScenario(list).state, state);
+  state.isa.balance = 0;
+  assert.strictEqual(getActiveScenario(list).state.isa.balance, 10000, 'later store edits do not leak in');
+});
+
+test('syncActiveScenario: replaces only the active scenario\'s state', () => {
+  const list = syncActiveScenario(makeList(), makeState({ retirementAge: 54 }));
+  assert.strictEqual(list.scenarios[0].state.retirementAge, 54);
+  assert.strictEqual(list.scenarios[1].state.retirementAge, 55);
+});
+
+test('switchScenario: changes the active id, ignoring unknown ids', () => {
+  const list = makeList();
+  assert.strictEqual(getActiveScenario(switchScenario(list, 'plan2')).name, 'Retire at 58');
+  assert.strictEqual(switchScenario(list, 'nope'), list);
+});
+
+test('duplicateScenario: inserts a deep copy after the source with a new id', () => {
+  const list = makeList();
+  const { list: next, id } = duplicateScenario(list, 'plan1');
+  assert.strictEqual(id, 'plan4');
+  assert.deepStrictEqual(next.scenarios.map(s => s.name),
+    ['Retire at 55', 'Retire at 55 (copy)', 'Retire at 58', 'Retire at 60']);
+  assert.strictEqual(next.activeId, 'plan1', 'the copy is not made active');
+  next.scenarios[1].state.isa.balance = 0;
+  assert.strictEqual(next.scenarios[0].state.isa.balance, 10000);
+});
+
+test('duplicateScenario: ids are not reused after a delete', () => {
+  const list = deleteScenario(makeList(), 'plan2');
+  const { id } = duplicateScenario(list, 'plan1');
+  assert.ok(!list.scenarios.some(s => s.id === id));
+});
+
+test('renameScenario: trims the name and ignores a blank one', () => {
+  const list = makeList();
+  assert.strictEqual(renameScenario(list, 'plan2', '  Part-time  ').scenarios[1].name, 'Part-time');
+  assert.strictEqual(renameScenario(list, 'plan2', '   '), list);
+});
+
+test('deleteScenario: keeps the last scenario and moves the active one to a neighbour', () => {
+  const single = createScenarioList(makeState());
+  assert.strictEqual(deleteScenario(single, 'plan1'), single);
+
+  const list = switchScenario(makeList(), 'plan3');
+  assert.strictEqual(deleteScenario(list, 'plan3').activeId, 'plan2', 'the last one falls back to the one before');
+  assert.strictEqual(deleteScenario(makeList(), 'plan1').activeId, 'plan2');
+  assert.strictEqual(deleteScenario(list, 'plan1').activeId, 'plan3', 'deleting another leaves the active one');
+});
+
+test('exportScenarios: a tagged JSON document that reads back as a list', () => {
+  const json = exportScenarios(makeList(), new Date('2026-10-19T12:00:00Z'));
+  const parsed = JSON.parse(json);
+  assert.strictEqual(parsed.format, SCENARIO_EXPORT_FORMAT);
+  assert.strictEqual(parsed.exported, '2026-10-19T12:00:00.000Z');
+  assert.strictEqual(parsed.scenarios.length, 3);
+  assert.ok(isScenarioList(parsed));
+});
+
+test('isScenarioList: rejects empty or malformed lists', () => {
+  assert.ok(!isScenarioList(null));
+  assert.ok(!isScenarioList({ scenarios: [] }));
+  assert.ok(!isScenarioList({ scenarios: [{ id: 'plan1', name: 'A', state: null }] }));
+  assert.ok(!isScenarioList({ scenarios: [{ id: 1, name: 'A', state: {} }] }));
+});
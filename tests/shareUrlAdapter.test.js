@@ -0,0 +1,64 @@
+/**
+ * shareUrlAdapter.test.js — Unit tests for opening plans from share links
+ *
+ * Covers: a link round-trips the plan, a link made by an older version is
+ * upgraded, and one made by a newer version is refused rather than loaded
+ * without the fields this version does not know. window is an in-memory
+ * stand-in.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_STATE, getState, loadState } from '../js/state/store.js';
+import { CURRENT_VERSION } from '../js/state/migrations.js';
+import { getShareUrl, loadFromUrl } from '../js/state/shareUrlAdapter.js';
+
+const BASE = 'https://example.test/planner/';
+
+/** Point the stand-in window at `href`. */
+function visit(href) {
+  const url = new URL(href);
+  globalThis.window = {
+    location: { href: url.toString(), search: url.search },
+    history:  { replaceState: (_state, _title, next) => visit(next) },
+  };
+}
+
+/** A share link for `state`, encoded the way getShareUrl encodes it. */
+function linkFor(state) {
+  const url = new URL(BASE);
+  url.searchParams.set('s', btoa(unescape(encodeURIComponent(JSON.stringify(state)))));
+  return url.toString();
+}
+
+beforeEach(() => {
+  loadState(structuredClone(DEFAULT_STATE));
+  visit(BASE);
+});
+
+test('a share link opens the plan it was made from and is then cleared', () => {
+  loadState({ ...structuredClone(DEFAULT_STATE), retirementAge: 58 });
+  visit(getShareUrl());
+  loadState(structuredClone(DEFAULT_STATE));
+  assert.strictEqual(loadFromUrl(), true);
+  assert.strictEqual(getState().retirementAge, 58);
+  assert.strictEqual(window.location.search, '');
+});
+
+test('a link made by an older version is upgraded and says what changed', () => {
+  visit(linkFor({ ...structuredClone(DEFAULT_STATE), version: 1, retirementAge: 'soon' }));
+  let reported = [];
+  assert.strictEqual(loadFromUrl(changes => { reported = changes; }), true);
+  assert.strictEqual(getState().retirementAge, DEFAULT_STATE.retirementAge);
+  assert.ok(reported.some(change => change.startsWith('retirementAge')));
+});
+
+test('a link made by a newer version is refused and left in place', () => {
+  const href = linkFor({ ...structuredClone(DEFAULT_STATE), version: CURRENT_VERSION + 1, retirementAge: 58 });
+  visit(href);
+  let newer = null;
+  assert.strictEqual(loadFromUrl(undefined, version => { newer = version; }), false);
+  assert.strictEqual(newer, CURRENT_VERSION + 1);
+  assert.strictEqual(getState().retirementAge, DEFAULT_STATE.retirementAge);
+  assert.strictEqual(window.location.href, href);
+});
@@ -0,0 +1,230 @@
+/**
+ * spendingStrategy.test.js — Unit tests for dynamic retirement spending rules
+ *
+ * Covers: Guyton-Klinger initial withdrawal rate, the withdrawal (inflation)
+ * rule, capital-preservation and prosperity guardrails, the final-years
+ * cutoff, and anchoring when guaranteed income initially covers spending;
+ * VPW rates, constant-percentage spending with floor and ceiling, the
+ * age-banded spending schedule, one-off goals and the spending summary.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyGuardrails,
+  getPhaseSpending,
+  getSpendingGoals,
+  getVpwRate,
+  applyPercentageSpending,
+  summariseSpending,
+} from '../js/engine/spendingStrategy.js';
+
+const near = (a, b, tol = 1e-6) => Math.abs(a - b) < tol;
+
+// Helper: one year's context; 40k spending from a 1m portfolio = 4% initial rate
+function ctx(overrides = {}) {
+  return {
+    baseSpending:     40000,
+    inflationStep:    1.02,
+    portfolio:        1000000,
+    guaranteedIncome: 0,
+    yearsRemaining:   30,
+    priorYearLoss:    false,
+    ...overrides,
+  };
+}
+
+const START = { spending: 40000, initialRate: 0.04 };
+
+test('applyGuardrails: first year sets the initial withdrawal rate', () => {
+  const r = applyGuardrails(null, ctx({ guaranteedIncome: 10000 }));
+  assert.strictEqual(r.spending, 40000);
+  assert.ok(near(r.initialRate, 0.03));
+  assert.strictEqual(r.adjustment, 'initial');
+});
+
+test('applyGuardrails: inside the guardrails spending rises with inflation', () => {
+  const r = applyGuardrails(START, ctx());
+  assert.ok(near(r.spending, 40800));
+  assert.strictEqual(r.adjustment, 'inflation');
+});
+
+test('applyGuardrails: capital preservation cuts spending above the upper guardrail', () => {
+  // 40 800 / 800 000 = 5.1% > 4% × 1.2
+  const r = applyGuardrails(START, ctx({ portfolio: 800000 }));
+  assert.ok(near(r.spending, 40800 * 0.9));
+  assert.strictEqual(r.adjustment, 'capitalPreservation');
+  assert.strictEqual(r.initialRate, 0.04, 'initial rate is kept');
+});
+
+test('applyGuardrails: no capital-preservation cut in the final years', () => {
+  const r = applyGuardrails(START, ctx({ portfolio: 800000, yearsRemaining: 15 }));
+  assert.ok(near(r.spending, 40800));
+  assert.strictEqual(r.adjustment, 'inflation');
+});
+
+test('applyGuardrails: prosperity raises spending below the lower guardrail', () => {
+  // 40 800 / 1 400 000 = 2.9% < 4% × 0.8
+  const r = applyGuardrails(START, ctx({ portfolio: 1400000 }));
+  assert.ok(near(r.spending, 40800 * 1.1));
+  assert.strictEqual(r.adjustment, 'prosperity');
+});
+
+test('applyGuardrails: inflation rise skipped after a loss when above the initial rate', () => {
+  // 40 000 / 950 000 = 4.2% > 4% (but inside the upper guardrail)
+  const r = applyGuardrails(START, ctx({ portfolio: 950000, priorYearLoss: true }));
+  assert.strictEqual(r.spending, 40000);
+  assert.strictEqual(r.adjustment, 'inflationSkipped');
+});
+
+test('applyGuardrails: loss year below the initial rate still gets inflation', () => {
+  const r = applyGuardrails(START, ctx({ portfolio: 1100000, priorYearLoss: true }));
+  assert.ok(near(r.spending, 40800));
+});
+
+test('applyGuardrails: withdrawal rule can be switched off', () => {
+  const r = applyGuardrails(START, ctx({ portfolio: 950000, priorYearLoss: true }), { skipInflationAfterLoss: false });
+  assert.ok(near(r.spending, 40800));
+});
+
+test('applyGuardrails: custom thresholds and adjustment', () => {
+  // 40 800 / 900 000 = 4.53% > 4% × 1.1
+  const r = applyGuardrails(START, ctx({ portfolio: 900000 }), { upperGuardrail: 10, adjustment: 5 });
+  assert.ok(near(r.spending, 40800 * 0.95));
+});
+
+test('applyGuardrails: initial rate anchors on the first year that needs a draw', () => {
+  const first = applyGuardrails(null, ctx({ guaranteedIncome: 50000 }));
+  assert.strictEqual(first.initialRate, null);
+  const second = applyGuardrails(first, ctx({ guaranteedIncome: 20000 }));
+  assert.ok(near(second.initialRate, (40800 - 20000) / 1000000));
+  assert.strictEqual(second.adjustment, 'inflation');
+});
+
+test('applyGuardrails: an empty portfolio triggers no guardrail', () => {
+  const r = applyGuardrails(START, ctx({ portfolio: 0 }));
+  assert.ok(near(r.spending, 40800));
+  assert.strictEqual(r.adjustment, 'inflation');
+});
+
+test('applyGuardrails: a spending-phase change scales spending', () => {
+  const r = applyGuardrails(START, ctx({ phaseStep: 0.8, portfolio: 900000 }));
+  assert.ok(near(r.spending, 40800 * 0.8));
+  assert.strictEqual(r.adjustment, 'inflation');
+});
+
+// ── Spending schedule ────────────────────────────────────────────────────────
+
+const PHASES = {
+  retirementSpending: 35000,
+  spendingPhases: {
+    enabled: true,
+    bands: [{ toAge: 75, amount: 40000 }, { toAge: 85, amount: 32000 }, { toAge: null, amount: 28000 }],
+  },
+};
+
+test('getPhaseSpending: bands apply while age is below their end age', () => {
+  assert.strictEqual(getPhaseSpending(PHASES, 60), 40000);
+  assert.strictEqual(getPhaseSpending(PHASES, 74), 40000);
+  assert.strictEqual(getPhaseSpending(PHASES, 75), 32000);
+  assert.strictEqual(getPhaseSpending(PHASES, 85), 28000);
+  assert.strictEqual(getPhaseSpending(PHASES, 99), 28000);
+});
+
+test('getPhaseSpending: ages past a closed last band keep its amount', () => {
+  const config = { spendingPhases: { enabled: true, bands: [{ toAge: 70, amount: 30000 }, { toAge: 80, amount: 25000 }] } };
+  assert.strictEqual(getPhaseSpending(config, 90), 25000);
+});
+
+test('getPhaseSpending: retirementSpending when phases are disabled', () => {
+  const config = { ...PHASES, spendingPhases: { ...PHASES.spendingPhases, enabled: false } };
+  assert.strictEqual(getPhaseSpending(config, 60), 35000);
+  assert.strictEqual(getPhaseSpending({ retirementSpending: 20000 }, 60), 20000);
+});
+
+test('getSpendingGoals: one-off and repeating goals', () => {
+  const config = {
+    spendingGoals: [
+      { label: 'Car',     amount: 25000, year: 2030, repeatYears: 8 },
+      { label: 'Wedding', amount: 20000, year: 2034, repeatYears: 0 },
+      { label: 'Empty',   amount: 0,     year: 2034, repeatYears: 0 },
+    ],
+  };
+  assert.deepStrictEqual(getSpendingGoals(config, 2030), [{ label: 'Car', amount: 25000 }]);
+  assert.deepStrictEqual(getSpendingGoals(config, 2034), [{ label: 'Wedding', amount: 20000 }]);
+  assert.deepStrictEqual(getSpendingGoals(config, 2038), [{ label: 'Car', amount: 25000 }]);
+  assert.deepStrictEqual(getSpendingGoals(config, 2022), []);
+  assert.deepStrictEqual(getSpendingGoals(config, 2031), []);
+  assert.deepStrictEqual(getSpendingGoals({}, 2030), []);
+});
+
+// ── Percentage policies ──────────────────────────────────────────────────────
+
+test('getVpwRate: final year withdraws everything', () => {
+  assert.strictEqual(getVpwRate(1, 3), 1);
+  assert.strictEqual(getVpwRate(1, 0), 1);
+});
+
+test('getVpwRate: zero return spreads the portfolio evenly', () => {
+  assert.ok(near(getVpwRate(25, 0), 1 / 25));
+});
+
+test('getVpwRate: annuity-due payment that rises as years fall', () => {
+  // 30 years at 3%: 0.03 / (1.03 × (1 − 1.03^−30)) ≈ 4.95%
+  assert.ok(near(getVpwRate(30, 3), 0.049533, 1e-5));
+  assert.ok(getVpwRate(10, 3) > getVpwRate(20, 3));
+  assert.ok(getVpwRate(20, 3) > getVpwRate(30, 3));
+});
+
+function pctCtx(overrides = {}) {
+  return { portfolio: 1000000, guaranteedIncome: 0, yearsRemaining: 29, inflationFactor: 1, ...overrides };
+}
+
+test('applyPercentageSpending: constant percentage adds guaranteed income', () => {
+  const r = applyPercentageSpending('constantPercentage', pctCtx({ guaranteedIncome: 10000 }), { rate: 4 });
+  assert.ok(near(r.spending, 50000));
+  assert.strictEqual(r.withdrawalRate, 0.04);
+  assert.strictEqual(r.adjustment, 'percentage');
+});
+
+test('applyPercentageSpending: VPW uses the years left including this one', () => {
+  const r = applyPercentageSpending('vpw', pctCtx(), { vpwReturn: 3 });
+  assert.ok(near(r.withdrawalRate, getVpwRate(30, 3)));
+  const last = applyPercentageSpending('vpw', pctCtx({ yearsRemaining: 0 }));
+  assert.ok(near(last.spending, 1000000));
+});
+
+test('applyPercentageSpending: floor and ceiling clamp spending in real terms', () => {
+  const params = { rate: 4, floorCeiling: true, floor: 30000, ceiling: 35000 };
+  const low  = applyPercentageSpending('constantPercentage', pctCtx({ portfolio: 500000, inflationFactor: 1.5 }), params);
+  assert.ok(near(low.spending, 45000));
+  assert.strictEqual(low.adjustment, 'floor');
+  const high = applyPercentageSpending('constantPercentage', pctCtx(), params);
+  assert.ok(near(high.spending, 35000));
+  assert.strictEqual(high.adjustment, 'ceiling');
+  const mid  = applyPercentageSpending('constantPercentage', pctCtx({ portfolio: 800000 }), params);
+  assert.ok(near(mid.spending, 32000));
+  assert.strictEqual(mid.adjustment, 'percentage');
+});
+
+test('applyPercentageSpending: floor and ceiling ignored unless enabled', () => {
+  const r = applyPercentageSpending('constantPercentage', pctCtx(), { rate: 4, floor: 50000 });
+  assert.ok(near(r.spending, 40000));
+});
+
+// ── Summary ──────────────────────────────────────────────────────────────────
+
+test('summariseSpending: minimum and median over retirement years', () => {
+  const rows = [
+    { age: 59, requiredSpending: 0,     realSpendingCovered: 0 },
+    { age: 60, requiredSpending: 40000, realSpendingCovered: 40000 },
+    { age: 61, requiredSpending: 36000, realSpendingCovered: 30000 },
+    { age: 62, requiredSpending: 44000, realSpendingCovered: 44000 },
+    { age: 63, requiredSpending: 38000, realSpendingCovered: 38000 },
+  ];
+  assert.deepStrictEqual(summariseSpending(rows), { min: 30000, minAge: 61, median: 39000, years: 4 });
+});
+
+test('summariseSpending: null without retirement years', () => {
+  assert.strictEqual(summariseSpending([{ age: 40, requiredSpending: 0, realSpendingCovered: 0 }]), null);
+});
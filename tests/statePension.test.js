@@ -0,0 +1,80 @@
+/**
+ * statePension.test.js — Unit tests for the State Pension forecast
+ *
+ * Covers: NI record forecasts (years so far, years worked before SPA,
+ * voluntary years, the 10-year minimum and 35-year full rate), protected
+ * payments, deferral increases and break-even, and the value of buying
+ * missing years.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FULL_STATE_PENSION, CLASS3_WEEKLY_RATE,
+  getQualifyingYears, statePensionForYears, getStatePensionForecast, getStatePensionClaimAge,
+  getStatePensionAmount, getDeferralBreakEven, getVoluntaryYearsValue,
+} from '../js/engine/statePension.js';
+
+function makeConfig(statePension = {}, overrides = {}) {
+  return {
+    currentAge: 55,
+    retirementAge: 60,
+    statePensionAge: 67,
+    endAge: 90,
+    statePension: { enabled: true, annualIncome: 11502, forecastMode: 'niRecord', qualifyingYears: 20, ...statePension },
+    ...overrides,
+  };
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+test('qualifying years add the years worked before SPA and voluntary years', () => {
+  assert.deepStrictEqual(getQualifyingYears(makeConfig({ voluntaryYears: 2 })), { earned: 20, future: 5, voluntary: 2, total: 27 });
+  assert.strictEqual(getQualifyingYears(makeConfig({}, { retirementAge: 70 })).future, 12, 'work stops counting at SPA');
+  assert.strictEqual(getQualifyingYears(makeConfig({}, { currentAge: 62 })).future, 0);
+});
+
+test('each qualifying year earns 1/35 of the full rate, none below 10', () => {
+  assert.strictEqual(statePensionForYears(9), 0);
+  close(statePensionForYears(10), FULL_STATE_PENSION * 10 / 35);
+  assert.strictEqual(statePensionForYears(35), FULL_STATE_PENSION);
+  assert.strictEqual(statePensionForYears(42), FULL_STATE_PENSION);
+  assert.strictEqual(statePensionForYears(35, 500), FULL_STATE_PENSION + 500, 'protected payment on top');
+});
+
+test('forecast uses the flat amount unless forecasting from the NI record', () => {
+  close(getStatePensionForecast(makeConfig()), FULL_STATE_PENSION * 25 / 35);
+  assert.strictEqual(getStatePensionForecast(makeConfig({ forecastMode: 'amount', annualIncome: 9000 })), 9000);
+  assert.strictEqual(getStatePensionForecast(makeConfig({ forecastMode: undefined, annualIncome: 9000 })), 9000);
+});
+
+test('deferral moves the claim age and adds 1% per 9 weeks', () => {
+  const config = makeConfig({ forecastMode: 'amount', annualIncome: 10000, deferralYears: 2 });
+  assert.strictEqual(getStatePensionClaimAge(config), 69);
+  close(getStatePensionAmount(config), 10000 * (1 + 2 * 52 / 9 / 100));
+});
+
+test('deferral break-even is about 17 years after the claim', () => {
+  const { claimAge, annualIncrease, forgone, breakEvenAge } = getDeferralBreakEven(makeConfig({ forecastMode: 'amount', annualIncome: 10000 }));
+  assert.strictEqual(claimAge, 68);
+  close(forgone, 10000);
+  close(annualIncrease, 10000 * 52 / 9 / 100);
+  close(breakEvenAge, 68 + 900 / 52);
+});
+
+test('buying a missing year is valued against its Class 3 cost', () => {
+  const value = getVoluntaryYearsValue(makeConfig());
+  assert.strictEqual(value.missingYears, 10);
+  assert.strictEqual(value.years, 1);
+  close(value.cost, CLASS3_WEEKLY_RATE * 52);
+  close(value.annualIncrease, FULL_STATE_PENSION / 35);
+  close(value.paybackYears, value.cost / value.annualIncrease);
+  close(value.lifetimeValue, value.annualIncrease * 23);
+});
+
+test('voluntary years past the full rate add nothing', () => {
+  const value = getVoluntaryYearsValue(makeConfig({ qualifyingYears: 30, voluntaryYears: 3 }));
+  assert.strictEqual(value.missingYears, 0);
+  assert.strictEqual(value.annualIncrease, 0);
+  assert.strictEqual(value.paybackYears, null);
+});
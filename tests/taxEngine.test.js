@@ -0,0 +1,160 @@
+/**
+ * taxEngine.test.js — Unit tests for UK income tax calculation
+ *
+ * Covers: personal allowance, band boundaries, the £100k taper,
+ * frozen vs CPI-indexed thresholds, dividend tax, CGT and employee NI.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getTaxBands, computeIncomeTax, getPersonalAllowance, isTaxEnabled,
+  computeDividendTax, computeCapitalGainsTax, computeEmployeeNI,
+} from '../js/engine/taxEngine.js';
+
+// Helper: 2024/25 bands, no indexation
+function makeBands(tax = {}) {
+  return getTaxBands({ inflationRate: 0, tax: { enabled: true, bandIndexation: 'frozen', ...tax } }, 2025);
+}
+
+// ── Personal allowance ───────────────────────────────────────────────────────
+
+test('income at or below the personal allowance is untaxed', () => {
+  const bands = makeBands();
+  assert.strictEqual(computeIncomeTax(0, bands).tax, 0);
+  assert.strictEqual(computeIncomeTax(12570, bands).tax, 0);
+});
+
+test('negative or missing income is treated as zero', () => {
+  const bands = makeBands();
+  assert.strictEqual(computeIncomeTax(-5000, bands).tax, 0);
+  assert.strictEqual(computeIncomeTax(undefined, bands).tax, 0);
+});
+
+// ── Band boundaries ──────────────────────────────────────────────────────────
+
+test('basic rate: £20,000 income → 20% of £7,430 = £1,486', () => {
+  const { tax, basicTax, higherTax } = computeIncomeTax(20000, makeBands());
+  assert.strictEqual(Math.round(tax), 1486);
+  assert.strictEqual(Math.round(basicTax), 1486);
+  assert.strictEqual(higherTax, 0);
+});
+
+test('top of basic-rate band: £50,270 → £7,540, no higher-rate tax', () => {
+  const { tax, higherTax } = computeIncomeTax(50270, makeBands());
+  assert.strictEqual(Math.round(tax), 7540);
+  assert.strictEqual(higherTax, 0);
+});
+
+test('first £1 over the higher-rate threshold is taxed at 40%', () => {
+  const bands = makeBands();
+  const delta = computeIncomeTax(50271, bands).tax - computeIncomeTax(50270, bands).tax;
+  assert.ok(Math.abs(delta - 0.4) < 1e-9, `expected 0.40 marginal tax, got ${delta}`);
+});
+
+test('higher rate: £80,000 → £7,540 + 40% of £29,730 = £19,432', () => {
+  assert.strictEqual(Math.round(computeIncomeTax(80000, makeBands()).tax), 19432);
+});
+
+// ── Personal allowance taper ────────────────────────────────────────────────
+
+test('allowance is untouched at exactly £100,000', () => {
+  assert.strictEqual(getPersonalAllowance(100000, makeBands()), 12570);
+});
+
+test('allowance reduces by £1 for every £2 above £100,000', () => {
+  assert.strictEqual(getPersonalAllowance(110000, makeBands()), 7570);
+});
+
+test('allowance is fully withdrawn at £125,140', () => {
+  assert.strictEqual(getPersonalAllowance(125140, makeBands()), 0);
+  assert.strictEqual(getPersonalAllowance(200000, makeBands()), 0);
+});
+
+test('taper zone has a 60% effective marginal rate', () => {
+  const bands = makeBands();
+  const delta = computeIncomeTax(110001, bands).tax - computeIncomeTax(110000, bands).tax;
+  assert.ok(Math.abs(delta - 0.6) < 1e-9, `expected 0.60 marginal tax, got ${delta}`);
+});
+
+test('£125,140 income → £42,516 tax (allowance fully tapered)', () => {
+  assert.strictEqual(Math.round(computeIncomeTax(125140, makeBands()).tax), 42516);
+});
+
+test('additional rate: £150,000 → £42,516 + 45% of £24,860 = £53,703', () => {
+  const { tax, additionalTax } = computeIncomeTax(150000, makeBands());
+  assert.strictEqual(Math.round(tax), 53703);
+  assert.strictEqual(Math.round(additionalTax), 11187);
+});
+
+// ── Threshold indexation ─────────────────────────────────────────────────────
+
+test('frozen thresholds do not move with inflation', () => {
+  const bands = getTaxBands({ inflationRate: 5, tax: { bandIndexation: 'frozen' } }, 2040);
+  assert.strictEqual(bands.personalAllowance, 12570);
+  assert.strictEqual(bands.basicRateLimit, 50270);
+});
+
+test('CPI-indexed thresholds stay frozen until indexFromYear', () => {
+  const bands = getTaxBands({ inflationRate: 5, tax: { bandIndexation: 'cpi', indexFromYear: 2028 } }, 2027);
+  assert.strictEqual(bands.personalAllowance, 12570);
+});
+
+test('CPI-indexed thresholds rise with inflation after indexFromYear', () => {
+  const bands = getTaxBands({ inflationRate: 5, tax: { bandIndexation: 'cpi', indexFromYear: 2028 } }, 2030);
+  assert.ok(Math.abs(bands.personalAllowance - 12570 * 1.05 * 1.05) < 1e-6);
+  assert.ok(Math.abs(bands.basicRateLimit - 50270 * 1.05 * 1.05) < 1e-6);
+});
+
+test('taper threshold is never indexed', () => {
+  const bands = getTaxBands({ inflationRate: 5, tax: { bandIndexation: 'cpi', indexFromYear: 2020 } }, 2040);
+  assert.strictEqual(bands.taperThreshold, 100000);
+});
+
+// ── isTaxEnabled ─────────────────────────────────────────────────────────────
+
+test('isTaxEnabled is false when the config has no tax block', () => {
+  assert.strictEqual(isTaxEnabled({}), false);
+  assert.strictEqual(isTaxEnabled({ tax: { enabled: false } }), false);
+  assert.strictEqual(isTaxEnabled({ tax: { enabled: true } }), true);
+});
+
+// ── Dividends and capital gains ──────────────────────────────────────────────
+
+test('dividends within the allowance or unused personal allowance are untaxed', () => {
+  const bands = makeBands();
+  assert.strictEqual(computeDividendTax(500, 30000, bands), 0);
+  assert.strictEqual(computeDividendTax(10500, 2570, bands), 0, '£10,000 of PA left plus the £500 allowance');
+});
+
+test('dividends are taxed at the rate of the band they fall in', () => {
+  const bands = makeBands();
+  // Taxable income 30000: 17,430 taxable so far, basic band ends at 37,700
+  // → £500 allowance, then £4,500 at 8.75%
+  assert.ok(Math.abs(computeDividendTax(5000, 30000, bands) - 4500 * 0.0875) < 1e-6);
+  // Income at the basic-rate limit: all above the allowance at 33.75%
+  assert.ok(Math.abs(computeDividendTax(10500, 50270, bands) - 10000 * 0.3375) < 1e-6);
+});
+
+test('gains within the annual exempt amount are untaxed', () => {
+  const bands = makeBands();
+  assert.strictEqual(computeCapitalGainsTax(3000, 40000, bands), 0);
+  assert.strictEqual(computeCapitalGainsTax(-5000, 40000, bands), 0);
+});
+
+test('gains above the exempt amount are stacked on income', () => {
+  const bands = makeBands();
+  // No other income: £10,000 of gains after the exempt amount, all at 18%
+  assert.ok(Math.abs(computeCapitalGainsTax(13000, 0, bands) - 1800) < 1e-6);
+  // Income 45000 leaves 5,270 of basic band: 5,270 at 18%, 4,730 at 24%
+  assert.ok(Math.abs(computeCapitalGainsTax(13000, 45000, bands) - (5270 * 0.18 + 4730 * 0.24)) < 1e-6);
+});
+
+// ── National Insurance ───────────────────────────────────────────────────────
+
+test('employee NI: main rate up to the upper earnings limit, upper rate above', () => {
+  const bands = makeBands();
+  assert.strictEqual(computeEmployeeNI(12570, bands), 0);
+  assert.strictEqual(computeEmployeeNI(30000, bands), (30000 - 12570) * 0.08);
+  assert.ok(Math.abs(computeEmployeeNI(60000, bands) - ((50270 - 12570) * 0.08 + (60000 - 50270) * 0.02)) < 1e-9);
+});
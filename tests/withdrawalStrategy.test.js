@@ -2,12 +2,15 @@
  * withdrawalStrategy.test.js — Unit tests for executeWithdrawal
  *
  * Covers: priority order, access constraints, partial withdrawals,
- * shortfall reporting, and the no-negative-balance guarantee.
+ * shortfall reporting, the no-negative-balance guarantee, and the tax-aware
+ * gross-up mode (band boundaries, UFPLS fraction, caps) and band-filling
+ * strategies, and partner pots with per-person tax bases and band limits.
  */
 
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { executeWithdrawal } from '../js/engine/withdrawalStrategy.js';
+import { executeWithdrawal, executeBandFillWithdrawal, getBandFillTarget } from '../js/engine/withdrawalStrategy.js';
+import { getTaxBands, computeIncomeTax } from '../js/engine/taxEngine.js';
 
 // Helper: all pots accessible
 const ALL_ALLOWED = {
@@ -155,3 +158,287 @@ test('does not mutate the original balances object', () => {
   executeWithdrawal(balances, 10000, ['isa'], ALL_ALLOWED);
   assert.strictEqual(balances.isa, 50000);
 });
+
+// ── Tax-aware gross-up ───────────────────────────────────────────────────────
+
+// 2024/25 bands, frozen
+const BANDS = getTaxBands({ inflationRate: 0, tax: { bandIndexation: 'frozen' } }, 2025);
+const SIPP_ONLY = { isa: 0, sipp: 1000000, premiumBonds: 0, cash: 0 };
+
+function grossUp(net, baseTaxableIncome, extra = {}) {
+  return executeWithdrawal(SIPP_ONLY, net, ['sipp'], ALL_ALLOWED,
+    { bands: BANDS, baseTaxableIncome, ...extra });
+}
+
+// Net received = gross − extra tax caused; should equal the requested net
+function assertNetMet(result, net, base, fraction = 1) {
+  const gross = result.withdrawn.sipp;
+  const taxCaused = computeIncomeTax(base + gross * fraction, BANDS).tax - computeIncomeTax(base, BANDS).tax;
+  assert.ok(Math.abs(gross - taxCaused - net) < 0.01, `net ${gross - taxCaused} ≠ ${net}`);
+  assert.ok(Math.abs(result.tax.sipp - taxCaused) < 0.01);
+}
+
+test('gross-up: draw within the personal allowance needs no gross-up', () => {
+  const result = grossUp(10000, 0);
+  assert.strictEqual(result.withdrawn.sipp, 10000);
+  assert.strictEqual(result.tax.sipp, 0);
+  assert.strictEqual(result.shortfall, 0);
+});
+
+test('gross-up: draw exactly to the personal allowance is untaxed', () => {
+  const result = grossUp(12570, 0);
+  assert.strictEqual(result.withdrawn.sipp, 12570);
+  assert.strictEqual(result.tax.sipp, 0);
+});
+
+test('gross-up: crossing the personal allowance grosses up only the taxed slice', () => {
+  // 2570 tax-free, then 7430 net needs 7430 / 0.8 = 9287.50 gross
+  const result = grossUp(10000, 10000);
+  assert.ok(Math.abs(result.withdrawn.sipp - 11857.5) < 0.01);
+  assert.ok(Math.abs(result.tax.sipp - 1857.5) < 0.01);
+  assertNetMet(result, 10000, 10000);
+});
+
+test('gross-up: basic rate only → gross = net / 0.8', () => {
+  const result = grossUp(8000, 20000);
+  assert.ok(Math.abs(result.withdrawn.sipp - 10000) < 0.01);
+  assert.ok(Math.abs(result.tax.sipp - 2000) < 0.01);
+});
+
+test('gross-up: filling the basic-rate band exactly to £50,270', () => {
+  // From 12570 to 50270 is 37700 gross at 20% → 30160 net
+  const result = grossUp(30160, 12570);
+  assert.ok(Math.abs(result.withdrawn.sipp - 37700) < 0.01);
+  assert.ok(Math.abs(result.tax.sipp - 7540) < 0.01);
+});
+
+test('gross-up: crossing into higher rate', () => {
+  const result = grossUp(20000, 40000);
+  assertNetMet(result, 20000, 40000);
+  // 10270 at 20% (8216 net) + remainder at 40%: (20000 − 8216) / 0.6 = 19640
+  assert.ok(Math.abs(result.withdrawn.sipp - (10270 + 19640)) < 0.01);
+});
+
+test('gross-up: higher rate only → gross = net / 0.6', () => {
+  const result = grossUp(6000, 60000);
+  assert.ok(Math.abs(result.withdrawn.sipp - 10000) < 0.01);
+});
+
+test('gross-up: personal allowance taper (60% effective rate)', () => {
+  const result = grossUp(4000, 100000);
+  assert.ok(Math.abs(result.withdrawn.sipp - 10000) < 0.01);
+  assert.ok(Math.abs(result.tax.sipp - 6000) < 0.01);
+});
+
+test('gross-up: crossing the taper into additional rate', () => {
+  const result = grossUp(30000, 110000);
+  assertNetMet(result, 30000, 110000);
+  assert.ok(result.withdrawn.sipp > 125140 - 110000, 'draw must cross £125,140');
+});
+
+test('gross-up: UFPLS fraction — only 75% of each pound is taxable', () => {
+  // 0.75 × gross taxed at 20% → net = 0.85 × gross
+  const result = grossUp(8500, 12570, { taxableFraction: { sipp: 0.75 } });
+  assert.ok(Math.abs(result.withdrawn.sipp - 10000) < 0.01);
+  assert.ok(Math.abs(result.tax.sipp - 1500) < 0.01);
+});
+
+test('gross-up: insufficient SIPP → whole pot drawn, net shortfall reported', () => {
+  const result = executeWithdrawal({ isa: 0, sipp: 5000, premiumBonds: 0, cash: 0 }, 6000, ['sipp'], ALL_ALLOWED,
+    { bands: BANDS, baseTaxableIncome: 50270 });
+  assert.strictEqual(result.withdrawn.sipp, 5000);
+  assert.ok(Math.abs(result.tax.sipp - 2000) < 0.01);
+  assert.ok(Math.abs(result.shortfall - 3000) < 0.01, '5000 gross → 3000 net, 3000 short');
+});
+
+test('gross-up: maxGross caps the total gross drawn', () => {
+  const result = grossUp(8000, 20000, { maxGross: 6000 });
+  assert.strictEqual(result.withdrawn.sipp, 6000);
+  assert.ok(Math.abs(result.shortfall - 3200) < 0.01, '6000 gross → 4800 net');
+});
+
+test('gross-up: tax-free pots are drawn at face value and report zero tax', () => {
+  const balances = { isa: 5000, sipp: 100000, premiumBonds: 0, cash: 0 };
+  const result = executeWithdrawal(balances, 13000, ['isa', 'sipp'], ALL_ALLOWED,
+    { bands: BANDS, baseTaxableIncome: 20000 });
+  assert.strictEqual(result.withdrawn.isa, 5000);
+  assert.strictEqual(result.tax.isa, 0);
+  assert.ok(Math.abs(result.withdrawn.sipp - 10000) < 0.01, '8000 net / 0.8');
+});
+
+test('no taxContext → tax breakdown is all zeros', () => {
+  const { tax } = executeWithdrawal(SIPP_ONLY, 50000, ['sipp'], ALL_ALLOWED);
+  assert.deepStrictEqual(tax, { isa: 0, sipp: 0, premiumBonds: 0, cash: 0 });
+});
+
+// ── Band-filling strategies ──────────────────────────────────────────────────
+
+const ISA_AND_SIPP = { isa: 100000, sipp: 100000, premiumBonds: 0, cash: 0 };
+
+test('getBandFillTarget: allowance, basic-rate limit, or null for ordered', () => {
+  assert.strictEqual(getBandFillTarget('fillPersonalAllowance', BANDS), 12570);
+  assert.strictEqual(getBandFillTarget('fillBasicRate', BANDS), 50270);
+  assert.strictEqual(getBandFillTarget('ordered', BANDS), null);
+});
+
+test('band fill: SIPP up to the limit, remainder from the other pots', () => {
+  const { withdrawn, shortfall } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 30000, ['isa', 'sipp'], ALL_ALLOWED, 12570,
+  );
+  assert.strictEqual(withdrawn.sipp, 12570);
+  assert.strictEqual(withdrawn.isa, 17430);
+  assert.strictEqual(shortfall, 0);
+});
+
+test('band fill: SIPP fills the band when less is needed, returning the surplus', () => {
+  const { withdrawn, shortfall, surplus } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 8000, ['isa', 'sipp'], ALL_ALLOWED, 50270,
+  );
+  assert.strictEqual(withdrawn.sipp, 50270);
+  assert.strictEqual(withdrawn.isa, 0);
+  assert.strictEqual(shortfall, 0);
+  assert.strictEqual(surplus, 42270);
+});
+
+test('band fill with gross-up: the surplus is after tax', () => {
+  const { withdrawn, surplus } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 0, ['isa', 'sipp'], ALL_ALLOWED, 37700,
+    { bands: BANDS, baseTaxableIncome: 12570 },
+  );
+  assert.ok(Math.abs(withdrawn.sipp - 37700) < 0.01);
+  assert.ok(Math.abs(surplus - 30160) < 0.01);
+});
+
+test('band fill: SIPP is drawn above the limit once other pots are empty', () => {
+  const balances = { isa: 5000, sipp: 100000, premiumBonds: 0, cash: 0 };
+  const { withdrawn, shortfall } = executeBandFillWithdrawal(
+    balances, 30000, ['isa', 'sipp'], ALL_ALLOWED, 12570,
+  );
+  assert.strictEqual(withdrawn.isa, 5000);
+  assert.strictEqual(withdrawn.sipp, 25000);
+  assert.strictEqual(shortfall, 0);
+});
+
+test('band fill: order without SIPP falls back to the ordered withdrawal', () => {
+  const { withdrawn } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 10000, ['isa'], ALL_ALLOWED, 12570,
+  );
+  assert.strictEqual(withdrawn.isa, 10000);
+  assert.strictEqual(withdrawn.sipp, 0);
+});
+
+test('band fill: inaccessible SIPP is skipped', () => {
+  const { withdrawn } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 10000, ['isa', 'sipp'], { ...ALL_ALLOWED, sippAccessAllowed: false }, 12570,
+  );
+  assert.strictEqual(withdrawn.isa, 10000);
+  assert.strictEqual(withdrawn.sipp, 0);
+});
+
+test('band fill with gross-up: SIPP fills the basic-rate band and is taxed', () => {
+  // Base 12570 → 37700 gross fills the basic-rate band (30160 net)
+  const { withdrawn, tax, shortfall } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 40000, ['isa', 'sipp'], ALL_ALLOWED, 37700,
+    { bands: BANDS, baseTaxableIncome: 12570 },
+  );
+  assert.ok(Math.abs(withdrawn.sipp - 37700) < 0.01);
+  assert.ok(Math.abs(tax.sipp - 7540) < 0.01);
+  assert.ok(Math.abs(withdrawn.isa - 9840) < 0.01, '40000 − 30160 net from ISA');
+  assert.ok(shortfall < 0.01);
+});
+
+test('band fill with gross-up: maxGross applies across all stages', () => {
+  const { withdrawn } = executeBandFillWithdrawal(
+    ISA_AND_SIPP, 40000, ['isa', 'sipp'], ALL_ALLOWED, 12570,
+    { bands: BANDS, baseTaxableIncome: 0, maxGross: 20000 },
+  );
+  assert.ok(Math.abs(withdrawn.sipp + withdrawn.isa - 20000) < 0.01);
+});
+
+// ── Partner pots ─────────────────────────────────────────────────────────────
+
+const COUPLE = { isa: 100000, sipp: 100000, partnerIsa: 0, partnerSipp: 100000, premiumBonds: 0, cash: 0 };
+const COUPLE_ALLOWED = { ...ALL_ALLOWED, partnerIsaDrawdownAllowed: true, partnerSippAccessAllowed: true };
+
+test('partner SIPP is taxed against its own base income', () => {
+  // Partner has no other income: 12570 tax-free, then 7430 net at 20% → 9287.50 gross
+  const { withdrawn, tax } = executeWithdrawal(
+    COUPLE, 20000, ['partnerSipp', 'sipp'], COUPLE_ALLOWED,
+    { bands: BANDS, baseTaxableIncome: { sipp: 50270, partnerSipp: 0 } },
+  );
+  assert.ok(Math.abs(withdrawn.partnerSipp - 21857.5) < 0.01);
+  assert.ok(Math.abs(tax.partnerSipp - 1857.5) < 0.01);
+  assert.ok(withdrawn.sipp < 0.01);
+});
+
+test('inaccessible partner SIPP is skipped', () => {
+  const { withdrawn } = executeWithdrawal(
+    COUPLE, 10000, ['partnerSipp', 'isa'], { ...COUPLE_ALLOWED, partnerSippAccessAllowed: false },
+  );
+  assert.strictEqual(withdrawn.partnerSipp, 0);
+  assert.strictEqual(withdrawn.isa, 10000);
+});
+
+test('band fill: each SIPP fills its own limit before the other pots', () => {
+  const { withdrawn, shortfall } = executeBandFillWithdrawal(
+    COUPLE, 30000, ['isa', 'sipp', 'partnerSipp'], COUPLE_ALLOWED, { sipp: 12570, partnerSipp: 12570 },
+  );
+  assert.strictEqual(withdrawn.sipp, 12570);
+  assert.strictEqual(withdrawn.partnerSipp, 12570);
+  assert.strictEqual(withdrawn.isa, 4860);
+  assert.strictEqual(shortfall, 0);
+});
+
+test('band fill with gross-up: a SIPP whose owner has used the band is not drawn first', () => {
+  const { withdrawn } = executeBandFillWithdrawal(
+    COUPLE, 10000, ['isa', 'sipp', 'partnerSipp'], COUPLE_ALLOWED, { sipp: 0, partnerSipp: 12570 },
+    { bands: BANDS, baseTaxableIncome: { sipp: 20000, partnerSipp: 0 } },
+  );
+  assert.strictEqual(withdrawn.sipp, 0);
+  assert.ok(Math.abs(withdrawn.partnerSipp - 12570) < 0.01, 'the partner allowance — no tax');
+  assert.strictEqual(withdrawn.isa, 0);
+});
+
+// ── Added accounts ───────────────────────────────────────────────────────────
+
+test('added accounts are gated by constraints.accounts', () => {
+  const balances = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0, acct1: 5000, acct2: 5000 };
+  const { withdrawn } = executeWithdrawal(
+    balances, 8000, ['acct1', 'acct2'], { ...ALL_ALLOWED, accounts: { acct1: false, acct2: true } },
+  );
+  assert.strictEqual(withdrawn.acct1, 0);
+  assert.strictEqual(withdrawn.acct2, 5000);
+});
+
+test('a pot with a withdrawal charge is grossed up for it', () => {
+  const balances = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0, acct1: 10000, acct2: 10000 };
+  const { withdrawn, tax, shortfall } = executeWithdrawal(
+    balances, 9000, ['acct1', 'acct2'], { ...ALL_ALLOWED, penalties: { acct1: 0.25 } },
+  );
+  assert.strictEqual(withdrawn.acct1, 10000, 'all of it, for £7,500 in hand');
+  assert.strictEqual(tax.acct1, 2500);
+  assert.strictEqual(withdrawn.acct2, 1500);
+  assert.strictEqual(shortfall, 0);
+});
+
+test('an added pension is grossed up against its owner\'s income', () => {
+  const balances = { isa: 0, sipp: 0, premiumBonds: 0, cash: 0, acct1: 100000 };
+  const { withdrawn, tax } = executeWithdrawal(
+    balances, 8000, ['acct1'], { ...ALL_ALLOWED, accounts: { acct1: true } },
+    { bands: BANDS, baseTaxableIncome: { primary: 12570 }, taxableFraction: { acct1: 1 }, owners: { acct1: 'primary' } },
+  );
+  assert.ok(Math.abs(withdrawn.acct1 - 10000) < 0.01, '8000 net at 20%');
+  assert.ok(Math.abs(tax.acct1 - 2000) < 0.01);
+});
+
+test('band fill: pensions with one owner share that owner\'s band', () => {
+  const balances = { isa: 50000, sipp: 8000, premiumBonds: 0, cash: 0, acct1: 50000 };
+  const { withdrawn } = executeBandFillWithdrawal(
+    balances, 20000, ['isa', 'sipp', 'acct1'], { ...ALL_ALLOWED, accounts: { acct1: true } },
+    { sipp: 12570, acct1: 12570 },
+    { owners: { sipp: 'primary', acct1: 'primary' }, taxableFraction: { sipp: 1, acct1: 1 } },
+  );
+  assert.strictEqual(withdrawn.sipp, 8000);
+  assert.strictEqual(withdrawn.acct1, 4570);
+  assert.strictEqual(withdrawn.isa, 7430);
+});
@@ -0,0 +1,70 @@
+/**
+ * workplacePension.test.js — Unit tests for pension contributions from salary
+ *
+ * Covers: salary growth, relief at source (basic-rate relief in the pot,
+ * higher-rate relief reclaimed) and salary sacrifice (tax and NI saved).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTaxBands } from '../js/engine/taxEngine.js';
+import { isSalaryLinked, getSalary, getSalaryContribution } from '../js/engine/workplacePension.js';
+
+// 2024/25 bands, no indexation
+const BANDS = getTaxBands({ inflationRate: 0, tax: { enabled: true, bandIndexation: 'frozen' } }, 2025);
+
+function makeSipp(overrides = {}) {
+  return {
+    contributionMode: 'salary',
+    salary: 60000,
+    salaryGrowthRate: 0,
+    employeePercent: 5,
+    employerPercent: 3,
+    reliefMethod: 'reliefAtSource',
+    ...overrides,
+  };
+}
+
+const round = c => Object.fromEntries(Object.entries(c).map(([k, v]) => [k, Math.round(v * 100) / 100]));
+
+test('isSalaryLinked: only with the salary contribution mode', () => {
+  assert.strictEqual(isSalaryLinked(makeSipp()), true);
+  assert.strictEqual(isSalaryLinked({ annualContribution: 5000 }), false);
+  assert.strictEqual(isSalaryLinked(undefined), false);
+});
+
+test('getSalary: grows at the salary growth rate', () => {
+  const sipp = makeSipp({ salary: 40000, salaryGrowthRate: 5 });
+  assert.strictEqual(getSalary(sipp, 0), 40000);
+  assert.strictEqual(Math.round(getSalary(sipp, 2)), 44100);
+});
+
+test('relief at source: basic-rate relief in the pot, higher-rate relief reclaimed', () => {
+  const c = round(getSalaryContribution(makeSipp(), 0, BANDS));
+  assert.strictEqual(c.employee, 3000);
+  assert.strictEqual(c.employer, 1800);
+  assert.strictEqual(c.gross, 4800);
+  assert.strictEqual(c.reliefAtSource, 600);
+  // The whole £3,000 comes out of the higher-rate band: 40% relief in all
+  assert.strictEqual(c.higherRateRelief, 600);
+  assert.strictEqual(c.takeHomeCost, 1800);
+  assert.strictEqual(c.niSaving, 0);
+  assert.strictEqual(c.taxableSalary, 57000);
+});
+
+test('relief at source: a basic-rate taxpayer reclaims nothing', () => {
+  const c = round(getSalaryContribution(makeSipp({ salary: 30000 }), 0, BANDS));
+  assert.strictEqual(c.reliefAtSource, 300);
+  assert.strictEqual(c.higherRateRelief, 0);
+  assert.strictEqual(c.takeHomeCost, 1200);
+});
+
+test('salary sacrifice: saves income tax and employee NI on the sacrificed pay', () => {
+  const c = round(getSalaryContribution(makeSipp({ salary: 40000, reliefMethod: 'salarySacrifice' }), 0, BANDS));
+  assert.strictEqual(c.employee, 2000);
+  assert.strictEqual(c.gross, 3200);
+  assert.strictEqual(c.reliefAtSource, 0);
+  assert.strictEqual(c.taxSaving, 400);
+  assert.strictEqual(c.niSaving, 160);
+  assert.strictEqual(c.takeHomeCost, 1440);
+});